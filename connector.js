@@ -0,0 +1,284 @@
+const { createDbConnector } = require('./dbConnector');
+const { createRedisConnector } = require('./redis.Connector');
+const { READ_STRATEGIES } = require('./core/poolCluster');
+const { validateCodec } = require('./core/codec');
+const { validateCompression } = require('./core/compression');
+const { INVALIDATION_MODES } = require('./core/autoInvalidate');
+const { validateForeignKeys } = require('./core/foreignKeys');
+const { validateViews } = require('./core/views');
+const { validateInvalidationRetry } = require('./core/invalidationQueue');
+const {
+    CACHE_STORES,
+    isCacheStore,
+    supportsTags,
+    supportsVersions,
+    createMemoryStore,
+    createNullStore,
+    createCacheFunctions
+} = require('./core/cacheStore');
+
+/**
+ * Connector Factory (v2.9.0)
+ *
+ * Builds independent connector instances from a config object instead of process.env.
+ * Each instance owns its MySQL pool and Redis client, so one process can talk to
+ * several databases / Redis servers, and tests can create and dispose connectors freely.
+ */
+
+/**
+ * Normalizes a feature toggle (`true`, `false` or `{ enabled }`) to a config object
+ * @param {boolean|Object|undefined} value - Toggle value
+ * @returns {Object|undefined} - Config object or undefined when not set
+ */
+function normalizeFeatureConfig(value) {
+    if (value === undefined || value === null) return undefined;
+    if (typeof value === 'boolean') return { enabled: value };
+    return value;
+}
+
+/**
+ * Validates a connector config and provides helpful error messages
+ * @param {Object} config - Connector config
+ * @throws {Error} If any required configuration is missing
+ */
+function validateConnectorConfig(config) {
+    const errors = [];
+    const mysql = config.mysql || {};
+
+    if (!mysql.host) {
+        errors.push('mysql.host is required (e.g., { mysql: { host: \'localhost\' } })');
+    }
+
+    if (!mysql.user) {
+        errors.push('mysql.user is required (e.g., { mysql: { user: \'root\' } })');
+    }
+
+    if (!mysql.database) {
+        errors.push('mysql.database is required (e.g., { mysql: { database: \'my_database\' } })');
+    }
+
+    if (mysql.port !== undefined && isNaN(parseInt(mysql.port))) {
+        errors.push('mysql.port must be a valid number (e.g., { mysql: { port: 3306 } })');
+    }
+
+    if (mysql.replicas !== undefined) {
+        if (!Array.isArray(mysql.replicas)) {
+            errors.push('mysql.replicas must be an array (e.g., { mysql: { replicas: [{ host: \'replica-1\' }] } })');
+        } else if (mysql.replicas.some(replica => !replica || !replica.host)) {
+            errors.push('every entry in mysql.replicas needs a host (e.g., { host: \'replica-1\' })');
+        }
+    }
+
+    if (mysql.readStrategy !== undefined && !READ_STRATEGIES.includes(mysql.readStrategy)) {
+        errors.push(`mysql.readStrategy must be one of: ${READ_STRATEGIES.join(', ')}`);
+    }
+
+    ['healthCheckInterval', 'stickyWindow', 'maxReplicationLag'].forEach(option => {
+        if (mysql[option] !== undefined && isNaN(parseInt(mysql[option]))) {
+            errors.push(`mysql.${option} must be a valid number`);
+        }
+    });
+
+    if (config.defaultTtl !== undefined && !(parseInt(config.defaultTtl) > 0)) {
+        errors.push('defaultTtl must be a positive number of seconds (e.g., { defaultTtl: 3600 })');
+    }
+
+    if (config.negativeTtl !== undefined && !(parseInt(config.negativeTtl) >= 0)) {
+        errors.push('negativeTtl must be a number of seconds, 0 to not cache empty results (e.g., { negativeTtl: 30 })');
+    }
+
+    const store = config.store;
+    if (typeof store === 'string') {
+        if (!CACHE_STORES.includes(store)) {
+            errors.push(`store must be one of: ${CACHE_STORES.join(', ')} or a CacheStore object`);
+        } else if (store === 'redis' && !isRedisEnabled(config)) {
+            errors.push('store \'redis\' needs a redis config (e.g., { redis: { host: \'localhost\' } })');
+        }
+    } else if (store !== undefined && store !== null && !isCacheStore(store)) {
+        errors.push('store must implement get, set, del, delByPrefix and mget');
+    }
+
+    if (config.invalidation !== undefined && !INVALIDATION_MODES.includes(config.invalidation)) {
+        errors.push(`invalidation must be one of: ${INVALIDATION_MODES.join(', ')} (e.g., { invalidation: 'tags' })`);
+    } else if (config.invalidation === 'tags' && store && typeof store === 'object' && !supportsTags(store)) {
+        errors.push('invalidation \'tags\' needs a store that implements addTags and delByTags');
+    } else if (config.invalidation === 'versions' && store && typeof store === 'object' && !supportsVersions(store)) {
+        errors.push('invalidation \'versions\' needs a store that implements getVersions and incrVersions');
+    }
+
+    const autoInvalidation = normalizeFeatureConfig(config.autoInvalidation);
+    if (autoInvalidation && autoInvalidation.rowLevel) {
+        if (config.invalidation === 'versions') {
+            errors.push('autoInvalidation.rowLevel works with invalidation \'prefix\' or \'tags\', not \'versions\'');
+        } else if (store && typeof store === 'object' && !supportsTags(store)) {
+            errors.push('autoInvalidation.rowLevel needs a store that implements addTags and delByTags');
+        }
+    }
+    if (autoInvalidation && autoInvalidation.foreignKeys !== undefined) {
+        const problem = validateForeignKeys(autoInvalidation.foreignKeys);
+        if (problem) errors.push(`autoInvalidation.${problem}`);
+    }
+    if (autoInvalidation && autoInvalidation.views !== undefined) {
+        const problem = validateViews(autoInvalidation.views);
+        if (problem) errors.push(`autoInvalidation.${problem}`);
+    }
+
+    if (config.codec !== undefined) {
+        const problem = validateCodec(config.codec);
+        if (problem) errors.push(`${problem} (e.g., { codec: 'msgpack' })`);
+    }
+
+    validateCompression(config.compression)
+        .forEach(problem => errors.push(`${problem} (e.g., { compression: { algorithm: 'gzip', threshold: 1024 } })`));
+
+    const fillLock = normalizeFeatureConfig(config.fillLock);
+    if (fillLock) {
+        ['lockTtl', 'maxWait', 'pollInterval'].forEach(option => {
+            if (fillLock[option] !== undefined && isNaN(parseInt(fillLock[option]))) {
+                errors.push(`fillLock.${option} must be a valid number of milliseconds`);
+            }
+        });
+    }
+
+    const redis = config.redis;
+    if (redis && redis.enabled !== false && !redis.client) {
+        if (!redis.host) {
+            errors.push('redis.host is required when Redis is enabled (e.g., { redis: { host: \'localhost\' } }). Pass redis: false to disable Redis.');
+        }
+
+        if (redis.port !== undefined && isNaN(parseInt(redis.port))) {
+            errors.push('redis.port must be a valid number (e.g., { redis: { port: 6379 } })');
+        }
+    }
+
+    if (redis && redis.l1) {
+        ['ttl', 'maxEntries', 'maxBytes'].forEach(option => {
+            if (redis.l1[option] !== undefined && isNaN(parseInt(redis.l1[option]))) {
+                errors.push(`redis.l1.${option} must be a valid number`);
+            }
+        });
+    }
+
+    if (redis) {
+        validateInvalidationRetry(redis.invalidationRetry)
+            .forEach(problem => errors.push(`redis.${problem} (e.g., { redis: { invalidationRetry: { policy: 'flush' } } })`));
+    }
+
+    if (errors.length > 0) {
+        throw new Error([
+            '❌ Configuration Error - Missing or invalid connector options:',
+            '',
+            ...errors.map(err => `  • ${err}`),
+            ''
+        ].join('\n'));
+    }
+}
+
+function isRedisEnabled(config) {
+    return Boolean(config.redis) && config.redis.enabled !== false;
+}
+
+/**
+ * Resolves the cache store of a connector
+ * @param {Object} config - Connector config
+ * @param {Object|null} redisConnector - Redis connector of this instance
+ * @returns {Object|null} - CacheStore, or null when caching is disabled
+ */
+function resolveCacheStore(config, redisConnector) {
+    const store = config.store;
+
+    if (store && typeof store === 'object') return store;
+    if (store === 'memory') return createMemoryStore();
+    if (store === 'null') return createNullStore();
+
+    // 'redis' or not set: Redis when configured, otherwise no caching
+    return redisConnector;
+}
+
+/**
+ * Creates an independent connector instance.
+ *
+ * @param {Object} config - Connector config
+ * @param {Object} config.mysql - mysql2 pool options ({ host, user, password, database, port, ... })
+ *                                plus optional { replicas, readStrategy, healthCheckInterval,
+ *                                stickyWindow, maxReplicationLag }
+ * @param {Object|false} [config.redis] - Redis options ({ host, port, password, vhost, waitTimeout, client, l1,
+ *                                        invalidationRetry })
+ *                                        or false to disable caching
+ * @param {string|Object} [config.store] - Cache store: 'redis' (default when redis is set), 'memory',
+ *                                        'null' or a custom CacheStore ({ get, set, del, delByPrefix, mget })
+ * @param {string|Object} [config.codec] - Codec of values stored in Redis: 'json' (default), 'msgpack'
+ *                                        or a custom codec ({ id, name, encode, decode })
+ * @param {string|Object} [config.compression] - Compress values stored in Redis above a threshold: 'gzip',
+ *                                              'brotli' or { algorithm, threshold, level }
+ * @param {number} [config.defaultTtl] - Cache TTL in seconds for reads without a per-call or per-table TTL
+ * @param {number} [config.negativeTtl] - Cache TTL in seconds for empty results (0 = don't cache them)
+ * @param {boolean|Object} [config.fillLock] - Distributed fill lock ({ enabled, lockTtl, maxWait, pollInterval })
+ * @param {boolean|Object} [config.autoKey] - Auto key config for this instance ({ enabled })
+ * @param {boolean|Object} [config.autoInvalidation] - Auto invalidation config for this instance ({ enabled, tables, rowLevel, foreignKeys, views })
+ * @param {string} [config.invalidation] - How auto invalidation evicts a written table: 'prefix' (default, SCAN),
+ *                                        'tags' (the keys of its cached reads, recorded in tag sets) or
+ *                                        'versions' (a new table version in the keys of its cached reads)
+ * @returns {Object} - Connector instance with all query and cache functions plus close()
+ *
+ * @example
+ * const analytics = createConnector({
+ *     mysql: { host: 'analytics-db', user: 'app', password: 'secret', database: 'analytics' },
+ *     redis: { host: 'cache-2', vhost: 'analytics' },
+ *     autoKey: true
+ * });
+ * const rows = await analytics.getCacheQuery('SELECT * FROM events WHERE day = ?', [day]);
+ * await analytics.close();
+ */
+function createConnector(config = {}) {
+    validateConnectorConfig(config);
+
+    // Redis client only when Redis is the cache store
+    const usesRedis = isRedisEnabled(config) && (!config.store || config.store === 'redis');
+    const cache = usesRedis ? createRedisConnector({ ...config.redis, codec: config.codec, compression: config.compression }) : null;
+    const store = resolveCacheStore(config, cache);
+
+    const dbConnector = createDbConnector({
+        mysql: config.mysql,
+        cache: store,
+        defaultTtl: config.defaultTtl,
+        negativeTtl: config.negativeTtl,
+        fillLock: normalizeFeatureConfig(config.fillLock),
+        autoKey: normalizeFeatureConfig(config.autoKey),
+        autoInvalidation: normalizeFeatureConfig(config.autoInvalidation),
+        invalidation: config.invalidation
+    });
+
+    // Manual cache functions work on the selected store (no caching when disabled)
+    const cacheFunctions = cache || createCacheFunctions(store || createNullStore());
+
+    return {
+        ...dbConnector,
+
+        getArrayItem: cacheFunctions.getArrayItem,
+        getCacheEntry: cacheFunctions.getCacheEntry,
+        addArrayItem: cacheFunctions.addArrayItem,
+        delKeyItem: cacheFunctions.delKeyItem,
+        delPrefixKeyItem: cacheFunctions.delPrefixKeyItem,
+        isRedisConnected: () => (cache ? cache.isRedisConnected() : false),
+        getRedisClient: () => (cache ? cache.getRedisClient() : null),
+
+        /**
+         * Closes the MySQL pool, the Redis client and the cache store of this instance.
+         * @returns {Promise<void>}
+         */
+        async close() {
+            await dbConnector.closeConnections();
+            if (cache) {
+                await cache.quit();
+            } else if (store && typeof store.close === 'function') {
+                await store.close();
+            }
+        }
+    };
+}
+
+module.exports = {
+    createConnector,
+    validateConnectorConfig
+};
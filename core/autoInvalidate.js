@@ -1,3 +1,7 @@
+const { parseSql, isWriteStatement, qualifiedTableName, qualifiedTableNames } = require('./sqlParser');
+const { generateRowKey } = require('./autoKey');
+const { getCascadedTables } = require('./foreignKeys');
+
 /**
  * Auto Invalidation Module (v2.6.0)
  *
@@ -5,17 +9,51 @@
  * Disabled by default for backward compatibility.
  */
 
+// How writes evict cached reads: 'prefix' deletes keys by pattern (SCAN), 'tags' deletes the
+// keys recorded under the written table's tag (see CacheStore addTags / delByTags), 'versions'
+// increments the table's version, which auto-generated keys embed (see getVersions / incrVersions)
+const INVALIDATION_MODES = ['prefix', 'tags', 'versions'];
+
+// Primary key column of tables without a primaryKey rule (row-level invalidation)
+const DEFAULT_PRIMARY_KEY = 'id';
+
+// Placeholder of a rule pattern template ('user:{id}:*'), filled from the write's bound parameters
+const TEMPLATE_PLACEHOLDER = /\{([^{}]+)\}/g;
+// A template filled with more value combinations than this evicts its prefix up to the first placeholder instead
+const MAX_TEMPLATE_PATTERNS = 100;
+
 let autoInvalidationEnabled = false;
+let rowLevelEnabled = false;
+let foreignKeySetting = false;
+let viewSetting = false;
 let invalidationRules = {};
 
 /**
  * Enables auto invalidation feature
  * @param {Object} config - Configuration options
  * @param {boolean} config.enabled - Enable/disable auto invalidation
- * @param {Object} config.tables - Table-specific invalidation patterns
+ * @param {Object} config.tables - Table-specific rules: an array of patterns, or
+ *                                 { patterns, ttl } with a cache TTL in seconds (v2.9.0+).
+ *                                 Patterns may name columns ('user:{id}:*'), filled from the
+ *                                 write's bound parameters (v2.9.0+, see resolvePatternTemplates).
+ *                                 { dependsOnMe: ['orders', 'dashboard'] } evicts other tables' or
+ *                                 rule names' patterns on writes to the table (v2.9.0+, see getDependents).
+ *                                 A rule keyed by the bare table name applies in every database;
+ *                                 'tenant_a.users' keys a rule to one database (v2.9.0+)
+ * @param {boolean} config.rowLevel - Evict only the entity keys of the rows a write pins by primary
+ *                                    key, plus the table's other reads (v2.9.0+, default: false)
+ * @param {boolean|Array<Object>} config.foreignKeys - Evict the tables a write cascades to: true reads
+ *                                    the foreign keys from INFORMATION_SCHEMA, an array replaces them
+ *                                    (v2.9.0+, default: false, see core/foreignKeys.js)
+ * @param {boolean|Object} config.views - Make reads of a view depend on the tables behind it: true reads
+ *                                    the views from INFORMATION_SCHEMA, { view: [tables] } replaces them
+ *                                    (v2.9.0+, default: false, see core/views.js)
  */
 function enableAutoInvalidation(config = {}) {
     autoInvalidationEnabled = config.enabled !== false;
+    rowLevelEnabled = config.rowLevel === true;
+    foreignKeySetting = config.foreignKeys || false;
+    viewSetting = config.views || false;
     invalidationRules = config.tables || {};
 }
 
@@ -27,71 +65,396 @@ function isAutoInvalidationEnabled() {
 }
 
 /**
- * Extracts table name from SQL query
- * @param {string} sql - SQL query
- * @returns {string|null} - Table name or null
+ * Checks if row-level invalidation is enabled (v2.9.0)
+ * @param {Object} [config] - Connector-level config ({ rowLevel }); overrides the global setting
+ * @returns {boolean}
  */
-function extractTableName(sql) {
-    // INSERT INTO users...
-    const insertMatch = sql.match(/INSERT\s+INTO\s+`?(\w+)`?/i);
-    if (insertMatch) return insertMatch[1];
+function isRowLevelEnabled(config = null) {
+    return config ? config.rowLevel === true : rowLevelEnabled || process.env.CACHE_ROW_INVALIDATION === 'true';
+}
 
-    // UPDATE users SET...
-    const updateMatch = sql.match(/UPDATE\s+`?(\w+)`?/i);
-    if (updateMatch) return updateMatch[1];
+/**
+ * Gets the foreign key setting (v2.9.0)
+ * @param {Object} [config] - Connector-level config ({ foreignKeys }); overrides the global setting
+ * @returns {boolean|Array<Object>} - true to load the foreign keys from the server, the foreign keys
+ *                                    to use instead, or false
+ */
+function getForeignKeySetting(config = null) {
+    if (config) return config.foreignKeys || false;
+    return foreignKeySetting || process.env.CACHE_FOREIGN_KEYS === 'true';
+}
 
-    // DELETE FROM users...
-    const deleteMatch = sql.match(/DELETE\s+FROM\s+`?(\w+)`?/i);
-    if (deleteMatch) return deleteMatch[1];
+/**
+ * Gets the view setting (v2.9.0)
+ * @param {Object} [config] - Connector-level config ({ views }); overrides the global setting
+ * @returns {boolean|Object} - true to load the views from the server, the views to use instead, or false
+ */
+function getViewSetting(config = null) {
+    if (config) return config.views || false;
+    return viewSetting || process.env.CACHE_VIEWS === 'true';
+}
 
-    // REPLACE INTO users...
-    const replaceMatch = sql.match(/REPLACE\s+INTO\s+`?(\w+)`?/i);
-    if (replaceMatch) return replaceMatch[1];
+/**
+ * Extracts the table a write operation writes (v2.9.0: parsed by core/sqlParser.js; tables outside
+ * the default database are named `database.table`)
+ * @param {string} sql - SQL query
+ * @param {Object} [scope] - { database, defaultDatabase } (v2.9.0+)
+ * @returns {string|null} - Table name, or null for reads and unknown statements
+ */
+function extractTableName(sql, scope) {
+    const [table] = parseSql(sql).writeTables;
+    return table ? qualifiedTableName(table, scope) : null;
+}
 
-    return null;
+/**
+ * Extracts every table a write operation writes (a multi-table UPDATE or DELETE writes several) (v2.9.0)
+ * @param {string} sql - SQL query
+ * @param {Object} [scope] - { database, defaultDatabase }
+ * @returns {Array<string>} - Table names, empty for reads and unknown statements
+ */
+function extractTableNames(sql, scope) {
+    return qualifiedTableNames(parseSql(sql).writeTables, scope);
 }
 
 /**
- * Checks if SQL is a write operation
+ * Checks if SQL is a write operation (INSERT, UPDATE, DELETE, REPLACE; also after comments or a WITH clause)
  * @param {string} sql - SQL query
  * @returns {boolean}
  */
 function isWriteOperation(sql) {
-    return /^\s*(INSERT|UPDATE|DELETE|REPLACE)/i.test(sql.trim());
+    return isWriteStatement(sql);
+}
+
+/**
+ * Finds the rule of a table: its own, or for `database.table` the rule of the bare table name
+ * @param {string|null} tableName - Table name
+ * @param {Object} rules - Table rules
+ * @returns {Object} - { tableRules, database } (database set when the bare name's rule applies)
+ */
+function findTableRules(tableName, rules) {
+    if (!tableName) return { tableRules: null, database: null };
+    if (rules[tableName]) return { tableRules: rules[tableName], database: null };
+
+    // Database names can't contain dots, so the first one ends the database
+    const dot = tableName.indexOf('.');
+    if (dot === -1) return { tableRules: null, database: null };
+    return { tableRules: rules[tableName.slice(dot + 1)] || null, database: tableName.slice(0, dot) };
+}
+
+/**
+ * Gets the patterns a user-defined rule sets for a table
+ * v2.9.0: for `database.table` without a rule of its own, the bare table's patterns apply both
+ * as written and prefixed with the database (users:* also evicts tenant_a.users:*)
+ * @param {string|null} tableName - Table name
+ * @param {Object} [rules] - Table rules to use instead of the enableAutoInvalidation() rules
+ * @returns {Array<string>|null} - Rule patterns, or null when the table has no pattern rule
+ */
+function getRulePatterns(tableName, rules = invalidationRules) {
+    const { tableRules, database } = findTableRules(tableName, rules);
+    if (!tableRules) return null;
+
+    let patterns = null;
+    if (Array.isArray(tableRules)) {
+        patterns = tableRules;
+    } else if (typeof tableRules === 'string') {
+        patterns = [tableRules];
+    } else if (tableRules.patterns) {
+        // { patterns, ttl } form (v2.9.0+); patterns are optional
+        patterns = Array.isArray(tableRules.patterns) ? tableRules.patterns : [tableRules.patterns];
+    }
+
+    if (!patterns || !database) return patterns;
+    return [...patterns, ...patterns.map(pattern => `${database}.${pattern}`)];
 }
 
 /**
  * Gets invalidation patterns for a table
  * @param {string} tableName - Table name
+ * @param {Object} [rules] - Table rules to use instead of the enableAutoInvalidation() rules
  * @returns {Array<string>} - Array of cache key patterns to invalidate
  */
-function getInvalidationPatterns(tableName) {
+function getInvalidationPatterns(tableName, rules = invalidationRules) {
     if (!tableName) return [];
 
     // User-defined rules take priority
-    if (invalidationRules[tableName]) {
-        const rules = invalidationRules[tableName];
-        return Array.isArray(rules) ? rules : [rules];
-    }
+    const rulePatterns = getRulePatterns(tableName, rules);
+    if (rulePatterns) return rulePatterns;
 
     // Default patterns: tableName_* and tableName:*
     return [`${tableName}_*`, `${tableName}:*`];
 }
 
+/**
+ * Gets the cache TTL configured for a table ({ tables: { products: { ttl: 3600 } } })
+ * @param {string|null} tableName - Table name
+ * @param {Object} [config] - Connector-level config ({ tables }); overrides the enableAutoInvalidation() rules
+ * @returns {number|undefined} - TTL in seconds, or undefined when the table has none
+ */
+function getTableTtl(tableName, config = null) {
+    if (!tableName) return undefined;
+
+    const rules = config ? config.tables || {} : invalidationRules;
+    const { tableRules } = findTableRules(tableName, rules);
+    if (!tableRules || Array.isArray(tableRules) || typeof tableRules !== 'object') {
+        return undefined;
+    }
+    return tableRules.ttl || undefined;
+}
+
+/**
+ * Gets the tables and rule names whose cached reads depend on a table, transitively (v2.9.0)
+ *
+ * `{ order_items: { dependsOnMe: ['orders', 'dashboard'] } }` makes a write to order_items evict
+ * as if orders and dashboard were written too, and so on for their own dependsOnMe. A name
+ * needn't be a table: `dashboard` evicts the patterns of its rule (`dashboard_*` and
+ * `dashboard:*` without one). Cycles are followed once. For `database.table`, bare dependents
+ * are in the same database.
+ *
+ * @param {string|null} tableName - Table name
+ * @param {Object} [rules] - Table rules to use instead of the enableAutoInvalidation() rules
+ * @returns {Array<string>} - Dependents in breadth-first order, without the table itself
+ *
+ * @example
+ * enableAutoInvalidation({ tables: { order_items: { dependsOnMe: 'orders' }, orders: { dependsOnMe: ['dashboard'] } } });
+ * getDependents('order_items');          // ['orders', 'dashboard']
+ * getDependents('tenant_a.order_items'); // ['tenant_a.orders', 'tenant_a.dashboard']
+ */
+function getDependents(tableName, rules = invalidationRules) {
+    if (!tableName) return [];
+
+    const visited = new Set([tableName]);
+    const queue = [tableName];
+    for (let i = 0; i < queue.length; i++) {
+        const { tableRules } = findTableRules(queue[i], rules);
+        if (!tableRules || typeof tableRules !== 'object' || Array.isArray(tableRules)) continue;
+
+        const dot = queue[i].indexOf('.');
+        [].concat(tableRules.dependsOnMe || []).forEach(name => {
+            const dependent = dot === -1 || name.includes('.') ? name : `${queue[i].slice(0, dot)}.${name}`;
+            if (!visited.has(dependent)) {
+                visited.add(dependent);
+                queue.push(dependent);
+            }
+        });
+    }
+    return queue.slice(1);
+}
+
+/**
+ * Extracts the tables a write evicts: the tables it writes, the tables it cascades to through
+ * foreign keys, and their dependents (v2.9.0)
+ * @param {string} sql - SQL query
+ * @param {Object} [config] - Connector-level config ({ tables, foreignKeys }); overrides the enableAutoInvalidation() rules
+ * @param {Object} [scope] - { database, defaultDatabase }
+ * @param {Array<Object>} [foreignKeys] - Foreign keys (default: the foreignKeys setting when it is an array)
+ * @returns {Array<string>} - Table and rule names, written tables first
+ */
+function getInvalidationTables(sql, config = null, scope, foreignKeys = null) {
+    const rules = config ? config.tables || {} : invalidationRules;
+    const setting = getForeignKeySetting(config);
+    const keys = foreignKeys || (Array.isArray(setting) ? setting : []);
+    const tables = [...new Set([...extractTableNames(sql, scope), ...getCascadedTables(sql, keys, scope)])];
+    return [...new Set([...tables, ...tables.flatMap(table => getDependents(table, rules))])];
+}
+
+/**
+ * Gets the primary key column of a table ({ tables: { users: { primaryKey: 'user_id' } } }) (v2.9.0)
+ * @param {string|null} tableName - Table name
+ * @param {Object} [rules] - Table rules to use instead of the enableAutoInvalidation() rules
+ * @returns {string|null} - Column ('id' by default), null when the rule sets primaryKey: null / false
+ */
+function getPrimaryKey(tableName, rules = invalidationRules) {
+    const { tableRules } = findTableRules(tableName, rules);
+    if (tableRules && typeof tableRules === 'object' && !Array.isArray(tableRules) && 'primaryKey' in tableRules) {
+        return tableRules.primaryKey || null;
+    }
+    return DEFAULT_PRIMARY_KEY;
+}
+
+/**
+ * Tag of the entity reads of a table in 'tags' mode with row-level invalidation (v2.9.0)
+ * @param {string} tableName - Table name
+ * @returns {string} - Tag (users:rows)
+ */
+function getRowsTag(tableName) {
+    return `${tableName}:rows`;
+}
+
+/**
+ * Values of a column in the rows a parsed write writes, from its bound parameters: an INSERT's
+ * VALUES or SET, an UPDATE's or DELETE's `column = ?` / `column IN (?, ...)` in a conjunctive WHERE
+ * plus the values an UPDATE's SET assigns. Only single-table INSERT, UPDATE and DELETE statements
+ * bind values; upserts and REPLACE write rows found by any unique key.
+ * @returns {Array|null} - Values (arrays of IN (?) flattened), or null when the rows can hold others
+ */
+function boundColumnValues(parsed, column, parameters) {
+    if (!['INSERT', 'UPDATE', 'DELETE'].includes(parsed.type) || parsed.tables.length !== 1 || parsed.upsert) {
+        return null;
+    }
+
+    const isColumn = name => name.toLowerCase() === column.toLowerCase();
+    const values = [];
+    let pinned = false;
+    for (const { clause, column: name, params } of parsed.bindings) {
+        if (name === null) {
+            // SET ?: an object of columns, which may assign the column
+            const object = parameters[params[0]];
+            if (!object || typeof object !== 'object' || Array.isArray(object)) return null;
+            const key = Object.keys(object).find(isColumn);
+            if (key === undefined) continue;
+            values.push(object[key]);
+            pinned = pinned || parsed.type === 'INSERT';
+            continue;
+        }
+        if (!isColumn(name)) continue;
+
+        if (params.some(param => param === null || param >= parameters.length)) return null;
+        values.push(...params.map(param => parameters[param]));
+        pinned = pinned || (clause === 'where' ? parsed.conjunctive : parsed.type === 'INSERT');
+    }
+    if (!pinned) return null;
+
+    const flat = values.flat();
+    return flat.some(value => value !== null && typeof value === 'object' && !(value instanceof Date)) ? null : flat;
+}
+
+// A key value as read keys may hold it: 7, '7' and 7n are the same row
+function keyVariants(value) {
+    if (typeof value === 'bigint') {
+        return Number.isSafeInteger(Number(value)) ? [value, String(value), Number(value)] : [value, String(value)];
+    }
+    if (typeof value === 'number') {
+        return Number.isSafeInteger(value) ? [value, String(value), BigInt(value)] : [value, String(value)];
+    }
+    if (typeof value === 'string' && /^-?\d+$/.test(value)) {
+        return Number.isSafeInteger(Number(value)) ? [value, Number(value), BigInt(value)] : [value, BigInt(value)];
+    }
+    return [value];
+}
+
+/**
+ * Finds the rows a write pins by primary key, for row-level invalidation (v2.9.0)
+ *
+ * A single-table UPDATE or DELETE pins rows when its WHERE clause is a conjunction with
+ * `pk = ?` or `pk IN (?, ...)`; an INSERT when it supplies the key (VALUES or SET). A key
+ * assigned by UPDATE ... SET pins the new row too. Upserts, REPLACE (which deletes rows by
+ * any unique key) and writes with unknown key values don't pin rows.
+ *
+ * @param {string} sql - SQL query
+ * @param {Array} [parameters] - Query parameters
+ * @param {Object} [config] - Connector-level config ({ tables }); overrides the enableAutoInvalidation() rules
+ * @param {Object} [scope] - { database, defaultDatabase }
+ * @returns {Object|null} - { table, keys }: the entity keys of the pinned rows, or null
+ *
+ * @example
+ * getRowInvalidation('UPDATE users SET last_seen = ? WHERE id = ?', [now, 7]);
+ * // { table: 'users', keys: ['users:id:<paramHash of [7]>', 'users:id:<paramHash of ["7"]>'] }
+ */
+function getRowInvalidation(sql, parameters = [], config = null, scope) {
+    const parsed = parseSql(sql);
+    if (!['INSERT', 'UPDATE', 'DELETE'].includes(parsed.type) || parsed.tables.length !== 1 || parsed.upsert) {
+        return null;
+    }
+
+    const table = qualifiedTableName(parsed.tables[0], scope);
+    const primaryKey = getPrimaryKey(table, config ? config.tables || {} : invalidationRules);
+    if (!primaryKey) return null;
+
+    // An INSERT without the key lets the database assign it: any negatively cached id could be the new row
+    const keyValues = boundColumnValues(parsed, primaryKey, parameters || []);
+    if (!keyValues) return null;
+
+    const keys = keyValues.flatMap(value => keyVariants(value).map(variant => generateRowKey(table, primaryKey, variant)));
+    return { table, keys: [...new Set(keys)] };
+}
+
+/**
+ * Finds the row an entity read reads: a single-table SELECT whose only condition is `pk = ?` (v2.9.0)
+ * @param {string} sql - SQL query
+ * @param {Array} [parameters] - Query parameters
+ * @param {Object} [config] - Connector-level config ({ tables }); overrides the enableAutoInvalidation() rules
+ * @param {Object} [scope] - { database, defaultDatabase }
+ * @returns {Object|null} - { table, key }: the read's auto key, or null when it isn't an entity read
+ */
+function getRowRead(sql, parameters = [], config = null, scope) {
+    const parsed = parseSql(sql);
+    if (parsed.type !== 'SELECT' || parsed.tables.length !== 1 || !parsed.conjunctive) return null;
+    if (!parameters || parameters.length !== 1 || parsed.whereColumns.length !== 1) return null;
+
+    const table = qualifiedTableName(parsed.tables[0], scope);
+    const primaryKey = getPrimaryKey(table, config ? config.tables || {} : invalidationRules);
+    const [value] = parameters;
+    const [binding] = parsed.bindings;
+    if (!primaryKey || !binding || binding.column.toLowerCase() !== primaryKey.toLowerCase()) return null;
+    if (value !== null && typeof value === 'object' && !(value instanceof Date)) return null;
+
+    return { table, key: generateRowKey(table, primaryKey, value) };
+}
+
+// Text of a bound value in a key, or null for values keys don't spell the same way (null, dates)
+function templateValue(value) {
+    return ['string', 'number', 'bigint', 'boolean'].includes(typeof value) ? String(value) : null;
+}
+
+/**
+ * Fills the column placeholders of rule patterns from a write's bound parameters (v2.9.0)
+ *
+ * `{column}` takes every value the write binds to the column (see boundColumnValues); a pattern
+ * with several placeholders is filled with every combination. When a column's values aren't
+ * known (a literal, an unpinned UPDATE, a multi-table write) or the combinations exceed
+ * MAX_TEMPLATE_PATTERNS, the pattern is cut at that placeholder and ends in `*`, so the write
+ * evicts every value's keys. Patterns without placeholders are returned as they are.
+ *
+ * @param {Array<string>} patterns - Rule patterns
+ * @param {string} sql - Write statement
+ * @param {Array} [parameters] - Query parameters
+ * @returns {Array<string>} - Patterns to invalidate, without duplicates
+ *
+ * @example
+ * resolvePatternTemplates(['company:{company_id}:users'], 'UPDATE users SET name = ? WHERE company_id = ? AND id = ?', ['Ann', 3, 7]);
+ * // ['company:3:users']
+ * resolvePatternTemplates(['company:{company_id}:users'], 'UPDATE users SET name = ? WHERE id = ?', ['Ann', 7]);
+ * // ['company:*']
+ */
+function resolvePatternTemplates(patterns, sql, parameters = []) {
+    const parsed = parseSql(sql);
+    const resolved = patterns.flatMap(pattern => {
+        const parts = pattern.split(TEMPLATE_PLACEHOLDER);    // literal, column, literal, column, ..., literal
+        let filled = [parts[0]];
+        for (let i = 1; i < parts.length; i += 2) {
+            const bound = boundColumnValues(parsed, parts[i].trim(), parameters || []);
+            const values = bound && bound.map(templateValue);
+            if (!values || values.some(value => value === null) || filled.length * values.length > MAX_TEMPLATE_PATTERNS) {
+                return [...new Set(filled.map(prefix => `${prefix}*`))];
+            }
+            const suffixes = [...new Set(values)].map(value => value + parts[i + 1]);
+            filled = filled.flatMap(prefix => suffixes.map(suffix => prefix + suffix));
+        }
+        return filled;
+    });
+    return [...new Set(resolved)];
+}
+
 /**
  * Determines which cache patterns should be invalidated for a query
  * @param {string} sql - SQL query
  * @param {string|null} manualPattern - Manual invalidation pattern (takes priority)
+ * @param {Object} [config] - Connector-level config ({ enabled, tables }); overrides the global settings
+ * @param {Object} [scope] - { database, defaultDatabase }: writes outside the default database
+ *                           evict `database.table` patterns (v2.9.0+)
+ * @param {Array} [parameters] - Query parameters, which fill rule pattern templates (v2.9.0+)
+ * @param {Array<Object>} [foreignKeys] - Foreign keys the write cascades through (v2.9.0+, see getInvalidationTables)
  * @returns {Array<string>} - Array of patterns to invalidate
  */
-function determineInvalidationPatterns(sql, manualPattern = null) {
+function determineInvalidationPatterns(sql, manualPattern = null, config = null, scope, parameters = [], foreignKeys = null) {
     // Manual pattern takes priority
     if (manualPattern) {
         return Array.isArray(manualPattern) ? manualPattern : [manualPattern];
     }
 
     // Auto invalidation only if enabled
-    if (!isAutoInvalidationEnabled()) {
+    const enabled = config ? config.enabled !== false : isAutoInvalidationEnabled();
+    if (!enabled) {
         return [];
     }
 
@@ -100,16 +463,31 @@ function determineInvalidationPatterns(sql, manualPattern = null) {
         return [];
     }
 
-    // Extract table name and get patterns
-    const tableName = extractTableName(sql);
-    return getInvalidationPatterns(tableName);
+    // Patterns of every written or cascaded table and its dependents
+    const rules = config ? config.tables || {} : invalidationRules;
+    const patterns = getInvalidationTables(sql, config, scope, foreignKeys).flatMap(tableName => getInvalidationPatterns(tableName, rules));
+    return resolvePatternTemplates(patterns, sql, parameters);
 }
 
 module.exports = {
+    INVALIDATION_MODES,
     enableAutoInvalidation,
     isAutoInvalidationEnabled,
+    isRowLevelEnabled,
+    getForeignKeySetting,
+    getViewSetting,
     extractTableName,
+    extractTableNames,
     isWriteOperation,
+    getRulePatterns,
     getInvalidationPatterns,
+    getTableTtl,
+    getDependents,
+    getInvalidationTables,
+    getPrimaryKey,
+    getRowsTag,
+    getRowInvalidation,
+    getRowRead,
+    resolvePatternTemplates,
     determineInvalidationPatterns
 };
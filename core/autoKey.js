@@ -1,4 +1,6 @@
 const crypto = require('crypto');
+const { parseSql, qualifiedTableName, qualifiedTableNames, WRITE_STATEMENTS } = require('./sqlParser');
+const { serialize } = require('./serializer');
 
 /**
  * Auto Key Generation Module (v2.6.0)
@@ -26,6 +28,7 @@ function isAutoKeyEnabled() {
 
 /**
  * Creates a short hash from parameters
+ * v2.9.0: serialized like cached values, so BigInt parameters hash (and a Date differs from its string)
  * @param {Array} parameters - Query parameters
  * @returns {string} - 8-character hash
  */
@@ -36,111 +39,71 @@ function createParameterHash(parameters) {
 
     return crypto
         .createHash('md5')
-        .update(JSON.stringify(parameters))
+        .update(serialize(parameters))
         .digest('hex')
         .substring(0, 8);
 }
 
 /**
- * Extracts table name from SQL query
+ * Extracts table name from SQL query: the table a write writes, or the first table a read references
+ * v2.9.0: parsed by core/sqlParser.js, so comments and strings don't mislead it. Tables outside
+ * the default database are named `database.table` (see qualifiedTableName in core/sqlParser.js).
  * @param {string} sql - SQL query
+ * @param {Object} [scope] - { database, defaultDatabase } (v2.9.0+)
  * @returns {string|null} - Table name or null
  */
-function extractTableName(sql) {
-    // SELECT FROM
-    const selectMatch = sql.match(/FROM\s+`?(\w+)`?/i);
-    if (selectMatch) return selectMatch[1];
-
-    // INSERT INTO
-    const insertMatch = sql.match(/INSERT\s+INTO\s+`?(\w+)`?/i);
-    if (insertMatch) return insertMatch[1];
-
-    // UPDATE
-    const updateMatch = sql.match(/UPDATE\s+`?(\w+)`?/i);
-    if (updateMatch) return updateMatch[1];
-
-    // DELETE FROM
-    const deleteMatch = sql.match(/DELETE\s+FROM\s+`?(\w+)`?/i);
-    if (deleteMatch) return deleteMatch[1];
-
-    return null;
+function extractTableName(sql, scope) {
+    const { type, tables, writeTables } = parseSql(sql);
+    const table = WRITE_STATEMENTS.includes(type) ? writeTables[0] : tables[0];
+    return table ? qualifiedTableName(table, scope) : null;
 }
 
 /**
- * Extracts WHERE conditions from SQL
+ * Extracts every table a query depends on: JOINs, subqueries, UNIONs and CTE bodies (v2.9.0)
  * @param {string} sql - SQL query
- * @returns {Array<string>} - Array of conditions
+ * @param {Object} [scope] - { database, defaultDatabase }
+ * @returns {Array<string>} - Table names, in order of appearance (the key table first for reads)
  */
-function extractWhereConditions(sql) {
-    const whereMatch = sql.match(/WHERE\s+(.+?)(?:ORDER\s+BY|LIMIT|GROUP\s+BY|HAVING|$)/is);
-
-    if (!whereMatch) {
-        return [];
-    }
-
-    const whereClause = whereMatch[1].trim();
-
-    // Split by AND/OR but preserve the column names
-    const conditions = whereClause.split(/\s+(AND|OR)\s+/i)
-        .filter(part => !/^(AND|OR)$/i.test(part.trim()));
-
-    return conditions.map(c => c.trim());
+function extractTableNames(sql, scope) {
+    return qualifiedTableNames(parseSql(sql).tables, scope);
 }
 
 /**
- * Extracts column names from WHERE conditions
- * @param {Array<string>} conditions - WHERE conditions
- * @returns {Array<string>} - Sorted column names
+ * Key of a query without a table: a hash of the SQL, prefixed with its database outside the default one
+ * @param {string} sql - SQL query
+ * @param {Object} [scope] - { database, defaultDatabase }
+ * @returns {string} - Cache key (query:1a2b3c4d)
  */
-function extractColumnNames(conditions) {
-    const columns = [];
-
-    for (const condition of conditions) {
-        // Match: column_name = ?
-        // Match: column_name > ?
-        // Match: column_name IN (?)
-        // Match: column_name LIKE ?
-        const columnMatch = condition.match(/(\w+)\s*(?:=|>|<|>=|<=|!=|<>|IN|LIKE|NOT\s+IN|NOT\s+LIKE)/i);
-
-        if (columnMatch) {
-            columns.push(columnMatch[1].toLowerCase());
-        }
-    }
-
-    // Sort for stable key generation
-    return columns.sort();
+function generateQueryKey(sql, scope = {}) {
+    const queryHash = crypto
+        .createHash('md5')
+        .update(sql)
+        .digest('hex')
+        .substring(0, 8);
+    const inOtherDatabase = scope.database && scope.database !== scope.defaultDatabase;
+    return inOtherDatabase ? `${scope.database}.query:${queryHash}` : `query:${queryHash}`;
 }
 
 /**
  * Generates cache key with detailed column information
  * @param {string} sql - SQL query
  * @param {Array} parameters - Query parameters
+ * @param {Object} [scope] - { database, defaultDatabase }
  * @returns {string} - Generated cache key
  */
-function generateDetailedKey(sql, parameters) {
-    const tableName = extractTableName(sql);
+function generateDetailedKey(sql, parameters, scope) {
+    const tableName = extractTableName(sql, scope);
 
     if (!tableName) {
         // Fallback for complex queries
-        const queryHash = crypto
-            .createHash('md5')
-            .update(sql)
-            .digest('hex')
-            .substring(0, 8);
-        return `query:${queryHash}`;
-    }
-
-    const conditions = extractWhereConditions(sql);
-
-    if (conditions.length === 0) {
-        // No WHERE clause - generic cache key
-        return `${tableName}:all`;
+        return generateQueryKey(sql, scope);
     }
 
-    const columns = extractColumnNames(conditions);
+    // Sorted for stable keys
+    const columns = parseSql(sql).whereColumns.map(column => column.toLowerCase()).sort();
 
     if (columns.length === 0) {
-        // Complex WHERE clause without extractable columns
+        // No WHERE columns: generic cache key, per parameters when there are any (e.g. LIMIT ?)
         const paramHash = createParameterHash(parameters);
         return `${tableName}:${paramHash}`;
     }
@@ -157,24 +120,46 @@ function generateDetailedKey(sql, parameters) {
  * Generates cache key with simple parameter hash
  * @param {string} sql - SQL query
  * @param {Array} parameters - Query parameters
+ * @param {Object} [scope] - { database, defaultDatabase }
  * @returns {string} - Generated cache key
  */
-function generateSimpleKey(sql, parameters) {
-    const tableName = extractTableName(sql);
+function generateSimpleKey(sql, parameters, scope) {
+    const tableName = extractTableName(sql, scope);
 
     if (!tableName) {
-        const queryHash = crypto
-            .createHash('md5')
-            .update(sql)
-            .digest('hex')
-            .substring(0, 8);
-        return `query:${queryHash}`;
+        return generateQueryKey(sql, scope);
     }
 
     const paramHash = createParameterHash(parameters);
     return `${tableName}:${paramHash}`;
 }
 
+/**
+ * Generates the key of an entity read: the auto key of `SELECT ... FROM table WHERE column = ?` (v2.9.0)
+ * Example: users, id, 7 -> users:id:<paramHash of [7]>
+ * @param {string} tableName - Table name (qualified outside the default database)
+ * @param {string} column - Primary key column
+ * @param {any} value - Primary key value
+ * @returns {string} - Cache key
+ */
+function generateRowKey(tableName, column, value) {
+    return `${tableName}:${column.toLowerCase()}:${createParameterHash([value])}`;
+}
+
+/**
+ * Appends table versions to a cache key, sorted by table (v2.9.0)
+ * Example: users:id:a7b3c2d1 + { users: 3 } -> users:id:a7b3c2d1@users.3
+ * @param {string} key - Cache key
+ * @param {Object} [versions] - Current version of each table the query reads ({ users: 3 })
+ * @returns {string} - Versioned cache key (the key itself without versions)
+ */
+function stampVersions(key, versions) {
+    const tables = Object.keys(versions || {}).sort();
+    if (tables.length === 0) return key;
+
+    return `${key}@${tables.map(table => `${table}.${versions[table]}`).join(',')}`;
+}
+
 /**
  * Main function: Generates cache key from SQL and parameters
  *
@@ -182,38 +167,45 @@ function generateSimpleKey(sql, parameters) {
  * - Simple queries (1-3 params): Detailed key with column names
  * - Complex queries (4+ params): Simple hash-based key
  *
+ * v2.9.0: options.versions ({ users: 3 }) stamps the key with table versions, so a
+ * write that increments a version makes every key of the older version unreachable.
+ * options.database is the database the query runs in (USE db) and options.defaultDatabase
+ * the connection's default one: tables outside the default database are keyed as
+ * `database.table` (tenant_a.users:id:a7b3c2d1), so databases never share entries.
+ *
  * @param {string} sql - SQL query
  * @param {Array} parameters - Query parameters
- * @param {Object} options - Options { strategy: 'detailed'|'simple' }
+ * @param {Object} options - Options { strategy: 'detailed'|'simple', versions, database, defaultDatabase }
  * @returns {string} - Generated cache key
  */
 function generateCacheKey(sql, parameters, options = {}) {
     const strategy = options.strategy || 'auto';
+    const scope = { database: options.database, defaultDatabase: options.defaultDatabase };
+    let key;
 
     if (strategy === 'simple') {
-        return generateSimpleKey(sql, parameters);
-    }
-
-    if (strategy === 'detailed') {
-        return generateDetailedKey(sql, parameters);
-    }
-
-    // Auto strategy: choose based on parameter count
-    if (!parameters || parameters.length <= 3) {
-        return generateDetailedKey(sql, parameters);
+        key = generateSimpleKey(sql, parameters, scope);
+    } else if (strategy === 'detailed') {
+        key = generateDetailedKey(sql, parameters, scope);
+    } else if (!parameters || parameters.length <= 3) {
+        // Auto strategy: choose based on parameter count
+        key = generateDetailedKey(sql, parameters, scope);
+    } else {
+        key = generateSimpleKey(sql, parameters, scope);
     }
 
-    return generateSimpleKey(sql, parameters);
+    return stampVersions(key, options.versions);
 }
 
 module.exports = {
     enableAutoKey,
     isAutoKeyEnabled,
     generateCacheKey,
+    stampVersions,
+    generateRowKey,
     createParameterHash,
     extractTableName,
-    extractWhereConditions,
-    extractColumnNames,
+    extractTableNames,
 
     // For testing
     _generateDetailedKey: generateDetailedKey,
@@ -0,0 +1,464 @@
+const { serialize, deserialize } = require('./serializer');
+
+/**
+ * Cache Store Module (v2.9.0)
+ *
+ * Defines the CacheStore interface used by the query functions and the built-in
+ * in-memory and no-op stores. Redis connectors implement the same interface
+ * (see createRedisStore in redis.Connector.js).
+ *
+ * CacheStore interface (every method returns a Promise):
+ *   get(key)                   -> value, or undefined on a miss
+ *   set(key, value, [ttl])     -> stores a value for ttl seconds (no ttl = no expiry); JSON data plus
+ *                                 Date, Buffer and BigInt (see core/serializer.js)
+ *   del(keys)                  -> deletes one key or an array of keys
+ *   delByPrefix(prefixes)      -> deletes every key starting with one of the prefixes; a prefix may hold
+ *                                 glob characters (* ? [abc] \x) as in Redis SCAN MATCH (users:* = users:)
+ *   mget(keys)                 -> array of values (undefined for misses), in key order
+ *   getEntry(key)              -> optional, { status: 'hit' | 'miss' | 'error', value, storedAt, ttlRemaining }
+ *                                 (see readCacheEntry: stores without it are read through get())
+ *   close()                    -> optional, releases resources
+ *   getStats()                 -> optional, store statistics (hit/miss counters, ...)
+ *   acquireLock(key, token, ttlMs) -> optional, true if the lock was free and is now held with token
+ *   releaseLock(key, token)        -> optional, releases the lock only if it is still held with token
+ *   addTags(key, tags, [ttl])  -> optional, records a stored key under tags; a tag lives as long as
+ *                                 its longest-lived key (no ttl = no expiry)
+ *   delByTags(tags)            -> optional, deletes every key recorded under one of the tags, and the tags
+ *   getVersions(names)         -> optional, current version of each name (0 if never incremented), in
+ *                                 name order; null when the versions can't be read
+ *   incrVersions(names)        -> optional, increments the version of each name (versions never expire)
+ */
+
+const CACHE_STORES = ['redis', 'memory', 'null'];
+const STORE_METHODS = ['get', 'set', 'del', 'delByPrefix', 'mget'];
+const TAG_METHODS = ['addTags', 'delByTags'];
+const VERSION_METHODS = ['getVersions', 'incrVersions'];
+
+const DEFAULT_TTL = 40000;               // seconds, matches addArrayItem()
+const DEFAULT_MAX_ENTRIES = 1000;
+const GLOB_CHARS = /[*?[\\]/;            // Characters that make a delByPrefix() prefix a glob
+
+/**
+ * Checks if an object implements the CacheStore interface
+ * @param {Object} store - Candidate store
+ * @returns {boolean}
+ */
+function isCacheStore(store) {
+    return Boolean(store) && STORE_METHODS.every(method => typeof store[method] === 'function');
+}
+
+/**
+ * Checks if a store supports tag invalidation (addTags and delByTags)
+ * @param {Object} store - CacheStore
+ * @returns {boolean}
+ */
+function supportsTags(store) {
+    return Boolean(store) && TAG_METHODS.every(method => typeof store[method] === 'function');
+}
+
+/**
+ * Checks if a store supports version invalidation (getVersions and incrVersions)
+ * @param {Object} store - CacheStore
+ * @returns {boolean}
+ */
+function supportsVersions(store) {
+    return Boolean(store) && VERSION_METHODS.every(method => typeof store[method] === 'function');
+}
+
+function toArray(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+// Regex source of a Redis glob: * any characters, ? one character, [abc] / [^a-z] a class, \x x itself
+function globSource(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*') {
+            source += '[\\s\\S]*';
+        } else if (char === '?') {
+            source += '[\\s\\S]';
+        } else if (char === '\\' && i + 1 < glob.length) {
+            source += escapeRegExp(glob[++i]);
+        } else if (char === '[' && glob.indexOf(']', i + 1) !== -1) {
+            const end = glob.indexOf(']', i + 1);
+            const body = glob.slice(i + 1, end);
+            source += body.startsWith('^')
+                ? `[^${escapeClass(body.slice(1))}]`
+                : `[${escapeClass(body)}]`;
+            i = end;
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+    return source;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Keeps the ranges (a-z) of a glob class, escapes everything else
+function escapeClass(body) {
+    return body.replace(/[\]\\^]/g, '\\$&');
+}
+
+/**
+ * Matcher of the keys delByPrefix() deletes for a prefix: keys matching `${prefix}*` the way
+ * Redis SCAN MATCH does, so the glob patterns of auto invalidation (users:*, users_*) work in
+ * every store
+ * @param {string} prefix - Prefix, may hold glob characters
+ * @returns {Function} - (key) -> boolean
+ */
+function createPrefixMatcher(prefix) {
+    if (!GLOB_CHARS.test(prefix)) return key => key.startsWith(prefix);
+
+    const pattern = new RegExp(`^${globSource(prefix)}`);
+    return key => pattern.test(key);
+}
+
+/**
+ * Builds a cache entry as returned by getEntry()
+ * @param {string} status - 'hit', 'miss' or 'error'
+ * @param {any} [value] - Cached value (undefined unless status is 'hit')
+ * @param {number|null} [storedAt] - ms timestamp of the write, null when the store doesn't record it
+ * @param {number|null} [ttlRemaining] - Seconds until the entry expires, null for no expiry or unknown
+ * @returns {Object} - { status, value, storedAt, ttlRemaining }
+ */
+function cacheEntry(status, value, storedAt = null, ttlRemaining = null) {
+    return { status, value, storedAt, ttlRemaining };
+}
+
+/**
+ * Builds the entry of a failed read. The error is kept so callers can log or rethrow it.
+ * @param {Error} error - Store error
+ * @returns {Object} - { status: 'error', value: undefined, storedAt: null, ttlRemaining: null, error }
+ */
+function errorEntry(error) {
+    return { ...cacheEntry('error'), error };
+}
+
+/**
+ * Reads a cache entry with its status, so a failing store isn't mistaken for a miss.
+ * Uses the store's getEntry() when it has one; otherwise a value from get() is a hit,
+ * undefined is a miss and a thrown error is an error (storedAt / ttlRemaining unknown).
+ *
+ * @param {Object} store - CacheStore
+ * @param {string} key - Cache key
+ * @returns {Promise<Object>} - { status: 'hit' | 'miss' | 'error', value, storedAt, ttlRemaining }
+ */
+async function readCacheEntry(store, key) {
+    try {
+        if (typeof store.getEntry === 'function') {
+            return await store.getEntry(key);
+        }
+        const value = await store.get(key);
+        return value === undefined ? cacheEntry('miss') : cacheEntry('hit', value);
+    } catch (err) {
+        return errorEntry(err);
+    }
+}
+
+/**
+ * Creates an in-process LRU store. Values are stored serialized, so reads return
+ * copies with the same semantics as Redis.
+ *
+ * @param {Object} [options] - Store options
+ * @param {number} [options.maxEntries] - Max number of entries (default: 1000)
+ * @param {number} [options.maxBytes] - Max total size of the serialized values (default: unbounded)
+ * @returns {Object} - CacheStore
+ */
+function createMemoryStore(options = {}) {
+    const maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    const maxBytes = options.maxBytes || Infinity;
+
+    // Map keeps insertion order: first entry = least recently used
+    const entries = new Map();
+    const locks = new Map();
+    // tag -> keys recorded under it, and key -> its tags (to untag removed entries)
+    const taggedKeys = new Map();
+    const keyTags = new Map();
+    const versions = new Map();
+    let totalBytes = 0;
+    let hits = 0;
+    let misses = 0;
+
+    function remove(key) {
+        const entry = entries.get(key);
+        if (entry) {
+            totalBytes -= entry.size;
+            entries.delete(key);
+        }
+        untag(key);
+    }
+
+    function untag(key) {
+        const tags = keyTags.get(key);
+        if (!tags) return;
+
+        for (const tag of tags) {
+            const keys = taggedKeys.get(tag);
+            keys.delete(key);
+            if (keys.size === 0) taggedKeys.delete(tag);
+        }
+        keyTags.delete(key);
+    }
+
+    function evict() {
+        while (entries.size > maxEntries || totalBytes > maxBytes) {
+            remove(entries.keys().next().value);
+        }
+    }
+
+    // Live entry of a key (counted as a hit or a miss), or undefined
+    function lookup(key) {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            remove(key);
+        } else if (entry) {
+            // Mark as most recently used
+            entries.delete(key);
+            entries.set(key, entry);
+            hits++;
+            return entry;
+        }
+
+        misses++;
+        return undefined;
+    }
+
+    function read(key) {
+        const entry = lookup(key);
+        return entry ? deserialize(entry.payload) : undefined;
+    }
+
+    return {
+        async get(key) {
+            return read(key);
+        },
+
+        async set(key, value, ttl) {
+            const payload = serialize(value);
+            const size = Buffer.byteLength(payload);
+
+            remove(key);
+            // A single value larger than the whole store is never cached
+            if (size > maxBytes) return;
+
+            const now = Date.now();
+            entries.set(key, {
+                payload,
+                size,
+                storedAt: now,
+                expiresAt: ttl ? now + ttl * 1000 : null
+            });
+            totalBytes += size;
+            evict();
+        },
+
+        async del(keys) {
+            toArray(keys).forEach(remove);
+        },
+
+        async delByPrefix(prefixes) {
+            for (const prefix of toArray(prefixes)) {
+                const matches = createPrefixMatcher(prefix);
+                for (const key of [...entries.keys()]) {
+                    if (matches(key)) remove(key);
+                }
+            }
+        },
+
+        async mget(keys) {
+            return keys.map(read);
+        },
+
+        async getEntry(key) {
+            const entry = lookup(key);
+            if (!entry) return cacheEntry('miss');
+
+            const ttlRemaining = entry.expiresAt === null ? null : Math.ceil((entry.expiresAt - Date.now()) / 1000);
+            return cacheEntry('hit', deserialize(entry.payload), entry.storedAt, ttlRemaining);
+        },
+
+        async acquireLock(key, token, ttlMs) {
+            const lock = locks.get(key);
+            if (lock && lock.expiresAt > Date.now()) return false;
+
+            locks.set(key, { token, expiresAt: Date.now() + ttlMs });
+            return true;
+        },
+
+        async releaseLock(key, token) {
+            const lock = locks.get(key);
+            if (lock && lock.token === token) locks.delete(key);
+        },
+
+        // Tags are dropped with their entry (expiry, eviction, del or a new set), so no ttl is needed
+        async addTags(key, tags) {
+            if (!entries.has(key)) return;
+
+            if (!keyTags.has(key)) keyTags.set(key, new Set());
+            for (const tag of tags) {
+                if (!taggedKeys.has(tag)) taggedKeys.set(tag, new Set());
+                taggedKeys.get(tag).add(key);
+                keyTags.get(key).add(tag);
+            }
+        },
+
+        async delByTags(tags) {
+            for (const tag of toArray(tags)) {
+                const keys = taggedKeys.get(tag);
+                if (keys) [...keys].forEach(remove);
+            }
+        },
+
+        async getVersions(names) {
+            return names.map(name => versions.get(name) || 0);
+        },
+
+        async incrVersions(names) {
+            names.forEach(name => versions.set(name, (versions.get(name) || 0) + 1));
+        },
+
+        /**
+         * Hit/miss counters, current number of entries and total serialized size
+         * @returns {Object} - { hits, misses, entries, bytes }
+         */
+        getStats() {
+            return { hits, misses, entries: entries.size, bytes: totalBytes };
+        },
+
+        async close() {
+            entries.clear();
+            locks.clear();
+            taggedKeys.clear();
+            keyTags.clear();
+            versions.clear();
+            totalBytes = 0;
+        }
+    };
+}
+
+/**
+ * Creates a store that never caches anything (every read is a miss)
+ * @returns {Object} - CacheStore
+ */
+function createNullStore() {
+    return {
+        async get() {
+            return undefined;
+        },
+        async set() {},
+        async del() {},
+        async delByPrefix() {},
+        async mget(keys) {
+            return keys.map(() => undefined);
+        },
+        async getEntry() {
+            return cacheEntry('miss');
+        },
+        async addTags() {},
+        async delByTags() {},
+        async getVersions(names) {
+            return names.map(() => 0);
+        },
+        async incrVersions() {}
+    };
+}
+
+/**
+ * Wraps the legacy cache functions ({ getArrayItem, addArrayItem, delKeyItem,
+ * delPrefixKeyItem }) in the CacheStore interface. Objects that already implement
+ * the interface are returned as-is.
+ *
+ * @param {Object} cache - CacheStore or legacy cache functions
+ * @returns {Object} - CacheStore
+ */
+function toCacheStore(cache) {
+    if (isCacheStore(cache)) return cache;
+
+    // Legacy functions report a miss as an empty array
+    const fromArrayItem = value => (Array.isArray(value) && value.length === 0 ? undefined : value);
+
+    const store = {
+        async get(key) {
+            return fromArrayItem(await cache.getArrayItem(key));
+        },
+        async set(key, value, ttl) {
+            await cache.addArrayItem(key, value, ttl || DEFAULT_TTL);
+        },
+        async del(keys) {
+            await cache.delKeyItem(keys);
+        },
+        async delByPrefix(prefixes) {
+            await cache.delPrefixKeyItem(prefixes);
+        },
+        async mget(keys) {
+            return Promise.all(keys.map(key => store.get(key)));
+        }
+    };
+
+    if (typeof cache.getCacheEntry === 'function') {
+        store.getEntry = key => cache.getCacheEntry(key);
+    }
+    if (typeof cache.getCacheStats === 'function') {
+        store.getStats = () => cache.getCacheStats();
+    }
+    if (typeof cache.acquireLock === 'function' && typeof cache.releaseLock === 'function') {
+        store.acquireLock = (key, token, ttlMs) => cache.acquireLock(key, token, ttlMs);
+        store.releaseLock = (key, token) => cache.releaseLock(key, token);
+    }
+    if (supportsTags(cache)) {
+        store.addTags = (key, tags, ttl) => cache.addTags(key, tags, ttl);
+        store.delByTags = tags => cache.delByTags(tags);
+    }
+    if (supportsVersions(cache)) {
+        store.getVersions = names => cache.getVersions(names);
+        store.incrVersions = names => cache.incrVersions(names);
+    }
+    return store;
+}
+
+/**
+ * Builds the legacy cache functions on top of a CacheStore
+ * @param {Object} store - CacheStore
+ * @returns {Object} - { getArrayItem, getCacheEntry, addArrayItem, delKeyItem, delPrefixKeyItem }
+ */
+function createCacheFunctions(store) {
+    return {
+        async getArrayItem(key) {
+            const value = await store.get(key);
+            return value === undefined ? [] : value;
+        },
+        async getCacheEntry(key) {
+            return readCacheEntry(store, key);
+        },
+        async addArrayItem(key, array, expiryDate = DEFAULT_TTL) {
+            await store.set(key, array, expiryDate);
+            return array;
+        },
+        async delKeyItem(keys) {
+            await store.del(keys);
+        },
+        async delPrefixKeyItem(keys) {
+            await store.delByPrefix(keys);
+        }
+    };
+}
+
+module.exports = {
+    CACHE_STORES,
+    DEFAULT_TTL,
+    isCacheStore,
+    supportsTags,
+    supportsVersions,
+    cacheEntry,
+    errorEntry,
+    readCacheEntry,
+    createPrefixMatcher,
+    createMemoryStore,
+    createNullStore,
+    toCacheStore,
+    createCacheFunctions
+};
@@ -0,0 +1,187 @@
+const { serialize, deserialize } = require('./serializer');
+const msgpack = require('./msgpack');
+const { createCompression, decompress } = require('./compression');
+
+/**
+ * Codec Module (v2.9.0)
+ *
+ * A codec turns cached values into bytes for Redis and back. Every stored value starts
+ * with a 16-byte header naming the codec that wrote it, and when:
+ *
+ *   byte 0      0xC1 marker (never the first byte of JSON text, unused in MessagePack)
+ *   byte 1      header version (2)
+ *   byte 2      codec id (1 = json, 2 = msgpack, 128-255 = custom codecs)
+ *   byte 3      flags: compression of the body (0 = plain, 1 = gzip, 2 = brotli, see core/compression.js)
+ *   bytes 4-15  write time: ms since the epoch, 12 hex digits (ASCII, so clients that read
+ *               values as strings can skip it)
+ *
+ * Readers decode with the codec named in the header, not with their own codec, so the
+ * codec can be switched during a rolling deploy. Header version 1 is the same header
+ * without the write time (4 bytes). Values without the header are JSON written before
+ * v2.9.0. Values of an unknown codec, compression or header version read as misses.
+ *
+ * Custom codec: { id: 128-255, name, encode(value) -> Buffer, decode(Buffer) -> value }
+ */
+
+const MARKER = 0xc1;
+const HEADER_VERSION = 2;
+const HEADER_SIZE = 16;
+const STORED_AT_OFFSET = 4;
+const STORED_AT_DIGITS = 12;
+const CUSTOM_CODEC_IDS = [128, 255];
+// A value read as a string starts with U+FFFD, as the marker byte isn't UTF-8; a plain JSON
+// value then has the header version, the json codec id and no flags
+const STRING_MARKER = '\uFFFD';
+const JSON_STRING_HEADER = '\uFFFD\u0002\u0001\u0000';
+
+const CODECS = {
+    json: {
+        id: 1,
+        name: 'json',
+        encode: value => Buffer.from(serialize(value)),
+        decode: buffer => deserialize(buffer.toString('utf8'))
+    },
+    msgpack: {
+        id: 2,
+        name: 'msgpack',
+        encode: msgpack.encode,
+        decode: msgpack.decode
+    }
+};
+
+const CODEC_NAMES = Object.keys(CODECS);
+
+/**
+ * Checks a codec option
+ * @param {string|Object} codec - Codec name or custom codec
+ * @returns {string|null} - Problem description, or null when the codec is valid
+ */
+function validateCodec(codec) {
+    if (typeof codec === 'string') {
+        return CODECS[codec] ? null : `codec must be one of: ${CODEC_NAMES.join(', ')} or a codec object`;
+    }
+    if (!codec || typeof codec.encode !== 'function' || typeof codec.decode !== 'function') {
+        return 'codec must be a codec name or implement encode and decode';
+    }
+    if (!Number.isInteger(codec.id) || codec.id < CUSTOM_CODEC_IDS[0] || codec.id > CUSTOM_CODEC_IDS[1]) {
+        return `custom codecs need an id from ${CUSTOM_CODEC_IDS[0]} to ${CUSTOM_CODEC_IDS[1]}`;
+    }
+    return null;
+}
+
+/**
+ * Resolves a codec option
+ * @param {string|Object} [codec] - Codec name or custom codec (default: 'json')
+ * @returns {Object} - Codec
+ * @throws {Error} If the codec is invalid
+ */
+function resolveCodec(codec = 'json') {
+    const problem = validateCodec(codec);
+    if (problem) throw new Error(problem);
+    return typeof codec === 'string' ? CODECS[codec] : codec;
+}
+
+// Write time of a header (12 hex digits), null when it has none
+function parseStoredAt(digits) {
+    const storedAt = parseInt(digits, 16);
+    return Number.isFinite(storedAt) ? storedAt : null;
+}
+
+// Decodes a value read as a string: plain JSON, with or without its header. Another codec or
+// header version is a miss, as in a Buffer
+function decodeString(reply) {
+    if (!reply.startsWith(STRING_MARKER)) return { value: deserialize(reply), storedAt: null };
+    if (!reply.startsWith(JSON_STRING_HEADER) || reply.length < HEADER_SIZE) return { value: undefined, storedAt: null };
+
+    return {
+        value: deserialize(reply.slice(HEADER_SIZE)),
+        storedAt: parseStoredAt(reply.slice(STORED_AT_OFFSET, HEADER_SIZE))
+    };
+}
+
+/**
+ * Creates the value encoder of a cache: writes with one codec, reads every known codec
+ * @param {string|Object} [codec] - Codec used for writes (default: 'json')
+ * @param {Object} [options] - Encoder options
+ * @param {string|Object} [options.compression] - Compression of large values ('gzip', 'brotli' or
+ *                                                { algorithm, threshold, level }), see core/compression.js
+ * @returns {Object} - { codec, encode(value) -> Promise<Buffer>, decode(reply) -> Promise<value | undefined>,
+ *                     decodeEntry(reply) -> Promise<{ value, storedAt }>, getCompressionStats() }
+ */
+function createValueCodec(codec, options = {}) {
+    const writer = resolveCodec(codec);
+    const readers = new Map(Object.values(CODECS).map(known => [known.id, known]));
+    readers.set(writer.id, writer);
+    const compression = createCompression(options.compression);
+
+    async function decodeEntry(reply) {
+        if (typeof reply === 'string') return decodeString(reply);
+        if (reply[0] !== MARKER) return { value: deserialize(reply.toString('utf8')), storedAt: null };
+
+        const reader = readers.get(reply[2]);
+        if (reply[1] !== HEADER_VERSION || !reader || reply.length < HEADER_SIZE) return { value: undefined, storedAt: null };
+
+        const body = await decompress(reply[3], reply.subarray(HEADER_SIZE));
+        return {
+            value: body === undefined ? undefined : reader.decode(body),
+            storedAt: parseStoredAt(reply.toString('latin1', STORED_AT_OFFSET, HEADER_SIZE))
+        };
+    }
+
+    return {
+        codec: writer,
+
+        /**
+         * @param {any} value - Value to store
+         * @param {number} [storedAt] - Write time in ms (default: now)
+         * @returns {Promise<Buffer>} - Header and body
+         */
+        async encode(value, storedAt = Date.now()) {
+            const encoded = writer.encode(value);
+            let body = Buffer.isBuffer(encoded) ? encoded : Buffer.from(encoded);
+            let flags = 0;
+            if (compression) {
+                ({ body, flags } = await compression.compress(body));
+            }
+            return Buffer.concat([
+                Buffer.from([MARKER, HEADER_VERSION, writer.id, flags]),
+                Buffer.from(storedAt.toString(16).padStart(STORED_AT_DIGITS, '0'), 'latin1'),
+                body
+            ]);
+        },
+
+        /**
+         * @param {Buffer|string} reply - Stored value (a string from clients without detect_buffers,
+         *                                which can only read JSON values)
+         * @returns {any} - Value, or undefined when it was written by an unknown codec
+         */
+        async decode(reply) {
+            return (await decodeEntry(reply)).value;
+        },
+
+        /**
+         * Decodes a stored value with its write time
+         * @param {Buffer|string} reply - Stored value
+         * @returns {Promise<Object>} - { value, storedAt }: value undefined as with decode(), storedAt
+         *                              the write time in ms (null for values written without it)
+         */
+        decodeEntry,
+
+        /**
+         * Compression counters of the values this encoder wrote
+         * @returns {Object|null} - { algorithm, threshold, compressed, uncompressedBytes, compressedBytes },
+         *                          null without compression
+         */
+        getCompressionStats() {
+            return compression ? compression.getStats() : null;
+        }
+    };
+}
+
+module.exports = {
+    CODECS,
+    CODEC_NAMES,
+    validateCodec,
+    resolveCodec,
+    createValueCodec
+};
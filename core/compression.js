@@ -0,0 +1,143 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+/**
+ * Compression Module (v2.9.0)
+ *
+ * Optional gzip / brotli compression of stored values above a byte threshold. The
+ * algorithm is recorded in the flags byte of the value header (see core/codec.js), so
+ * readers tell compressed from plain values and decompress whatever algorithm wrote
+ * them, whatever their own compression setting. Values that don't shrink are stored
+ * plain. Compression runs on the libuv thread pool, not on the event loop.
+ *
+ * Option: 'gzip' | 'brotli' | { algorithm, threshold, level } | false
+ */
+
+const DEFAULT_THRESHOLD = 1024;         // bytes; smaller values are stored plain
+const DEFAULT_BROTLI_QUALITY = 4;       // brotli's default (11) is too slow for a cache write
+
+const ALGORITHMS = {
+    gzip: {
+        flag: 1,
+        compress: promisify(zlib.gzip),
+        decompress: promisify(zlib.gunzip),
+        options: (level) => (level === undefined ? {} : { level })
+    },
+    brotli: {
+        flag: 2,
+        compress: promisify(zlib.brotliCompress),
+        decompress: promisify(zlib.brotliDecompress),
+        options: (level = DEFAULT_BROTLI_QUALITY, size) => ({
+            params: {
+                [zlib.constants.BROTLI_PARAM_QUALITY]: level,
+                [zlib.constants.BROTLI_PARAM_SIZE_HINT]: size
+            }
+        })
+    }
+};
+
+const COMPRESSION_ALGORITHMS = Object.keys(ALGORITHMS);
+const ALGORITHMS_BY_FLAG = new Map(Object.values(ALGORITHMS).map(algorithm => [algorithm.flag, algorithm]));
+
+/**
+ * Normalizes a compression option
+ * @param {string|Object|boolean} [option] - Algorithm name, { algorithm, threshold, level } or false
+ * @returns {Object|null} - { algorithm, threshold, level }, or null when compression is off
+ */
+function normalizeCompression(option) {
+    if (!option || option.enabled === false) return null;
+
+    const config = typeof option === 'string' ? { algorithm: option } : option;
+    return {
+        algorithm: config.algorithm || 'gzip',
+        threshold: config.threshold !== undefined ? parseInt(config.threshold) : DEFAULT_THRESHOLD,
+        level: config.level !== undefined ? parseInt(config.level) : undefined
+    };
+}
+
+/**
+ * Checks a compression option
+ * @param {string|Object|boolean} option - Compression option
+ * @returns {Array<string>} - Problem descriptions (empty when the option is valid)
+ */
+function validateCompression(option) {
+    const config = normalizeCompression(option);
+    if (!config) return [];
+
+    const problems = [];
+    if (!COMPRESSION_ALGORITHMS.includes(config.algorithm)) {
+        problems.push(`compression must be one of: ${COMPRESSION_ALGORITHMS.join(', ')}`);
+    }
+    if (!(config.threshold >= 0)) {
+        problems.push('compression.threshold must be a number of bytes');
+    }
+    if (config.level !== undefined && isNaN(config.level)) {
+        problems.push('compression.level must be a valid number');
+    }
+    return problems;
+}
+
+/**
+ * Creates the compressor of a cache
+ * @param {string|Object|boolean} [option] - Compression option
+ * @returns {Object|null} - { compress(body) -> { body, flags }, getStats() }, or null when compression is off
+ * @throws {Error} If the option is invalid
+ */
+function createCompression(option) {
+    const problems = validateCompression(option);
+    if (problems.length > 0) throw new Error(problems.join('; '));
+
+    const config = normalizeCompression(option);
+    if (!config) return null;
+
+    const algorithm = ALGORITHMS[config.algorithm];
+    const stats = { compressed: 0, uncompressedBytes: 0, compressedBytes: 0 };
+
+    return {
+        /**
+         * Compresses a value body when it reaches the threshold and shrinks
+         * @param {Buffer} body - Encoded value
+         * @returns {Promise<Object>} - { body, flags } (flags 0 = stored plain)
+         */
+        async compress(body) {
+            if (body.length < config.threshold) return { body, flags: 0 };
+
+            const compressed = await algorithm.compress(body, algorithm.options(config.level, body.length));
+            if (compressed.length >= body.length) return { body, flags: 0 };
+
+            stats.compressed++;
+            stats.uncompressedBytes += body.length;
+            stats.compressedBytes += compressed.length;
+            return { body: compressed, flags: algorithm.flag };
+        },
+
+        /**
+         * Values stored compressed, with their sizes before and after compression
+         * @returns {Object} - { algorithm, threshold, compressed, uncompressedBytes, compressedBytes }
+         */
+        getStats() {
+            return { algorithm: config.algorithm, threshold: config.threshold, ...stats };
+        }
+    };
+}
+
+/**
+ * Decompresses a value body by the flags of its header
+ * @param {number} flags - Flags byte of the value header
+ * @param {Buffer} body - Stored body
+ * @returns {Promise<Buffer|undefined>} - Body, or undefined for an unknown algorithm
+ */
+async function decompress(flags, body) {
+    if (flags === 0) return body;
+
+    const algorithm = ALGORITHMS_BY_FLAG.get(flags);
+    return algorithm ? algorithm.decompress(body) : undefined;
+}
+
+module.exports = {
+    COMPRESSION_ALGORITHMS,
+    normalizeCompression,
+    validateCompression,
+    createCompression,
+    decompress
+};
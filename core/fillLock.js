@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+
+/**
+ * Fill Lock Module (v2.9.0)
+ *
+ * Distributed stampede protection for cache fills. Single-flight only coalesces misses
+ * within one process; with a fill lock, the first process that misses a key takes
+ * `<key>:lock` (SET NX PX) and runs the query, while the others poll the cache for
+ * its result and fall back to the database after a bounded wait.
+ *
+ * The lock holds a random token and is released only if it still holds that token,
+ * so a filler that outlived its lock can't delete the lock of the next filler.
+ * Needs a store with acquireLock / releaseLock (Redis and memory stores).
+ */
+
+const LOCK_SUFFIX = ':lock';
+const DEFAULT_LOCK_TTL = 5000;       // ms a lock lives if its holder never releases it
+const DEFAULT_MAX_WAIT = 1000;       // ms other processes wait for the filler
+const DEFAULT_POLL_INTERVAL = 50;    // ms between cache polls while waiting
+
+/**
+ * Checks if a store supports fill locks
+ * @param {Object} store - CacheStore
+ * @returns {boolean}
+ */
+function supportsLocks(store) {
+    return Boolean(store) && typeof store.acquireLock === 'function' && typeof store.releaseLock === 'function';
+}
+
+/**
+ * Creates the fill lock of a connector
+ * @param {Object} store - CacheStore with acquireLock / releaseLock
+ * @param {Object} [options] - Lock options
+ * @param {boolean} [options.enabled] - Lock every cache fill (default: false, per-call `fillLock` overrides)
+ * @param {number} [options.lockTtl] - Lock lifetime in ms (default: 5000)
+ * @param {number} [options.maxWait] - Max ms to wait for another filler (default: 1000)
+ * @param {number} [options.pollInterval] - ms between cache polls (default: 50)
+ * @returns {Object} - { isEnabled, run }
+ */
+function createFillLock(store, options = {}) {
+    const enabled = options.enabled === true;
+    const lockTtl = options.lockTtl || DEFAULT_LOCK_TTL;
+    const maxWait = options.maxWait !== undefined ? options.maxWait : DEFAULT_MAX_WAIT;
+    const pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL;
+
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    return {
+        /**
+         * Checks if a fill should take the lock
+         * @param {boolean} [override] - Per-call fillLock option
+         * @returns {boolean}
+         */
+        isEnabled(override) {
+            const wanted = override !== undefined ? override === true : enabled;
+            return wanted && supportsLocks(store);
+        },
+
+        /**
+         * Fills a cache key under the lock
+         * @param {string} cacheKey - Cache key being filled
+         * @param {Function} readCache - Returns the cached value, or undefined while it is missing
+         * @param {Function} fill - Loads the value from the database and caches it
+         * @returns {Promise<any>} - Value filled by this or another process
+         */
+        async run(cacheKey, readCache, fill) {
+            const lockKey = `${cacheKey}${LOCK_SUFFIX}`;
+            const token = crypto.randomUUID();
+
+            if (await store.acquireLock(lockKey, token, lockTtl)) {
+                try {
+                    return await fill();
+                } finally {
+                    await store.releaseLock(lockKey, token);
+                }
+            }
+
+            // Another process is filling: wait for its result, bounded by maxWait
+            const deadline = Date.now() + maxWait;
+            while (Date.now() < deadline) {
+                await sleep(Math.min(pollInterval, deadline - Date.now()));
+                const cached = await readCache();
+                if (cached !== undefined) return cached;
+            }
+
+            return fill();
+        }
+    };
+}
+
+module.exports = {
+    LOCK_SUFFIX,
+    supportsLocks,
+    createFillLock
+};
@@ -0,0 +1,206 @@
+const { parseSql, qualifiedTableName } = require('./sqlParser');
+
+/**
+ * Foreign Keys Module (v2.9.0)
+ *
+ * Writes change more tables than they name: deleting an order deletes its order_items
+ * when order_items.order_id references orders ON DELETE CASCADE. This module reads the
+ * foreign keys of the server (INFORMATION_SCHEMA.KEY_COLUMN_USAGE, with the referential
+ * actions of REFERENTIAL_CONSTRAINTS) and finds the tables a write cascades to, so auto
+ * invalidation evicts them as if they were written too.
+ *
+ * Foreign key: { table, column, referencedTable, referencedColumn, onDelete, onUpdate }
+ *   table / referencedTable  'schema.table' as loaded; a bare name in an override
+ *                            applies in every database
+ *   column / referencedColumn  optional in overrides: without them, every UPDATE of the
+ *                              referenced table cascades
+ *   onDelete / onUpdate      'CASCADE', 'SET NULL', 'SET DEFAULT', 'RESTRICT' or 'NO ACTION'
+ *                            (default: 'NO ACTION')
+ */
+
+const FOREIGN_KEYS_SQL = `SELECT k.TABLE_SCHEMA AS tableSchema, k.TABLE_NAME AS tableName, k.COLUMN_NAME AS columnName,
+    k.REFERENCED_TABLE_SCHEMA AS referencedSchema, k.REFERENCED_TABLE_NAME AS referencedTable,
+    k.REFERENCED_COLUMN_NAME AS referencedColumn, r.DELETE_RULE AS onDelete, r.UPDATE_RULE AS onUpdate
+FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE k
+JOIN INFORMATION_SCHEMA.REFERENTIAL_CONSTRAINTS r
+    ON r.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA AND r.CONSTRAINT_NAME = k.CONSTRAINT_NAME
+WHERE k.REFERENCED_TABLE_NAME IS NOT NULL
+    AND k.TABLE_SCHEMA NOT IN ('mysql', 'sys', 'performance_schema', 'information_schema')`;
+
+const RETRY_DELAY = 60000;  // ms before a failed load is tried again
+
+// Referential actions that change the referencing rows
+const CASCADING_ACTIONS = ['CASCADE', 'SET NULL', 'SET DEFAULT'];
+
+/**
+ * Converts a row of FOREIGN_KEYS_SQL to a foreign key
+ * @param {Object} row - Result row
+ * @returns {Object} - { table, column, referencedTable, referencedColumn, onDelete, onUpdate }
+ */
+function toForeignKey(row) {
+    return {
+        table: `${row.tableSchema}.${row.tableName}`,
+        column: row.columnName,
+        referencedTable: `${row.referencedSchema}.${row.referencedTable}`,
+        referencedColumn: row.referencedColumn,
+        onDelete: row.onDelete,
+        onUpdate: row.onUpdate
+    };
+}
+
+/**
+ * Checks a foreignKeys option
+ * @param {boolean|Array<Object>} option - true, false or foreign keys
+ * @returns {string|null} - Problem description, or null when the option is valid
+ */
+function validateForeignKeys(option) {
+    if (typeof option === 'boolean') return null;
+
+    const valid = Array.isArray(option) && option.every(foreignKey => Boolean(foreignKey)
+        && typeof foreignKey.table === 'string' && typeof foreignKey.referencedTable === 'string');
+    return valid ? null : 'foreignKeys must be true, false or an array of { table, referencedTable, onDelete, onUpdate }';
+}
+
+// { schema, name } of `schema.table` (schema null for a bare name)
+function splitTableName(tableName) {
+    const dot = tableName.indexOf('.');
+    return dot === -1
+        ? { schema: null, name: tableName }
+        : { schema: tableName.slice(0, dot), name: tableName.slice(dot + 1) };
+}
+
+// How a parsed write changes the rows of the tables it writes, or null when it only inserts
+function writeAction(parsed) {
+    if (parsed.type === 'DELETE' || parsed.type === 'REPLACE') return { action: 'delete', columns: null };
+    if (parsed.type === 'INSERT') return parsed.upsert ? { action: 'update', columns: null } : null;
+
+    // SET ? assigns the columns of its parameter, which aren't known here
+    const set = parsed.bindings.filter(binding => binding.clause === 'set');
+    if (set.some(binding => binding.column === null)) return { action: 'update', columns: null };
+    return { action: 'update', columns: set.map(binding => binding.column.toLowerCase()) };
+}
+
+/**
+ * Finds the tables a write changes through the referential actions of foreign keys, transitively
+ *
+ * A DELETE (or REPLACE) follows ON DELETE actions; an UPDATE follows the ON UPDATE actions of the
+ * foreign keys whose referenced column it assigns (an upsert or `SET ?` any). CASCADE deletes
+ * cascade as deletes; SET NULL, SET DEFAULT and update cascades update the referencing column.
+ * Plain INSERTs change no other table.
+ *
+ * @param {string} sql - Write statement
+ * @param {Array<Object>} foreignKeys - Foreign keys
+ * @param {Object} [scope] - { database, defaultDatabase }
+ * @returns {Array<string>} - Tables named as the cache names them (see qualifiedTableName)
+ *
+ * @example
+ * getCascadedTables('DELETE FROM orders WHERE id = ?', [
+ *     { table: 'main.order_items', column: 'order_id', referencedTable: 'main.orders', referencedColumn: 'id', onDelete: 'CASCADE' }
+ * ], { defaultDatabase: 'main' });
+ * // ['order_items']
+ */
+function getCascadedTables(sql, foreignKeys, scope = {}) {
+    if (!foreignKeys || foreignKeys.length === 0) return [];
+
+    const parsed = parseSql(sql);
+    const write = writeAction(parsed);
+    if (!write) return [];
+
+    const queue = parsed.writeTables.map(table => ({
+        schema: table.schema || scope.database || scope.defaultDatabase || null,
+        name: table.name,
+        ...write
+    }));
+    const visited = new Set();
+    const cascaded = [];
+
+    for (let i = 0; i < queue.length; i++) {
+        const { schema, name, action, columns } = queue[i];
+        foreignKeys.forEach(foreignKey => {
+            const referenced = splitTableName(foreignKey.referencedTable);
+            if (referenced.name !== name || (referenced.schema && schema && referenced.schema !== schema)) return;
+
+            const referencedColumn = foreignKey.referencedColumn ? foreignKey.referencedColumn.toLowerCase() : null;
+            if (action === 'update' && columns && referencedColumn && !columns.includes(referencedColumn)) return;
+
+            const rule = String((action === 'delete' ? foreignKey.onDelete : foreignKey.onUpdate) || 'NO ACTION').toUpperCase();
+            if (!CASCADING_ACTIONS.includes(rule)) return;
+
+            const child = splitTableName(foreignKey.table);
+            const next = {
+                schema: child.schema || schema,
+                name: child.name,
+                action: action === 'delete' && rule === 'CASCADE' ? 'delete' : 'update',
+                columns: foreignKey.column ? [foreignKey.column.toLowerCase()] : null
+            };
+            const state = `${next.schema}.${next.name}|${next.action}|${next.columns}`;
+            if (visited.has(state)) return;
+
+            visited.add(state);
+            queue.push(next);
+            cascaded.push(qualifiedTableName(next, scope));
+        });
+    }
+    return [...new Set(cascaded)];
+}
+
+/**
+ * Creates the foreign key graph of a connector, loaded from the server once and on demand
+ * @param {Function} query - async (sql) -> rows, run on the primary
+ * @returns {Object} - { load, ensureLoaded, get }
+ */
+function createForeignKeyGraph(query) {
+    let foreignKeys = [];
+    let loaded = false;
+    let loading = null;
+    let failedAt = 0;
+
+    return {
+        /**
+         * Reads the foreign keys from INFORMATION_SCHEMA, replacing the loaded ones
+         * @returns {Promise<Array<Object>>} - Foreign keys
+         */
+        async load() {
+            const rows = await query(FOREIGN_KEYS_SQL);
+            foreignKeys = rows.map(toForeignKey);
+            loaded = true;
+            return foreignKeys;
+        },
+
+        /**
+         * Loads the foreign keys unless they are loaded. A failed load is logged and tried again
+         * by the first call a minute later; until then writes cascade nowhere.
+         * @returns {Promise<void>}
+         */
+        async ensureLoaded() {
+            if (loaded || Date.now() - failedAt < RETRY_DELAY) return;
+            if (!loading) {
+                loading = this.load()
+                    .catch(err => {
+                        failedAt = Date.now();
+                        console.error('Loading foreign keys failed:', err.message);
+                    })
+                    .finally(() => {
+                        loading = null;
+                    });
+            }
+            await loading;
+        },
+
+        /**
+         * @returns {Array<Object>} - Loaded foreign keys (empty until loaded)
+         */
+        get() {
+            return foreignKeys;
+        }
+    };
+}
+
+module.exports = {
+    FOREIGN_KEYS_SQL,
+    toForeignKey,
+    validateForeignKeys,
+    splitTableName,
+    getCascadedTables,
+    createForeignKeyGraph
+};
@@ -0,0 +1,227 @@
+const fs = require('fs');
+
+/**
+ * Invalidation Queue Module (v2.9.0)
+ *
+ * A cache invalidation that fails while Redis is down would leave the cache serving
+ * pre-write data until the keys expire. The Redis connector queues such invalidations
+ * here and replays them when the client is ready again.
+ *
+ * Pending invalidations are kept as sets, so repeating a failed invalidation queues it
+ * once: { keys, prefixes, tags, versions } (a version is incremented once on replay, which
+ * is all readers need). With a spill file, the queue is also written to disk and read back
+ * at startup, so invalidations survive a restart during the outage.
+ *
+ * Policies:
+ *   'replay'  replay the queued invalidations (default). Above maxEntries queued keys, the
+ *             keys are replaced by their prefixes, as with 'flush'.
+ *   'flush'   queue the prefix of each key (`users:` for `users:id:...`) instead of the key,
+ *             and delete everything under the affected prefixes on reconnect
+ *   'fail'    fail writes while Redis is unavailable: the connector checks Redis before it runs
+ *             a write and rejects without running it. An invalidation that fails after the
+ *             write has run is queued like 'replay' (the write has succeeded).
+ *
+ * Until a replay has finished, the Redis connector holds back reads, so they can't serve
+ * entries the replay is about to delete.
+ */
+
+const INVALIDATION_POLICIES = ['replay', 'flush', 'fail'];
+const DEFAULT_MAX_ENTRIES = 10000;  // Queued keys before they collapse to prefixes
+const KINDS = ['keys', 'prefixes', 'tags', 'versions'];
+
+/**
+ * Checks an invalidationRetry option
+ * @param {Object} [option] - { policy, maxEntries, spillFile }
+ * @returns {Array<string>} - Problem descriptions (empty when the option is valid)
+ */
+function validateInvalidationRetry(option) {
+    if (option === undefined || option === null) return [];
+    if (typeof option !== 'object') return ['invalidationRetry must be an object ({ policy, maxEntries, spillFile })'];
+
+    const problems = [];
+    if (option.policy !== undefined && !INVALIDATION_POLICIES.includes(option.policy)) {
+        problems.push(`invalidationRetry.policy must be one of: ${INVALIDATION_POLICIES.join(', ')}`);
+    }
+    if (option.maxEntries !== undefined && !(Number.isInteger(option.maxEntries) && option.maxEntries > 0)) {
+        problems.push('invalidationRetry.maxEntries must be a positive integer');
+    }
+    if (option.spillFile !== undefined && option.spillFile !== null && typeof option.spillFile !== 'string') {
+        problems.push('invalidationRetry.spillFile must be a file path');
+    }
+    return problems;
+}
+
+/**
+ * Prefix of a cache key, up to and including its first ':' (null for keys without one)
+ * @param {string} key - Cache key
+ * @returns {string|null}
+ *
+ * @example
+ * keyPrefix('users:id:3f2a9c'); // 'users:'
+ */
+function keyPrefix(key) {
+    const colon = key.indexOf(':');
+    return colon === -1 ? null : key.slice(0, colon + 1);
+}
+
+// Reads the invalidations spilled by an earlier process; a missing file is an empty queue
+function readSpillFile(spillFile) {
+    try {
+        return JSON.parse(fs.readFileSync(spillFile, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.error('Reading invalidation spill file failed:', err.message);
+        }
+        return null;
+    }
+}
+
+/**
+ * Creates the queue of failed invalidations of a Redis connector
+ * @param {Object} [options] - Queue options
+ * @param {string} [options.policy] - 'replay' (default), 'flush' or 'fail'
+ * @param {number} [options.maxEntries] - Queued keys before they collapse to prefixes (default: 10000)
+ * @param {string} [options.spillFile] - JSON file the queue is kept in (default: in-process only)
+ * @returns {Object} - { policy, add, take, isEmpty, size, whenPersisted }
+ */
+function createInvalidationQueue(options = {}) {
+    const policy = options.policy || 'replay';
+    const maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    const spillFile = options.spillFile || null;
+
+    const pending = {};
+    KINDS.forEach(kind => {
+        pending[kind] = new Set();
+    });
+
+    let persisting = null;
+    let dirty = false;
+
+    // Queues prefixes instead of keys from now on: bounded by the number of prefixes
+    function collapseKeys(keys) {
+        keys.forEach(key => {
+            const prefix = keyPrefix(key);
+            if (prefix) {
+                pending.prefixes.add(prefix);
+            } else {
+                pending.keys.add(key);
+            }
+        });
+    }
+
+    function addValues(kind, values) {
+        if (kind === 'keys' && policy === 'flush') {
+            collapseKeys(values);
+            return;
+        }
+        values.forEach(value => pending[kind].add(value));
+
+        if (kind === 'keys' && pending.keys.size > maxEntries) {
+            console.warn(`Invalidation queue holds more than ${maxEntries} keys: flushing their prefixes instead`);
+            const keys = [...pending.keys];
+            pending.keys.clear();
+            collapseKeys(keys);
+        }
+    }
+
+    async function writeSpillFile() {
+        if (KINDS.every(kind => pending[kind].size === 0)) {
+            await fs.promises.rm(spillFile, { force: true });
+            return;
+        }
+        const snapshot = {};
+        KINDS.forEach(kind => {
+            snapshot[kind] = [...pending[kind]];
+        });
+        // Write then rename, so a crash never leaves half a file behind
+        await fs.promises.writeFile(`${spillFile}.tmp`, JSON.stringify(snapshot));
+        await fs.promises.rename(`${spillFile}.tmp`, spillFile);
+    }
+
+    // Writes the queue to the spill file; changes made during a write are written by one more
+    function persist() {
+        if (!spillFile) return Promise.resolve();
+        dirty = true;
+        if (!persisting) {
+            persisting = (async () => {
+                while (dirty) {
+                    dirty = false;
+                    await writeSpillFile();
+                }
+            })()
+                .catch(err => console.error('Writing invalidation spill file failed:', err.message))
+                .finally(() => {
+                    persisting = null;
+                });
+        }
+        return persisting;
+    }
+
+    if (spillFile) {
+        const spilled = readSpillFile(spillFile);
+        if (spilled) {
+            KINDS.forEach(kind => {
+                if (Array.isArray(spilled[kind])) addValues(kind, spilled[kind]);
+            });
+        }
+    }
+
+    return {
+        policy,
+
+        /**
+         * Queues a failed invalidation (and writes the spill file)
+         * @param {string} kind - 'keys', 'prefixes', 'tags' or 'versions'
+         * @param {string|Array<string>} values - Keys, prefixes, tags or version names
+         * @returns {Promise<void>} - Resolves once the spill file is written
+         */
+        async add(kind, values) {
+            addValues(kind, [].concat(values));
+            await persist();
+        },
+
+        /**
+         * Removes and returns every queued invalidation
+         * @returns {Object} - { keys, prefixes, tags, versions } (arrays)
+         */
+        take() {
+            const taken = {};
+            KINDS.forEach(kind => {
+                taken[kind] = [...pending[kind]];
+                pending[kind].clear();
+            });
+            persist();
+            return taken;
+        },
+
+        isEmpty() {
+            return KINDS.every(kind => pending[kind].size === 0);
+        },
+
+        /**
+         * @returns {Object} - Queued invalidations per kind: { keys, prefixes, tags, versions }
+         */
+        size() {
+            const sizes = {};
+            KINDS.forEach(kind => {
+                sizes[kind] = pending[kind].size;
+            });
+            return sizes;
+        },
+
+        /**
+         * Resolves once the spill file holds the queue
+         * @returns {Promise<void>}
+         */
+        whenPersisted() {
+            return persisting || Promise.resolve();
+        }
+    };
+}
+
+module.exports = {
+    INVALIDATION_POLICIES,
+    validateInvalidationRetry,
+    keyPrefix,
+    createInvalidationQueue
+};
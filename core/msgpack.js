@@ -0,0 +1,348 @@
+/**
+ * MessagePack Module (v2.9.0)
+ *
+ * Dependency-free MessagePack encoder/decoder for cached values (see core/codec.js).
+ * Covers what query results contain: null, booleans, numbers, strings, arrays and
+ * plain objects, plus the types mysql2 returns that JSON loses:
+ *   Date    -> timestamp extension (type -1); an invalid Date uses extension type 1
+ *   Buffer  -> bin
+ *   BigInt  -> int 64 / uint 64 (64-bit integers always decode to BigInt)
+ *
+ * Like JSON.stringify, undefined, functions and symbols are dropped from objects and
+ * written as nil in arrays. Integers beyond 32 bits that are Numbers are written as
+ * float 64, so they decode to Numbers again.
+ */
+
+const TIMESTAMP_EXT = -1;
+const INVALID_DATE_EXT = 1;
+const UINT32_MAX = 0xffffffff;
+const INT32_MIN = -0x80000000;
+
+function isDropped(value) {
+    return value === undefined || typeof value === 'function' || typeof value === 'symbol';
+}
+
+// Growable output buffer
+function createWriter() {
+    let buffer = Buffer.allocUnsafe(1024);
+    let offset = 0;
+
+    function ensure(size) {
+        if (offset + size <= buffer.length) return;
+        const grown = Buffer.allocUnsafe(Math.max(buffer.length * 2, offset + size));
+        buffer.copy(grown, 0, 0, offset);
+        buffer = grown;
+    }
+
+    return {
+        u8(value) {
+            ensure(1);
+            buffer[offset++] = value;
+        },
+        u16(value) {
+            ensure(2);
+            offset = buffer.writeUInt16BE(value, offset);
+        },
+        u32(value) {
+            ensure(4);
+            offset = buffer.writeUInt32BE(value, offset);
+        },
+        i8(value) {
+            ensure(1);
+            offset = buffer.writeInt8(value, offset);
+        },
+        i16(value) {
+            ensure(2);
+            offset = buffer.writeInt16BE(value, offset);
+        },
+        i32(value) {
+            ensure(4);
+            offset = buffer.writeInt32BE(value, offset);
+        },
+        u64(value) {
+            ensure(8);
+            offset = buffer.writeBigUInt64BE(value, offset);
+        },
+        i64(value) {
+            ensure(8);
+            offset = buffer.writeBigInt64BE(value, offset);
+        },
+        f64(value) {
+            ensure(8);
+            offset = buffer.writeDoubleBE(value, offset);
+        },
+        bytes(source) {
+            ensure(source.length);
+            offset += source.copy(buffer, offset);
+        },
+        utf8(text, byteLength) {
+            ensure(byteLength);
+            offset += buffer.write(text, offset, 'utf8');
+        },
+        result() {
+            return buffer.subarray(0, offset);
+        }
+    };
+}
+
+// Writes a type byte followed by an 8, 16 or 32-bit length
+function writeLength(w, length, [small, medium, large]) {
+    if (small !== null && length <= 0xff) {
+        w.u8(small);
+        w.u8(length);
+    } else if (length <= 0xffff) {
+        w.u8(medium);
+        w.u16(length);
+    } else {
+        w.u8(large);
+        w.u32(length);
+    }
+}
+
+function encodeNumber(w, value) {
+    if (!Number.isInteger(value) || value > UINT32_MAX || value < INT32_MIN) {
+        w.u8(0xcb);
+        w.f64(value);
+    } else if (value >= 0) {
+        if (value < 0x80) {
+            w.u8(value);
+        } else if (value <= 0xff) {
+            w.u8(0xcc);
+            w.u8(value);
+        } else if (value <= 0xffff) {
+            w.u8(0xcd);
+            w.u16(value);
+        } else {
+            w.u8(0xce);
+            w.u32(value);
+        }
+    } else if (value >= -32) {
+        w.i8(value);
+    } else if (value >= -0x80) {
+        w.u8(0xd0);
+        w.i8(value);
+    } else if (value >= -0x8000) {
+        w.u8(0xd1);
+        w.i16(value);
+    } else {
+        w.u8(0xd2);
+        w.i32(value);
+    }
+}
+
+function encodeBigInt(w, value) {
+    if (value >= 0n && value < 2n ** 64n) {
+        w.u8(0xcf);
+        w.u64(value);
+    } else if (value < 0n && value >= -(2n ** 63n)) {
+        w.u8(0xd3);
+        w.i64(value);
+    } else {
+        throw new RangeError(`BigInt ${value} is out of the 64-bit range`);
+    }
+}
+
+function encodeString(w, value) {
+    const length = Buffer.byteLength(value);
+    if (length < 32) {
+        w.u8(0xa0 | length);
+    } else {
+        writeLength(w, length, [0xd9, 0xda, 0xdb]);
+    }
+    w.utf8(value, length);
+}
+
+function encodeDate(w, value) {
+    const time = value.getTime();
+    w.u8(0xc7);
+    if (isNaN(time)) {
+        w.u8(0);
+        w.i8(INVALID_DATE_EXT);
+        return;
+    }
+
+    // timestamp 96: nanoseconds (uint 32) + seconds (int 64)
+    const seconds = Math.floor(time / 1000);
+    w.u8(12);
+    w.i8(TIMESTAMP_EXT);
+    w.u32((time - seconds * 1000) * 1e6);
+    w.i64(BigInt(seconds));
+}
+
+function encodeValue(w, value) {
+    if (value === null || isDropped(value)) {
+        w.u8(0xc0);
+    } else if (typeof value === 'boolean') {
+        w.u8(value ? 0xc3 : 0xc2);
+    } else if (typeof value === 'number') {
+        encodeNumber(w, value);
+    } else if (typeof value === 'bigint') {
+        encodeBigInt(w, value);
+    } else if (typeof value === 'string') {
+        encodeString(w, value);
+    } else if (Buffer.isBuffer(value)) {
+        writeLength(w, value.length, [0xc4, 0xc5, 0xc6]);
+        w.bytes(value);
+    } else if (value instanceof Date) {
+        encodeDate(w, value);
+    } else if (Array.isArray(value)) {
+        if (value.length < 16) {
+            w.u8(0x90 | value.length);
+        } else {
+            writeLength(w, value.length, [null, 0xdc, 0xdd]);
+        }
+        value.forEach(item => encodeValue(w, item));
+    } else {
+        const keys = Object.keys(value).filter(key => !isDropped(value[key]));
+        if (keys.length < 16) {
+            w.u8(0x80 | keys.length);
+        } else {
+            writeLength(w, keys.length, [null, 0xde, 0xdf]);
+        }
+        keys.forEach(key => {
+            encodeString(w, key);
+            encodeValue(w, value[key]);
+        });
+    }
+}
+
+/**
+ * Encodes a value as MessagePack
+ * @param {any} value - Value to encode
+ * @returns {Buffer} - Encoded value
+ * @throws {RangeError} If a BigInt doesn't fit in 64 bits
+ */
+function encode(value) {
+    const w = createWriter();
+    encodeValue(w, value);
+    return w.result();
+}
+
+/**
+ * Decodes a MessagePack value
+ * @param {Buffer} buffer - Encoded value
+ * @returns {any} - Decoded value
+ * @throws {Error} If the buffer is truncated or uses an unsupported type
+ */
+function decode(buffer) {
+    let offset = 0;
+
+    function take(size) {
+        if (offset + size > buffer.length) {
+            throw new Error('Invalid MessagePack data: unexpected end of buffer');
+        }
+        const start = offset;
+        offset += size;
+        return start;
+    }
+
+    const u8 = () => buffer[take(1)];
+    const u16 = () => buffer.readUInt16BE(take(2));
+    const u32 = () => buffer.readUInt32BE(take(4));
+
+    function str(length) {
+        const start = take(length);
+        return buffer.toString('utf8', start, start + length);
+    }
+
+    function bin(length) {
+        const start = take(length);
+        return Buffer.from(buffer.subarray(start, start + length));
+    }
+
+    function array(length) {
+        const items = new Array(length);
+        for (let i = 0; i < length; i++) items[i] = value();
+        return items;
+    }
+
+    function map(length) {
+        const object = {};
+        for (let i = 0; i < length; i++) {
+            const key = value();
+            const item = value();
+            // A "__proto__" key is data (as with JSON.parse), not the prototype
+            Object.defineProperty(object, key, { value: item, enumerable: true, writable: true, configurable: true });
+        }
+        return object;
+    }
+
+    function ext(length) {
+        const type = buffer.readInt8(take(1));
+        const start = take(length);
+
+        if (type === INVALID_DATE_EXT && length === 0) return new Date(NaN);
+        if (type === TIMESTAMP_EXT) {
+            if (length === 4) return new Date(buffer.readUInt32BE(start) * 1000);
+            if (length === 8) {
+                const high = buffer.readUInt32BE(start);
+                const low = buffer.readUInt32BE(start + 4);
+                // 30-bit nanoseconds, 34-bit seconds
+                return new Date(((high & 0x3) * 0x100000000 + low) * 1000 + Math.floor((high >>> 2) / 1e6));
+            }
+            if (length === 12) {
+                const nanoseconds = buffer.readUInt32BE(start);
+                const seconds = Number(buffer.readBigInt64BE(start + 4));
+                return new Date(seconds * 1000 + Math.floor(nanoseconds / 1e6));
+            }
+        }
+        throw new Error(`Unsupported MessagePack extension type ${type}`);
+    }
+
+    function value() {
+        const byte = u8();
+
+        if (byte < 0x80) return byte;
+        if (byte < 0x90) return map(byte & 0x0f);
+        if (byte < 0xa0) return array(byte & 0x0f);
+        if (byte < 0xc0) return str(byte & 0x1f);
+        if (byte >= 0xe0) return byte - 0x100;
+
+        switch (byte) {
+            case 0xc0: return null;
+            case 0xc2: return false;
+            case 0xc3: return true;
+            case 0xc4: return bin(u8());
+            case 0xc5: return bin(u16());
+            case 0xc6: return bin(u32());
+            case 0xc7: return ext(u8());
+            case 0xc8: return ext(u16());
+            case 0xc9: return ext(u32());
+            case 0xca: return buffer.readFloatBE(take(4));
+            case 0xcb: return buffer.readDoubleBE(take(8));
+            case 0xcc: return u8();
+            case 0xcd: return u16();
+            case 0xce: return u32();
+            case 0xcf: return buffer.readBigUInt64BE(take(8));
+            case 0xd0: return buffer.readInt8(take(1));
+            case 0xd1: return buffer.readInt16BE(take(2));
+            case 0xd2: return buffer.readInt32BE(take(4));
+            case 0xd3: return buffer.readBigInt64BE(take(8));
+            case 0xd4: return ext(1);
+            case 0xd5: return ext(2);
+            case 0xd6: return ext(4);
+            case 0xd7: return ext(8);
+            case 0xd8: return ext(16);
+            case 0xd9: return str(u8());
+            case 0xda: return str(u16());
+            case 0xdb: return str(u32());
+            case 0xdc: return array(u16());
+            case 0xdd: return array(u32());
+            case 0xde: return map(u16());
+            case 0xdf: return map(u32());
+            default:
+                throw new Error(`Invalid MessagePack data: unknown type byte 0x${byte.toString(16)}`);
+        }
+    }
+
+    const result = value();
+    if (offset !== buffer.length) {
+        throw new Error('Invalid MessagePack data: trailing bytes');
+    }
+    return result;
+}
+
+module.exports = {
+    encode,
+    decode
+};
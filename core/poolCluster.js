@@ -0,0 +1,278 @@
+/**
+ * Pool Cluster Module (v2.9.0)
+ *
+ * Routes cached-read cache misses to read replicas and everything else to the primary pool.
+ * Replicas that fail health checks are taken out of rotation until they recover.
+ * Optionally, replica reads only populate the cache while replication lag is acceptable.
+ */
+
+const READ_STRATEGIES = ['round-robin', 'least-busy'];
+
+const DEFAULT_HEALTH_CHECK_INTERVAL = 5000; // ms between replica health checks
+const DEFAULT_HEALTH_CHECK_TIMEOUT  = 2000; // ms before a health check counts as failed
+
+const CONNECTION_ERROR_CODES = [
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'ENOTFOUND',
+    'PROTOCOL_CONNECTION_LOST',
+    'ER_CON_COUNT_ERROR'
+];
+
+/**
+ * Checks if an error is a connection-level error (safe to retry elsewhere)
+ * @param {Error} error - Error thrown by mysql2
+ * @returns {boolean}
+ */
+function isConnectionError(error) {
+    return Boolean(error) && CONNECTION_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Reads connection statistics from a mysql2 pool
+ * @param {Object} pool - mysql2/promise pool
+ * @returns {Object} - { totalConnections, activeConnections, freeConnections, queuedRequests }
+ */
+function getPoolStatistics(pool) {
+    const internal = pool.pool;
+    return {
+        totalConnections: internal._allConnections.length,
+        activeConnections: internal._allConnections.length - internal._freeConnections.length,
+        freeConnections: internal._freeConnections.length,
+        queuedRequests: internal._connectionQueue.length
+    };
+}
+
+/**
+ * Number of connections in use plus requests waiting for one
+ * @param {Object} pool - mysql2/promise pool
+ * @returns {number}
+ */
+function getPoolLoad(pool) {
+    const stats = getPoolStatistics(pool);
+    return stats.activeConnections + stats.queuedRequests;
+}
+
+/**
+ * Reads the replication lag of the server behind a connection
+ * @param {Object} connection - mysql2 pool connection
+ * @returns {Promise<number|null|undefined>} - Seconds behind the source, null when replication
+ *                                             is broken, undefined when the server is not a replica
+ */
+async function getReplicationLag(connection) {
+    let rows;
+    try {
+        [rows] = await connection.query('SHOW REPLICA STATUS');
+    } catch (error) {
+        // MySQL < 8.0.22 only knows the old syntax
+        if (error.code !== 'ER_PARSE_ERROR') throw error;
+        [rows] = await connection.query('SHOW SLAVE STATUS');
+    }
+
+    if (!rows || rows.length === 0) return undefined;
+
+    const status = rows[0];
+    const lag = status.Seconds_Behind_Source !== undefined
+        ? status.Seconds_Behind_Source
+        : status.Seconds_Behind_Master;
+    return lag === null || lag === undefined ? null : Number(lag);
+}
+
+/**
+ * Creates a primary + replicas pool cluster
+ * @param {Object} options - Cluster options
+ * @param {Object} options.primary - Primary mysql2/promise pool (all writes)
+ * @param {Array<Object>} [options.replicas] - Replica mysql2/promise pools (cached-read misses)
+ * @param {string} [options.strategy] - 'round-robin' (default) or 'least-busy'
+ * @param {number} [options.healthCheckInterval] - ms between replica health checks (0 disables)
+ * @param {number} [options.healthCheckTimeout] - ms before a health check counts as failed
+ * @param {number|null} [options.maxReplicationLag] - Max seconds behind the source for a replica
+ *                                                   read to be cached (null disables the check)
+ * @returns {Object} - Cluster API
+ */
+function createPoolCluster(options) {
+    const {
+        primary,
+        replicas = [],
+        strategy = 'round-robin',
+        healthCheckInterval = DEFAULT_HEALTH_CHECK_INTERVAL,
+        healthCheckTimeout = DEFAULT_HEALTH_CHECK_TIMEOUT,
+        maxReplicationLag = null
+    } = options;
+
+    if (!READ_STRATEGIES.includes(strategy)) {
+        throw new Error(`Invalid read strategy "${strategy}". Use one of: ${READ_STRATEGIES.join(', ')}`);
+    }
+
+    const nodes = replicas.map((pool, index) => ({
+        name: `replica-${index}`,
+        pool,
+        healthy: true
+    }));
+
+    let cursor = 0;
+    let healthTimer = null;
+
+    // Connections handed out by replica pools (for the replication lag check)
+    const replicaConnections = new WeakSet();
+
+    function markUnhealthy(node, error) {
+        if (node.healthy) {
+            console.error(`MySQL ${node.name} removed from rotation:`, error.message);
+        }
+        node.healthy = false;
+    }
+
+    function markHealthy(node) {
+        if (!node.healthy) {
+            console.log(`MySQL ${node.name} back in rotation`);
+        }
+        node.healthy = true;
+    }
+
+    /**
+     * Picks a healthy replica using the configured strategy
+     * @returns {Object|null} - Replica node or null if none is healthy
+     */
+    function pickReplica() {
+        const healthy = nodes.filter(node => node.healthy);
+        if (healthy.length === 0) return null;
+
+        if (strategy === 'least-busy') {
+            return healthy.reduce((best, node) =>
+                getPoolLoad(node.pool) < getPoolLoad(best.pool) ? node : best
+            );
+        }
+
+        const node = healthy[cursor % healthy.length];
+        cursor = (cursor + 1) % Number.MAX_SAFE_INTEGER;
+        return node;
+    }
+
+    async function checkReplica(node) {
+        let timeoutHandle;
+        const timeoutPromise = new Promise((_, reject) => {
+            timeoutHandle = setTimeout(() => reject(new Error('Health check timeout exceeded')), healthCheckTimeout);
+        });
+
+        try {
+            await Promise.race([node.pool.query('SELECT 1'), timeoutPromise]);
+            markHealthy(node);
+        } catch (error) {
+            markUnhealthy(node, error);
+        } finally {
+            clearTimeout(timeoutHandle);
+        }
+    }
+
+    /**
+     * Runs one health check round over all replicas
+     * @returns {Promise<void>}
+     */
+    async function checkReplicas() {
+        await Promise.all(nodes.map(checkReplica));
+    }
+
+    if (nodes.length > 0 && healthCheckInterval > 0) {
+        healthTimer = setInterval(checkReplicas, healthCheckInterval);
+        // Never keep the process alive just for health checks
+        if (healthTimer.unref) healthTimer.unref();
+    }
+
+    return {
+        /**
+         * Returns the primary pool (writes, transactions, bulk inserts)
+         */
+        getWritePool() {
+            return primary;
+        },
+
+        /**
+         * Gets a connection for a read. Falls back to the primary when no replica is
+         * healthy, or when the chosen replica refuses connections (it is then taken
+         * out of rotation until the next successful health check).
+         * @param {Object} [readOptions] - Read options
+         * @param {boolean} [readOptions.preferPrimary] - Read from the primary (read-your-writes)
+         * @returns {Promise<Object>} - mysql2 pool connection
+         */
+        async getReadConnection(readOptions = {}) {
+            const node = readOptions.preferPrimary ? null : pickReplica();
+            if (!node) {
+                return primary.getConnection();
+            }
+
+            try {
+                const connection = await node.pool.getConnection();
+                replicaConnections.add(connection);
+                return connection;
+            } catch (error) {
+                if (!isConnectionError(error)) throw error;
+                markUnhealthy(node, error);
+                return primary.getConnection();
+            }
+        },
+
+        /**
+         * Checks if data read through a connection may populate the cache.
+         * Always true for the primary; for replicas only while replication lag is
+         * within maxReplicationLag (when configured).
+         * @param {Object} connection - Connection returned by getReadConnection()
+         * @returns {Promise<boolean>}
+         */
+        async isConnectionFresh(connection) {
+            if (maxReplicationLag === null || maxReplicationLag === undefined) return true;
+            if (!replicaConnections.has(connection)) return true;
+
+            try {
+                const lag = await getReplicationLag(connection);
+                if (lag === undefined) return true;
+                return lag !== null && lag <= maxReplicationLag;
+            } catch (error) {
+                console.error('Replication lag check failed:', error.message);
+                return false;
+            }
+        },
+
+        checkReplicas,
+
+        /**
+         * Gets pool statistics. Top-level numbers describe the primary pool;
+         * `pools` lists every pool with its role and health.
+         * @returns {Object}
+         */
+        getStats() {
+            return {
+                ...getPoolStatistics(primary),
+                pools: [
+                    { name: 'primary', role: 'primary', healthy: true, ...getPoolStatistics(primary) },
+                    ...nodes.map(node => ({
+                        name: node.name,
+                        role: 'replica',
+                        healthy: node.healthy,
+                        ...getPoolStatistics(node.pool)
+                    }))
+                ]
+            };
+        },
+
+        /**
+         * Stops health checks and closes every pool
+         * @returns {Promise<void>}
+         */
+        async end() {
+            if (healthTimer) {
+                clearInterval(healthTimer);
+                healthTimer = null;
+            }
+            await Promise.all([primary, ...nodes.map(node => node.pool)].map(pool => pool.end()));
+        }
+    };
+}
+
+module.exports = {
+    READ_STRATEGIES,
+    createPoolCluster,
+    isConnectionError,
+    getPoolStatistics,
+    getReplicationLag
+};
@@ -0,0 +1,79 @@
+/**
+ * Query Options Module (v2.9.0)
+ *
+ * Every query function accepts either its positional arguments or a single options
+ * object, e.g. getCacheQuery({ sql, params, key, ttl }). Both forms are normalized
+ * to the same query object here, so the functions only deal with one shape.
+ *
+ * Query object fields:
+ *   sql          SQL statement
+ *   params       Query parameters
+ *   key          Cache key to read/write, or the cache pattern(s) to invalidate for writes
+ *   database     Database to switch to
+ *   ttl          Cache TTL in seconds
+ *   timeout      Query timeout in ms
+ *   bypassCache  Skip the cache lookup (the fresh result still refreshes the cache)
+ *   tags         Cache tags of the entry (string or array)
+ *   staleWhileRevalidate  Seconds an expired entry is still served while it is refreshed (true = ttl)
+ *   fillLock     Take the distributed fill lock on a miss (overrides the connector setting)
+ *   negativeTtl  Cache TTL in seconds for an empty result (0 = don't cache it)
+ */
+
+// Positional argument names of each function; a trailing plain object holds the remaining options
+const POSITIONAL_ARGS = {
+    QuaryCache: ['sql', 'params', 'key', 'database'],
+    getCacheQuery: ['sql', 'params', 'key', 'database'],
+    getCacheQueryPagination: ['sql', 'params', 'key', 'page', 'pageSize', 'database'],
+    getCacheQueryWithTimeout: ['sql', 'params', 'key'],
+    bulkInsert: ['table', 'records'],
+    explainInvalidation: ['sql', 'params', 'key', 'database']
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Normalizes the arguments of a query function to a query object
+ * @param {string} name - Function name (key of POSITIONAL_ARGS)
+ * @param {Array} args - Arguments as passed to the function
+ * @returns {Object} - Query object ({ sql, params, key, database, ttl, timeout, bypassCache, tags, ... })
+ * @throws {Error} If the options object lacks its required field
+ */
+function normalizeQueryArgs(name, args) {
+    const names = POSITIONAL_ARGS[name];
+    let query;
+
+    if (isPlainObject(args[0])) {
+        query = { ...args[0] };
+    } else {
+        const trailing = isPlainObject(args[names.length]) ? args[names.length] : {};
+        query = { ...trailing };
+        names.forEach((field, i) => {
+            if (args[i] !== undefined) query[field] = args[i];
+        });
+    }
+
+    const required = names[0];
+    if (typeof query[required] !== 'string' || query[required].length === 0) {
+        throw new Error(`${name}: ${required} is required (e.g., ${name}({ ${required}: ... }))`);
+    }
+
+    // bulkInsert names its invalidation pattern resetCacheName
+    if (query.key === undefined && query.resetCacheName !== undefined) {
+        query.key = query.resetCacheName;
+    }
+
+    query.params = query.params || [];
+    query.key = query.key || null;
+    query.database = query.database || null;
+    query.bypassCache = query.bypassCache === true;
+    query.tags = query.tags === undefined || query.tags === null ? [] : [].concat(query.tags);
+
+    return query;
+}
+
+module.exports = {
+    POSITIONAL_ARGS,
+    normalizeQueryArgs
+};
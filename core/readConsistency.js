@@ -0,0 +1,89 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Read Consistency Module (v2.9.0)
+ *
+ * Read-your-writes for replica reads: after a write, reads of the written tables stick
+ * to the primary for a short window, so a cache miss can't pick up (and then cache)
+ * stale replica data. Inside withReadYourWrites(), every read after a write in the
+ * same async context goes to the primary.
+ */
+
+const DEFAULT_STICKY_WINDOW = 5000; // ms reads of a written table stay on the primary
+
+/**
+ * Creates a write tracker for one connector
+ * @param {Object} options - Tracker options
+ * @param {number} [options.stickyWindow] - ms reads stick to the primary after a write (0 disables)
+ * @returns {Object} - Tracker API
+ */
+function createConsistencyTracker(options = {}) {
+    const stickyWindow = options.stickyWindow !== undefined ? options.stickyWindow : DEFAULT_STICKY_WINDOW;
+    const lastWriteByTable = new Map();
+    let lastWriteAt = 0;          // Any write, including writes to unknown tables
+    let lastUnknownWriteAt = 0;   // Writes whose table could not be determined
+    const storage = new AsyncLocalStorage();
+
+    function normalize(tables) {
+        return (tables || []).filter(Boolean).map(table => table.toLowerCase());
+    }
+
+    return {
+        /**
+         * Records a successful write
+         * @param {Array<string>} tables - Written tables (empty when unknown)
+         */
+        recordWrite(tables) {
+            const now = Date.now();
+            const written = normalize(tables);
+
+            lastWriteAt = now;
+            if (written.length === 0) {
+                lastUnknownWriteAt = now;
+            }
+            for (const table of written) {
+                lastWriteByTable.set(table, now);
+            }
+
+            const context = storage.getStore();
+            if (context) {
+                context.hasWritten = true;
+            }
+        },
+
+        /**
+         * Checks if a read must go to the primary to observe recent writes
+         * @param {Array<string>} tables - Tables the read depends on (empty when unknown)
+         * @returns {boolean}
+         */
+        requiresPrimary(tables) {
+            const context = storage.getStore();
+            if (context && context.hasWritten) return true;
+
+            if (stickyWindow <= 0) return false;
+
+            const since = Date.now() - stickyWindow;
+            const read = normalize(tables);
+
+            // Unknown tables on either side: be conservative
+            if (lastUnknownWriteAt > since) return true;
+            if (read.length === 0) return lastWriteAt > since;
+
+            return read.some(table => (lastWriteByTable.get(table) || 0) > since);
+        },
+
+        /**
+         * Runs a callback in its own read-your-writes context
+         * @param {Function} callback - Async function
+         * @returns {Promise<any>} - Callback result
+         */
+        run(callback) {
+            return storage.run({ hasWritten: false }, callback);
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_STICKY_WINDOW,
+    createConsistencyTracker
+};
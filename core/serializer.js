@@ -0,0 +1,101 @@
+/**
+ * Serializer Module (v2.9.0)
+ *
+ * JSON with the types mysql2 returns that plain JSON loses: Date (DATETIME, TIMESTAMP,
+ * DATE), Buffer (BLOB, BINARY, BIT) and BigInt. A cached row reads back with the same
+ * types as the row of the query that filled the cache. DECIMAL and big numbers are
+ * strings in mysql2 (or numbers with decimalNumbers), which JSON already keeps.
+ *
+ * Such values are stored as tagged objects: { "$t": "Date", "v": 1700000000000 },
+ * { "$t": "Buffer", "v": "<base64>" }, { "$t": "BigInt", "v": "9007199254740993" }.
+ * A key named "$t" in the data itself is escaped to "$$t" ("$$t" to "$$$t", ...), so
+ * no row is mistaken for a tag. Plain JSON written before v2.9.0 reads back unchanged.
+ */
+
+const TYPE_KEY = '$t';
+const ESCAPED_KEY = /^\$+t$/;
+
+function hasEscapedKey(object) {
+    return Object.keys(object).some(key => ESCAPED_KEY.test(key));
+}
+
+// Renames every key made of dollars and a "t" by adding (escape) or removing (unescape) one dollar
+function renameKeys(object, rename) {
+    const renamed = {};
+    for (const key of Object.keys(object)) {
+        renamed[ESCAPED_KEY.test(key) ? rename(key) : key] = object[key];
+    }
+    return renamed;
+}
+
+function isPlainObject(value) {
+    if (value === null || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+// JSON.stringify calls toJSON (Date, Buffer) before the replacer, so the raw value is read from the holder
+function replacer(key, value) {
+    const raw = this[key];
+
+    if (raw instanceof Date) {
+        const time = raw.getTime();
+        return { [TYPE_KEY]: 'Date', v: isNaN(time) ? null : time };
+    }
+    if (Buffer.isBuffer(raw)) {
+        return { [TYPE_KEY]: 'Buffer', v: raw.toString('base64') };
+    }
+    if (typeof raw === 'bigint') {
+        return { [TYPE_KEY]: 'BigInt', v: raw.toString() };
+    }
+    if (isPlainObject(value) && hasEscapedKey(value)) {
+        return renameKeys(value, name => `$${name}`);
+    }
+    return value;
+}
+
+const REVIVERS = {
+    Date: v => new Date(v === null ? NaN : v),
+    Buffer: v => Buffer.from(v, 'base64'),
+    BigInt: v => BigInt(v)
+};
+
+function isTag(value) {
+    return Object.keys(value).length === 2 && 'v' in value && Object.prototype.hasOwnProperty.call(REVIVERS, value[TYPE_KEY]);
+}
+
+// JSON.parse revives bottom-up: a tag holds only primitives, and escaped keys are restored on the way up
+function reviver(key, value) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) return value;
+
+    if (TYPE_KEY in value && isTag(value)) {
+        return REVIVERS[value[TYPE_KEY]](value.v);
+    }
+    if (hasEscapedKey(value)) {
+        return renameKeys(value, name => name.slice(1));
+    }
+    return value;
+}
+
+/**
+ * Serializes a value for the cache
+ * @param {any} value - Value to store (JSON data plus Date, Buffer and BigInt)
+ * @returns {string} - Serialized value
+ */
+function serialize(value) {
+    return JSON.stringify(value, replacer);
+}
+
+/**
+ * Deserializes a cached value
+ * @param {string} text - Serialized value (or plain JSON)
+ * @returns {any} - Value with its Date, Buffer and BigInt values restored
+ */
+function deserialize(text) {
+    return JSON.parse(text, reviver);
+}
+
+module.exports = {
+    serialize,
+    deserialize
+};
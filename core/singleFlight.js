@@ -0,0 +1,57 @@
+/**
+ * Single-Flight Module (v2.9.0)
+ *
+ * Coalesces concurrent calls for the same key: while a call is in flight, later
+ * callers for that key get the same promise instead of starting their own. Used for
+ * cache misses, so N concurrent misses of one key run the query once. The settled
+ * promise (result or error) is shared by every waiter; nothing is cached afterwards.
+ */
+
+/**
+ * Creates a single-flight group
+ * @returns {Object} - { run, isInFlight, size }
+ */
+function createSingleFlight() {
+    const inFlight = new Map();
+
+    return {
+        /**
+         * Runs fn once per key at a time
+         * @param {string} key - Coalescing key
+         * @param {Function} fn - Async function to run
+         * @returns {Promise<any>} - Shared result of fn
+         */
+        run(key, fn) {
+            if (inFlight.has(key)) {
+                return inFlight.get(key);
+            }
+
+            const promise = Promise.resolve()
+                .then(fn)
+                .finally(() => inFlight.delete(key));
+            inFlight.set(key, promise);
+            return promise;
+        },
+
+        /**
+         * Checks if a call for the key is in flight
+         * @param {string} key - Coalescing key
+         * @returns {boolean}
+         */
+        isInFlight(key) {
+            return inFlight.has(key);
+        },
+
+        /**
+         * Number of keys in flight
+         * @returns {number}
+         */
+        size() {
+            return inFlight.size;
+        }
+    };
+}
+
+module.exports = {
+    createSingleFlight
+};
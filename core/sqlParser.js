@@ -0,0 +1,666 @@
+/**
+ * SQL Parser Module (v2.9.0)
+ *
+ * Lightweight MySQL tokenizer and parser behind auto keys and auto invalidation. It reads
+ * just enough of a statement to tell:
+ *   type          'SELECT', 'INSERT', 'UPDATE', 'DELETE', 'REPLACE', ... (first keyword of
+ *                 the statement after a WITH clause), null for an empty statement
+ *   tables        Every table the statement references, in order: FROM / JOIN lists,
+ *                 subqueries, derived tables, CTE bodies, INSERT / UPDATE / DELETE targets
+ *   writeTables   Tables an INSERT, REPLACE, UPDATE or DELETE writes (for a multi-table UPDATE,
+ *                 the tables its SET clause assigns to)
+ *   whereColumns  Columns in the WHERE clause of the outer statement (not of its subqueries)
+ *   bindings      Columns the outer statement binds to positional placeholders (?): WHERE
+ *                 equalities and IN lists, UPDATE / INSERT ... SET assignments, INSERT VALUES rows
+ *
+ * Tables are { schema, name } (schema null when unqualified). Comments, string literals,
+ * `quoted`.`names`, modifiers (INSERT IGNORE, UPDATE LOW_PRIORITY, ...) and CTEs are
+ * understood; CTE names aren't tables. Tables are only read from DML statements (SELECT,
+ * INSERT, REPLACE, UPDATE, DELETE). The parser never throws: what it can't read is skipped.
+ *
+ * Cache keys, patterns, tags and versions name a table by qualifiedTableName(): bare in the
+ * connector's default database, `database.table` in any other, so the same query run against
+ * two databases (USE tenant_a / tenant_b) never shares cache entries.
+ */
+
+const WRITE_STATEMENTS = ['INSERT', 'UPDATE', 'DELETE', 'REPLACE'];
+const DML_STATEMENTS = ['SELECT', ...WRITE_STATEMENTS];
+const PARSE_CACHE_SIZE = 500;
+
+// Token patterns, tried in order at the current position (sticky regexes)
+const TOKEN_PATTERNS = [
+    ['space', /\s+/y],
+    ['comment', /(?:--(?=\s|$)|#)[^\n]*/y],
+    ['versioned', /\/\*![0-9]*/y],                  // /*!50100 ... */: MySQL runs what's inside
+    ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+    ['string', /'(?:[^'\\]|\\[\s\S]|'')*(?:'|$)/y],
+    ['string', /"(?:[^"\\]|\\[\s\S]|"")*(?:"|$)/y],
+    ['identifier', /`(?:[^`]|``)*(?:`|$)/y],
+    ['number', /(?:0x[0-9a-f]+|0b[01]+|(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(?![\w$])/iy],
+    ['variable', /@@?(?:[\w$.]+|`(?:[^`]|``)*`)?/y],
+    ['operator', /<=>|->>|->|<=|>=|<>|!=|:=|\|\||&&|<<|>>/y],
+    ['placeholder', /\?\??|:[A-Za-z_]\w*/y],
+    ['word', /[\w$\u0080-\uffff]+/y],
+    ['punct', /[(),.;]/y],
+    ['operator', /[\s\S]/y]
+];
+
+// Words that end a table reference (so they're never read as its alias)
+const CLAUSE_WORDS = new Set([
+    'AS', 'ON', 'USING', 'WHERE', 'GROUP', 'ORDER', 'LIMIT', 'HAVING', 'WINDOW', 'SET', 'VALUES', 'VALUE',
+    'SELECT', 'TABLE', 'WITH', 'UNION', 'EXCEPT', 'INTERSECT', 'PARTITION', 'USE', 'FORCE', 'IGNORE', 'FOR',
+    'LOCK', 'INTO', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'CROSS', 'NATURAL', 'STRAIGHT_JOIN', 'FULL', 'OUTER',
+    'RETURNING', 'PROCEDURE', 'LATERAL', 'DEFAULT'
+]);
+
+// Words in a WHERE clause that aren't columns
+const EXPRESSION_WORDS = new Set([
+    'AND', 'OR', 'NOT', 'XOR', 'IN', 'IS', 'NULL', 'LIKE', 'BETWEEN', 'EXISTS', 'TRUE', 'FALSE', 'UNKNOWN',
+    'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'REGEXP', 'RLIKE', 'DIV', 'MOD', 'ESCAPE', 'COLLATE', 'BINARY',
+    'ANY', 'ALL', 'SOME', 'DISTINCT', 'INTERVAL', 'AS', 'USING', 'SOUNDS', 'MEMBER', 'OF', 'SELECT',
+    'FROM', 'LEADING', 'TRAILING', 'BOTH', 'ROW', 'CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'CURRENT_USER',
+    'LOCALTIME', 'LOCALTIMESTAMP', 'UTC_DATE', 'UTC_TIME', 'UTC_TIMESTAMP'
+]);
+
+// Words that end a WHERE clause
+const WHERE_END_WORDS = new Set([
+    'GROUP', 'ORDER', 'LIMIT', 'HAVING', 'WINDOW', 'FOR', 'LOCK', 'UNION', 'EXCEPT', 'INTERSECT', 'INTO',
+    'ON', 'RETURNING', 'PROCEDURE'
+]);
+
+const TYPED_LITERALS = new Set(['DATE', 'TIME', 'TIMESTAMP']);
+const INSERT_MODIFIERS = new Set(['LOW_PRIORITY', 'DELAYED', 'HIGH_PRIORITY', 'IGNORE', 'INTO']);
+const UPDATE_MODIFIERS = new Set(['LOW_PRIORITY', 'IGNORE']);
+const DELETE_MODIFIERS = new Set(['LOW_PRIORITY', 'QUICK', 'IGNORE']);
+const INDEX_HINTS = new Set(['USE', 'FORCE', 'IGNORE']);
+
+/**
+ * Splits SQL into tokens
+ * @param {string} sql - SQL statement
+ * @returns {Array<Object>} - Tokens { type, value, upper }: type is 'word', 'identifier' (backquoted,
+ *                            value unquoted), 'string', 'number', 'variable', 'placeholder', 'operator'
+ *                            or 'punct'; upper is the uppercased value of words. No spaces or comments.
+ */
+function tokenize(sql) {
+    const tokens = [];
+    let position = 0;
+    let versioned = false;
+
+    while (position < sql.length) {
+        if (versioned && sql.startsWith('*/', position)) {
+            versioned = false;
+            position += 2;
+            continue;
+        }
+
+        for (const [type, pattern] of TOKEN_PATTERNS) {
+            pattern.lastIndex = position;
+            const match = pattern.exec(sql);
+            if (!match) continue;
+
+            position += match[0].length;
+            if (type === 'versioned') {
+                versioned = true;
+            } else if (type === 'identifier') {
+                const quoted = match[0].slice(1);
+                tokens.push({ type, value: (quoted.endsWith('`') ? quoted.slice(0, -1) : quoted).replace(/``/g, '`') });
+            } else if (type === 'word') {
+                tokens.push({ type, value: match[0], upper: match[0].toUpperCase() });
+            } else if (type !== 'space' && type !== 'comment') {
+                tokens.push({ type, value: match[0] });
+            }
+            break;
+        }
+    }
+    return tokens;
+}
+
+function isWord(token, ...words) {
+    return Boolean(token) && token.type === 'word' && (words.length === 0 || words.includes(token.upper));
+}
+
+function isPunct(token, value) {
+    return Boolean(token) && token.type === 'punct' && token.value === value;
+}
+
+// Identifier or a word that can be a table name
+function isName(token) {
+    return Boolean(token) && (token.type === 'identifier' || (token.type === 'word' && !CLAUSE_WORDS.has(token.upper)));
+}
+
+// Index of the matching ')' of every '(' (the end of the statement when unbalanced)
+function matchParens(tokens) {
+    const matches = new Array(tokens.length);
+    const open = [];
+    tokens.forEach((token, i) => {
+        if (isPunct(token, '(')) open.push(i);
+        if (isPunct(token, ')') && open.length > 0) matches[open.pop()] = i;
+    });
+    open.forEach(i => { matches[i] = tokens.length; });
+    return matches;
+}
+
+// Names the WITH clauses of a statement define (WITH [RECURSIVE] name [(columns)] AS (...), ...)
+function collectCteNames(tokens, matches) {
+    const names = new Set();
+    tokens.forEach((token, i) => {
+        if (!isWord(token, 'WITH')) return;
+
+        let j = isWord(tokens[i + 1], 'RECURSIVE') ? i + 2 : i + 1;
+        while (isName(tokens[j])) {
+            const name = tokens[j].value;
+            j++;
+            if (isPunct(tokens[j], '(')) j = matches[j] + 1;
+            if (!isWord(tokens[j], 'AS') || !isPunct(tokens[j + 1], '(')) break;
+
+            names.add(name);
+            j = matches[j + 1] + 1;
+            if (!isPunct(tokens[j], ',')) break;
+            j++;
+        }
+    });
+    return names;
+}
+
+// Index of the first keyword of a statement, after leading parentheses and a WITH clause
+function statementStart(tokens, matches) {
+    let i = 0;
+    while (isPunct(tokens[i], '(')) i++;
+
+    if (isWord(tokens[i], 'WITH')) {
+        i = isWord(tokens[i + 1], 'RECURSIVE') ? i + 2 : i + 1;
+        while (isName(tokens[i])) {
+            i++;
+            if (isPunct(tokens[i], '(')) i = matches[i] + 1;
+            if (isWord(tokens[i], 'AS')) i++;
+            if (isPunct(tokens[i], '(')) i = matches[i] + 1;
+            if (!isPunct(tokens[i], ',')) break;
+            i++;
+        }
+        while (isPunct(tokens[i], '(')) i++;
+    }
+    return i;
+}
+
+// Type of a statement: its first keyword, after leading parentheses and a WITH clause
+function statementType(tokens, matches) {
+    const start = statementStart(tokens, matches);
+    return isWord(tokens[start]) ? tokens[start].upper : null;
+}
+
+/**
+ * Reads the table references of a statement
+ * @returns {Object} - { refs: [{ schema, name, target }], whereColumns }
+ */
+function readReferences(tokens, matches) {
+    const refs = [];
+    const aliases = new Map();
+    const targetNames = [];      // DELETE targets named before FROM / USING (tables or aliases)
+    const setQualifiers = [];    // UPDATE a JOIN b SET a.x = ...: the tables (or aliases) assigned to
+    const whereColumns = [];
+
+    // A schema-qualified name at i: { schema, name, end } (end = index of its last token)
+    function readName(i) {
+        if (isPunct(tokens[i + 1], '.') && isName(tokens[i + 2])) {
+            return { schema: tokens[i].value, name: tokens[i + 2].value, end: i + 2 };
+        }
+        return { schema: null, name: tokens[i].value, end: i };
+    }
+
+    function addColumn(name) {
+        if (!whereColumns.includes(name)) whereColumns.push(name);
+    }
+
+    // A word or identifier at i that is a column in a WHERE clause
+    function isColumn(i) {
+        const token = tokens[i];
+        const next = tokens[i + 1];
+        if (token.type !== 'identifier' && !(token.type === 'word' && !EXPRESSION_WORDS.has(token.upper))) {
+            return false;
+        }
+        if (isPunct(next, '(') || isPunct(next, '.')) return false;                 // function or qualifier
+        if (isWord(tokens[i - 1], 'AS', 'USING')) return false;                     // CAST(x AS DATE), CONVERT(x USING utf8)
+        if (isWord(tokens[i - 2], 'INTERVAL') && tokens[i - 1].type !== 'word') return false; // INTERVAL ? DAY
+        if (token.type === 'word' && TYPED_LITERALS.has(token.upper) && next && next.type === 'string') return false;
+        if (isWord(next, 'FROM')) return false;                                     // EXTRACT(YEAR FROM ...)
+        return true;
+    }
+
+    /**
+     * Scans tokens from..to-1 of one parenthesis level
+     * @param {Object} scope - { statement: a statement (FROM reads tables), top: the outer statement,
+     *                         where: in its WHERE clause, mode / tableList: initial table state (join groups) }
+     */
+    function scan(from, to, scope) {
+        let mode = scope.mode || 'none';         // 'table' (expecting one), 'afterTable', 'none'
+        let tableList = Boolean(scope.tableList); // ',' after a table continues the list
+        let target = false;                       // tables read now are written (UPDATE list, DELETE FROM)
+        let targetNext = false;                   // the next table is written (INSERT / REPLACE)
+        let where = Boolean(scope.where);
+        let assigning = false;                    // in the SET clause of an UPDATE
+        let last = null;                          // table an alias would name
+
+        function register(i) {
+            const { schema, name, end } = readName(i);
+            last = { schema, name, target: target || targetNext };
+            refs.push(last);
+            targetNext = false;
+            return end;
+        }
+
+        for (let i = from; i < to; i++) {
+            const token = tokens[i];
+            const next = tokens[i + 1];
+
+            if (isPunct(token, '(')) {
+                const close = matches[i];
+                if (isWord(next, 'SELECT', 'WITH')) {
+                    scan(i + 1, close, { statement: true });
+                } else if (mode === 'table') {
+                    scan(i + 1, close, { statement: true, mode: 'table', tableList: true });
+                } else {
+                    // Function arguments and groups; MATCH (...) AGAINST (... IN BOOLEAN MODE) has no columns
+                    scan(i + 1, close, { statement: false, where: where && !isWord(tokens[i - 1], 'AGAINST') });
+                }
+                if (mode === 'table') {
+                    mode = 'afterTable';
+                    last = null;
+                }
+                i = close;
+                continue;
+            }
+
+            if (mode === 'table') {
+                if (isWord(token, 'LATERAL')) continue;
+                if (isWord(token, 'DUAL') || (!targetNext && isName(token) && isPunct(next, '('))) {
+                    mode = 'afterTable';                     // FROM DUAL, JSON_TABLE(...) AS jt
+                    last = null;
+                    continue;
+                }
+                if (isName(token)) {
+                    i = register(i);
+                    mode = 'afterTable';
+                    continue;
+                }
+                mode = 'none';
+            }
+
+            if (mode === 'afterTable') {
+                if (isWord(token, 'AS')) continue;
+                if (isWord(token, 'PARTITION') && isPunct(next, '(')) {
+                    i = matches[i + 1];
+                    continue;
+                }
+                if (isWord(token) && INDEX_HINTS.has(token.upper) && isWord(next, 'INDEX', 'KEY')) {
+                    let j = i + 2;
+                    if (isWord(tokens[j], 'FOR')) j += isWord(tokens[j + 1], 'JOIN') ? 2 : 3;
+                    if (isPunct(tokens[j], '(')) {
+                        i = matches[j];
+                        continue;
+                    }
+                }
+                if (isName(token)) {
+                    if (last) aliases.set(token.value, last);
+                    last = null;
+                    continue;
+                }
+                if (isPunct(token, ',') && tableList) {
+                    mode = 'table';
+                    continue;
+                }
+                mode = 'none';
+            }
+
+            if (isPunct(token, ';')) {
+                tableList = target = targetNext = where = assigning = false;
+                continue;
+            }
+
+            if (assigning && isName(token) && isPunct(next, '.') && (isWord(tokens[i - 1], 'SET') || isPunct(tokens[i - 1], ','))
+                && tokens[i + 3] && tokens[i + 3].value === '=') {
+                setQualifiers.push(token.value);
+            }
+
+            if (!isWord(token)) {
+                if (where && isColumn(i)) addColumn(token.value);
+                continue;
+            }
+
+            const word = token.upper;
+            if (where && WHERE_END_WORDS.has(word)) where = false;
+            if (assigning && (word === 'WHERE' || WHERE_END_WORDS.has(word))) assigning = false;
+
+            if (word === 'FROM' && scope.statement) {
+                mode = 'table';
+                tableList = true;
+            } else if ((word === 'JOIN' || word === 'STRAIGHT_JOIN') && scope.statement) {
+                mode = 'table';
+            } else if ((word === 'INSERT' || word === 'REPLACE') && !isPunct(next, '(')) {
+                while (isWord(tokens[i + 1]) && INSERT_MODIFIERS.has(tokens[i + 1].upper)) i++;
+                mode = 'table';
+                tableList = false;
+                targetNext = true;
+            } else if (word === 'UPDATE' && !isPunct(next, '(') && !isWord(tokens[i - 1], 'KEY', 'FOR')) {
+                while (isWord(tokens[i + 1]) && UPDATE_MODIFIERS.has(tokens[i + 1].upper)) i++;
+                mode = 'table';
+                tableList = true;
+                target = true;
+            } else if (word === 'DELETE' && !isPunct(next, '(')) {
+                while (isWord(tokens[i + 1]) && DELETE_MODIFIERS.has(tokens[i + 1].upper)) i++;
+                i = readDeleteTargets(i + 1, to);
+                if (isWord(tokens[i], 'FROM')) {
+                    mode = 'table';
+                    tableList = true;
+                    target = targetNames.length === 0;   // DELETE FROM t: the FROM tables are the targets
+                } else if (isWord(tokens[i], 'USING')) {
+                    mode = 'table';
+                    tableList = true;
+                }
+            } else if (word === 'USING' && !isPunct(next, '(') && scope.statement) {
+                mode = 'table';
+                tableList = true;
+                target = false;
+            } else if (word === 'SET' || word === 'SELECT' || word === 'VALUES' || word === 'VALUE') {
+                assigning = word === 'SET' && target;
+                tableList = target = false;
+            } else if (word === 'WHERE') {
+                tableList = target = false;
+                where = Boolean(scope.top);
+            } else if (where && isColumn(i)) {
+                addColumn(token.value);
+            }
+        }
+    }
+
+    // DELETE t1, t2 FROM ... / DELETE FROM t1, t2 USING ...: collects the named targets, returns the
+    // index of the FROM or USING that starts the table references (at i for DELETE FROM t WHERE ...)
+    function readDeleteTargets(i, to) {
+        let j = isWord(tokens[i], 'FROM') ? i + 1 : i;
+        const names = [];
+        while (j < to && isName(tokens[j])) {
+            const name = readName(j);
+            names.push(name);
+            j = name.end + 1;
+            if (isPunct(tokens[j], '.') && tokens[j + 1] && tokens[j + 1].value === '*') j += 2;
+            if (!isPunct(tokens[j], ',')) break;
+            j++;
+        }
+
+        const usingForm = isWord(tokens[i], 'FROM') && isWord(tokens[j], 'USING');
+        const beforeFrom = !isWord(tokens[i], 'FROM') && isWord(tokens[j], 'FROM');
+        if (usingForm || beforeFrom) {
+            targetNames.push(...names);
+            return j;
+        }
+        return i;
+    }
+
+    scan(0, tokens.length, { statement: true, top: true });
+
+    // A multi-table UPDATE writes the tables its SET clause assigns to (all of them when unqualified)
+    const assigned = setQualifiers.map(qualifier => aliases.get(qualifier)
+        || refs.find(ref => ref.target && ref.name === qualifier));
+    if (assigned.length > 0 && assigned.every(Boolean)) {
+        refs.forEach(ref => { ref.target = ref.target && assigned.includes(ref); });
+    }
+
+    // Named DELETE targets are aliases of the referenced tables, or tables themselves
+    targetNames.forEach(({ schema, name }) => {
+        const ref = (!schema && aliases.get(name))
+            || refs.find(candidate => candidate.name === name && candidate.schema === schema);
+        if (ref) {
+            ref.target = true;
+        } else {
+            refs.push({ schema, name, target: true });
+        }
+    });
+
+    return { refs, whereColumns };
+}
+
+/**
+ * Reads the columns the outer statement binds to positional placeholders. A placeholder's
+ * param is its position among the ? and ?? placeholders of the whole statement.
+ *   where   [t.]col = ?, ? = [t.]col, [t.]col <=> ? and [t.]col IN (?, ...) conjuncts at the
+ *           top level of the WHERE clause
+ *   set     every SET assignment of an UPDATE or INSERT ... SET: [t.]col = ? binds its param,
+ *           other values bind null; `SET ?` (an object of columns) binds column null
+ *   values  every column of INSERT / REPLACE (cols) VALUES rows, one param (or null) per row
+ * @returns {Object} - { bindings: [{ clause, column, params }], conjunctive, upsert }: conjunctive
+ *                     is false when the WHERE clause has a top-level OR / XOR or the statement a
+ *                     UNION; upsert is true for INSERT ... ON DUPLICATE KEY UPDATE
+ */
+function readBindings(tokens, matches, type) {
+    const params = new Map();    // token index -> param index
+    tokens.forEach((token, i) => {
+        if (token.type === 'placeholder' && token.value.startsWith('?')) params.set(i, params.size);
+    });
+
+    const bindings = [];
+    let conjunctive = true;
+    let upsert = false;
+
+    // Column name of [qualifier.]column spanning tokens from..to-1, or null
+    function columnAt(from, to) {
+        if (to - from === 3 && isName(tokens[from]) && isPunct(tokens[from + 1], '.')) from += 2;
+        const token = tokens[from];
+        if (to - from !== 1 || !token) return null;
+        if (token.type === 'identifier') return token.value;
+        return token.type === 'word' && !EXPRESSION_WORDS.has(token.upper) && !CLAUSE_WORDS.has(token.upper)
+            ? token.value
+            : null;
+    }
+
+    function paramAt(from, to) {
+        return to - from === 1 && params.has(from) ? params.get(from) : null;
+    }
+
+    // Splits tokens from..to-1 at top-level separators (a punct value or uppercased words)
+    function split(from, to, separators) {
+        const parts = [];
+        let start = from;
+        for (let i = from; i < to; i++) {
+            if (isPunct(tokens[i], '(')) {
+                i = matches[i];
+            } else if (separators.includes(tokens[i].type === 'word' ? tokens[i].upper : tokens[i].value)) {
+                parts.push([start, i]);
+                start = i + 1;
+            }
+        }
+        parts.push([start, to]);
+        return parts;
+    }
+
+    // Index of the first top-level token in from..to-1 that is one of the words, or to
+    function findWord(from, to, words) {
+        for (let i = from; i < to; i++) {
+            if (isPunct(tokens[i], '(')) {
+                i = matches[i];
+            } else if (isWord(tokens[i], ...words) || isPunct(tokens[i], ';')) {
+                return i;
+            }
+        }
+        return to;
+    }
+
+    function readWhere(from, to) {
+        while (isPunct(tokens[from], '(') && matches[from] === to - 1) {
+            from++;
+            to--;
+        }
+        for (let i = from; i < to; i++) {
+            if (isPunct(tokens[i], '(')) i = matches[i];
+            else if (isWord(tokens[i], 'OR', 'XOR') || tokens[i].value === '||') conjunctive = false;
+        }
+
+        split(from, to, ['AND', '&&']).forEach(([start, end]) => {
+            const op = tokens.slice(start, end).findIndex(token => token.value === '=' || token.value === '<=>');
+            if (op !== -1) {
+                const [left, right] = [[start, start + op], [start + op + 1, end]];
+                const column = columnAt(...left) || columnAt(...right);
+                const param = columnAt(...left) ? paramAt(...right) : paramAt(...left);
+                if (column && param !== null) bindings.push({ clause: 'where', column, params: [param] });
+                return;
+            }
+
+            const inAt = tokens.slice(start, end).findIndex(token => isWord(token, 'IN'));
+            const open = start + inAt + 1;
+            if (inAt === -1 || !isPunct(tokens[open], '(') || matches[open] !== end - 1) return;
+
+            const column = columnAt(start, start + inAt);
+            const items = split(open + 1, end - 1, [',']).map(([itemStart, itemEnd]) => paramAt(itemStart, itemEnd));
+            if (column && items.every(param => param !== null)) bindings.push({ clause: 'where', column, params: items });
+        });
+    }
+
+    function readSet(from, to) {
+        split(from, to, [',']).forEach(([start, end]) => {
+            const op = tokens.slice(start, end).findIndex(token => token.value === '=');
+            if (op === -1) {
+                bindings.push({ clause: 'set', column: null, params: [paramAt(start, end)] });
+                return;
+            }
+            const column = columnAt(start, start + op);
+            if (column) bindings.push({ clause: 'set', column, params: [paramAt(start + op + 1, end)] });
+        });
+    }
+
+    const start = statementStart(tokens, matches);
+    const end = findWord(start, tokens.length, ['UNION', 'EXCEPT', 'INTERSECT']);
+    if (end < tokens.length && !isPunct(tokens[end], ';')) conjunctive = false;
+
+    if (type === 'INSERT' || type === 'REPLACE') {
+        const duplicate = findWord(start, end, ['DUPLICATE']);
+        upsert = duplicate < end && isWord(tokens[duplicate - 1], 'ON');
+        const body = upsert ? duplicate - 1 : end;
+
+        const set = findWord(start, body, ['SET']);
+        if (set < body) {
+            readSet(set + 1, body);
+        } else {
+            // INSERT INTO t (columns) VALUES (row), (row), ... (not the list of a PARTITION clause)
+            const valuesAt = findWord(start, body, ['VALUES', 'VALUE']);
+            const columnsAt = tokens.findIndex((token, i) => i > start && isPunct(token, '(') && matches[i] === valuesAt - 1);
+
+            if (valuesAt < body && columnsAt !== -1 && !isWord(tokens[columnsAt - 1], 'PARTITION')) {
+                const columns = split(columnsAt + 1, valuesAt - 1, [',']).map(([from, to]) => columnAt(from, to));
+                const rows = split(valuesAt + 1, body, [',']).map(([from]) => (isPunct(tokens[from], '(')
+                    ? split(from + 1, matches[from], [',']).map(([itemStart, itemEnd]) => paramAt(itemStart, itemEnd))
+                    : []));
+                columns.forEach((column, c) => {
+                    if (column) bindings.push({ clause: 'values', column, params: rows.map(row => (row[c] === undefined ? null : row[c])) });
+                });
+            }
+        }
+    } else if (DML_STATEMENTS.includes(type)) {
+        const where = findWord(start, end, ['WHERE']);
+        if (type === 'UPDATE') {
+            const set = findWord(start, where, ['SET']);
+            if (set < where) readSet(set + 1, findWord(set + 1, where, ['ORDER', 'LIMIT']));
+        }
+        if (where < end) readWhere(where + 1, findWord(where + 1, end, [...WHERE_END_WORDS]));
+    }
+
+    return { bindings, conjunctive, upsert };
+}
+
+function uniqueTables(refs, cteNames) {
+    const tables = [];
+    refs.forEach(({ schema, name }) => {
+        if (!schema && cteNames.has(name)) return;
+        if (!tables.some(table => table.schema === schema && table.name === name)) {
+            tables.push({ schema, name });
+        }
+    });
+    return tables;
+}
+
+const parseCache = new Map();
+
+/**
+ * Parses a SQL statement (results are cached per SQL string; don't modify them)
+ * @param {string} sql - SQL statement
+ * @returns {Object} - { type, tables, writeTables, whereColumns, bindings, conjunctive, upsert }
+ *                     (see readBindings for the last three)
+ *
+ * @example
+ * parseSql('UPDATE LOW_PRIORITY `shop`.`orders` SET paid = ? WHERE id = ?')
+ * // { type: 'UPDATE', tables: [{ schema: 'shop', name: 'orders' }],
+ * //   writeTables: [{ schema: 'shop', name: 'orders' }], whereColumns: ['id'],
+ * //   bindings: [{ clause: 'set', column: 'paid', params: [0] }, { clause: 'where', column: 'id', params: [1] }],
+ * //   conjunctive: true, upsert: false }
+ */
+function parseSql(sql) {
+    const text = typeof sql === 'string' ? sql : '';
+    const cached = parseCache.get(text);
+    if (cached) return cached;
+
+    const tokens = tokenize(text);
+    const matches = matchParens(tokens);
+    const type = statementType(tokens, matches);
+    let result = { type, tables: [], writeTables: [], whereColumns: [], bindings: [], conjunctive: true, upsert: false };
+
+    if (DML_STATEMENTS.includes(type)) {
+        const cteNames = collectCteNames(tokens, matches);
+        const { refs, whereColumns } = readReferences(tokens, matches);
+        result = {
+            type,
+            tables: uniqueTables(refs, cteNames),
+            writeTables: WRITE_STATEMENTS.includes(type) ? uniqueTables(refs.filter(ref => ref.target), cteNames) : [],
+            whereColumns,
+            ...readBindings(tokens, matches, type)
+        };
+    }
+
+    if (parseCache.size >= PARSE_CACHE_SIZE) {
+        parseCache.delete(parseCache.keys().next().value);
+    }
+    parseCache.set(text, result);
+    return result;
+}
+
+/**
+ * Checks if a statement writes (INSERT, UPDATE, DELETE, REPLACE)
+ * @param {string} sql - SQL statement
+ * @returns {boolean}
+ */
+function isWriteStatement(sql) {
+    return WRITE_STATEMENTS.includes(parseSql(sql).type);
+}
+
+/**
+ * Names a parsed table for the cache: `database.table` outside the default database, else bare
+ * @param {Object} table - Parsed table ({ schema, name })
+ * @param {Object} [scope] - { database, defaultDatabase }: the database the statement runs in
+ *                           (query `database` option) and the connection's default database
+ * @returns {string} - Table name, qualified unless it lives in the default database
+ *
+ * @example
+ * qualifiedTableName({ schema: null, name: 'users' }, { database: 'tenant_a', defaultDatabase: 'main' });
+ * // 'tenant_a.users'
+ * qualifiedTableName({ schema: 'main', name: 'users' }, { database: 'tenant_a', defaultDatabase: 'main' });
+ * // 'users'
+ */
+function qualifiedTableName(table, scope = {}) {
+    const database = table.schema || scope.database || null;
+    return database && database !== scope.defaultDatabase ? `${database}.${table.name}` : table.name;
+}
+
+/**
+ * Names every table of a parsed statement for the cache (see qualifiedTableName), without duplicates
+ * @param {Array<Object>} tables - Parsed tables ({ schema, name })
+ * @param {Object} [scope] - { database, defaultDatabase }
+ * @returns {Array<string>} - Table names, in order
+ */
+function qualifiedTableNames(tables, scope) {
+    return [...new Set(tables.map(table => qualifiedTableName(table, scope)))];
+}
+
+module.exports = {
+    WRITE_STATEMENTS,
+    tokenize,
+    parseSql,
+    isWriteStatement,
+    qualifiedTableName,
+    qualifiedTableNames
+};
@@ -0,0 +1,53 @@
+/**
+ * Stale-While-Revalidate Module (v2.9.0)
+ *
+ * Entries written with staleWhileRevalidate carry two expiries: a soft one stored in
+ * the entry itself (after it the value is stale) and a hard one, the store TTL (after
+ * it the key is gone). Between the two, readers get the stale value immediately
+ * while one background refresh re-runs the query and rewrites the key.
+ *
+ * Stored shape: { __swr: 1, staleAt: <ms timestamp>, value: <cached data> }
+ */
+
+/**
+ * Resolves the stale window of a read
+ * @param {boolean|number} option - staleWhileRevalidate option (true = as long as the ttl)
+ * @param {number} ttl - Cache TTL in seconds
+ * @returns {number} - Seconds an entry may be served stale (0 = disabled)
+ */
+function resolveStaleWindow(option, ttl) {
+    if (option === true) return ttl;
+    const seconds = parseInt(option);
+    return seconds > 0 ? seconds : 0;
+}
+
+/**
+ * Wraps a value with its soft expiry
+ * @param {any} value - Data to cache
+ * @param {number} ttl - Seconds until the value becomes stale
+ * @returns {Object} - Entry to store (store TTL = ttl + stale window)
+ */
+function wrapEntry(value, ttl) {
+    return { __swr: 1, staleAt: Date.now() + ttl * 1000, value };
+}
+
+function isWrappedEntry(cached) {
+    return cached !== null && typeof cached === 'object' && cached.__swr === 1 && 'value' in cached;
+}
+
+/**
+ * Unwraps a cached value
+ * @param {any} cached - Value read from the store (undefined on a miss)
+ * @returns {Object|undefined} - { value, stale }, or undefined on a miss
+ */
+function unwrapEntry(cached) {
+    if (cached === undefined) return undefined;
+    if (!isWrappedEntry(cached)) return { value: cached, stale: false };
+    return { value: cached.value, stale: cached.staleAt <= Date.now() };
+}
+
+module.exports = {
+    resolveStaleWindow,
+    wrapEntry,
+    unwrapEntry
+};
@@ -0,0 +1,145 @@
+const { qualifiedTableName } = require('./sqlParser');
+const { splitTableName } = require('./foreignKeys');
+
+/**
+ * Views Module (v2.9.0)
+ *
+ * The parser sees a view as a table: `SELECT * FROM active_users` depends on active_users,
+ * not on the users table behind it, so a write to users wouldn't evict it. This module
+ * reads the tables behind each view (INFORMATION_SCHEMA.VIEW_TABLE_USAGE, MySQL 8.0.13+)
+ * so reads of a view depend on its base tables too.
+ *
+ * Views: { 'schema.view': ['schema.table', ...] } as loaded. In an override, a bare view
+ * name applies in every database and bare table names live in the view's database.
+ * Views of views are resolved transitively.
+ */
+
+const VIEW_TABLES_SQL = `SELECT VIEW_SCHEMA AS viewSchema, VIEW_NAME AS viewName,
+    TABLE_SCHEMA AS tableSchema, TABLE_NAME AS tableName
+FROM INFORMATION_SCHEMA.VIEW_TABLE_USAGE
+WHERE VIEW_SCHEMA NOT IN ('mysql', 'sys', 'performance_schema', 'information_schema')`;
+
+const RETRY_DELAY = 60000;  // ms before a failed load is tried again (servers without VIEW_TABLE_USAGE)
+
+/**
+ * Converts the rows of VIEW_TABLES_SQL to views
+ * @param {Array<Object>} rows - Result rows
+ * @returns {Object} - { 'schema.view': ['schema.table', ...] }
+ */
+function toViews(rows) {
+    const views = {};
+    rows.forEach(row => {
+        const view = `${row.viewSchema}.${row.viewName}`;
+        (views[view] = views[view] || []).push(`${row.tableSchema}.${row.tableName}`);
+    });
+    return views;
+}
+
+/**
+ * Checks a views option
+ * @param {boolean|Object} option - true, false or views ({ view: [tables] })
+ * @returns {string|null} - Problem description, or null when the option is valid
+ */
+function validateViews(option) {
+    if (typeof option === 'boolean') return null;
+
+    const valid = Boolean(option) && typeof option === 'object' && !Array.isArray(option)
+        && Object.values(option).every(tables => Array.isArray(tables) && tables.every(table => typeof table === 'string'));
+    return valid ? null : 'views must be true, false or an object of view names to table arrays ({ active_users: [\'users\'] })';
+}
+
+/**
+ * Adds the base tables of the views among tables, transitively
+ * @param {Array<string>} tables - Tables named as the cache names them (bare in the default database)
+ * @param {Object} views - Views ({ view: [tables] })
+ * @param {Object} [scope] - { database, defaultDatabase }
+ * @returns {Array<string>} - The tables, then the tables behind their views
+ *
+ * @example
+ * expandViews(['active_users'], { 'main.active_users': ['main.users'] }, { defaultDatabase: 'main' });
+ * // ['active_users', 'users']
+ */
+function expandViews(tables, views, scope = {}) {
+    if (!views || Object.keys(views).length === 0) return tables;
+
+    const queue = tables.map(table => {
+        const { schema, name } = splitTableName(table);
+        return { schema: schema || scope.defaultDatabase || null, name };
+    });
+    const expanded = [...tables];
+
+    for (let i = 0; i < queue.length; i++) {
+        const { schema, name } = queue[i];
+        const baseTables = (schema && views[`${schema}.${name}`]) || views[name] || [];
+        baseTables.forEach(baseTable => {
+            const base = splitTableName(baseTable);
+            const next = { schema: base.schema || schema, name: base.name };
+            const qualified = qualifiedTableName(next, { defaultDatabase: scope.defaultDatabase });
+            if (expanded.includes(qualified)) return;
+
+            expanded.push(qualified);
+            queue.push(next);
+        });
+    }
+    return expanded;
+}
+
+/**
+ * Creates the view graph of a connector, loaded from the server once and on demand
+ * @param {Function} query - async (sql) -> rows, run on the primary
+ * @returns {Object} - { load, ensureLoaded, get }
+ */
+function createViewGraph(query) {
+    let views = {};
+    let loaded = false;
+    let loading = null;
+    let failedAt = 0;
+
+    return {
+        /**
+         * Reads the views from INFORMATION_SCHEMA, replacing the loaded ones
+         * @returns {Promise<Object>} - Views
+         */
+        async load() {
+            const rows = await query(VIEW_TABLES_SQL);
+            views = toViews(rows);
+            loaded = true;
+            return views;
+        },
+
+        /**
+         * Loads the views unless they are loaded. A failed load is logged and tried again by the
+         * first call a minute later; until then views depend on nothing behind them.
+         * @returns {Promise<void>}
+         */
+        async ensureLoaded() {
+            if (loaded || Date.now() - failedAt < RETRY_DELAY) return;
+            if (!loading) {
+                loading = this.load()
+                    .catch(err => {
+                        failedAt = Date.now();
+                        console.error('Loading views failed:', err.message);
+                    })
+                    .finally(() => {
+                        loading = null;
+                    });
+            }
+            await loading;
+        },
+
+        /**
+         * @returns {Object} - Loaded views (empty until loaded)
+         */
+        get() {
+            return views;
+        }
+    };
+}
+
+module.exports = {
+    VIEW_TABLES_SQL,
+    toViews,
+    validateViews,
+    expandViews,
+    createViewGraph
+};
@@ -1,13 +1,51 @@
 const db = require('mysql2/promise');
-const { getArrayItem, addArrayItem, delPrefixKeyItem } = require('./redis.Connector');
-const { generateCacheKey, isAutoKeyEnabled } = require('./core/autoKey');
-const { determineInvalidationPatterns } = require('./core/autoInvalidate');
+const redisConnector = require('./redis.Connector');
+const {
+    generateCacheKey,
+    isAutoKeyEnabled,
+    extractTableName: extractReadTable,
+    extractTableNames: extractReadTables
+} = require('./core/autoKey');
+const {
+    INVALIDATION_MODES,
+    determineInvalidationPatterns,
+    extractTableNames: extractWriteTables,
+    getInvalidationTables,
+    getRowInvalidation,
+    getRowRead,
+    getRowsTag,
+    getForeignKeySetting,
+    getViewSetting,
+    getRulePatterns,
+    getTableTtl,
+    isAutoInvalidationEnabled,
+    isRowLevelEnabled,
+    isWriteOperation,
+    resolvePatternTemplates
+} = require('./core/autoInvalidate');
+const { createPoolCluster, isConnectionError, READ_STRATEGIES } = require('./core/poolCluster');
+const { createConsistencyTracker } = require('./core/readConsistency');
+const { normalizeQueryArgs } = require('./core/queryOptions');
+const { resolveStaleWindow, wrapEntry, unwrapEntry } = require('./core/staleWhileRevalidate');
+const { createSingleFlight } = require('./core/singleFlight');
+const { createFillLock } = require('./core/fillLock');
+const { createForeignKeyGraph, getCascadedTables } = require('./core/foreignKeys');
+const { createViewGraph, expandViews } = require('./core/views');
+const { CODEC_NAMES } = require('./core/codec');
+const { COMPRESSION_ALGORITHMS } = require('./core/compression');
+const {
+    CACHE_STORES,
+    DEFAULT_TTL,
+    createMemoryStore,
+    createNullStore,
+    readCacheEntry,
+    supportsTags,
+    supportsVersions,
+    toCacheStore
+} = require('./core/cacheStore');
 require('dotenv').config();
 const env = process.env;
 
-// Check if Redis is enabled (default: true)
-const REDIS_ENABLED = env.REDIS_ENABLED !== 'false';
-
 /**
  * Validates required environment variables and provides helpful error messages
  * @throws {Error} If any required configuration is missing
@@ -45,8 +83,64 @@ function validateConfiguration() {
         errors.push('DB_CONNECT_TIMEOUT must be a valid number in milliseconds (e.g., DB_CONNECT_TIMEOUT=10000)');
     }
 
+    if (env.DB_HEALTH_CHECK_INTERVAL && isNaN(parseInt(env.DB_HEALTH_CHECK_INTERVAL))) {
+        errors.push('DB_HEALTH_CHECK_INTERVAL must be a valid number in milliseconds (e.g., DB_HEALTH_CHECK_INTERVAL=5000)');
+    }
+
+    if (env.DB_STICKY_WINDOW && isNaN(parseInt(env.DB_STICKY_WINDOW))) {
+        errors.push('DB_STICKY_WINDOW must be a valid number in milliseconds (e.g., DB_STICKY_WINDOW=5000)');
+    }
+
+    if (env.DB_MAX_REPLICATION_LAG && isNaN(parseInt(env.DB_MAX_REPLICATION_LAG))) {
+        errors.push('DB_MAX_REPLICATION_LAG must be a valid number in seconds (e.g., DB_MAX_REPLICATION_LAG=1)');
+    }
+
+    if (env.DB_READ_STRATEGY && !READ_STRATEGIES.includes(env.DB_READ_STRATEGY)) {
+        errors.push(`DB_READ_STRATEGY must be one of: ${READ_STRATEGIES.join(', ')} (e.g., DB_READ_STRATEGY=least-busy)`);
+    }
+
+    if (env.CACHE_STORE && !CACHE_STORES.includes(env.CACHE_STORE)) {
+        errors.push(`CACHE_STORE must be one of: ${CACHE_STORES.join(', ')} (e.g., CACHE_STORE=memory)`);
+    }
+
+    if (env.CACHE_CODEC && !CODEC_NAMES.includes(env.CACHE_CODEC)) {
+        errors.push(`CACHE_CODEC must be one of: ${CODEC_NAMES.join(', ')} (e.g., CACHE_CODEC=msgpack)`);
+    }
+
+    if (env.CACHE_COMPRESSION && !COMPRESSION_ALGORITHMS.includes(env.CACHE_COMPRESSION)) {
+        errors.push(`CACHE_COMPRESSION must be one of: ${COMPRESSION_ALGORITHMS.join(', ')} (e.g., CACHE_COMPRESSION=gzip)`);
+    }
+
+    if (env.CACHE_INVALIDATION && !INVALIDATION_MODES.includes(env.CACHE_INVALIDATION)) {
+        errors.push(`CACHE_INVALIDATION must be one of: ${INVALIDATION_MODES.join(', ')} (e.g., CACHE_INVALIDATION=tags)`);
+    } else if (env.CACHE_ROW_INVALIDATION === 'true' && env.CACHE_INVALIDATION === 'versions') {
+        errors.push('CACHE_ROW_INVALIDATION works with CACHE_INVALIDATION=prefix or tags, not versions');
+    }
+
+    if (env.CACHE_DEFAULT_TTL && !(parseInt(env.CACHE_DEFAULT_TTL) > 0)) {
+        errors.push('CACHE_DEFAULT_TTL must be a positive number of seconds (e.g., CACHE_DEFAULT_TTL=3600)');
+    }
+
+    if (env.CACHE_NEGATIVE_TTL && !(parseInt(env.CACHE_NEGATIVE_TTL) >= 0)) {
+        errors.push('CACHE_NEGATIVE_TTL must be a number of seconds, 0 to not cache empty results (e.g., CACHE_NEGATIVE_TTL=30)');
+    }
+
+    [
+        'CACHE_MEMORY_MAX_ENTRIES',
+        'CACHE_MEMORY_MAX_BYTES',
+        'CACHE_L1_TTL',
+        'CACHE_L1_MAX_ENTRIES',
+        'CACHE_FILL_LOCK_TTL',
+        'CACHE_FILL_LOCK_WAIT',
+        'CACHE_COMPRESSION_THRESHOLD'
+    ].forEach(name => {
+        if (env[name] && isNaN(parseInt(env[name]))) {
+            errors.push(`${name} must be a valid number (e.g., ${name}=1000)`);
+        }
+    });
+
     // Validate Redis configuration if enabled
-    if (REDIS_ENABLED) {
+    if (getCacheStoreTypeFromEnv() === 'redis') {
         if (!env.REDIS_SERVER) {
             errors.push('REDIS_SERVER is required when Redis is enabled (e.g., REDIS_SERVER=localhost). Set REDIS_ENABLED=false to disable Redis.');
         }
@@ -71,233 +165,720 @@ function validateConfiguration() {
     }
 }
 
-// Validate configuration on module load
-validateConfiguration();
-
-// Connection pool configuration with auto-reconnection
-// Optimized defaults for production use
-const poolConfig = {
-    host: env.DB_HOST,
-    user: env.DB_USERNAME,
-    password: env.DB_PASSWORD || '',
-    database: env.DB_NAME,
-    connectionLimit: parseInt(env.DB_CONNECTION_LIMIT) || 151,       // High traffic default (adjust based on server capacity)
-    queueLimit: parseInt(env.DB_QUEUE_LIMIT) || 0,                   // 0 = unlimited queue (wait when pool is full)
-    maxIdle: parseInt(env.DB_MAX_IDLE) || 10,                        // Maximum idle connections (MySQL2 recommended)
-    idleTimeout: parseInt(env.DB_IDLE_TIMEOUT) || 60000,             // Idle connection timeout in ms (60 seconds)
-    connectTimeout: parseInt(env.DB_CONNECT_TIMEOUT) || 10000,       // 10 seconds timeout for initial connection
-    multipleStatements: env.DB_MULTIPLE_STATEMENTS !== undefined     // Backward compatible: default true
-        ? env.DB_MULTIPLE_STATEMENTS === 'true'
-        : true,
-    port: parseInt(env.DB_PORT) || 3306,
-    timezone: env.TIMEZONE || '+00:00',
+// Check if Redis is enabled (default: true)
+function isRedisEnabledByEnv() {
+    return env.REDIS_ENABLED !== 'false';
+}
+
+// Cache store selected by CACHE_STORE; without it REDIS_ENABLED=false means no caching
+function getCacheStoreTypeFromEnv() {
+    if (env.CACHE_STORE) return env.CACHE_STORE;
+    return isRedisEnabledByEnv() ? 'redis' : 'null';
+}
+
+/**
+ * Builds the cache store selected by environment variables
+ * @returns {Object} - CacheStore, or the default Redis connector
+ */
+function createCacheStoreFromEnv() {
+    switch (getCacheStoreTypeFromEnv()) {
+        case 'memory':
+            return createMemoryStore({
+                maxEntries: parseInt(env.CACHE_MEMORY_MAX_ENTRIES) || undefined,
+                maxBytes: parseInt(env.CACHE_MEMORY_MAX_BYTES) || undefined
+            });
+        case 'null':
+            return createNullStore();
+        default:
+            return redisConnector;
+    }
+}
+
+// Optimized pool defaults for production use, shared by env and programmatic configuration
+const DEFAULT_POOL_OPTIONS = {
+    password: '',
+    connectionLimit: 151,           // High traffic default (adjust based on server capacity)
+    queueLimit: 0,                  // 0 = unlimited queue (wait when pool is full)
+    maxIdle: 10,                    // Maximum idle connections (MySQL2 recommended)
+    idleTimeout: 60000,             // Idle connection timeout in ms (60 seconds)
+    connectTimeout: 10000,          // 10 seconds timeout for initial connection
+    multipleStatements: true,       // Backward compatible: default true
+    port: 3306,
+    timezone: '+00:00',
     waitForConnections: true,
     enableKeepAlive: true,
     keepAliveInitialDelay: 0
 };
 
-const con = db.createPool(poolConfig);
+/**
+ * Builds the connection pool configuration from environment variables
+ * @returns {Object} - mysql2 pool options
+ */
+function createPoolConfigFromEnv() {
+    return {
+        ...DEFAULT_POOL_OPTIONS,
+        host: env.DB_HOST,
+        user: env.DB_USERNAME,
+        password: env.DB_PASSWORD || DEFAULT_POOL_OPTIONS.password,
+        database: env.DB_NAME,
+        connectionLimit: parseInt(env.DB_CONNECTION_LIMIT) || DEFAULT_POOL_OPTIONS.connectionLimit,
+        queueLimit: parseInt(env.DB_QUEUE_LIMIT) || DEFAULT_POOL_OPTIONS.queueLimit,
+        maxIdle: parseInt(env.DB_MAX_IDLE) || DEFAULT_POOL_OPTIONS.maxIdle,
+        idleTimeout: parseInt(env.DB_IDLE_TIMEOUT) || DEFAULT_POOL_OPTIONS.idleTimeout,
+        connectTimeout: parseInt(env.DB_CONNECT_TIMEOUT) || DEFAULT_POOL_OPTIONS.connectTimeout,
+        multipleStatements: env.DB_MULTIPLE_STATEMENTS !== undefined
+            ? env.DB_MULTIPLE_STATEMENTS === 'true'
+            : DEFAULT_POOL_OPTIONS.multipleStatements,
+        port: parseInt(env.DB_PORT) || DEFAULT_POOL_OPTIONS.port,
+        timezone: env.TIMEZONE || DEFAULT_POOL_OPTIONS.timezone
+    };
+}
 
-// Graceful shutdown flag
-let isShuttingDown = false;
+/**
+ * Parses DB_REPLICA_HOSTS ("host1:3307,host2") into replica pool options
+ * @param {string|undefined} value - Comma-separated host[:port] list
+ * @returns {Array<Object>} - Replica options ({ host, port })
+ */
+function parseReplicaHosts(value) {
+    if (!value) return [];
+
+    return value.split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const [host, port] = entry.split(':');
+            return port ? { host, port: parseInt(port) } : { host };
+        });
+}
 
-// Retry helper function with optional database switching and timeout protection
-// Fixed: Properly cleanup timeout promises to prevent memory leaks
-async function executeWithRetry(fn, retries = 3, delay = 1000, database = null, timeout = null) {
-    for (let i = 0; i < retries; i++) {
-        try {
-            if (isShuttingDown) {
-                throw new Error('Server is shutting down, cannot process new queries');
-            }
+// Empty read results (no rows, or a page of a query without rows) are cached with negativeTtl
+function isEmptyResult(data) {
+    if (Array.isArray(data)) return data.length === 0;
+    return Boolean(data) && data.totalCount === 0;
+}
 
-            if (timeout) {
-                let timeoutHandle;
-                const timeoutPromise = new Promise((_, reject) => {
-                    timeoutHandle = setTimeout(() => reject(new Error('Query timeout exceeded')), timeout);
-                });
+/**
+ * Creates an independent set of query functions bound to one pool and one cache.
+ * Nothing here reads process.env, so several instances can live in one process.
+ *
+ * @param {Object} options - Connector options
+ * @param {Object} [options.pool] - Existing mysql2/promise pool (takes priority over options.mysql)
+ * @param {Object} [options.mysql] - mysql2 pool options, merged over the production defaults
+ * @param {Array<Object>} [options.mysql.replicas] - Read replica pool options (merged over the primary's options)
+ * @param {string} [options.mysql.readStrategy] - Replica selection: 'round-robin' (default) or 'least-busy'
+ * @param {number} [options.mysql.healthCheckInterval] - ms between replica health checks (default: 5000)
+ * @param {number} [options.mysql.stickyWindow] - ms reads of a written table stay on the primary (default: 5000)
+ * @param {number} [options.mysql.maxReplicationLag] - Max replica lag in seconds for a replica read to be cached
+ * @param {Object|null} [options.cache] - CacheStore ({ get, set, del, delByPrefix, mget }) or the legacy
+ *                                       cache functions ({ getArrayItem, addArrayItem, delKeyItem, delPrefixKeyItem })
+ * @param {boolean} [options.cacheEnabled] - Enable caching (default: true when a cache is given)
+ * @param {number} [options.defaultTtl] - Cache TTL in seconds when neither the call nor the table sets one
+ *                                        (default: 40000)
+ * @param {number} [options.negativeTtl] - Cache TTL in seconds for empty results (default: same as other
+ *                                         results, 0 = don't cache empty results)
+ * @param {Object} [options.fillLock] - Distributed fill lock ({ enabled, lockTtl, maxWait, pollInterval }),
+ *                                      see core/fillLock.js
+ * @param {Object} [options.autoKey] - Instance auto key config ({ enabled }); falls back to enableAutoKey()
+ * @param {Object} [options.autoInvalidation] - Instance auto invalidation config ({ enabled, tables, rowLevel,
+ *                                              foreignKeys, views }); falls back to enableAutoInvalidation()
+ * @param {string} [options.invalidation] - How auto invalidation evicts a written table: 'prefix' (default,
+ *                                          SCAN for its key patterns), 'tags' (the keys cached reads of
+ *                                          the table recorded under its tag; needs addTags / delByTags) or
+ *                                          'versions' (increments the table's version, which auto keys
+ *                                          embed; needs getVersions / incrVersions)
+ * @returns {Object} - Query functions (getCacheQuery, QuaryCache, withTransaction, ...)
+ * @throws {Error} If invalidation is 'tags' or 'versions' and the cache store doesn't support it
+ */
+function createDbConnector(options = {}) {
+    const {
+        replicas = [],
+        readStrategy,
+        healthCheckInterval,
+        stickyWindow,
+        maxReplicationLag,
+        ...poolOptions
+    } = options.mysql || {};
+    const cluster = createPoolCluster({
+        primary: options.pool || db.createPool({ ...DEFAULT_POOL_OPTIONS, ...poolOptions }),
+        // Replicas inherit the primary's options (user, password, database, ...)
+        replicas: replicas.map(replica => db.createPool({ ...DEFAULT_POOL_OPTIONS, ...poolOptions, ...replica })),
+        strategy: readStrategy,
+        healthCheckInterval,
+        maxReplicationLag
+    });
+    const consistency = createConsistencyTracker({ stickyWindow });
+    const con = cluster.getWritePool();
+    const store = options.cache ? toCacheStore(options.cache) : null;
+    const cacheEnabled = Boolean(store) && options.cacheEnabled !== false;
+    const autoInvalidation = options.autoInvalidation;
+    const defaultTtl = options.defaultTtl || DEFAULT_TTL;
+    const negativeTtl = options.negativeTtl;
+    const fillLock = createFillLock(store, options.fillLock || {});
+    const invalidationMode = options.invalidation || 'prefix';
+    // Tables of this database keep bare names in keys; others are named `database.table`
+    const defaultDatabase = poolOptions.database || null;
+
+    if (invalidationMode === 'tags' && store && !supportsTags(store)) {
+        throw new Error('invalidation \'tags\' needs a cache store with addTags and delByTags');
+    }
+    if (invalidationMode === 'versions' && store && !supportsVersions(store)) {
+        throw new Error('invalidation \'versions\' needs a cache store with getVersions and incrVersions');
+    }
 
-                try {
-                    const result = await Promise.race([fn(database), timeoutPromise]);
-                    clearTimeout(timeoutHandle);  // Clean up timeout on success
-                    return result;
-                } catch (error) {
-                    clearTimeout(timeoutHandle);  // Clean up timeout on error
-                    throw error;
-                }
-            }
+    function autoKeyEnabled() {
+        return options.autoKey ? options.autoKey.enabled !== false : isAutoKeyEnabled();
+    }
 
-            return await fn(database);
-        } catch (error) {
-            if (i === retries - 1) throw error;
-
-            // Retry only on connection errors
-            if (error.code === 'ECONNREFUSED' ||
-                error.code === 'ETIMEDOUT' ||
-                error.code === 'ENOTFOUND' ||
-                error.code === 'PROTOCOL_CONNECTION_LOST' ||
-                error.code === 'ER_CON_COUNT_ERROR') {
-                await new Promise(resolve => setTimeout(resolve, delay * Math.pow(2, i)));
-            } else {
-                throw error;
-            }
+    function autoInvalidationEnabled() {
+        return autoInvalidation ? autoInvalidation.enabled !== false : isAutoInvalidationEnabled();
+    }
+
+    // Row-level invalidation finds the reads a pinned write doesn't evict by key through table tags,
+    // so it needs a store with tags; 'versions' mode keeps one version per table
+    function rowLevelEnabled() {
+        return invalidationMode !== 'versions' && autoInvalidationEnabled() && isRowLevelEnabled(autoInvalidation)
+            && supportsTags(store);
+    }
+
+    // The database a statement runs in (its `database` option, else the default) for table names
+    function tableScope(database) {
+        return { database, defaultDatabase };
+    }
+
+    // Foreign keys writes cascade through: the autoInvalidation.foreignKeys override, or with
+    // foreignKeys: true the ones loaded from INFORMATION_SCHEMA (see core/foreignKeys.js)
+    const foreignKeyGraph = createForeignKeyGraph(async (sql) => {
+        const [rows] = await con.query(sql);
+        return rows;
+    });
+
+    function getForeignKeys() {
+        const setting = getForeignKeySetting(autoInvalidation);
+        if (Array.isArray(setting)) return setting;
+        return setting === true ? foreignKeyGraph.get() : [];
+    }
+
+    // Loads the foreign keys before the first write needs them; called before taking a connection,
+    // so a pool of one connection can still load them
+    async function ensureForeignKeys() {
+        if (getForeignKeySetting(autoInvalidation) === true && autoInvalidationEnabled()) {
+            await foreignKeyGraph.ensureLoaded();
         }
     }
-}
 
-module.exports = {
+    // Stores that refuse writes they couldn't invalidate (the Redis 'fail' invalidation policy) reject
+    // here, before the write runs
+    async function ensureInvalidationReady() {
+        if (cacheEnabled && typeof store.ensureInvalidationReady === 'function') {
+            await store.ensureInvalidationReady();
+        }
+    }
+
+    // Tables behind the views reads depend on: the autoInvalidation.views override, or with
+    // views: true the ones loaded from INFORMATION_SCHEMA (see core/views.js)
+    const viewGraph = createViewGraph(async (sql) => {
+        const [rows] = await con.query(sql);
+        return rows;
+    });
+
+    function getViews() {
+        const setting = getViewSetting(autoInvalidation);
+        if (setting === true) return viewGraph.get();
+        return setting || {};
+    }
+
+    // Loads the views before the first read needs them
+    async function ensureViews() {
+        if (getViewSetting(autoInvalidation) === true && autoInvalidationEnabled()) {
+            await viewGraph.ensureLoaded();
+        }
+    }
+
+    // Read them at startup (in the background) when they are enabled
+    if (cacheEnabled) {
+        ensureForeignKeys();
+        ensureViews();
+    }
+
+    // Tables a read depends on (JOINs, subqueries, UNIONs, CTEs, and the tables behind its views)
+    function getReadTables(sql, database = null) {
+        const scope = tableScope(database);
+        return expandViews(extractReadTables(sql, scope), getViews(), scope);
+    }
+
+    // Whether recent writes require a read's cache misses to go to the primary
+    function requiresPrimary(sql, database = null) {
+        return consistency.requiresPrimary(getReadTables(sql, database));
+    }
+
     /**
-     * Executes a SQL query and returns the result from the cache or the database.
-     * If a resetCacheName is provided, it deletes the cache item before executing the query.
-     *
-     * v2.6.0: resetCacheName is now optional. If not provided and CORE_AUTO_INVALIDATION=true,
-     * cache will be auto-invalidated based on the affected table.
-     *
-     * @param {string} sql - The SQL query to execute.
-     * @param {Array} parameters - The parameters to be passed to the SQL query.
-     * @param {string|null} resetCacheName - The name of the cache item to reset (optional).
-     * @param {string|null} database - The database name to switch to (optional).
-     * @returns {Promise<any>} - A promise that resolves with the result of the query.
-     * @throws {Error} - If an error occurs during the query execution.
+     * Auto-generated cache key of a read: { key, cacheable }. In 'versions' mode the key embeds the
+     * current versions of the tables the read depends on; when they can't be read, the key is
+     * unversioned and not cacheable (serving or filling it could mix up versions). Tables outside
+     * the default database are keyed as `database.table`.
      */
-    async QuaryCache(sql, parameters, resetCacheName = null, database = null) {
-        return executeWithRetry(async (db) => {
-            let connection;
-            try {
-                connection = await con.getConnection();
-                if (db) {
-                    await connection.query(`USE \`${db}\``);
-                }
-                const [data] = await connection.query(sql, parameters);
+    async function generateReadKey(sql, parameters, database = null) {
+        const scope = tableScope(database);
+        await ensureViews();
+        if (invalidationMode !== 'versions' || !cacheEnabled) {
+            return { key: generateCacheKey(sql, parameters, scope), cacheable: true };
+        }
 
-                // Determine which cache patterns to invalidate
-                if (REDIS_ENABLED) {
-                    const patterns = determineInvalidationPatterns(sql, resetCacheName);
+        const tables = getReadTables(sql, database);
+        let versions = null;
+        try {
+            versions = await store.getVersions(tables);
+        } catch (err) {
+            console.error('Reading table versions failed:', err.message);
+        }
+        if (!versions) {
+            return { key: generateCacheKey(sql, parameters, scope), cacheable: false };
+        }
+        return {
+            key: generateCacheKey(sql, parameters, {
+                ...scope,
+                versions: Object.fromEntries(tables.map((table, i) => [table, versions[i]]))
+            }),
+            cacheable: true
+        };
+    }
 
-                    if (patterns.length > 0) {
-                        await Promise.all(
-                            patterns.map(pattern => delPrefixKeyItem(pattern))
-                        );
-                    }
-                }
+    // Cache TTL for a read: per-call ttl, then the table's ttl rule, then the connector default
+    function resolveTtl(sql, ttl, database = null) {
+        return ttl || getTableTtl(extractReadTable(sql, tableScope(database)), autoInvalidation) || defaultTtl;
+    }
+
+    // Cache TTL for a read result: empty results use negativeTtl when set (0 = don't cache them)
+    function resolveResultTtl(sql, data, query) {
+        const ttl = resolveTtl(sql, query.ttl, query.database);
+        if (!isEmptyResult(data)) return ttl;
+
+        const emptyTtl = query.negativeTtl !== undefined ? query.negativeTtl : negativeTtl;
+        return emptyTtl === undefined || emptyTtl === null ? ttl : emptyTtl;
+    }
 
-                return data;
-            } catch (err) {
-                throw err;
-            } finally {
-                if (connection) {
-                    connection.release();
-                }
-            }
-        }, 3, 1000, database);
-    },
     /**
-     * Retrieves data from cache or database based on the provided SQL query and parameters.
-     * If the data is found in the cache, it is returned. Otherwise, the data is fetched from the database,
-     * stored in the cache, and then returned.
-     *
-     * v2.6.0: cacheName is now optional. If not provided and CORE_AUTO_FEATURES=true,
-     * a cache key will be auto-generated from the SQL query and parameters.
-     *
-     * @param {string} sql - The SQL query to be executed.
-     * @param {Array} parameters - The parameters to be passed to the SQL query.
-     * @param {string|null} cacheName - The name of the cache to store the data (optional if auto-key enabled).
-     * @param {string|null} database - The database name to switch to (optional).
-     * @returns {Promise<Array>} - A promise that resolves to the retrieved data.
-     * @throws {Error} - If there is an error while retrieving the data.
+     * Tags a cached read is recorded under: the query's own tags, plus the tables it depends on in
+     * 'tags' mode, or in 'prefix' mode when it reads several tables (a key prefix covers only one,
+     * so writes to the others find the read by tag). 'versions' auto keys embed every table instead,
+     * but reads under explicit keys carry no versions and are tagged with their tables.
+     * With row-level invalidation every read but entity reads (auto-keyed `WHERE pk = ?`) is tagged
+     * with its tables; entity reads are tagged `table:rows` in 'tags' mode and not at all in 'prefix' mode.
      */
-    async getCacheQuery(sql, parameters, cacheName = null, database = null) {
-        // Auto-generate cache key if not provided and feature is enabled
-        let finalCacheName = cacheName;
-
-        if (!finalCacheName) {
-            if (isAutoKeyEnabled()) {
-                finalCacheName = generateCacheKey(sql, parameters);
-            } else {
-                throw new Error(
-                    'cacheName is required. To enable auto key generation, set CORE_AUTO_FEATURES=true in .env'
-                );
+    function getReadTags(cacheKey, sql, { params = [], tags = [], database = null, autoKeyed = false }) {
+        let tables = [];
+        if (rowLevelEnabled()) {
+            const row = getRowRead(sql, params, autoInvalidation, tableScope(database));
+            if (!row || row.key !== cacheKey) {
+                tables = getReadTables(sql, database);
+            } else if (invalidationMode === 'tags') {
+                tables = [getRowsTag(row.table)];
             }
+        } else if (invalidationMode === 'tags') {
+            tables = getReadTables(sql, database);
+        } else if (invalidationMode === 'prefix' && autoInvalidationEnabled()) {
+            const readTables = getReadTables(sql, database);
+            tables = readTables.length > 1 ? readTables : [];
+        } else if (invalidationMode === 'versions' && autoInvalidationEnabled() && !autoKeyed) {
+            tables = getReadTables(sql, database);
         }
+        return [...new Set([...tables, ...tags])];
+    }
 
-        return executeWithRetry(async (db) => {
-            let connection;
+    let warnedNoTags = false;
+
+    // query: { params, tags, database, autoKeyed } of the read
+    async function tagCachedRead(cacheKey, sql, query, ttl) {
+        await ensureViews();
+        const readTags = getReadTags(cacheKey, sql, query);
+        if (readTags.length === 0) return;
+
+        if (supportsTags(store)) {
+            await store.addTags(cacheKey, readTags, ttl);
+        } else if (invalidationMode === 'prefix' && !warnedNoTags) {
+            // Only the key prefix of the first table is left to evict the read
+            warnedNoTags = true;
+            console.warn('The cache store has no addTags / delByTags: writes to the other tables of a read '
+                + 'of several tables (or of a view) won\'t evict it, nor will its tags');
+        }
+    }
+
+    /**
+     * What a write evicts: { patterns, tags, versions, keys }. Auto invalidation covers every written table
+     * and the tables it cascades to through foreign keys, plus the tables and rule names that declare they
+     * depend on them (dependsOnMe), as if they were written:
+     * 'prefix' deletes its patterns and the reads that joined it (its tag); 'tags' evicts its tag and
+     * 'versions' increments its version instead of deleting default patterns (and evicts its tag, which
+     * records the reads cached under explicit keys; stores without tags delete the default patterns). Manual keys and table
+     * rules with patterns stay prefixes, their `{column}` templates filled from the write's parameters.
+     * `database` is the database the write ran in.
+     * With row-level invalidation, a write that pins rows by primary key deletes their entity keys
+     * and evicts the table's other reads by tag, but keeps the entity keys of other rows (dependents are
+     * evicted whole).
+     */
+    function getInvalidationTargets(sql, resetCacheName, tags = [], database = null, parameters = []) {
+        const scope = tableScope(database);
+        const foreignKeys = getForeignKeys();
+        const patterns = determineInvalidationPatterns(sql, resetCacheName, autoInvalidation, scope, parameters, foreignKeys);
+        if (resetCacheName || patterns.length === 0) {
+            return { patterns, tags, versions: [], keys: [] };
+        }
+
+        const tables = getInvalidationTables(sql, autoInvalidation, scope, foreignKeys);
+        const tableTags = [...new Set([...tables, ...tags])];
+        const rules = autoInvalidation ? autoInvalidation.tables || {} : undefined;
+        const rulePatterns = resolvePatternTemplates(tables.flatMap(table => getRulePatterns(table, rules) || []), sql, parameters);
+
+        const row = rowLevelEnabled() ? getRowInvalidation(sql, parameters, autoInvalidation, scope) : null;
+        if (row) {
+            // Without a rule, the default table:* pattern would also delete other rows' entity keys
+            const rowPatterns = invalidationMode === 'prefix'
+                ? patterns.filter(pattern => pattern !== `${row.table}:*` || getRulePatterns(row.table, rules))
+                : rulePatterns;
+            const rowsTags = invalidationMode === 'tags' ? tables.filter(table => table !== row.table).map(getRowsTag) : [];
+            return { patterns: rowPatterns, tags: [...tableTags, ...rowsTags], versions: [], keys: row.keys };
+        }
+
+        if (invalidationMode === 'prefix') {
+            return { patterns, tags: tableTags, versions: [], keys: [] };
+        }
+        if (invalidationMode === 'tags') {
+            const rowsTags = rowLevelEnabled() ? tables.map(getRowsTag) : [];
+            return { patterns: rulePatterns, tags: [...tableTags, ...rowsTags], versions: [], keys: [] };
+        }
+        return supportsTags(store)
+            ? { patterns: rulePatterns, tags: tableTags, versions: tables, keys: [] }
+            : { patterns, tags, versions: tables, keys: [] };
+    }
+
+    async function invalidate({ patterns, tags, versions, keys }) {
+        await Promise.all([
+            ...patterns.map(pattern => store.delByPrefix(pattern)),
+            tags.length > 0 && supportsTags(store) ? store.delByTags(tags) : null,
+            versions.length > 0 ? store.incrVersions(versions) : null,
+            keys.length > 0 ? store.del(keys) : null
+        ]);
+    }
+
+    // Applies the invalidations of a write that has run: a failure is logged, not thrown, so the
+    // caller isn't told the write failed (and executeWithRetry doesn't run it again)
+    async function invalidateAfterWrite(targets) {
+        try {
+            await invalidate(targets);
+        } catch (err) {
+            console.error('Cache invalidation failed:', err.message);
+        }
+    }
+
+    // Record a write statement for read-your-writes routing (with the tables it cascades to)
+    function recordWrite(sql, database = null) {
+        if (isWriteOperation(sql)) {
+            const scope = tableScope(database);
+            consistency.recordWrite([...new Set([
+                ...extractWriteTables(sql, scope),
+                ...getCascadedTables(sql, getForeignKeys(), scope)
+            ])]);
+        }
+    }
+
+    // Graceful shutdown flag
+    let isShuttingDown = false;
+
+    // Retry helper function with optional database switching and timeout protection
+    // Fixed: Properly cleanup timeout promises to prevent memory leaks
+    async function executeWithRetry(fn, retries = 3, delay = 1000, database = null, timeout = null) {
+        for (let i = 0; i < retries; i++) {
             try {
-                if (REDIS_ENABLED) {
-                    const cachedData = await getArrayItem(finalCacheName);
-                    if (cachedData.length > 0) {
-                        return cachedData;
-                    }
+                if (isShuttingDown) {
+                    throw new Error('Server is shutting down, cannot process new queries');
                 }
 
-                connection = await con.getConnection();
-                if (db) {
-                    await connection.query(`USE \`${db}\``);
+                if (timeout) {
+                    let timeoutHandle;
+                    const timeoutPromise = new Promise((_, reject) => {
+                        timeoutHandle = setTimeout(() => reject(new Error('Query timeout exceeded')), timeout);
+                    });
+
+                    try {
+                        const result = await Promise.race([fn(database), timeoutPromise]);
+                        clearTimeout(timeoutHandle);  // Clean up timeout on success
+                        return result;
+                    } catch (error) {
+                        clearTimeout(timeoutHandle);  // Clean up timeout on error
+                        throw error;
+                    }
                 }
-                const [data] = await connection.query(sql, parameters);
 
-                if (REDIS_ENABLED) {
-                    await addArrayItem(finalCacheName, data);
-                }
+                return await fn(database);
+            } catch (error) {
+                if (i === retries - 1) throw error;
 
-                return data;
-            } catch (err) {
-                throw err;
-            } finally {
-                if (connection) {
-                    connection.release();
+                // Retry only on connection errors
+                if (isConnectionError(error)) {
+                    await new Promise(resolve => setTimeout(resolve, delay * Math.pow(2, i)));
+                } else {
+                    throw error;
                 }
             }
-        }, 3, 1000, database);
-    },
+        }
+    }
+
+    // Stale entries being refreshed in the background (one refresh per key)
+    const refreshing = new Set();
+    // Database loads in flight, shared by concurrent misses of the same cache key
+    const fills = createSingleFlight();
+
+    // Writes a cached read and records it under its tags; with staleWhileRevalidate the entry
+    // carries its soft expiry and the store TTL (hard expiry) is extended by the stale window
+    async function storeCachedRead(cacheKey, data, sql, query) {
+        const ttl = resolveResultTtl(sql, data, query);
+        if (!ttl) return;
+
+        const staleWindow = resolveStaleWindow(query.staleWhileRevalidate, ttl);
+
+        if (staleWindow > 0) {
+            await store.set(cacheKey, wrapEntry(data, ttl), ttl + staleWindow);
+        } else {
+            await store.set(cacheKey, data, ttl);
+        }
+        await tagCachedRead(cacheKey, sql, query, ttl + staleWindow);
+    }
+
+    // Runs `load(connection)` on a read connection (the primary when preferPrimary is set, else a
+    // replica) and caches its result (unless writeBack is false)
+    async function loadAndStore(cacheKey, sql, query, load, db, writeBack = true, preferPrimary = false) {
+        let connection;
+        try {
+            connection = await cluster.getReadConnection({ preferPrimary });
+            if (db) {
+                await connection.query(`USE \`${db}\``);
+            }
+            const data = await load(connection);
+
+            if (cacheEnabled && writeBack && await cluster.isConnectionFresh(connection)) {
+                await storeCachedRead(cacheKey, data, sql, query);
+            }
+
+            return data;
+        } finally {
+            if (connection) {
+                connection.release();
+            }
+        }
+    }
+
+    // Cache lookup of a cached read: { status, value, stale }. A present key is a hit, including
+    // cached empty results, unless the value has the wrong shape; a failing cache is an 'error'.
+    async function lookup(cacheKey, isValid) {
+        const entry = await readCacheEntry(store, cacheKey);
+        if (entry.status !== 'hit') return entry;
+
+        const cached = unwrapEntry(entry.value);
+        return !isValid || isValid(cached.value) ? { ...entry, ...cached } : { ...entry, status: 'miss', value: undefined };
+    }
+
+    const isPage = value => typeof value === 'object' && !Array.isArray(value) && value !== null;
 
     /**
-     * Retrieves paginated data from cache or database based on the provided SQL query and parameters.
-     * If the data is available in cache, it is returned directly. Otherwise, the data is fetched from the database,
-     * paginated, and then stored in the cache for future use.
-     *
-     * Uses server-side pagination (SQL LIMIT) for better performance.
-     * Handles semicolons at the end of SQL queries properly.
-     *
-     * @param {string} sql - The SQL query to execute.
-     * @param {Array} parameters - The parameters to be used in the SQL query.
-     * @param {string} cacheName - The name of the cache to store the data.
-     * @param {number} page - The page number of the data to retrieve.
-     * @param {number} [pageSize=30] - The number of records per page. Defaults to 30 if not provided.
-     * @param {string|null} database - The database name to switch to (optional).
-     * @returns {Promise<Object>} - A promise that resolves to an object containing the paginated data.
-     * @throws {Error} - If an error occurs during the execution of the function.
+     * Cached read shared by getCacheQuery, getCacheQueryPagination and getCacheQueryWithTimeout:
+     * serves the cache, otherwise runs `load(connection)` on a read connection and caches its result.
+     * Concurrent misses of the same key share one database load (result or error); with the fill
+     * lock, one process fills the key while the others wait for it. Misses that recent writes send
+     * to the primary share loads only with each other, and don't take the fill lock.
+     * A stale hit is served as-is and triggers a background refresh. When the cache fails
+     * (status 'error', e.g. Redis down) the database answers without a fill lock or write-back,
+     * which would only wait for the same failing cache. The same goes for keys marked
+     * cacheUnavailable (table versions that couldn't be read), without a cache lookup.
      */
-    async getCacheQueryPagination(sql, parameters, cacheName, page, pageSize = 30, database = null) {
+    async function cachedRead(cacheKey, sql, query, load, timeout, isValid) {
+        await ensureViews();
         return executeWithRetry(async (db) => {
-            let connection;
-            try {
-                // Validate and normalize pageSize parameter
-                let validPageSize = parseInt(pageSize);
-                if (isNaN(validPageSize) || validPageSize <= 0) {
-                    throw new Error('Page size must be greater than 0');
-                }
+            let cacheFailed = query.cacheUnavailable === true;
 
-                // Validate and normalize page parameter
-                let validPage = parseInt(page);
-                if (isNaN(validPage) || validPage < 0) {
-                    validPage = 0;
+            if (cacheEnabled && !query.bypassCache && !cacheFailed) {
+                const cached = await lookup(cacheKey, isValid);
+                if (cached.status === 'hit') {
+                    if (cached.stale) {
+                        refreshInBackground(cacheKey, sql, query, load, timeout, isValid);
+                    }
+                    return cached.value;
                 }
+                cacheFailed = cached.status === 'error';
+            }
 
-                // Create unique cache key including page and pageSize
-                const uniqueCacheKey = `${cacheName}:page${validPage}:size${validPageSize}`;
+            // A read that must see recent writes doesn't join a replica fill that may have started
+            // before them, nor wait on the fill lock for what another process read from a replica
+            const preferPrimary = requiresPrimary(sql, db);
+            const fill = () => loadAndStore(cacheKey, sql, query, load, db, !cacheFailed, preferPrimary);
+            const locked = cacheEnabled && !cacheFailed && !query.bypassCache && !preferPrimary
+                && fillLock.isEnabled(query.fillLock);
+
+            // The database and the routing are part of the data, so they are part of the coalescing key
+            const route = preferPrimary ? 'primary' : 'replica';
+            return fills.run(`${route}\u0000${db || ''}\u0000${cacheKey}`, () => (locked
+                ? fillLock.run(cacheKey, async () => {
+                    const cached = await lookup(cacheKey, isValid);
+                    return cached.status === 'hit' ? cached.value : undefined;
+                }, fill)
+                : fill()));
+        }, 3, 1000, query.database, timeout);
+    }
 
-                if (REDIS_ENABLED) {
-                    const cachedData = await getArrayItem(uniqueCacheKey);
-                    if (typeof cachedData === 'object' && !Array.isArray(cachedData) && cachedData !== null) {
-                        return cachedData;
+    function refreshInBackground(cacheKey, sql, query, load, timeout, isValid) {
+        if (refreshing.has(cacheKey)) return;
+
+        refreshing.add(cacheKey);
+        cachedRead(cacheKey, sql, { ...query, bypassCache: true }, load, timeout, isValid)
+            .catch(err => console.error(`Background refresh of ${cacheKey} failed:`, err.message))
+            .finally(() => refreshing.delete(cacheKey));
+    }
+
+    return {
+
+        /**
+         * Executes a SQL query and returns the result from the cache or the database.
+         * If a resetCacheName is provided, it deletes the cache item before executing the query.
+         *
+         * v2.6.0: resetCacheName is now optional. If not provided and CORE_AUTO_INVALIDATION=true,
+         * cache will be auto-invalidated based on the affected table.
+         *
+         * v2.9.0: also accepts a single options object: { sql, params, key, database, timeout, tags }
+         * (key = the cache pattern(s) to reset, tags = cache tags to invalidate).
+         *
+         * @param {string} sql - The SQL query to execute.
+         * @param {Array} parameters - The parameters to be passed to the SQL query.
+         * @param {string|null} resetCacheName - The name of the cache item to reset (optional).
+         * @param {string|null} database - The database name to switch to (optional).
+         * @returns {Promise<any>} - A promise that resolves with the result of the query.
+         * @throws {Error} - If an error occurs during the query execution.
+         *
+         * @example
+         * await QuaryCache({ sql: 'UPDATE users SET name = ? WHERE id = ?', params: ['John', 1], key: 'users' });
+         */
+        async QuaryCache(...args) {
+            const { sql, params: parameters, key: resetCacheName, database, timeout, tags } = normalizeQueryArgs('QuaryCache', args);
+            await ensureForeignKeys();
+            if (isWriteOperation(sql)) {
+                await ensureInvalidationReady();
+            }
+            return executeWithRetry(async (db) => {
+                let connection;
+                try {
+                    connection = await con.getConnection();
+                    if (db) {
+                        await connection.query(`USE \`${db}\``);
                     }
-                }
+                    const [data] = await connection.query(sql, parameters);
+                    recordWrite(sql, db);
 
-                connection = await con.getConnection();
-                if (db) {
-                    await connection.query(`USE \`${db}\``);
+                    // Determine which cache patterns and tags to invalidate
+                    if (cacheEnabled) {
+                        await invalidateAfterWrite(getInvalidationTargets(sql, resetCacheName, tags, db, parameters));
+                    }
+
+                    return data;
+                } catch (err) {
+                    throw err;
+                } finally {
+                    if (connection) {
+                        connection.release();
+                    }
                 }
+            }, 3, 1000, database, timeout);
+        },
+        /**
+         * Retrieves data from cache or database based on the provided SQL query and parameters.
+         * If the data is found in the cache, it is returned. Otherwise, the data is fetched from the database,
+         * stored in the cache, and then returned.
+         *
+         * v2.6.0: cacheName is now optional. If not provided and CORE_AUTO_FEATURES=true,
+         * a cache key will be auto-generated from the SQL query and parameters.
+         *
+         * v2.9.0: also accepts a single options object:
+         * { sql, params, key, database, ttl, timeout, bypassCache, tags, staleWhileRevalidate, fillLock, negativeTtl }
+         * With staleWhileRevalidate, an expired entry is still returned for that many extra
+         * seconds (true = ttl) while one background refresh re-runs the query.
+         * fillLock (true/false) overrides the connector's distributed fill lock setting.
+         * Empty results are cached too (with negativeTtl when set) and served as hits.
+         *
+         * @param {string} sql - The SQL query to be executed.
+         * @param {Array} parameters - The parameters to be passed to the SQL query.
+         * @param {string|null} cacheName - The name of the cache to store the data (optional if auto-key enabled).
+         * @param {string|null} database - The database name to switch to (optional).
+         * @param {Object} [options] - Optional settings: { ttl, timeout, bypassCache, tags, staleWhileRevalidate, fillLock, negativeTtl }
+         * @returns {Promise<Array>} - A promise that resolves to the retrieved data.
+         * @throws {Error} - If there is an error while retrieving the data.
+         *
+         * @example
+         * const users = await getCacheQuery({ sql: 'SELECT * FROM users WHERE id = ?', params: [1], key: 'users:1', ttl: 60 });
+         */
+        async getCacheQuery(...args) {
+            const query = normalizeQueryArgs('getCacheQuery', args);
+            const { sql, params: parameters } = query;
+
+            // Auto-generate cache key if not provided and feature is enabled
+            let finalCacheName = query.key;
+
+            if (!finalCacheName) {
+                if (autoKeyEnabled()) {
+                    const generated = await generateReadKey(sql, parameters, query.database);
+                    finalCacheName = generated.key;
+                    query.autoKeyed = true;
+                    query.cacheUnavailable = !generated.cacheable;
+                } else {
+                    throw new Error(
+                        'cacheName is required. To enable auto key generation, set CORE_AUTO_FEATURES=true in .env'
+                    );
+                }
+            }
+
+            return cachedRead(finalCacheName, sql, query, async (connection) => {
+                const [data] = await connection.query(sql, parameters);
+                return data;
+            }, query.timeout);
+        },
+
+        /**
+         * Retrieves paginated data from cache or database based on the provided SQL query and parameters.
+         * If the data is available in cache, it is returned directly. Otherwise, the data is fetched from the database,
+         * paginated, and then stored in the cache for future use.
+         *
+         * Uses server-side pagination (SQL LIMIT) for better performance.
+         * Handles semicolons at the end of SQL queries properly.
+         *
+         * v2.9.0: also accepts a single options object:
+         * { sql, params, key, page, pageSize, database, ttl, timeout, bypassCache, tags }
+         *
+         * @param {string} sql - The SQL query to execute.
+         * @param {Array} parameters - The parameters to be used in the SQL query.
+         * @param {string} cacheName - The name of the cache to store the data.
+         * @param {number} page - The page number of the data to retrieve.
+         * @param {number} [pageSize=30] - The number of records per page. Defaults to 30 if not provided.
+         * @param {string|null} database - The database name to switch to (optional).
+         * @param {Object} [options] - Optional settings: { ttl, timeout, bypassCache, tags, staleWhileRevalidate, fillLock, negativeTtl }
+         * @returns {Promise<Object>} - A promise that resolves to an object containing the paginated data.
+         * @throws {Error} - If an error occurs during the execution of the function.
+         */
+        async getCacheQueryPagination(...args) {
+            const query = normalizeQueryArgs('getCacheQueryPagination', args);
+            const { sql, params: parameters, key: cacheName, page, pageSize = 30 } = query;
+
+            // Validate and normalize pageSize parameter
+            let validPageSize = parseInt(pageSize);
+            if (isNaN(validPageSize) || validPageSize <= 0) {
+                throw new Error('Page size must be greater than 0');
+            }
+
+            // Validate and normalize page parameter
+            let validPage = parseInt(page);
+            if (isNaN(validPage) || validPage < 0) {
+                validPage = 0;
+            }
+
+            // Create unique cache key including page and pageSize
+            const uniqueCacheKey = `${cacheName}:page${validPage}:size${validPageSize}`;
 
+            return cachedRead(uniqueCacheKey, sql, query, async (connection) => {
                 // Prepare SQL: remove trailing semicolon(s) and whitespace
                 let cleanSql = sql.trim().replace(/;+\s*$/, '');
 
@@ -314,299 +895,537 @@ module.exports = {
                 const paginatedSql = `${cleanSql} LIMIT ?, ?`;
                 const [data] = await connection.query(paginatedSql, [...parameters, offset, validPageSize]);
 
-                // Prepare result
-                const result = {
+                return {
                     totalCount,
                     pageCount: Math.ceil(totalCount / validPageSize),
                     detail: data
                 };
-
-                if (REDIS_ENABLED) {
-                    await addArrayItem(uniqueCacheKey, result);
-                }
-
-                return result;
-            } catch (err) {
-                throw err;
-            } finally {
-                if (connection) {
-                    connection.release();
-                }
+            }, query.timeout, isPage);
+        },
+
+        /**
+         * Executes a bulk insert operation with chunking for large datasets.
+         * Automatically splits large datasets into chunks to prevent memory issues.
+         *
+         * v2.9.0: also accepts a single options object:
+         * { table, records, database, chunkSize, key, timeout, tags } (key = alias of resetCacheName)
+         * Without a resetCacheName, auto invalidation (when enabled) evicts the table like the QuaryCache INSERT
+         * of each chunk would (rule pattern templates are filled from the records).
+         *
+         * @param {string} table - The table name to insert into.
+         * @param {Array} records - Array of objects with column-value pairs.
+         * @param {Object} options - Optional settings: { database, chunkSize, resetCacheName, timeout, tags }
+         * @returns {Promise<Object>} - A promise that resolves with insert statistics.
+         * @throws {Error} - If an error occurs during the bulk insert.
+         */
+        async bulkInsert(...args) {
+            const {
+                table,
+                records,
+                database,
+                chunkSize = 1000,
+                key: resetCacheName,
+                timeout,
+                tags
+            } = normalizeQueryArgs('bulkInsert', args);
+
+            if (!records || records.length === 0) {
+                return { insertedRows: 0, chunks: 0 };
             }
-        }, 3, 1000, database);
-    },
-
-    /**
-     * Executes a bulk insert operation with chunking for large datasets.
-     * Automatically splits large datasets into chunks to prevent memory issues.
-     *
-     * @param {string} table - The table name to insert into.
-     * @param {Array} records - Array of objects with column-value pairs.
-     * @param {Object} options - Optional settings: { database, chunkSize, resetCacheName }
-     * @returns {Promise<Object>} - A promise that resolves with insert statistics.
-     * @throws {Error} - If an error occurs during the bulk insert.
-     */
-    async bulkInsert(table, records, options = {}) {
-        const { database = null, chunkSize = 1000, resetCacheName = null } = options;
-
-        if (!records || records.length === 0) {
-            return { insertedRows: 0, chunks: 0 };
-        }
+            await ensureForeignKeys();
+            await ensureInvalidationReady();
 
-        return executeWithRetry(async (db) => {
-            let connection;
-            try {
-                connection = await con.getConnection();
-                if (db) {
-                    await connection.query(`USE \`${db}\``);
-                }
+            return executeWithRetry(async (db) => {
+                let connection;
+                try {
+                    connection = await con.getConnection();
+                    if (db) {
+                        await connection.query(`USE \`${db}\``);
+                    }
 
-                const columns = Object.keys(records[0]);
-                let totalInserted = 0;
-                let chunks = 0;
+                    const columns = Object.keys(records[0]);
+                    const targets = { patterns: [], tags: [], versions: [], keys: [] };
+                    let totalInserted = 0;
+                    let chunks = 0;
 
-                // Process in chunks
-                for (let i = 0; i < records.length; i += chunkSize) {
-                    const chunk = records.slice(i, i + chunkSize);
-                    const values = chunk.map(record =>
-                        columns.map(col => record[col])
-                    );
+                    // Process in chunks
+                    for (let i = 0; i < records.length; i += chunkSize) {
+                        const chunk = records.slice(i, i + chunkSize);
+                        const values = chunk.map(record =>
+                            columns.map(col => record[col])
+                        );
 
-                    const placeholders = chunk.map(() =>
-                        `(${columns.map(() => '?').join(',')})`
-                    ).join(',');
+                        const placeholders = chunk.map(() =>
+                            `(${columns.map(() => '?').join(',')})`
+                        ).join(',');
 
-                    const sql = `INSERT INTO ${table} (${columns.join(',')}) VALUES ${placeholders}`;
-                    const flatValues = values.flat();
+                        const sql = `INSERT INTO ${table} (${columns.join(',')}) VALUES ${placeholders}`;
+                        const flatValues = values.flat();
 
-                    const [result] = await connection.query(sql, flatValues);
-                    totalInserted += result.affectedRows;
-                    chunks++;
-                }
+                        const [result] = await connection.query(sql, flatValues);
+                        totalInserted += result.affectedRows;
+                        chunks++;
 
-                if (resetCacheName && REDIS_ENABLED) {
-                    await delPrefixKeyItem(resetCacheName);
-                }
+                        // Each chunk's values fill pattern templates and pin rows
+                        if (cacheEnabled) {
+                            const chunkTargets = getInvalidationTargets(sql, resetCacheName, tags, db, flatValues);
+                            Object.keys(targets).forEach(kind => targets[kind].push(...chunkTargets[kind]));
+                        }
+                    }
+                    // `table` may be schema-qualified (shop.users): read it like any INSERT
+                    recordWrite(`INSERT INTO ${table}`, db);
+
+                    if (cacheEnabled) {
+                        await invalidateAfterWrite({
+                            patterns: [...new Set(targets.patterns)],
+                            tags: [...new Set(targets.tags)],
+                            versions: [...new Set(targets.versions)],
+                            keys: [...new Set(targets.keys)]
+                        });
+                    }
 
-                return { insertedRows: totalInserted, chunks };
-            } catch (err) {
-                throw err;
-            } finally {
-                if (connection) {
-                    connection.release();
+                    return { insertedRows: totalInserted, chunks };
+                } catch (err) {
+                    throw err;
+                } finally {
+                    if (connection) {
+                        connection.release();
+                    }
                 }
+            }, 3, 1000, database, timeout);
+        },
+
+        /**
+         * Executes a query with timeout protection.
+         * Prevents long-running queries from blocking the application.
+         *
+         * v2.9.0: also accepts a single options object:
+         * { sql, params, key, timeout, database, ttl, bypassCache, tags }
+         *
+         * @param {string} sql - The SQL query to execute.
+         * @param {Array} parameters - The parameters to be passed to the SQL query.
+         * @param {string} cacheName - The name of the cache.
+         * @param {Object} options - Optional settings: { timeout, database, ttl, bypassCache, tags, staleWhileRevalidate, fillLock, negativeTtl }
+         * @returns {Promise<any>} - A promise that resolves with the result of the query.
+         * @throws {Error} - If timeout is exceeded or query fails.
+         */
+        async getCacheQueryWithTimeout(...args) {
+            const query = normalizeQueryArgs('getCacheQueryWithTimeout', args);
+            const { sql, params: parameters, key: cacheName, timeout = 30000 } = query;
+            return cachedRead(cacheName, sql, query, async (connection) => {
+                const [data] = await connection.query(sql, parameters);
+                return data;
+            }, timeout);
+        },
+
+        /**
+         * Gracefully closes all database connections.
+         * Should be called during application shutdown to prevent connection leaks.
+         *
+         * @returns {Promise<void>}
+         */
+        async closeConnections() {
+            isShuttingDown = true;
+            console.log('Closing database connections gracefully...');
+            await cluster.end();
+            console.log('Database pool closed');
+        },
+
+        /**
+         * Gets current pool statistics for monitoring.
+         * Top-level numbers describe the primary pool; `pools` reports every pool
+         * (primary and replicas) with its role and health.
+         *
+         * @returns {Object} - Pool statistics including active connections.
+         */
+        getPoolStats() {
+            return cluster.getStats();
+        },
+
+        /**
+         * Returns the cache store used by this connector (null when caching is disabled).
+         * Useful for reading or deleting keys when the store is not Redis.
+         *
+         * @returns {Object|null} - CacheStore ({ get, set, del, delByPrefix, mget })
+         */
+        getCacheStore() {
+            return cacheEnabled ? store : null;
+        },
+
+        /**
+         * Gets cache statistics from the cache store, e.g. separate L1 / L2 hit and
+         * miss counters for Redis with an L1 cache.
+         *
+         * @returns {Object|null} - Store statistics, or null when the store reports none
+         */
+        getCacheStats() {
+            return cacheEnabled && typeof store.getStats === 'function' ? store.getStats() : null;
+        },
+
+        /**
+         * Deletes every cached read recorded under one of the tags: the tables a read uses
+         * (with invalidation 'tags') and the tags passed to the read. No-op when the cache
+         * store has no tag support.
+         *
+         * @param {string|string[]} tags - Tag(s) to invalidate
+         * @returns {Promise<void>}
+         *
+         * @example
+         * await invalidateTags(['users', 'dashboard']);
+         */
+        async invalidateTags(tags) {
+            const tagList = [].concat(tags);
+            if (cacheEnabled && tagList.length > 0 && supportsTags(store)) {
+                await store.delByTags(tagList);
             }
-        }, 3, 1000, database);
-    },
-
-    /**
-     * Executes a query with timeout protection.
-     * Prevents long-running queries from blocking the application.
-     *
-     * @param {string} sql - The SQL query to execute.
-     * @param {Array} parameters - The parameters to be passed to the SQL query.
-     * @param {string} cacheName - The name of the cache.
-     * @param {Object} options - Optional settings: { timeout, database }
-     * @returns {Promise<any>} - A promise that resolves with the result of the query.
-     * @throws {Error} - If timeout is exceeded or query fails.
-     */
-    async getCacheQueryWithTimeout(sql, parameters, cacheName, options = {}) {
-        const { timeout = 30000, database = null } = options;
-        return executeWithRetry(async (db) => {
+        },
+
+        /**
+         * Shows what a write would evict, without running it or touching the cache (v2.9.0).
+         * Lists the tables it evicts (written tables, the tables they cascade to through foreign keys,
+         * then their dependsOnMe dependents) and the targets QuaryCache would invalidate with the
+         * connector's current rules, mode and loaded foreign keys.
+         *
+         * Also accepts a single options object: { sql, params, key, database, tags }
+         *
+         * @param {string} sql - Write statement
+         * @param {Array} [parameters] - Query parameters (fill pattern templates and pin rows)
+         * @param {string|string[]|null} [resetCacheName] - Manual pattern(s), as passed to QuaryCache
+         * @param {string|null} [database] - Database the write would run in
+         * @returns {Object} - { tables, patterns, tags, versions, keys }
+         *
+         * @example
+         * explainInvalidation('DELETE FROM order_items WHERE id = ?', [5]);
+         * // { tables: ['order_items', 'orders', 'dashboard'],
+         * //   patterns: ['order_items_*', 'order_items:*', 'orders_*', 'orders:*', 'dashboard:*'], ... }
+         */
+        explainInvalidation(...args) {
+            const { sql, params, key, database, tags } = normalizeQueryArgs('explainInvalidation', args);
+            const tables = key || !autoInvalidationEnabled() ? [] : getInvalidationTables(sql, autoInvalidation, tableScope(database), getForeignKeys());
+            return { tables, ...getInvalidationTargets(sql, key, tags, database, params) };
+        },
+
+        /**
+         * Foreign keys writes cascade through (v2.9.0): the autoInvalidation.foreignKeys override,
+         * or with foreignKeys: true the ones loaded from INFORMATION_SCHEMA (empty until loaded).
+         *
+         * @returns {Array<Object>} - { table, column, referencedTable, referencedColumn, onDelete, onUpdate }
+         *
+         * @example
+         * getForeignKeyGraph().filter(fk => fk.onDelete === 'CASCADE');
+         */
+        getForeignKeyGraph() {
+            return getForeignKeys();
+        },
+
+        /**
+         * Reads the foreign keys from INFORMATION_SCHEMA again, e.g. after a migration (v2.9.0).
+         * Writes use them when autoInvalidation.foreignKeys is true.
+         *
+         * @returns {Promise<Array<Object>>} - Loaded foreign keys
+         * @throws {Error} If the query fails
+         */
+        async refreshForeignKeyGraph() {
+            return foreignKeyGraph.load();
+        },
+
+        /**
+         * Tables behind the views reads depend on (v2.9.0): the autoInvalidation.views override,
+         * or with views: true the ones loaded from INFORMATION_SCHEMA (empty until loaded).
+         *
+         * @returns {Object} - { 'schema.view': ['schema.table', ...] }
+         *
+         * @example
+         * getViewGraph()['shop.active_users']; // ['shop.users']
+         */
+        getViewGraph() {
+            return getViews();
+        },
+
+        /**
+         * Reads the views from INFORMATION_SCHEMA again, e.g. after a migration (v2.9.0).
+         * Reads use them when autoInvalidation.views is true.
+         *
+         * @returns {Promise<Object>} - Loaded views
+         * @throws {Error} If the query fails
+         */
+        async refreshViewGraph() {
+            return viewGraph.load();
+        },
+
+        /**
+         * Runs a callback in a read-your-writes context: once the callback has written
+         * (QuaryCache, bulkInsert, withTransaction), every later cache miss inside it
+         * reads from the primary instead of a replica.
+         *
+         * @param {Function} callback - Async function to run (e.g. one HTTP request)
+         * @returns {Promise<any>} - Result of the callback
+         *
+         * @example
+         * app.use((req, res, next) => withReadYourWrites(() => next()));
+         */
+        async withReadYourWrites(callback) {
+            return consistency.run(callback);
+        },
+
+        /**
+         * Executes queries within a database transaction.
+         * Automatically commits on success or rolls back on error.
+         * Cache invalidation is buffered and applied only on successful commit.
+         *
+         * @param {Function} callback - Async function that receives transaction context (tx)
+         * @param {Object} options - Transaction options
+         * @param {string|null} options.database - Database to switch to (optional)
+         * @returns {Promise<any>} - Result of the callback function
+         * @throws {Error} - If transaction fails or is rolled back
+         *
+         * @example
+         * await withTransaction(async (tx) => {
+         *     await tx.query('INSERT INTO users...', [data]);
+         *     await tx.query('UPDATE orders...', [data]);
+         *     // Auto commit on success, auto rollback on error
+         * });
+         */
+        async withTransaction(callback, options = {}) {
+            const { database = null } = options;
             let connection;
+            const invalidationBuffer = { patterns: [], tags: [], versions: [], keys: [] }; // Buffer cache invalidations for commit
+            const writeBuffer = []; // Buffer write statements for read-your-writes on commit
+            let committed = false;
+
             try {
-                if (REDIS_ENABLED) {
-                    const cachedData = await getArrayItem(cacheName);
-                    if (cachedData.length > 0) {
-                        return cachedData;
-                    }
+                if (isShuttingDown) {
+                    throw new Error('Server is shutting down, cannot process new transactions');
                 }
 
+                await ensureForeignKeys();
+                await ensureInvalidationReady();
                 connection = await con.getConnection();
-                if (db) {
-                    await connection.query(`USE \`${db}\``);
-                }
-                const [data] = await connection.query(sql, parameters);
 
-                if (REDIS_ENABLED) {
-                    await addArrayItem(cacheName, data);
-                }
-
-                return data;
-            } catch (err) {
-                throw err;
-            } finally {
-                if (connection) {
-                    connection.release();
+                // Switch database if specified
+                if (database) {
+                    await connection.query(`USE \`${database}\``);
                 }
-            }
-        }, 3, 1000, database, timeout);
-    },
 
-    /**
-     * Gracefully closes all database connections.
-     * Should be called during application shutdown to prevent connection leaks.
-     *
-     * @returns {Promise<void>}
-     */
-    async closeConnections() {
-        isShuttingDown = true;
-        console.log('Closing database connections gracefully...');
-        await con.end();
-        console.log('Database pool closed');
-    },
-
-    /**
-     * Gets current pool statistics for monitoring.
-     *
-     * @returns {Object} - Pool statistics including active connections.
-     */
-    getPoolStats() {
-        return {
-            totalConnections: con.pool._allConnections.length,
-            activeConnections: con.pool._allConnections.length - con.pool._freeConnections.length,
-            freeConnections: con.pool._freeConnections.length,
-            queuedRequests: con.pool._connectionQueue.length
-        };
-    },
-
-    /**
-     * Executes queries within a database transaction.
-     * Automatically commits on success or rolls back on error.
-     * Cache invalidation is buffered and applied only on successful commit.
-     *
-     * @param {Function} callback - Async function that receives transaction context (tx)
-     * @param {Object} options - Transaction options
-     * @param {string|null} options.database - Database to switch to (optional)
-     * @returns {Promise<any>} - Result of the callback function
-     * @throws {Error} - If transaction fails or is rolled back
-     *
-     * @example
-     * await withTransaction(async (tx) => {
-     *     await tx.query('INSERT INTO users...', [data]);
-     *     await tx.query('UPDATE orders...', [data]);
-     *     // Auto commit on success, auto rollback on error
-     * });
-     */
-    async withTransaction(callback, options = {}) {
-        const { database = null } = options;
-        let connection;
-        const invalidationBuffer = []; // Buffer cache patterns for commit
-
-        try {
-            if (isShuttingDown) {
-                throw new Error('Server is shutting down, cannot process new transactions');
-            }
-
-            connection = await con.getConnection();
-
-            // Switch database if specified
-            if (database) {
-                await connection.query(`USE \`${database}\``);
-            }
-
-            // Begin transaction
-            await connection.beginTransaction();
-
-            // Create transaction context
-            const tx = {
-                /**
-                 * Execute a query within the transaction
-                 * @param {string} sql - SQL query
-                 * @param {Array} parameters - Query parameters
-                 * @param {string|string[]|null} resetCacheName - Cache patterns to invalidate on commit
-                 * @returns {Promise<any>} - Query result
-                 */
-                query: async (sql, parameters, resetCacheName = null) => {
-                    const [data] = await connection.query(sql, parameters);
+                // Begin transaction
+                await connection.beginTransaction();
+
+                // Create transaction context
+                const tx = {
+                    /**
+                     * Execute a query within the transaction
+                     * @param {string} sql - SQL query
+                     * @param {Array} parameters - Query parameters
+                     * @param {string|string[]|null} resetCacheName - Cache patterns to invalidate on commit
+                     * @param {Object} [queryOptions] - Optional settings: { tags } (cache tags to invalidate on commit)
+                     * @returns {Promise<any>} - Query result
+                     */
+                    query: async (sql, parameters, resetCacheName = null, queryOptions = {}) => {
+                        const [data] = await connection.query(sql, parameters);
+                        writeBuffer.push(sql);
+
+                        // Buffer cache invalidation patterns, tags and versions
+                        if (cacheEnabled) {
+                            const targets = getInvalidationTargets(
+                                sql, resetCacheName, [].concat(queryOptions.tags || []), database, parameters
+                            );
+                            Object.keys(invalidationBuffer).forEach(kind => invalidationBuffer[kind].push(...targets[kind]));
+                        }
 
-                    // Buffer cache invalidation patterns
-                    if (REDIS_ENABLED) {
-                        const patterns = determineInvalidationPatterns(sql, resetCacheName);
-                        if (patterns.length > 0) {
-                            invalidationBuffer.push(...patterns);
+                        return data;
+                    },
+
+                    /**
+                     * Execute a cached read query within the transaction
+                     * Note: Reads from cache, but doesn't guarantee transaction isolation
+                     * @param {string} sql - SQL query
+                     * @param {Array} parameters - Query parameters
+                     * @param {string|null} cacheName - Cache key (optional if auto-key enabled)
+                     * @param {Object} [queryOptions] - Optional settings: { ttl, negativeTtl, tags } (TTLs in seconds)
+                     * @returns {Promise<any>} - Query result
+                     */
+                    getCacheQuery: async (sql, parameters, cacheName = null, queryOptions = {}) => {
+                        // Auto-generate cache key if needed
+                        let finalCacheName = cacheName;
+                        let cacheFailed = false;
+                        if (!finalCacheName) {
+                            if (autoKeyEnabled()) {
+                                const generated = await generateReadKey(sql, parameters, database);
+                                finalCacheName = generated.key;
+                                cacheFailed = !generated.cacheable;
+                            } else {
+                                throw new Error(
+                                    'cacheName is required in transaction. To enable auto key generation, set CORE_AUTO_FEATURES=true'
+                                );
+                            }
                         }
-                    }
 
-                    return data;
-                },
-
-                /**
-                 * Execute a cached read query within the transaction
-                 * Note: Reads from cache, but doesn't guarantee transaction isolation
-                 * @param {string} sql - SQL query
-                 * @param {Array} parameters - Query parameters
-                 * @param {string|null} cacheName - Cache key (optional if auto-key enabled)
-                 * @returns {Promise<any>} - Query result
-                 */
-                getCacheQuery: async (sql, parameters, cacheName = null) => {
-                    // Auto-generate cache key if needed
-                    let finalCacheName = cacheName;
-                    if (!finalCacheName) {
-                        if (isAutoKeyEnabled()) {
-                            finalCacheName = generateCacheKey(sql, parameters);
-                        } else {
-                            throw new Error(
-                                'cacheName is required in transaction. To enable auto key generation, set CORE_AUTO_FEATURES=true'
-                            );
+                        // Check cache first (a present key is a hit, including cached empty results)
+                        if (cacheEnabled && !cacheFailed) {
+                            const entry = await readCacheEntry(store, finalCacheName);
+                            if (entry.status === 'hit') {
+                                return unwrapEntry(entry.value).value;
+                            }
+                            cacheFailed = entry.status === 'error';
                         }
-                    }
 
-                    // Check cache first
-                    if (REDIS_ENABLED) {
-                        const cachedData = await getArrayItem(finalCacheName);
-                        if (cachedData.length > 0) {
-                            return cachedData;
+                        // Execute in transaction and cache result (not while the cache is failing)
+                        const [data] = await connection.query(sql, parameters);
+                        const ttl = resolveResultTtl(sql, data, { ...queryOptions, database });
+                        if (cacheEnabled && !cacheFailed && ttl) {
+                            await store.set(finalCacheName, data, ttl);
+                            await tagCachedRead(finalCacheName, sql, {
+                                params: parameters,
+                                tags: [].concat(queryOptions.tags || []),
+                                database,
+                                autoKeyed: !cacheName
+                            }, ttl);
                         }
-                    }
 
-                    // Execute in transaction and cache result
-                    const [data] = await connection.query(sql, parameters);
-                    if (REDIS_ENABLED) {
-                        await addArrayItem(finalCacheName, data);
-                    }
+                        return data;
+                    },
 
-                    return data;
-                },
-
-                /**
-                 * Get the underlying connection object
-                 * For advanced use cases that need direct connection access
-                 * @returns {Object} - MySQL connection object
-                 */
-                getConnection: () => connection
-            };
-
-            // Execute user callback
-            const result = await callback(tx);
-
-            // Commit transaction
-            await connection.commit();
-
-            // Apply buffered cache invalidations on successful commit
-            if (REDIS_ENABLED && invalidationBuffer.length > 0) {
-                // Remove duplicates
-                const uniquePatterns = [...new Set(invalidationBuffer)];
-                await Promise.all(
-                    uniquePatterns.map(pattern => delPrefixKeyItem(pattern))
-                );
-            }
+                    /**
+                     * Get the underlying connection object
+                     * For advanced use cases that need direct connection access
+                     * @returns {Object} - MySQL connection object
+                     */
+                    getConnection: () => connection
+                };
 
-            return result;
-        } catch (error) {
-            // Rollback on error
-            if (connection) {
-                try {
-                    await connection.rollback();
-                } catch (rollbackError) {
-                    console.error('Rollback error:', rollbackError);
+                // Execute user callback
+                const result = await callback(tx);
+
+                // Commit transaction
+                await connection.commit();
+                committed = true;
+                writeBuffer.forEach(sql => recordWrite(sql, database));
+
+                // Apply buffered cache invalidations on successful commit (without duplicates,
+                // so a table written twice gets one new version)
+                if (cacheEnabled) {
+                    await invalidateAfterWrite({
+                        patterns: [...new Set(invalidationBuffer.patterns)],
+                        tags: [...new Set(invalidationBuffer.tags)],
+                        versions: [...new Set(invalidationBuffer.versions)],
+                        keys: [...new Set(invalidationBuffer.keys)]
+                    });
+                }
+
+                return result;
+            } catch (error) {
+                // Rollback on error (never after the commit: the transaction has succeeded)
+                if (connection && !committed) {
+                    try {
+                        await connection.rollback();
+                    } catch (rollbackError) {
+                        console.error('Rollback error:', rollbackError);
+                    }
+                }
+                throw error;
+            } finally {
+                if (connection) {
+                    connection.release();
                 }
-            }
-            throw error;
-        } finally {
-            if (connection) {
-                connection.release();
             }
         }
+    };
+}
+
+// ── Default Instance (env-configured, created on first use) ────
+
+let defaultConnector = null;
+
+/**
+ * Returns the connector configured from environment variables.
+ * Validation and pool creation happen on first use, not on require.
+ * @throws {Error} If any required configuration is missing
+ */
+function getDefaultConnector() {
+    if (!defaultConnector) {
+        validateConfiguration();
+        defaultConnector = createDbConnector({
+            mysql: {
+                ...createPoolConfigFromEnv(),
+                replicas: parseReplicaHosts(env.DB_REPLICA_HOSTS),
+                readStrategy: env.DB_READ_STRATEGY,
+                healthCheckInterval: env.DB_HEALTH_CHECK_INTERVAL !== undefined
+                    ? parseInt(env.DB_HEALTH_CHECK_INTERVAL)
+                    : undefined,
+                stickyWindow: env.DB_STICKY_WINDOW !== undefined
+                    ? parseInt(env.DB_STICKY_WINDOW)
+                    : undefined,
+                maxReplicationLag: env.DB_MAX_REPLICATION_LAG !== undefined
+                    ? parseInt(env.DB_MAX_REPLICATION_LAG)
+                    : undefined
+            },
+            cache: createCacheStoreFromEnv(),
+            defaultTtl: parseInt(env.CACHE_DEFAULT_TTL) || undefined,
+            invalidation: env.CACHE_INVALIDATION || undefined,
+            negativeTtl: env.CACHE_NEGATIVE_TTL ? parseInt(env.CACHE_NEGATIVE_TTL) : undefined,
+            fillLock: {
+                enabled: env.CACHE_FILL_LOCK === 'true',
+                lockTtl: parseInt(env.CACHE_FILL_LOCK_TTL) || undefined,
+                maxWait: env.CACHE_FILL_LOCK_WAIT !== undefined ? parseInt(env.CACHE_FILL_LOCK_WAIT) : undefined
+            }
+        });
     }
+    return defaultConnector;
+}
+
+module.exports = {
+    async QuaryCache(...args) {
+        return getDefaultConnector().QuaryCache(...args);
+    },
+    async getCacheQuery(...args) {
+        return getDefaultConnector().getCacheQuery(...args);
+    },
+    async getCacheQueryPagination(...args) {
+        return getDefaultConnector().getCacheQueryPagination(...args);
+    },
+    async bulkInsert(...args) {
+        return getDefaultConnector().bulkInsert(...args);
+    },
+    async getCacheQueryWithTimeout(...args) {
+        return getDefaultConnector().getCacheQueryWithTimeout(...args);
+    },
+    async closeConnections() {
+        return getDefaultConnector().closeConnections();
+    },
+    getPoolStats() {
+        return getDefaultConnector().getPoolStats();
+    },
+    getCacheStore() {
+        return getDefaultConnector().getCacheStore();
+    },
+    getCacheStats() {
+        return getDefaultConnector().getCacheStats();
+    },
+    async invalidateTags(tags) {
+        return getDefaultConnector().invalidateTags(tags);
+    },
+    explainInvalidation(...args) {
+        return getDefaultConnector().explainInvalidation(...args);
+    },
+    getForeignKeyGraph() {
+        return getDefaultConnector().getForeignKeyGraph();
+    },
+    async refreshForeignKeyGraph() {
+        return getDefaultConnector().refreshForeignKeyGraph();
+    },
+    getViewGraph() {
+        return getDefaultConnector().getViewGraph();
+    },
+    async refreshViewGraph() {
+        return getDefaultConnector().refreshViewGraph();
+    },
+    async withTransaction(...args) {
+        return getDefaultConnector().withTransaction(...args);
+    },
+    async withReadYourWrites(callback) {
+        return getDefaultConnector().withReadYourWrites(callback);
+    },
+
+    createDbConnector,
+    validateConfiguration
 };
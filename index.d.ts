@@ -21,6 +21,71 @@ declare module 'node-caching-mysql-connector-with-redis' {
         serverStatus?: number;
     }
 
+    /**
+     * Options of cached reads (v2.9.0+)
+     */
+    export interface CacheReadOptions {
+        /** Cache TTL in seconds (default: the table's ttl rule, then the connector default) */
+        ttl?: number;
+        /** Query timeout in milliseconds (default: none) */
+        timeout?: number;
+        /** Skip the cache lookup; the fresh result still refreshes the cache */
+        bypassCache?: boolean;
+        /** Cache tags of the entry; a write or invalidateTags() with one of them evicts it */
+        tags?: string | string[];
+        /**
+         * Seconds an expired entry is still served while one background refresh
+         * re-runs the query (true = as long as the ttl)
+         */
+        staleWhileRevalidate?: number | boolean;
+        /** Take the distributed fill lock on a miss (overrides the connector setting) */
+        fillLock?: boolean;
+        /** Cache TTL in seconds for an empty result (0 = don't cache it) */
+        negativeTtl?: number;
+    }
+
+    /**
+     * Options object form of getCacheQuery (v2.9.0+)
+     */
+    export interface QueryOptions extends CacheReadOptions {
+        /** SQL SELECT query */
+        sql: string;
+        /** Query parameters (default: []) */
+        params?: any[];
+        /** Cache key (optional if auto key enabled) */
+        key?: string | null;
+        /** Database name to switch to */
+        database?: string | null;
+    }
+
+    /**
+     * Options object form of getCacheQueryPagination (v2.9.0+)
+     */
+    export interface PaginationQueryOptions extends QueryOptions {
+        /** Page number (0-based, default: 0) */
+        page?: number;
+        /** Records per page (default: 30) */
+        pageSize?: number;
+    }
+
+    /**
+     * Options object form of QuaryCache (v2.9.0+)
+     */
+    export interface WriteQueryOptions {
+        /** SQL statement */
+        sql: string;
+        /** Query parameters (default: []) */
+        params?: any[];
+        /** Cache pattern(s) to reset (optional with auto invalidation) */
+        key?: string | string[] | null;
+        /** Database name to switch to */
+        database?: string | null;
+        /** Query timeout in milliseconds (default: none) */
+        timeout?: number;
+        /** Cache tags to invalidate */
+        tags?: string | string[];
+    }
+
     /**
      * Pagination result structure
      */
@@ -57,6 +122,9 @@ declare module 'node-caching-mysql-connector-with-redis' {
      *   "users-cache"
      * );
      * console.log(result.insertId);
+     *
+     * // v2.9.0 options object
+     * await QuaryCache({ sql: "UPDATE users SET name = ? WHERE id = ?", params: ["John", 1], key: "users" });
      * ```
      */
     export function QuaryCache(
@@ -65,6 +133,7 @@ declare module 'node-caching-mysql-connector-with-redis' {
         resetCacheName?: string | null,
         database?: string | null
     ): Promise<QueryResult>;
+    export function QuaryCache(options: WriteQueryOptions): Promise<QueryResult>;
 
     /**
      * Retrieves data from cache or database based on the provided SQL query and parameters.
@@ -78,6 +147,7 @@ declare module 'node-caching-mysql-connector-with-redis' {
      * @param parameters - The parameters to be passed to the SQL query
      * @param cacheName - The name of the cache to store the data (optional if auto key enabled)
      * @param database - The database name to switch to (optional)
+     * @param options - Cache options, e.g. { ttl } (v2.9.0+)
      * @returns A promise that resolves to the retrieved data
      *
      * @example
@@ -101,14 +171,24 @@ declare module 'node-caching-mysql-connector-with-redis' {
      *   [123]
      * );
      * // Auto key: "users:company_id:a7b3c2d1"
+     *
+     * // v2.9.0 options object
+     * const users = await getCacheQuery<User>({
+     *   sql: "SELECT * FROM users WHERE company_id = ?",
+     *   params: [123],
+     *   key: "users-company-123",
+     *   ttl: 300
+     * });
      * ```
      */
     export function getCacheQuery<T = any>(
         sql: string,
         parameters: any[],
         cacheName?: string | null,
-        database?: string | null
+        database?: string | null,
+        options?: CacheReadOptions
     ): Promise<T[]>;
+    export function getCacheQuery<T = any>(options: QueryOptions): Promise<T[]>;
 
     /**
      * Retrieves paginated data from cache or database based on the provided SQL query and parameters.
@@ -121,6 +201,7 @@ declare module 'node-caching-mysql-connector-with-redis' {
      * @param page - The page number of the data to retrieve (0-based)
      * @param pageSize - The number of records per page (default: 30)
      * @param database - The database name to switch to (optional)
+     * @param options - Cache options, e.g. { ttl } (v2.9.0+)
      * @returns A promise that resolves to an object containing the paginated data
      *
      * @example
@@ -150,8 +231,10 @@ declare module 'node-caching-mysql-connector-with-redis' {
         cacheName: string,
         page: number,
         pageSize?: number,
-        database?: string | null
+        database?: string | null,
+        options?: CacheReadOptions
     ): Promise<PaginationResult<T>>;
+    export function getCacheQueryPagination<T = any>(options: PaginationQueryOptions): Promise<PaginationResult<T>>;
 
     // ==================== REDIS FUNCTIONS ====================
 
@@ -171,6 +254,39 @@ declare module 'node-caching-mysql-connector-with-redis' {
      */
     export function getArrayItem<T = any>(key: string): Promise<T[]>;
 
+    /**
+     * Cache entry with its status (v2.9.0+)
+     */
+    export interface CacheEntry<T = any> {
+        /** 'hit' (including cached empty arrays), 'miss', or 'error' when the cache failed */
+        status: 'hit' | 'miss' | 'error';
+        /** Cached value (undefined unless status is 'hit') */
+        value: T | undefined;
+        /** ms timestamp of the write, null when unknown (L1 values, values written before v2.9.0) */
+        storedAt: number | null;
+        /** Seconds until the entry expires, null without expiry or when unknown */
+        ttlRemaining: number | null;
+        /** Cache error (status 'error' only) */
+        error?: Error;
+    }
+
+    /**
+     * Retrieves a cache entry with its status (v2.9.0+).
+     * Unlike getArrayItem, a missing key, a Redis failure and a cached empty array can be told apart.
+     *
+     * @param key - The cache key
+     * @returns A promise that resolves to the cache entry
+     *
+     * @example
+     * ```typescript
+     * const entry = await getCacheEntry<User[]>('users:active');
+     * if (entry.status === 'error') {
+     *   console.warn('Cache unavailable:', entry.error);
+     * }
+     * ```
+     */
+    export function getCacheEntry<T = any>(key: string): Promise<CacheEntry<T>>;
+
     /**
      * Stores an item in Redis cache with optional expiry
      *
@@ -262,8 +378,24 @@ declare module 'node-caching-mysql-connector-with-redis' {
         database?: string | null;
         /** Number of records per chunk (default: 1000) */
         chunkSize?: number;
-        /** Cache name prefix to reset after insert */
+        /** Cache name prefix to reset after insert (default: auto invalidation of the table, when enabled) */
         resetCacheName?: string | null;
+        /** Query timeout in milliseconds (v2.9.0+, default: none) */
+        timeout?: number;
+        /** Cache tags to invalidate after insert (v2.9.0+) */
+        tags?: string | string[];
+    }
+
+    /**
+     * Options object form of bulkInsert (v2.9.0+)
+     */
+    export interface BulkInsertQueryOptions<T = any> extends BulkInsertOptions {
+        /** Table to insert into */
+        table: string;
+        /** Records to insert */
+        records: T[];
+        /** Cache name prefix to reset after insert (alias of resetCacheName) */
+        key?: string | null;
     }
 
     /**
@@ -279,13 +411,25 @@ declare module 'node-caching-mysql-connector-with-redis' {
     /**
      * Query timeout options
      */
-    export interface QueryTimeoutOptions {
+    export interface QueryTimeoutOptions extends CacheReadOptions {
         /** Query timeout in milliseconds (default: 30000) */
         timeout?: number;
         /** Database name to switch to */
         database?: string | null;
     }
 
+    /**
+     * Options object form of getCacheQueryWithTimeout (v2.9.0+)
+     */
+    export interface TimeoutQueryOptions extends QueryTimeoutOptions {
+        /** SQL SELECT query */
+        sql: string;
+        /** Query parameters (default: []) */
+        params?: any[];
+        /** Cache key */
+        key: string;
+    }
+
     /**
      * Pool statistics
      */
@@ -298,6 +442,23 @@ declare module 'node-caching-mysql-connector-with-redis' {
         freeConnections: number;
         /** Number of queued requests waiting for a connection */
         queuedRequests: number;
+        /** Every pool (primary first, then read replicas) (v2.9.0+) */
+        pools: PoolNodeStats[];
+    }
+
+    /**
+     * Statistics of a single pool in the primary/replica cluster
+     */
+    export interface PoolNodeStats {
+        /** 'primary', 'replica-0', 'replica-1', ... */
+        name: string;
+        role: 'primary' | 'replica';
+        /** false while a replica is out of rotation */
+        healthy: boolean;
+        totalConnections: number;
+        activeConnections: number;
+        freeConnections: number;
+        queuedRequests: number;
     }
 
     /**
@@ -328,6 +489,7 @@ declare module 'node-caching-mysql-connector-with-redis' {
         records: T[],
         options?: BulkInsertOptions
     ): Promise<BulkInsertResult>;
+    export function bulkInsert<T = any>(options: BulkInsertQueryOptions<T>): Promise<BulkInsertResult>;
 
     /**
      * Executes a query with timeout protection to prevent long-running queries.
@@ -355,6 +517,7 @@ declare module 'node-caching-mysql-connector-with-redis' {
         cacheName: string,
         options?: QueryTimeoutOptions
     ): Promise<T[]>;
+    export function getCacheQueryWithTimeout<T = any>(options: TimeoutQueryOptions): Promise<T[]>;
 
     /**
      * Gracefully closes all database connections.
@@ -400,8 +563,68 @@ declare module 'node-caching-mysql-connector-with-redis' {
     export interface AutoInvalidationConfig {
         /** Enable auto invalidation */
         enabled?: boolean;
-        /** Table-specific invalidation patterns */
-        tables?: Record<string, string | string[]>;
+        /**
+         * Table-specific invalidation patterns, or { patterns, ttl } rules (v2.9.0+).
+         * A bare table name applies in every database; 'tenant_a.users' only in tenant_a (v2.9.0+).
+         * Patterns may name columns ('company:{company_id}:users'), filled from the write's bound parameters (v2.9.0+)
+         */
+        tables?: Record<string, string | string[] | TableRule>;
+        /**
+         * Row-level invalidation (v2.9.0+): a write that pins rows by primary key evicts only their
+         * entity keys (table:pk:<paramHash>) and the table's other reads. Default: false
+         */
+        rowLevel?: boolean;
+        /**
+         * Foreign-key-aware invalidation (v2.9.0+): writes also evict the tables they cascade to.
+         * true reads the foreign keys from INFORMATION_SCHEMA; an array replaces them. Default: false
+         */
+        foreignKeys?: boolean | ForeignKey[];
+        /**
+         * View resolution (v2.9.0+): reads of a view also depend on the tables behind it.
+         * true reads the views from INFORMATION_SCHEMA (MySQL 8.0.13+); { view: [tables] } replaces them. Default: false
+         */
+        views?: boolean | ViewGraph;
+    }
+
+    /**
+     * Tables behind each view (v2.9.0+): { 'schema.view': ['schema.table'] } as loaded.
+     * In an override a bare view name applies in every database, and bare tables are in the view's database
+     */
+    export type ViewGraph = Record<string, string[]>;
+
+    /**
+     * Foreign key of the invalidation graph (v2.9.0+)
+     */
+    export interface ForeignKey {
+        /** Referencing table ('schema.table' as loaded; a bare name applies in every database) */
+        table: string;
+        /** Referencing column (optional in overrides) */
+        column?: string;
+        /** Referenced table */
+        referencedTable: string;
+        /** Referenced column (optional in overrides: every UPDATE of the table follows onUpdate) */
+        referencedColumn?: string;
+        /** Referential action on deletes (default: 'NO ACTION') */
+        onDelete?: 'CASCADE' | 'SET NULL' | 'SET DEFAULT' | 'RESTRICT' | 'NO ACTION';
+        /** Referential action on updates of the referenced column (default: 'NO ACTION') */
+        onUpdate?: 'CASCADE' | 'SET NULL' | 'SET DEFAULT' | 'RESTRICT' | 'NO ACTION';
+    }
+
+    /**
+     * Table rule with a cache TTL (v2.9.0+)
+     */
+    export interface TableRule {
+        /** Patterns to invalidate on writes (default: table_* and table:*); may name columns: 'user:{id}:*' */
+        patterns?: string | string[];
+        /** Cache TTL in seconds of reads from this table */
+        ttl?: number;
+        /** Primary key column for row-level invalidation (default: 'id'; null = whole table) (v2.9.0+) */
+        primaryKey?: string | null;
+        /**
+         * Tables or rule names whose cached reads depend on this table: a write here evicts them as if
+         * they were written too, transitively (v2.9.0+)
+         */
+        dependsOnMe?: string | string[];
     }
 
     /**
@@ -487,6 +710,7 @@ declare module 'node-caching-mysql-connector-with-redis' {
          * @param sql - SQL query to execute
          * @param parameters - Query parameters
          * @param resetCacheName - Optional cache patterns to invalidate on commit
+         * @param options - Cache tags to invalidate on commit, { tags } (v2.9.0+)
          * @returns Promise resolving to query result
          *
          * @example
@@ -498,7 +722,8 @@ declare module 'node-caching-mysql-connector-with-redis' {
         query<T = any>(
             sql: string,
             parameters: any[],
-            resetCacheName?: string | string[] | null
+            resetCacheName?: string | string[] | null,
+            options?: { tags?: string | string[] }
         ): Promise<T>;
 
         /**
@@ -508,6 +733,7 @@ declare module 'node-caching-mysql-connector-with-redis' {
          * @param sql - SQL query to execute
          * @param parameters - Query parameters
          * @param cacheName - Cache key (optional if auto-key enabled)
+         * @param options - Cache options, e.g. { ttl } (v2.9.0+)
          * @returns Promise resolving to query results
          *
          * @example
@@ -518,7 +744,8 @@ declare module 'node-caching-mysql-connector-with-redis' {
         getCacheQuery<T = any>(
             sql: string,
             parameters: any[],
-            cacheName?: string | null
+            cacheName?: string | null,
+            options?: Pick<CacheReadOptions, 'ttl' | 'negativeTtl' | 'tags'>
         ): Promise<T[]>;
 
         /**
@@ -585,6 +812,438 @@ declare module 'node-caching-mysql-connector-with-redis' {
         options?: TransactionOptions
     ): Promise<T>;
 
+    /**
+     * Runs a callback in a read-your-writes context (v2.9.0+).
+     * Once the callback has written (QuaryCache, bulkInsert, withTransaction),
+     * every later cache miss in the same async context reads from the primary.
+     *
+     * @param callback - Async function to run (e.g. one HTTP request)
+     * @returns Promise resolving to callback return value
+     *
+     * @example
+     * ```typescript
+     * app.use((req, res, next) => withReadYourWrites(async () => next()));
+     * ```
+     */
+    export function withReadYourWrites<T = any>(callback: () => Promise<T>): Promise<T>;
+
+    // ==================== CACHE STORES (v2.9.0+) ====================
+
+    /**
+     * Cache backend used by the query functions.
+     * Implement this interface to plug in your own store.
+     */
+    export interface CacheStore {
+        /** Returns the value, or undefined on a miss */
+        get<T = any>(key: string): Promise<T | undefined>;
+        /** Stores a value (JSON data plus Date, Buffer and BigInt) for ttl seconds (no ttl = no expiry) */
+        set(key: string, value: any, ttl?: number): Promise<void>;
+        /** Deletes one key or several keys */
+        del(keys: string | string[]): Promise<void>;
+        /** Deletes every key starting with one of the prefixes; prefixes may hold Redis glob characters (users:*) */
+        delByPrefix(prefixes: string | string[]): Promise<void>;
+        /** Returns the values in key order (undefined for misses) */
+        mget<T = any>(keys: string[]): Promise<Array<T | undefined>>;
+        /** Optional: releases resources (called by Connector.close()) */
+        close?(): Promise<void>;
+        /** Optional: store statistics (reported by getCacheStats()) */
+        getStats?(): any;
+        /** Optional: value with its status; without it, get() is used and a thrown error is an 'error' (v2.9.0+) */
+        getEntry?<T = any>(key: string): Promise<CacheEntry<T>>;
+        /** Optional: takes a fill lock for ttlMs; true if it was free (v2.9.0+) */
+        acquireLock?(key: string, token: string, ttlMs: number): Promise<boolean>;
+        /** Optional: releases a fill lock only if it is still held with token (v2.9.0+) */
+        releaseLock?(key: string, token: string): Promise<void>;
+        /** Optional: records a stored key under tags for ttl seconds or longer (v2.9.0+, needed by invalidation 'tags') */
+        addTags?(key: string, tags: string[], ttl?: number): Promise<void>;
+        /** Optional: deletes every key recorded under one of the tags (v2.9.0+) */
+        delByTags?(tags: string | string[]): Promise<void>;
+        /** Optional: current versions of the names (0 if never incremented), null if unreadable (v2.9.0+, needed by invalidation 'versions') */
+        getVersions?(names: string[]): Promise<number[] | null>;
+        /** Optional: increments the versions of the names (v2.9.0+) */
+        incrVersions?(names: string[]): Promise<void>;
+        /** Optional: rejects when a write couldn't be invalidated now; checked before writes run (v2.9.0+, Redis store 'fail' policy) */
+        ensureInvalidationReady?(): Promise<void>;
+        /** Optional: invalidations queued while the store was unreachable (v2.9.0+, Redis store) */
+        getPendingInvalidations?(): PendingInvalidations;
+    }
+
+    /**
+     * Distributed fill lock config (v2.9.0+)
+     */
+    export interface FillLockConfig {
+        /** Lock every cache fill (default: false) */
+        enabled?: boolean;
+        /** Lock lifetime in ms if its holder never releases it (default: 5000) */
+        lockTtl?: number;
+        /** Max ms other processes wait for the filler before querying MySQL (default: 1000) */
+        maxWait?: number;
+        /** ms between cache polls while waiting (default: 50) */
+        pollInterval?: number;
+    }
+
+    /**
+     * In-memory store options
+     */
+    export interface MemoryStoreOptions {
+        /** Max number of entries before the least recently used is evicted (default: 1000) */
+        maxEntries?: number;
+        /** Max total size of the serialized values in bytes (default: unbounded) */
+        maxBytes?: number;
+    }
+
+    /**
+     * In-process LRU store
+     */
+    export interface MemoryStore extends CacheStore {
+        getStats(): MemoryStoreStats;
+    }
+
+    export interface MemoryStoreStats {
+        hits: number;
+        misses: number;
+        entries: number;
+        /** Total size of the serialized values */
+        bytes: number;
+    }
+
+    /**
+     * Hit/miss counters of the Redis store, per tier
+     */
+    export interface CacheStats {
+        /** In-process L1 cache (null when disabled) */
+        l1: MemoryStoreStats | null;
+        /** Redis */
+        l2: { hits: number; misses: number };
+    }
+
+    /**
+     * Creates an in-process LRU store (local development, unit tests, single-process apps)
+     *
+     * @example
+     * ```typescript
+     * const connector = createConnector({
+     *     mysql: { host: 'localhost', user: 'root', database: 'app' },
+     *     store: createMemoryStore({ maxEntries: 500 })
+     * });
+     * ```
+     */
+    export function createMemoryStore(options?: MemoryStoreOptions): MemoryStore;
+
+    /**
+     * Creates a store that never caches anything
+     */
+    export function createNullStore(): CacheStore;
+
+    /**
+     * Codec of values stored in Redis (v2.9.0+)
+     */
+    export interface CacheCodec {
+        /** Id written in the header of every stored value (custom codecs: 128-255) */
+        id: number;
+        name: string;
+        encode(value: any): Buffer;
+        decode(buffer: Buffer): any;
+    }
+
+    /**
+     * Compression of large values stored in Redis (v2.9.0+)
+     */
+    export interface CompressionConfig {
+        enabled?: boolean;
+        /** Algorithm (default: 'gzip') */
+        algorithm?: 'gzip' | 'brotli';
+        /** Values smaller than this many bytes are stored plain (default: 1024) */
+        threshold?: number;
+        /** gzip level (default: zlib default) or brotli quality (default: 4) */
+        level?: number;
+    }
+
+    /**
+     * Compression counters of a Redis store, as reported by getCacheStats()
+     */
+    export interface CompressionStats {
+        algorithm: 'gzip' | 'brotli';
+        threshold: number;
+        /** Number of values stored compressed */
+        compressed: number;
+        /** Size of those values before compression */
+        uncompressedBytes: number;
+        /** Size of those values after compression */
+        compressedBytes: number;
+    }
+
+    /**
+     * Redis store options
+     */
+    export interface RedisStoreOptions extends ConnectorRedisConfig {
+        /** Codec of stored values (default: 'json') */
+        codec?: 'json' | 'msgpack' | CacheCodec;
+        /** Compress values above a threshold (default: no compression) */
+        compression?: 'gzip' | 'brotli' | CompressionConfig | false;
+    }
+
+    /**
+     * Creates a Redis-backed store (with its own client)
+     */
+    export function createRedisStore(options?: RedisStoreOptions): CacheStore;
+
+    /**
+     * Returns the cache store of the default connector (selected with CACHE_STORE),
+     * or null when caching is disabled
+     */
+    export function getCacheStore(): CacheStore | null;
+
+    /**
+     * Returns the statistics of the default connector's cache store
+     * (CacheStats for Redis), or null when the store reports none
+     *
+     * @example
+     * ```typescript
+     * const { l1, l2 } = getCacheStats();
+     * console.log(`L1 hit rate: ${l1.hits / (l1.hits + l1.misses)}`);
+     * ```
+     */
+    export function getCacheStats(): CacheStats | any | null;
+
+    /**
+     * Deletes every cached read recorded under one of the tags: the tables a read uses
+     * (with invalidation 'tags') and the tags passed to the read (v2.9.0+).
+     * No-op when the cache store has no tag support.
+     *
+     * @example
+     * ```typescript
+     * await getCacheQuery({ sql: 'SELECT ...', key: 'dashboard:orders', tags: 'dashboard' });
+     * await invalidateTags('dashboard');
+     * ```
+     */
+    export function invalidateTags(tags: string | string[]): Promise<void>;
+
+    /**
+     * What a write would evict (v2.9.0+)
+     */
+    export interface InvalidationPlan {
+        /** Written tables, the tables they cascade to (foreignKeys), then the tables and rule names that depend on them (dependsOnMe) */
+        tables: string[];
+        /** Key patterns deleted by prefix */
+        patterns: string[];
+        /** Tags evicted */
+        tags: string[];
+        /** Table versions incremented (invalidation 'versions') */
+        versions: string[];
+        /** Entity keys deleted (row-level invalidation) */
+        keys: string[];
+    }
+
+    /**
+     * Shows what a write would evict with the current rules and invalidation mode, without
+     * running it or touching the cache (v2.9.0+)
+     *
+     * @example
+     * ```typescript
+     * enableAutoInvalidation({ tables: { order_items: { dependsOnMe: ['orders', 'dashboard'] } } });
+     * explainInvalidation('DELETE FROM order_items WHERE id = ?', [5]).patterns;
+     * // ['order_items_*', 'order_items:*', 'orders_*', 'orders:*', 'dashboard_*', 'dashboard:*']
+     * ```
+     */
+    export function explainInvalidation(
+        sql: string,
+        params?: any[],
+        resetCacheName?: string | string[] | null,
+        database?: string | null
+    ): InvalidationPlan;
+    export function explainInvalidation(options: WriteQueryOptions): InvalidationPlan;
+
+    /**
+     * Foreign keys writes cascade through (v2.9.0+): the autoInvalidation.foreignKeys override, or with
+     * foreignKeys: true the ones loaded from INFORMATION_SCHEMA (empty until loaded)
+     */
+    export function getForeignKeyGraph(): ForeignKey[];
+
+    /**
+     * Reads the foreign keys from INFORMATION_SCHEMA again, e.g. after a migration (v2.9.0+)
+     */
+    export function refreshForeignKeyGraph(): Promise<ForeignKey[]>;
+
+    /**
+     * Tables behind the views reads depend on (v2.9.0+): the autoInvalidation.views override, or with
+     * views: true the ones loaded from INFORMATION_SCHEMA (empty until loaded)
+     */
+    export function getViewGraph(): ViewGraph;
+
+    /**
+     * Reads the views from INFORMATION_SCHEMA again, e.g. after a migration (v2.9.0+)
+     */
+    export function refreshViewGraph(): Promise<ViewGraph>;
+
+    // ==================== CONNECTOR FACTORY (v2.9.0+) ====================
+
+    /**
+     * MySQL options for a connector instance.
+     * Any other mysql2 pool option (connectionLimit, timezone, ...) is passed through.
+     */
+    export interface ConnectorMysqlConfig {
+        host: string;
+        user: string;
+        database: string;
+        password?: string;
+        port?: number;
+        /** Read replicas; each entry is merged over the primary's options */
+        replicas?: Array<{ host: string; [option: string]: any }>;
+        /** Replica selection for cache misses (default: 'round-robin') */
+        readStrategy?: 'round-robin' | 'least-busy';
+        /** ms between replica health checks (default: 5000, 0 disables) */
+        healthCheckInterval?: number;
+        /** ms reads of a written table stay on the primary (default: 5000, 0 disables) */
+        stickyWindow?: number;
+        /** Max replica lag in seconds for a replica read to populate the cache */
+        maxReplicationLag?: number;
+        [option: string]: any;
+    }
+
+    /**
+     * Redis options for a connector instance
+     */
+    export interface ConnectorRedisConfig {
+        /** Set to false to disable caching */
+        enabled?: boolean;
+        host?: string;
+        port?: number;
+        password?: string;
+        /** Namespace prefix applied to every key */
+        vhost?: string;
+        /** Max wait for a ready connection in ms (default: 10000) */
+        waitTimeout?: number;
+        /** Reuse an existing redis v3 client instead of creating one (create it with detect_buffers: true) */
+        client?: RedisClient;
+        /** In-process L1 cache in front of Redis, invalidated over pub/sub (v2.9.0+) */
+        l1?: L1CacheConfig;
+        /** Queue and replay invalidations that fail while Redis is down (v2.9.0+) */
+        invalidationRetry?: InvalidationRetryConfig;
+    }
+
+    /**
+     * L1 cache options
+     */
+    export interface L1CacheConfig {
+        enabled?: boolean;
+        /** L1 entry lifetime in seconds (default: 5) */
+        ttl?: number;
+        /** Max L1 entries (default: 1000) */
+        maxEntries?: number;
+        /** Max total size of the L1 values in bytes (default: unbounded) */
+        maxBytes?: number;
+    }
+
+    /**
+     * Retry of failed invalidations (v2.9.0+)
+     */
+    export interface InvalidationRetryConfig {
+        /**
+         * 'replay' (default): replay the queued invalidations when Redis is ready again.
+         * 'flush': queue the prefix of each failed key delete and delete everything under it on reconnect.
+         * 'fail': reject writes without running them while Redis isn't ready (failures after a write are queued like 'replay').
+         */
+        policy?: 'replay' | 'flush' | 'fail';
+        /** Queued keys before they are replaced by their prefixes (default: 10000) */
+        maxEntries?: number;
+        /** JSON file the queue is kept in, read back at startup (default: in-process only) */
+        spillFile?: string;
+    }
+
+    /**
+     * Invalidations waiting for Redis to come back (v2.9.0+)
+     */
+    export interface PendingInvalidations {
+        keys: number;
+        prefixes: number;
+        tags: number;
+        versions: number;
+    }
+
+    /**
+     * Connector instance configuration
+     */
+    export interface ConnectorConfig {
+        mysql: ConnectorMysqlConfig;
+        /** Redis options, or false / omitted to disable caching */
+        redis?: ConnectorRedisConfig | false;
+        /** Cache TTL in seconds for reads without a per-call or per-table TTL (default: 40000) */
+        defaultTtl?: number;
+        /** Cache TTL in seconds for empty results (default: same as other results, 0 = don't cache them) */
+        negativeTtl?: number;
+        /** Distributed fill lock for cache misses (default: disabled) */
+        fillLock?: boolean | FillLockConfig;
+        /** Cache store (default: 'redis' when redis is set, otherwise no caching) */
+        store?: 'redis' | 'memory' | 'null' | CacheStore;
+        /** Codec of values stored in Redis (default: 'json') */
+        codec?: 'json' | 'msgpack' | CacheCodec;
+        /** Compress values stored in Redis above a threshold (default: no compression) */
+        compression?: 'gzip' | 'brotli' | CompressionConfig | false;
+        /** Auto key config for this instance (defaults to the process-wide setting) */
+        autoKey?: boolean | AutoKeyConfig;
+        /** Auto invalidation config for this instance (defaults to the process-wide setting) */
+        autoInvalidation?: boolean | AutoInvalidationConfig;
+        /**
+         * How auto invalidation evicts a written table: 'prefix' (default, SCAN for its key
+         * patterns), 'tags' (the cached reads recorded under its tag; the store needs addTags / delByTags)
+         * or 'versions' (a new table version, embedded in auto keys; the store needs getVersions / incrVersions)
+         */
+        invalidation?: 'prefix' | 'tags' | 'versions';
+    }
+
+    /**
+     * Independent connector instance with its own MySQL pool and Redis client
+     */
+    export interface Connector {
+        QuaryCache: typeof QuaryCache;
+        getCacheQuery: typeof getCacheQuery;
+        getCacheQueryPagination: typeof getCacheQueryPagination;
+        bulkInsert: typeof bulkInsert;
+        getCacheQueryWithTimeout: typeof getCacheQueryWithTimeout;
+        closeConnections: typeof closeConnections;
+        getPoolStats: typeof getPoolStats;
+        withTransaction: typeof withTransaction;
+        withReadYourWrites: typeof withReadYourWrites;
+        getArrayItem: typeof getArrayItem;
+        getCacheEntry: typeof getCacheEntry;
+        addArrayItem: typeof addArrayItem;
+        delKeyItem: typeof delKeyItem;
+        delPrefixKeyItem: typeof delPrefixKeyItem;
+        isRedisConnected: typeof isRedisConnected;
+        getRedisClient: typeof getRedisClient;
+        getCacheStore: typeof getCacheStore;
+        getCacheStats: typeof getCacheStats;
+        invalidateTags: typeof invalidateTags;
+        explainInvalidation: typeof explainInvalidation;
+        getForeignKeyGraph: typeof getForeignKeyGraph;
+        refreshForeignKeyGraph: typeof refreshForeignKeyGraph;
+        getViewGraph: typeof getViewGraph;
+        refreshViewGraph: typeof refreshViewGraph;
+        /** Closes the MySQL pool, quits the Redis client and closes the cache store */
+        close(): Promise<void>;
+    }
+
+    /**
+     * Creates an independent connector instance from a config object.
+     * Nothing is read from process.env, so one process can hold several connectors.
+     *
+     * @param config - Connector configuration
+     * @returns Connector instance
+     *
+     * @example
+     * ```typescript
+     * const analytics = createConnector({
+     *     mysql: { host: 'analytics-db', user: 'app', database: 'analytics' },
+     *     redis: { host: 'cache-2', vhost: 'analytics' },
+     *     autoKey: true
+     * });
+     * const events = await analytics.getCacheQuery('SELECT * FROM events');
+     * await analytics.close();
+     * ```
+     */
+    export function createConnector(config: ConnectorConfig): Connector;
+
     // ==================== BACKWARD COMPATIBILITY ====================
 
     /**
@@ -610,15 +1269,29 @@ declare module 'node-caching-mysql-connector-with-redis' {
         closeConnections: typeof closeConnections;
         getPoolStats: typeof getPoolStats;
         withTransaction: typeof withTransaction;
+        withReadYourWrites: typeof withReadYourWrites;
         enableAutoKey: typeof enableAutoKey;
         enableAutoInvalidation: typeof enableAutoInvalidation;
         configure: typeof configure;
         getArrayItem: typeof getArrayItem;
+        getCacheEntry: typeof getCacheEntry;
         addArrayItem: typeof addArrayItem;
         delKeyItem: typeof delKeyItem;
         delPrefixKeyItem: typeof delPrefixKeyItem;
         isRedisConnected: typeof isRedisConnected;
         getRedisClient: typeof getRedisClient;
+        createConnector: typeof createConnector;
+        getCacheStore: typeof getCacheStore;
+        getCacheStats: typeof getCacheStats;
+        invalidateTags: typeof invalidateTags;
+        explainInvalidation: typeof explainInvalidation;
+        getForeignKeyGraph: typeof getForeignKeyGraph;
+        refreshForeignKeyGraph: typeof refreshForeignKeyGraph;
+        getViewGraph: typeof getViewGraph;
+        refreshViewGraph: typeof refreshViewGraph;
+        createMemoryStore: typeof createMemoryStore;
+        createNullStore: typeof createNullStore;
+        createRedisStore: typeof createRedisStore;
     };
 
     export default connector;
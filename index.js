@@ -2,6 +2,8 @@ const dbConnector = require('./dbConnector');
 const redisConnector = require('./redis.Connector');
 const { enableAutoKey } = require('./core/autoKey');
 const { enableAutoInvalidation } = require('./core/autoInvalidate');
+const { createConnector } = require('./connector');
+const { createMemoryStore, createNullStore } = require('./core/cacheStore');
 
 module.exports = {
     // Database functions
@@ -18,14 +20,34 @@ module.exports = {
     // Transaction support (v2.7.0+)
     withTransaction: dbConnector.withTransaction,
 
+    // Read replicas: read-your-writes context (v2.9.0+)
+    withReadYourWrites: dbConnector.withReadYourWrites,
+
     // Redis functions
     getArrayItem: redisConnector.getArrayItem,
+    getCacheEntry: redisConnector.getCacheEntry,
     addArrayItem: redisConnector.addArrayItem,
     delKeyItem: redisConnector.delKeyItem,
     delPrefixKeyItem: redisConnector.delPrefixKeyItem,
     isRedisConnected: redisConnector.isRedisConnected,
     getRedisClient: redisConnector.getRedisClient,
 
+    // Independent instances (v2.9.0+)
+    createConnector,
+
+    // Cache stores (v2.9.0+)
+    getCacheStore: dbConnector.getCacheStore,
+    getCacheStats: dbConnector.getCacheStats,
+    invalidateTags: dbConnector.invalidateTags,
+    explainInvalidation: dbConnector.explainInvalidation,
+    getForeignKeyGraph: dbConnector.getForeignKeyGraph,
+    refreshForeignKeyGraph: dbConnector.refreshForeignKeyGraph,
+    getViewGraph: dbConnector.getViewGraph,
+    refreshViewGraph: dbConnector.refreshViewGraph,
+    createMemoryStore,
+    createNullStore,
+    createRedisStore: redisConnector.createRedisStore,
+
     // v2.6.0 Core Features (Opt-in)
     enableAutoKey,
     enableAutoInvalidation,
@@ -1,214 +1,843 @@
 const redis = require('redis');
+const crypto = require('crypto');
 const { promisify } = require('util');
+const { createMemoryStore, cacheEntry, errorEntry } = require('./core/cacheStore');
+const { createValueCodec } = require('./core/codec');
+const { createInvalidationQueue } = require('./core/invalidationQueue');
 require('dotenv').config();
 
 // ── Configuration ──────────────────────────────────────────────
 const RECONNECT_BASE_DELAY = 500;   // Initial retry delay (ms)
 const RECONNECT_MAX_DELAY  = 30000; // Max delay between retries (30s)
-const WAIT_TIMEOUT = parseInt(process.env.REDIS_WAIT_TIMEOUT, 10) || 10000;
-
-// ── Redis Client ───────────────────────────────────────────────
-const client = redis.createClient({
-    host: process.env.REDIS_SERVER,
-    port: process.env.REDIS_PORT,
-    password: process.env.REDIS_PASSWORD,
-    // Unlimited retry — exponential backoff with jitter, never gives up
-    retry_strategy: (options) => {
-        const exp = Math.min(
-            RECONNECT_BASE_DELAY * Math.pow(2, options.attempt - 1),
-            RECONNECT_MAX_DELAY
-        );
-        const jitter = Math.floor(Math.random() * exp * 0.2);
-        const delay = exp + jitter;
-        console.log(`Redis reconnecting in ${delay}ms (attempt ${options.attempt})`);
-        return delay;
-    }
-});
-
-// Allow many concurrent waitForConnection() listeners without warning
-client.setMaxListeners(0);
+const DEFAULT_WAIT_TIMEOUT = 10000; // Max wait for a ready connection (ms)
+const DEL_BATCH_SIZE = 100;
+const DEFAULT_L1_TTL = 5;               // L1 entry lifetime (seconds)
+const DEFAULT_L1_MAX_ENTRIES = 1000;
+const INVALIDATION_CHANNEL = 'cache:invalidate';
+const TAG_KEY_PREFIX = 'cache:tag:';
+const VERSION_KEY_PREFIX = 'cache:version:';
 
-// ── Connection State ───────────────────────────────────────────
-let isRedisReady = false;
+// Deletes the lock only if it still holds the caller's token (atomic compare-and-delete)
+const RELEASE_LOCK_SCRIPT = `if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+end
+return 0`;
 
-client.on('error', (err) => {
-    isRedisReady = false;
-    console.error('Redis Error:', err.message);
-});
+// Adds ARGV[1] to every tag set in KEYS. A set's TTL is only ever extended, so it outlives
+// all its keys (ARGV[2] = 0: the key never expires, neither does the set)
+const ADD_TAGS_SCRIPT = `local ttl = tonumber(ARGV[2])
+for _, tag in ipairs(KEYS) do
+    local existed = redis.call('exists', tag)
+    redis.call('sadd', tag, ARGV[1])
+    if ttl == 0 then
+        redis.call('persist', tag)
+    else
+        local current = redis.call('ttl', tag)
+        if existed == 0 or (current >= 0 and current < ttl) then
+            redis.call('expire', tag, ttl)
+        end
+    end
+end
+return 0`;
 
-client.on('connect', () => {
-    console.log('Redis connected');
-});
+// Reads and deletes a tag set atomically: keys tagged afterwards go to a new set
+const POP_TAG_SCRIPT = `local keys = redis.call('smembers', KEYS[1])
+redis.call('del', KEYS[1])
+return keys`;
 
-client.on('ready', () => {
-    isRedisReady = true;
-    console.log('Redis ready');
-});
+/**
+ * Creates an independent Redis connector with its own client and connection state.
+ * Nothing here reads process.env, so several connectors can live in one process.
+ *
+ * @param {Object} options - Connector options
+ * @param {string} [options.host] - Redis host
+ * @param {number|string} [options.port] - Redis port
+ * @param {string} [options.password] - Redis password
+ * @param {string} [options.vhost] - Namespace prefix applied to every key
+ * @param {number} [options.waitTimeout] - Max wait for a ready connection in ms (default: 10000)
+ * @param {Object} [options.client] - Existing redis v3 client (takes priority over host/port); create it
+ *                                    with detect_buffers: true so binary values can be read back
+ * @param {string|Object} [options.codec] - Codec of stored values: 'json' (default), 'msgpack' or a custom
+ *                                          codec ({ id, name, encode, decode }), see core/codec.js
+ * @param {string|Object} [options.compression] - Compress values above a threshold: 'gzip', 'brotli' or
+ *                                                { algorithm, threshold, level }, see core/compression.js
+ * @param {Object} [options.l1] - In-process L1 cache in front of Redis ({ ttl, maxEntries, maxBytes }).
+ *                                Invalidations are broadcast over pub/sub so every process evicts its L1.
+ * @param {Object} [options.invalidationRetry] - Invalidations that fail are queued and replayed on 'ready':
+ *                                               { policy: 'replay' | 'flush' | 'fail', maxEntries, spillFile },
+ *                                               see core/invalidationQueue.js
+ * @returns {Object} - Cache functions (getArrayItem, getCacheEntry, addArrayItem, delKeyItem, ...) and the
+ *                     CacheStore methods (get, set, del, delByPrefix, mget, getEntry, addTags, delByTags,
+ *                     getVersions, incrVersions)
+ */
+function createRedisConnector(options = {}) {
+    const waitTimeout = options.waitTimeout || DEFAULT_WAIT_TIMEOUT;
+    const vhost = options.vhost || null;
+    const valueCodec = createValueCodec(options.codec, { compression: options.compression });
 
-client.on('reconnecting', (params) => {
-    console.log(`Redis reconnecting... (attempt ${params.attempt}, delay ${params.delay}ms)`);
-});
+    // ── Redis Client ───────────────────────────────────────────
+    const client = options.client || redis.createClient({
+        host: options.host,
+        port: options.port,
+        password: options.password,
+        // Replies are Buffers for commands called with a Buffer key (reads of cached values)
+        detect_buffers: true,
+        // Unlimited retry — exponential backoff with jitter, never gives up
+        retry_strategy: (retryOptions) => {
+            const exp = Math.min(
+                RECONNECT_BASE_DELAY * Math.pow(2, retryOptions.attempt - 1),
+                RECONNECT_MAX_DELAY
+            );
+            const jitter = Math.floor(Math.random() * exp * 0.2);
+            const delay = exp + jitter;
+            console.log(`Redis reconnecting in ${delay}ms (attempt ${retryOptions.attempt})`);
+            return delay;
+        }
+    });
 
-client.on('end', () => {
-    isRedisReady = false;
-    console.log('Redis connection closed');
-});
+    // Allow many concurrent waitForConnection() listeners without warning
+    client.setMaxListeners(0);
 
-// ── Promisified Commands ───────────────────────────────────────
-const existsAsync = promisify(client.exists).bind(client);
-const getAsync    = promisify(client.get).bind(client);
-const setexAsync  = promisify(client.setex).bind(client);
-const delAsync    = promisify(client.del).bind(client);
-const scanAsync   = promisify(client.scan).bind(client);
+    const clientOptions = options.client && options.client.options;
+    if (clientOptions && !clientOptions.detect_buffers && !clientOptions.return_buffers
+        && (valueCodec.codec.name !== 'json' || valueCodec.getCompressionStats())) {
+        console.warn('Redis client without detect_buffers: binary (msgpack or compressed) values can\'t be read back');
+    }
 
-// ── Connection Guard ───────────────────────────────────────────
+    // ── Connection State ───────────────────────────────────────
+    let isRedisReady = false;
 
-/**
- * Wait for Redis connection to be ready.
- * Uses event listener (not polling) — no memory leak possible.
- * @param {number} [timeout] - Max wait time in ms (default: WAIT_TIMEOUT)
- */
-function waitForConnection(timeout) {
-    timeout = timeout || WAIT_TIMEOUT;
+    // Invalidations that failed, replayed when the client is ready again
+    const invalidationQueue = createInvalidationQueue(options.invalidationRetry);
 
-    if (isRedisReady) return Promise.resolve();
+    client.on('error', (err) => {
+        isRedisReady = false;
+        console.error('Redis Error:', err.message);
+    });
 
-    return new Promise((resolve, reject) => {
-        let settled = false;
+    client.on('connect', () => {
+        console.log('Redis connected');
+    });
 
-        const onReady = () => {
-            if (settled) return;
-            settled = true;
-            clearTimeout(timer);
-            resolve();
-        };
+    client.on('ready', () => {
+        isRedisReady = true;
+        console.log('Redis ready');
+    });
 
-        const timer = setTimeout(() => {
-            if (settled) return;
-            settled = true;
-            client.removeListener('ready', onReady);
-            reject(new Error(`Redis connection timeout (${timeout}ms)`));
-        }, timeout);
+    client.on('reconnecting', (params) => {
+        console.log(`Redis reconnecting... (attempt ${params.attempt}, delay ${params.delay}ms)`);
+    });
 
-        client.once('ready', onReady);
+    client.on('end', () => {
+        isRedisReady = false;
+        console.log('Redis connection closed');
     });
-}
 
-/**
- * Execute a Redis operation with connection guard + graceful fallback.
- * - Waits for connection before executing
- * - On failure returns fallback (reads) or logs warning (writes)
- *
- * @param {Function} fn        - Async function to execute
- * @param {*}        [fallback] - Value to return on failure (omit to throw)
- */
-async function safeExec(fn, fallback) {
-    const hasFallback = arguments.length > 1;
-    try {
-        await waitForConnection();
-        return await fn();
-    } catch (err) {
-        console.error('Redis operation failed:', err.message);
-        if (hasFallback) return fallback;
-        throw err;
-    }
-}
+    // ── L1 Cache (optional) ────────────────────────────────────
+    const l1Options = options.l1 && options.l1.enabled !== false ? options.l1 : null;
+    const l1 = l1Options
+        ? createMemoryStore({
+            maxEntries: l1Options.maxEntries || DEFAULT_L1_MAX_ENTRIES,
+            maxBytes: l1Options.maxBytes
+        })
+        : null;
+    const l1Ttl = (l1Options && l1Options.ttl) || DEFAULT_L1_TTL;
+    const l2Stats = { hits: 0, misses: 0 };
 
-// ── SCAN (replaces KEYS — production-safe, cluster-compatible) ─
-
-async function scanKeys(pattern) {
-    const keys = [];
-    let cursor = '0';
-    do {
-        const [newCursor, foundKeys] = await scanAsync(cursor, 'MATCH', pattern, 'COUNT', 100);
-        cursor = newCursor;
-        keys.push(...foundKeys);
-    } while (cursor !== '0');
-    return keys;
-}
+    // Identifies this connector's own broadcasts, which it has already applied
+    const instanceId = crypto.randomUUID();
+    const invalidationChannel = _namespaceKey(INVALIDATION_CHANNEL);
+    let subscriber = null;
 
-// ── Helpers ────────────────────────────────────────────────────
+    // ── Promisified Commands ───────────────────────────────────
+    const existsAsync = promisify(client.exists).bind(client);
+    const getAsync    = promisify(client.get).bind(client);
+    const setexAsync  = promisify(client.setex).bind(client);
+    const delAsync    = promisify(client.del).bind(client);
+    const scanAsync   = promisify(client.scan).bind(client);
 
-function _namespaceKey(key) {
-    return process.env.REDIS_VHOST ? `${process.env.REDIS_VHOST}:${key}` : key;
-}
+    // ── Connection Guard ───────────────────────────────────────
 
-const DEL_BATCH_SIZE = 100;
+    /**
+     * Wait for Redis connection to be ready.
+     * Uses event listener (not polling) — no memory leak possible.
+     * @param {number} [timeout] - Max wait time in ms (default: waitTimeout)
+     */
+    function waitForConnection(timeout) {
+        timeout = timeout || waitTimeout;
 
-// ── Public API ─────────────────────────────────────────────────
+        if (isRedisReady) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            let settled = false;
+
+            const onReady = () => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                resolve();
+            };
+
+            const timer = setTimeout(() => {
+                if (settled) return;
+                settled = true;
+                client.removeListener('ready', onReady);
+                reject(new Error(`Redis connection timeout (${timeout}ms)`));
+            }, timeout);
+
+            client.once('ready', onReady);
+        });
+    }
 
-module.exports = {
     /**
-     * Get cached array item. Returns [] on cache miss OR Redis failure.
+     * Execute a Redis operation with connection guard + graceful fallback.
+     * - Waits for connection before executing
+     * - On failure returns fallback (reads) or logs warning (writes)
+     *
+     * @param {Function} fn        - Async function to execute
+     * @param {*}        [fallback] - Value to return on failure (omit to throw)
      */
-    async getArrayItem(key) {
-        return safeExec(async () => {
-            const namespacedKey = _namespaceKey(key);
-            const exists = await existsAsync(namespacedKey);
-            if (exists) {
-                const reply = await getAsync(namespacedKey);
-                return JSON.parse(reply);
-            }
-            return [];
-        }, []);
-    },
+    async function safeExec(fn, fallback) {
+        const hasFallback = arguments.length > 1;
+        try {
+            await waitForConnection();
+            await waitForReplay();
+            return await fn();
+        } catch (err) {
+            console.error('Redis operation failed:', err.message);
+            if (hasFallback) return fallback;
+            throw err;
+        }
+    }
 
     /**
-     * Store array item in cache. Returns the data even if caching fails.
+     * Execute a cache invalidation. On failure it is logged and queued for replay on the next
+     * 'ready' event.
+     *
+     * @param {string}   kind   - 'keys', 'prefixes', 'tags' or 'versions'
+     * @param {string[]} values - What to invalidate
+     * @param {Function} fn     - Async function that invalidates
      */
-    async addArrayItem(key, array, expiryDate = 40000) {
-        return safeExec(async () => {
-            const namespacedKey = _namespaceKey(key);
-            await setexAsync(namespacedKey, expiryDate, JSON.stringify(array));
-            return array;
-        }, array);
-    },
+    async function invalidateOrQueue(kind, values, fn) {
+        try {
+            await waitForConnection();
+            await fn();
+        } catch (err) {
+            console.error('Redis operation failed:', err.message);
+            await invalidationQueue.add(kind, values);
+        }
+    }
+
+    // Replay of the queued invalidations in progress: reads wait for it, so they can't serve
+    // entries the queue is about to delete
+    let replaying = null;
+
+    function waitForReplay() {
+        return replaying || Promise.resolve();
+    }
 
     /**
-     * Delete specific cache keys. Logs warning on failure (doesn't throw).
+     * Replay the queued invalidations. Those failing again go back to the queue.
      */
-    async delKeyItem(keys) {
-        return safeExec(async () => {
-            if (Array.isArray(keys)) {
-                const namespacedKeys = keys.map(key => _namespaceKey(key));
-                await delAsync(namespacedKeys);
-            } else {
-                const namespacedKey = _namespaceKey(keys);
-                await delAsync(namespacedKey);
-            }
-        }, undefined);
-    },
+    function replayInvalidations() {
+        if (replaying || invalidationQueue.isEmpty()) return waitForReplay();
+
+        const { keys, prefixes, tags, versions } = invalidationQueue.take();
+        console.log(`Replaying ${keys.length + prefixes.length + tags.length + versions.length} queued cache invalidations`);
+        replaying = Promise.all([
+            keys.length > 0 ? connector.delKeyItem(keys) : null,
+            prefixes.length > 0 ? connector.delPrefixKeyItem(prefixes) : null,
+            tags.length > 0 ? connector.delByTags(tags) : null,
+            versions.length > 0 ? connector.incrVersions(versions) : null
+        ])
+            .then(() => undefined)
+            .finally(() => {
+                replaying = null;
+            });
+        return replaying;
+    }
+
+    // ── SCAN (replaces KEYS — production-safe, cluster-compatible) ─
+
+    async function scanKeys(pattern) {
+        const keys = [];
+        let cursor = '0';
+        do {
+            const [newCursor, foundKeys] = await scanAsync(cursor, 'MATCH', pattern, 'COUNT', 100);
+            cursor = newCursor;
+            keys.push(...foundKeys);
+        } while (cursor !== '0');
+        return keys;
+    }
+
+    // ── Helpers ────────────────────────────────────────────────
+
+    function _namespaceKey(key) {
+        return vhost ? `${vhost}:${key}` : key;
+    }
+
+    // Set of the cache keys recorded under a tag
+    function _tagKey(tag) {
+        return _namespaceKey(`${TAG_KEY_PREFIX}${tag}`);
+    }
+
+    // Version counter of a table (never expires: keys of old versions must stay unreachable)
+    function _versionKey(name) {
+        return _namespaceKey(`${VERSION_KEY_PREFIX}${name}`);
+    }
+
+    // Key of a cached value: a Buffer key makes the reply a Buffer, which binary codecs need
+    function _valueKey(key) {
+        return Buffer.from(_namespaceKey(key));
+    }
+
+    // Decodes a stored value with its write time; value undefined for a missing key, a value of an
+    // unknown codec or one that doesn't decode, which is deleted so the next fill replaces it
+    async function _decodeReply(key, reply) {
+        if (reply === null || reply === undefined) return { value: undefined, storedAt: null };
+        try {
+            return await valueCodec.decodeEntry(reply);
+        } catch (err) {
+            console.error(`Dropping undecodable cache value ${key}:`, err.message);
+            await delAsync(_namespaceKey(key)).catch(() => {});
+            return { value: undefined, storedAt: null };
+        }
+    }
+
+    // Decodes a stored value; undefined as with _decodeReply()
+    async function _parseReply(key, reply) {
+        return (await _decodeReply(key, reply)).value;
+    }
+
+    // ── L1 Helpers ─────────────────────────────────────────────
+
+    async function rememberLocally(key, value, ttl) {
+        if (l1 && value !== undefined) {
+            await l1.set(key, value, ttl ? Math.min(ttl, l1Ttl) : l1Ttl);
+        }
+    }
+
+    async function forgetLocally({ keys, prefixes }) {
+        if (!l1) return;
+        if (keys) await l1.del(keys);
+        if (prefixes) await l1.delByPrefix(prefixes);
+    }
 
     /**
-     * Delete cache keys by prefix pattern using SCAN. Logs warning on failure.
+     * Tell every other process to evict its L1 entries (no-op without L1)
      */
-    async delPrefixKeyItem(keys) {
-        return safeExec(async () => {
+    async function publishInvalidation(message) {
+        if (!l1) return;
+        await promisify(client.publish).bind(client)(
+            invalidationChannel,
+            JSON.stringify({ origin: instanceId, ...message })
+        );
+    }
+
+    function startSubscriber() {
+        // A subscribed client can't run other commands, so pub/sub needs its own connection
+        subscriber = client.duplicate();
+        let wasReady = false;
+
+        subscriber.on('error', (err) => {
+            console.error('Redis subscriber error:', err.message);
+        });
+
+        subscriber.on('ready', () => {
+            // Broadcasts may have been missed while disconnected: start over
+            if (wasReady) l1.delByPrefix('');
+            wasReady = true;
+        });
+
+        subscriber.on('message', (channel, message) => {
+            if (channel !== invalidationChannel) return;
+            try {
+                const invalidation = JSON.parse(message);
+                if (invalidation.origin !== instanceId) {
+                    forgetLocally(invalidation);
+                }
+            } catch (err) {
+                console.error('Invalid cache invalidation message:', err.message);
+            }
+        });
+
+        subscriber.subscribe(invalidationChannel);
+    }
+
+    if (l1) {
+        startSubscriber();
+    }
+
+    // ── Public API ─────────────────────────────────────────────
+
+    const connector = {
+        /**
+         * Get cached array item. Returns [] on cache miss OR Redis failure.
+         */
+        async getArrayItem(key) {
+            if (l1) {
+                const local = await l1.get(key);
+                if (local !== undefined) return local;
+            }
+
+            return safeExec(async () => {
+                const namespacedKey = _namespaceKey(key);
+                const exists = await existsAsync(namespacedKey);
+                if (exists) {
+                    const value = await _parseReply(key, await getAsync(_valueKey(key)));
+                    if (value !== undefined) {
+                        l2Stats.hits++;
+                        await rememberLocally(key, value);
+                        return value;
+                    }
+                }
+                l2Stats.misses++;
+                return [];
+            }, []);
+        },
+
+        /**
+         * Get a cached value with its status: 'hit' (including cached empty arrays), 'miss'
+         * (also for a value that doesn't decode, which is deleted), or 'error' when Redis fails,
+         * which getArrayItem() reports like a miss.
+         * ttlRemaining is the key's TTL in seconds (null without expiry). storedAt is the write
+         * time from the value header (null for values written before it recorded one); neither is
+         * known for values served from L1.
+         * @returns {Promise<Object>} - { status, value, storedAt, ttlRemaining }
+         */
+        async getCacheEntry(key) {
+            if (l1) {
+                const local = await l1.get(key);
+                if (local !== undefined) return cacheEntry('hit', local);
+            }
+
+            try {
+                await waitForConnection();
+                await waitForReplay();
+                const namespacedKey = _namespaceKey(key);
+                const [reply, ttl] = await Promise.all([
+                    getAsync(_valueKey(key)),
+                    promisify(client.ttl).bind(client)(namespacedKey)
+                ]);
+                const { value, storedAt } = await _decodeReply(key, reply);
+
+                if (value === undefined) {
+                    l2Stats.misses++;
+                    return cacheEntry('miss');
+                }
+                l2Stats.hits++;
+                await rememberLocally(key, value, ttl > 0 ? ttl : undefined);
+                return cacheEntry('hit', value, storedAt, ttl >= 0 ? ttl : null);
+            } catch (err) {
+                console.error('Redis operation failed:', err.message);
+                return errorEntry(err);
+            }
+        },
+
+        /**
+         * Store array item in cache. Returns the data even if caching fails.
+         */
+        async addArrayItem(key, array, expiryDate = 40000) {
+            return safeExec(async () => {
+                const namespacedKey = _namespaceKey(key);
+                await setexAsync(namespacedKey, expiryDate, await valueCodec.encode(array));
+                await rememberLocally(key, array, expiryDate);
+                return array;
+            }, array);
+        },
+
+        /**
+         * Delete specific cache keys. On failure the delete is queued for replay.
+         */
+        async delKeyItem(keys) {
+            await forgetLocally({ keys });
+            return invalidateOrQueue('keys', keys, async () => {
+                if (Array.isArray(keys)) {
+                    const namespacedKeys = keys.map(key => _namespaceKey(key));
+                    await delAsync(namespacedKeys);
+                } else {
+                    const namespacedKey = _namespaceKey(keys);
+                    await delAsync(namespacedKey);
+                }
+                await publishInvalidation({ keys });
+            });
+        },
+
+        /**
+         * Delete cache keys by prefix pattern using SCAN. On failure the delete is queued
+         * for replay.
+         */
+        async delPrefixKeyItem(keys) {
             const prefixes = Array.isArray(keys) ? keys : [keys];
-            for (const prefix of prefixes) {
-                const namespacedPattern = _namespaceKey(`${prefix}*`);
-                const data = await scanKeys(namespacedPattern);
-                if (data.length) {
-                    for (let i = 0; i < data.length; i += DEL_BATCH_SIZE) {
-                        const batch = data.slice(i, i + DEL_BATCH_SIZE);
-                        await delAsync(...batch);
+            await forgetLocally({ prefixes });
+            return invalidateOrQueue('prefixes', prefixes, async () => {
+                for (const prefix of prefixes) {
+                    const namespacedPattern = _namespaceKey(`${prefix}*`);
+                    const data = await scanKeys(namespacedPattern);
+                    if (data.length) {
+                        for (let i = 0; i < data.length; i += DEL_BATCH_SIZE) {
+                            const batch = data.slice(i, i + DEL_BATCH_SIZE);
+                            await delAsync(...batch);
+                        }
                     }
                 }
+                await publishInvalidation({ prefixes });
+            });
+        },
+
+        // ── CacheStore interface (see core/cacheStore.js) ──────
+
+        /**
+         * Get a cached value. Returns undefined on cache miss OR Redis failure.
+         */
+        async get(key) {
+            if (l1) {
+                const local = await l1.get(key);
+                if (local !== undefined) return local;
             }
-        }, undefined);
-    },
 
-    /**
-     * Check if Redis connection is healthy. Useful for health-check endpoints.
-     */
+            return safeExec(async () => {
+                const value = await _parseReply(key, await getAsync(_valueKey(key)));
+                if (value === undefined) {
+                    l2Stats.misses++;
+                } else {
+                    l2Stats.hits++;
+                    await rememberLocally(key, value);
+                }
+                return value;
+            }, undefined);
+        },
+
+        /**
+         * Store a value for ttl seconds (no ttl = no expiry). Logs warning on failure.
+         */
+        async set(key, value, ttl) {
+            return safeExec(async () => {
+                const namespacedKey = _namespaceKey(key);
+                if (ttl) {
+                    await setexAsync(namespacedKey, ttl, await valueCodec.encode(value));
+                } else {
+                    await promisify(client.set).bind(client)(namespacedKey, await valueCodec.encode(value));
+                }
+                // L1 only keeps what Redis has, so other processes never read a different value
+                await rememberLocally(key, value, ttl);
+            }, undefined);
+        },
+
+        async del(keys) {
+            return connector.delKeyItem(keys);
+        },
+
+        async delByPrefix(prefixes) {
+            return connector.delPrefixKeyItem(prefixes);
+        },
+
+        /**
+         * Record a stored key in the Redis set of each tag (no SCAN needed to find it again).
+         * Logs warning on failure.
+         */
+        async addTags(key, tags, ttl) {
+            if (tags.length === 0) return undefined;
+            return safeExec(async () => {
+                await promisify(client.eval).bind(client)(ADD_TAGS_SCRIPT, tags.length, ...tags.map(_tagKey), key, ttl || 0);
+            }, undefined);
+        },
+
+        /**
+         * Delete every key recorded under one of the tags, and the tag sets. On failure the
+         * delete is queued for replay.
+         */
+        async delByTags(tags) {
+            const tagList = Array.isArray(tags) ? tags : [tags];
+            return invalidateOrQueue('tags', tagList, async () => {
+                const keys = new Set();
+                for (const tag of tagList) {
+                    const members = await promisify(client.eval).bind(client)(POP_TAG_SCRIPT, 1, _tagKey(tag));
+                    members.forEach(member => keys.add(String(member)));
+                }
+
+                const tagged = [...keys];
+                try {
+                    for (let i = 0; i < tagged.length; i += DEL_BATCH_SIZE) {
+                        await delAsync(tagged.slice(i, i + DEL_BATCH_SIZE).map(_namespaceKey));
+                    }
+                } catch (err) {
+                    // The tag sets are gone: replaying the tags wouldn't find these keys
+                    await invalidationQueue.add('keys', tagged);
+                    throw err;
+                }
+                if (tagged.length > 0) {
+                    await forgetLocally({ keys: tagged });
+                    await publishInvalidation({ keys: tagged });
+                }
+            });
+        },
+
+        /**
+         * Current version of each name with one MGET (0 if never incremented).
+         * Returns null on Redis failure: callers can't build versioned keys then.
+         */
+        async getVersions(names) {
+            if (names.length === 0) return [];
+            return safeExec(async () => {
+                const replies = await promisify(client.mget).bind(client)(names.map(_versionKey));
+                return replies.map(reply => parseInt(reply, 10) || 0);
+            }, null);
+        },
+
+        /**
+         * Increment the version of each name (INCR). On failure the increment is queued for
+         * replay.
+         */
+        async incrVersions(names) {
+            return invalidateOrQueue('versions', names, async () => {
+                const incrAsync = promisify(client.incr).bind(client);
+                await Promise.all(names.map(name => incrAsync(_versionKey(name))));
+            });
+        },
+
+        async getEntry(key) {
+            return connector.getCacheEntry(key);
+        },
+
+        /**
+         * Get several cached values with one MGET. Misses (and Redis failures) are undefined.
+         */
+        async mget(keys) {
+            const values = l1 ? await l1.mget(keys) : keys.map(() => undefined);
+            const missing = keys.map((key, index) => index).filter(index => values[index] === undefined);
+            if (missing.length === 0) return values;
+
+            return safeExec(async () => {
+                const replies = await promisify(client.mget).bind(client)(
+                    missing.map(index => _valueKey(keys[index]))
+                );
+
+                for (let i = 0; i < missing.length; i++) {
+                    const value = await _parseReply(keys[missing[i]], replies[i]);
+                    if (value === undefined) {
+                        l2Stats.misses++;
+                        continue;
+                    }
+                    l2Stats.hits++;
+                    await rememberLocally(keys[missing[i]], value);
+                    values[missing[i]] = value;
+                }
+                return values;
+            }, values);
+        },
+
+        /**
+         * Take a fill lock (SET NX PX). When Redis is down the lock is reported as taken,
+         * so the caller fills from the database instead of waiting for nobody.
+         * @returns {Promise<boolean>} - true if this caller holds the lock
+         */
+        async acquireLock(key, token, ttlMs) {
+            return safeExec(async () => {
+                const reply = await promisify(client.set).bind(client)(_namespaceKey(key), token, 'NX', 'PX', ttlMs);
+                return reply === 'OK';
+            }, true);
+        },
+
+        /**
+         * Release a fill lock, only if it is still held with the given token
+         */
+        async releaseLock(key, token) {
+            return safeExec(async () => {
+                await promisify(client.eval).bind(client)(RELEASE_LOCK_SCRIPT, 1, _namespaceKey(key), token);
+            }, undefined);
+        },
+
+        /**
+         * Hit/miss counters per tier and compression counters. l1 is null when the L1 cache is
+         * disabled, compression when values aren't compressed.
+         * @returns {Object} - { l1: { hits, misses, entries, bytes } | null, l2: { hits, misses },
+         *                     compression: { algorithm, threshold, compressed, uncompressedBytes, compressedBytes } | null }
+         */
+        getStats() {
+            return {
+                l1: l1 ? l1.getStats() : null,
+                l2: { ...l2Stats },
+                compression: valueCodec.getCompressionStats()
+            };
+        },
+
+        /**
+         * With the 'fail' invalidation policy, rejects when Redis isn't ready within waitTimeout,
+         * so the connector doesn't run a write it couldn't invalidate. Resolves with other policies.
+         */
+        async ensureInvalidationReady() {
+            if (invalidationQueue.policy !== 'fail') return;
+            try {
+                await waitForConnection();
+            } catch (err) {
+                throw new Error(`Cache invalidation unavailable, the write was not run: ${err.message}`);
+            }
+        },
+
+        /**
+         * Invalidations waiting for Redis to come back, per kind
+         * @returns {Object} - { keys, prefixes, tags, versions }
+         */
+        getPendingInvalidations() {
+            return invalidationQueue.size();
+        },
+
+        /**
+         * Check if Redis connection is healthy. Useful for health-check endpoints.
+         */
+        isRedisConnected() {
+            return isRedisReady;
+        },
+
+        /**
+         * Returns the raw Redis client instance.
+         */
+        getRedisClient() {
+            return client;
+        },
+
+        /**
+         * Closes the client gracefully, waiting for pending replies.
+         */
+        async quit() {
+            isRedisReady = false;
+            if (subscriber) {
+                await promisify(subscriber.quit).bind(subscriber)();
+            }
+            if (l1) {
+                await l1.close();
+            }
+            await invalidationQueue.whenPersisted();
+            await promisify(client.quit).bind(client)();
+        }
+    };
+
+    // Registered last: a client that is already connected reports 'ready' right away
+    client.on('ready', replayInvalidations);
+
+    return connector;
+}
+
+/**
+ * Creates a Redis-backed CacheStore. Same as createRedisConnector(): every Redis
+ * connector implements the CacheStore interface.
+ *
+ * @param {Object} options - See createRedisConnector()
+ * @returns {Object} - CacheStore (plus the legacy cache functions)
+ */
+function createRedisStore(options = {}) {
+    return createRedisConnector(options);
+}
+
+// ── Default Instance (env-configured, created on first use) ────
+
+let defaultConnector = null;
+
+function getDefaultConnector() {
+    if (!defaultConnector) {
+        defaultConnector = createRedisConnector({
+            host: process.env.REDIS_SERVER,
+            port: process.env.REDIS_PORT,
+            password: process.env.REDIS_PASSWORD,
+            vhost: process.env.REDIS_VHOST,
+            codec: process.env.CACHE_CODEC || undefined,
+            compression: process.env.CACHE_COMPRESSION
+                ? {
+                    algorithm: process.env.CACHE_COMPRESSION,
+                    threshold: process.env.CACHE_COMPRESSION_THRESHOLD || undefined
+                }
+                : null,
+            waitTimeout: parseInt(process.env.REDIS_WAIT_TIMEOUT, 10),
+            l1: process.env.CACHE_L1_ENABLED === 'true'
+                ? {
+                    ttl: parseInt(process.env.CACHE_L1_TTL, 10) || undefined,
+                    maxEntries: parseInt(process.env.CACHE_L1_MAX_ENTRIES, 10) || undefined
+                }
+                : null,
+            invalidationRetry: {
+                policy: process.env.REDIS_INVALIDATION_POLICY || undefined,
+                maxEntries: parseInt(process.env.REDIS_INVALIDATION_MAX_ENTRIES, 10) || undefined,
+                spillFile: process.env.REDIS_INVALIDATION_SPILL_FILE || undefined
+            }
+        });
+    }
+    return defaultConnector;
+}
+
+module.exports = {
+    async getArrayItem(key) {
+        return getDefaultConnector().getArrayItem(key);
+    },
+    async getCacheEntry(key) {
+        return getDefaultConnector().getCacheEntry(key);
+    },
+    async addArrayItem(...args) {
+        return getDefaultConnector().addArrayItem(...args);
+    },
+    async delKeyItem(keys) {
+        return getDefaultConnector().delKeyItem(keys);
+    },
+    async delPrefixKeyItem(keys) {
+        return getDefaultConnector().delPrefixKeyItem(keys);
+    },
     isRedisConnected() {
-        return isRedisReady;
+        return getDefaultConnector().isRedisConnected();
     },
-
-    /**
-     * Returns the raw Redis client instance.
-     */
     getRedisClient() {
-        return client;
-    }
+        return getDefaultConnector().getRedisClient();
+    },
+    getCacheStats() {
+        return getDefaultConnector().getStats();
+    },
+    getPendingInvalidations() {
+        return getDefaultConnector().getPendingInvalidations();
+    },
+
+    // CacheStore interface of the default connector (see core/cacheStore.js)
+    async get(key) {
+        return getDefaultConnector().get(key);
+    },
+    async set(key, value, ttl) {
+        return getDefaultConnector().set(key, value, ttl);
+    },
+    async del(keys) {
+        return getDefaultConnector().del(keys);
+    },
+    async delByPrefix(prefixes) {
+        return getDefaultConnector().delByPrefix(prefixes);
+    },
+    async mget(keys) {
+        return getDefaultConnector().mget(keys);
+    },
+    async getEntry(key) {
+        return getDefaultConnector().getEntry(key);
+    },
+    getStats() {
+        return getDefaultConnector().getStats();
+    },
+    async acquireLock(key, token, ttlMs) {
+        return getDefaultConnector().acquireLock(key, token, ttlMs);
+    },
+    async releaseLock(key, token) {
+        return getDefaultConnector().releaseLock(key, token);
+    },
+    async addTags(key, tags, ttl) {
+        return getDefaultConnector().addTags(key, tags, ttl);
+    },
+    async delByTags(tags) {
+        return getDefaultConnector().delByTags(tags);
+    },
+    async getVersions(names) {
+        return getDefaultConnector().getVersions(names);
+    },
+    async incrVersions(names) {
+        return getDefaultConnector().incrVersions(names);
+    },
+    async ensureInvalidationReady() {
+        return getDefaultConnector().ensureInvalidationReady();
+    },
+
+    createRedisConnector,
+    createRedisStore
 };
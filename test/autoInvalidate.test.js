@@ -170,6 +170,28 @@ describe('Auto Invalidation (v2.6.0)', () => {
             });
         });
 
+        describe('Statements the regular expressions misread (v2.9.0)', () => {
+            it('should read modifiers and schema-qualified names', () => {
+                expect(autoInvalidate.extractTableName('INSERT IGNORE INTO users (name) VALUES (?)')).to.equal('users');
+                expect(autoInvalidate.extractTableName('UPDATE LOW_PRIORITY `shop`.`orders` SET paid = 1')).to.equal('shop.orders');
+                expect(autoInvalidate.extractTableName('DELETE QUICK FROM shop.carts WHERE id = ?', { defaultDatabase: 'shop' }))
+                    .to.equal('carts');
+            });
+
+            it('should skip comments, strings and CTEs', () => {
+                expect(autoInvalidate.extractTableName('/* UPDATE audit */ DELETE FROM users WHERE id = ?')).to.equal('users');
+                expect(autoInvalidate.extractTableName('INSERT INTO logs (msg) VALUES (\'UPDATE users SET x = 1\')')).to.equal('logs');
+                expect(autoInvalidate.extractTableName(
+                    'WITH stale AS (SELECT id FROM carts) DELETE FROM orders WHERE cart_id IN (SELECT id FROM stale)'
+                )).to.equal('orders');
+                expect(autoInvalidate.isWriteOperation('-- cleanup\nDELETE FROM sessions')).to.be.true;
+            });
+
+            it('should return the written table of a multi-table DELETE', () => {
+                expect(autoInvalidate.extractTableName('DELETE s FROM users u JOIN sessions s ON s.user_id = u.id')).to.equal('sessions');
+            });
+        });
+
         describe('Edge cases', () => {
             it('should return null for SELECT query', () => {
                 expect(autoInvalidate.extractTableName('SELECT * FROM users')).to.be.null;
@@ -248,6 +270,305 @@ describe('Auto Invalidation (v2.6.0)', () => {
             expect(autoInvalidate.getInvalidationPatterns('orders')).to.deep.equal(['orders_*']);
             expect(autoInvalidate.getInvalidationPatterns('products')).to.deep.equal(['products_*']);
         });
+
+        it('should accept { patterns, ttl } rules (v2.9.0)', () => {
+            autoInvalidate.enableAutoInvalidation({
+                tables: {
+                    products: { patterns: ['products_*', 'catalog:*'], ttl: 3600 },
+                    sessions: { ttl: 30 }
+                }
+            });
+
+            expect(autoInvalidate.getInvalidationPatterns('products')).to.deep.equal(['products_*', 'catalog:*']);
+            expect(autoInvalidate.getInvalidationPatterns('sessions')).to.deep.equal(['sessions_*', 'sessions:*']);
+        });
+    });
+
+    describe('getTableTtl (v2.9.0)', () => {
+        it('should return the TTL of tables with a ttl rule', () => {
+            autoInvalidate.enableAutoInvalidation({
+                tables: {
+                    products: { ttl: 3600 },
+                    users: ['users_*']
+                }
+            });
+
+            expect(autoInvalidate.getTableTtl('products')).to.equal(3600);
+            expect(autoInvalidate.getTableTtl('users')).to.be.undefined;
+            expect(autoInvalidate.getTableTtl('orders')).to.be.undefined;
+            expect(autoInvalidate.getTableTtl(null)).to.be.undefined;
+        });
+
+        it('should use connector-level rules when given', () => {
+            autoInvalidate.enableAutoInvalidation({ tables: { products: { ttl: 3600 } } });
+
+            const config = { tables: { products: { ttl: 60 } } };
+
+            expect(autoInvalidate.getTableTtl('products', config)).to.equal(60);
+            expect(autoInvalidate.getTableTtl('products', { enabled: true })).to.be.undefined;
+        });
+
+        it('should apply rules of the bare table name in every database', () => {
+            autoInvalidate.enableAutoInvalidation({ tables: { products: { ttl: 3600 }, 'tenant_a.products': { ttl: 60 } } });
+
+            expect(autoInvalidate.getTableTtl('tenant_b.products')).to.equal(3600);
+            expect(autoInvalidate.getTableTtl('tenant_a.products')).to.equal(60);
+        });
+    });
+
+    describe('getRulePatterns (v2.9.0)', () => {
+        it('should return only the patterns of user-defined rules', () => {
+            autoInvalidate.enableAutoInvalidation({
+                tables: {
+                    users: ['users_*', 'profile_*'],
+                    orders: 'orders:*',
+                    products: { patterns: 'catalog:*', ttl: 3600 },
+                    sessions: { ttl: 30 }
+                }
+            });
+
+            expect(autoInvalidate.getRulePatterns('users')).to.deep.equal(['users_*', 'profile_*']);
+            expect(autoInvalidate.getRulePatterns('orders')).to.deep.equal(['orders:*']);
+            expect(autoInvalidate.getRulePatterns('products')).to.deep.equal(['catalog:*']);
+            expect(autoInvalidate.getRulePatterns('sessions')).to.be.null;
+            expect(autoInvalidate.getRulePatterns('events')).to.be.null;
+            expect(autoInvalidate.getRulePatterns(null)).to.be.null;
+            expect(autoInvalidate.getRulePatterns('events', { events: ['feed:*'] })).to.deep.equal(['feed:*']);
+        });
+
+        it('should apply bare table rules in other databases as written and database-prefixed', () => {
+            const rules = { users: ['users:*', 'profile_*'], 'tenant_a.orders': ['tenant_a.orders:*'] };
+
+            expect(autoInvalidate.getRulePatterns('tenant_b.users', rules))
+                .to.deep.equal(['users:*', 'profile_*', 'tenant_b.users:*', 'tenant_b.profile_*']);
+            expect(autoInvalidate.getRulePatterns('tenant_a.orders', rules)).to.deep.equal(['tenant_a.orders:*']);
+            expect(autoInvalidate.getRulePatterns('tenant_b.orders', rules)).to.be.null;
+        });
+    });
+
+    describe('Row-level invalidation (v2.9.0)', () => {
+        const { generateRowKey } = require('../core/autoKey');
+        const rowKeys = (table, ...values) => values.map(value => generateRowKey(table, 'id', value));
+
+        afterEach(() => {
+            delete process.env.CACHE_ROW_INVALIDATION;
+        });
+
+        it('should be opt-in, globally or per connector', () => {
+            expect(autoInvalidate.isRowLevelEnabled()).to.be.false;
+
+            autoInvalidate.enableAutoInvalidation({ rowLevel: true });
+            expect(autoInvalidate.isRowLevelEnabled()).to.be.true;
+            expect(autoInvalidate.isRowLevelEnabled({ enabled: true })).to.be.false;
+            expect(autoInvalidate.isRowLevelEnabled({ rowLevel: true })).to.be.true;
+
+            autoInvalidate.enableAutoInvalidation({});
+            process.env.CACHE_ROW_INVALIDATION = 'true';
+            expect(autoInvalidate.isRowLevelEnabled()).to.be.true;
+        });
+
+        it('should read primary keys from table rules', () => {
+            const rules = { accounts: { primaryKey: 'account_id' }, events: { primaryKey: null }, users: ['users_*'] };
+
+            expect(autoInvalidate.getPrimaryKey('accounts', rules)).to.equal('account_id');
+            expect(autoInvalidate.getPrimaryKey('tenant_a.accounts', rules)).to.equal('account_id');
+            expect(autoInvalidate.getPrimaryKey('events', rules)).to.be.null;
+            expect(autoInvalidate.getPrimaryKey('users', rules)).to.equal('id');
+        });
+
+        it('should pin the rows of UPDATE and DELETE by their WHERE clause', () => {
+            expect(autoInvalidate.getRowInvalidation('UPDATE users SET last_seen = ? WHERE id = ?', ['now', 7]))
+                .to.deep.equal({ table: 'users', keys: rowKeys('users', 7, '7', 7n) });
+            expect(autoInvalidate.getRowInvalidation('DELETE FROM users WHERE id IN (?) AND tenant_id = ?', [['1', 2], 5]).keys)
+                .to.deep.equal(rowKeys('users', '1', 1, 1n, 2, '2', 2n));
+            expect(autoInvalidate.getRowInvalidation('UPDATE users SET id = ? WHERE id = ?', [8, 7]).keys)
+                .to.deep.equal(rowKeys('users', 8, '8', 8n, 7, '7', 7n));
+            expect(autoInvalidate.getRowInvalidation('UPDATE users SET ? WHERE id = ?', [{ name: 'x' }, 7]).keys)
+                .to.deep.equal(rowKeys('users', 7, '7', 7n));
+        });
+
+        it('should pin BigInt keys in every form reads may hold them', () => {
+            expect(autoInvalidate.getRowInvalidation('DELETE FROM users WHERE id = ?', [7n]).keys)
+                .to.deep.equal(rowKeys('users', 7n, '7', 7));
+            expect(autoInvalidate.getRowInvalidation('DELETE FROM users WHERE id = ?', ['9007199254740993']).keys)
+                .to.deep.equal(rowKeys('users', '9007199254740993', 9007199254740993n));
+            const read = autoInvalidate.getRowRead('SELECT * FROM users WHERE id = ?', [7n]);
+            expect(autoInvalidate.getRowInvalidation('UPDATE users SET name = ? WHERE id = ?', ['x', 7]).keys).to.include(read.key);
+        });
+
+        it('should pin inserted rows only when the write supplies their key', () => {
+            expect(autoInvalidate.getRowInvalidation('INSERT INTO users (id, name) VALUES (?, ?), (?, ?)', [1, 'a', 2, 'b']).keys)
+                .to.deep.equal(rowKeys('users', 1, '1', 1n, 2, '2', 2n));
+            expect(autoInvalidate.getRowInvalidation('INSERT INTO users SET ?', [{ id: 3, name: 'c' }]).keys)
+                .to.deep.equal(rowKeys('users', 3, '3', 3n));
+            expect(autoInvalidate.getRowInvalidation('INSERT INTO users (name) VALUES (?)', ['a'])).to.be.null;
+            expect(autoInvalidate.getRowInvalidation('INSERT INTO users SET ?', [{ name: 'c' }])).to.be.null;
+        });
+
+        it('should not pin writes that can touch other rows', () => {
+            [
+                ['UPDATE users SET active = 0 WHERE last_seen < ?', [1]],
+                ['DELETE FROM users WHERE id = ? OR email = ?', [1, 'a@b.c']],
+                ['UPDATE users SET id = id + 1 WHERE id = ?', [1]],
+                ['UPDATE users SET ? WHERE id = ?', ['raw', 1]],
+                ['UPDATE users u JOIN teams t ON t.id = u.team_id SET u.active = 0 WHERE u.id = ?', [1]],
+                ['INSERT INTO users (id, name) VALUES (?, ?) ON DUPLICATE KEY UPDATE name = ?', [1, 'a', 'a']],
+                ['REPLACE INTO users (id) VALUES (?)', [1]],
+                ['UPDATE users SET name = ? WHERE id = ?', ['x']],
+                ['SELECT * FROM users WHERE id = ?', [1]]
+            ].forEach(([sql, params]) => {
+                expect(autoInvalidate.getRowInvalidation(sql, params), sql).to.be.null;
+            });
+            expect(autoInvalidate.getRowInvalidation('DELETE FROM events WHERE id = ?', [1], { tables: { events: { primaryKey: null } } }))
+                .to.be.null;
+        });
+
+        it('should use the table\'s primary key and database', () => {
+            const config = { tables: { accounts: { primaryKey: 'account_id' } } };
+            const pinned = autoInvalidate.getRowInvalidation(
+                'DELETE FROM accounts WHERE account_id = ?', ['x'], config, { database: 'tenant_a', defaultDatabase: 'main' }
+            );
+
+            expect(pinned).to.deep.equal({ table: 'tenant_a.accounts', keys: [generateRowKey('tenant_a.accounts', 'account_id', 'x')] });
+            expect(autoInvalidate.getRowInvalidation('DELETE FROM accounts WHERE id = ?', [1], config)).to.be.null;
+        });
+
+        it('should tell entity reads from other reads', () => {
+            expect(autoInvalidate.getRowRead('SELECT * FROM users WHERE id = ?', [7]))
+                .to.deep.equal({ table: 'users', key: generateRowKey('users', 'id', 7) });
+            [
+                ['SELECT * FROM users WHERE id = ? AND deleted_at IS NULL', [7]],
+                ['SELECT * FROM users WHERE id > ?', [7]],
+                ['SELECT * FROM users WHERE id IN (?)', [[7, 8]]],
+                ['SELECT * FROM users WHERE id = ? LIMIT ?', [7, 1]],
+                ['SELECT * FROM users u JOIN teams t ON t.id = u.team_id WHERE u.id = ?', [7]],
+                ['SELECT * FROM users WHERE email = ?', ['a@b.c']],
+                ['SELECT * FROM users', []]
+            ].forEach(([sql, params]) => {
+                expect(autoInvalidate.getRowRead(sql, params), sql).to.be.null;
+            });
+        });
+    });
+
+    describe('Dependencies (v2.9.0)', () => {
+        const rules = {
+            order_items: { dependsOnMe: ['orders', 'dashboard'] },
+            orders: { patterns: ['orders:*'], dependsOnMe: 'reports' },
+            reports: { dependsOnMe: ['order_items', 'orders'] },
+            dashboard: ['dashboard:*']
+        };
+
+        it('should resolve dependents transitively and stop at cycles', () => {
+            expect(autoInvalidate.getDependents('order_items', rules)).to.deep.equal(['orders', 'dashboard', 'reports']);
+            expect(autoInvalidate.getDependents('reports', rules)).to.deep.equal(['order_items', 'orders', 'dashboard']);
+            expect(autoInvalidate.getDependents('dashboard', rules)).to.deep.equal([]);
+            expect(autoInvalidate.getDependents('users', rules)).to.deep.equal([]);
+            expect(autoInvalidate.getDependents(null, rules)).to.deep.equal([]);
+        });
+
+        it('should place bare dependents in the database of the written table', () => {
+            const scoped = { ...rules, 'tenant_a.orders': { dependsOnMe: ['shop.totals'] } };
+
+            expect(autoInvalidate.getDependents('tenant_a.order_items', scoped))
+                .to.deep.equal(['tenant_a.orders', 'tenant_a.dashboard', 'shop.totals']);
+        });
+
+        it('should evict the patterns of written tables and their dependents', () => {
+            autoInvalidate.enableAutoInvalidation({ tables: rules });
+
+            expect(autoInvalidate.getInvalidationTables('DELETE FROM order_items WHERE id = ?'))
+                .to.deep.equal(['order_items', 'orders', 'dashboard', 'reports']);
+            expect(autoInvalidate.determineInvalidationPatterns('DELETE FROM order_items WHERE id = ?')).to.deep.equal([
+                'order_items_*', 'order_items:*', 'orders:*', 'dashboard:*', 'reports_*', 'reports:*'
+            ]);
+            expect(autoInvalidate.getInvalidationTables('SELECT * FROM order_items')).to.deep.equal([]);
+        });
+
+        it('should evict the tables a write cascades to through foreign keys, and their dependents', () => {
+            const foreignKeys = [{ table: 'order_items', referencedTable: 'orders', onDelete: 'CASCADE' }];
+            autoInvalidate.enableAutoInvalidation({ tables: { order_items: { dependsOnMe: 'dashboard' } }, foreignKeys });
+
+            expect(autoInvalidate.getForeignKeySetting()).to.equal(foreignKeys);
+            expect(autoInvalidate.getInvalidationTables('DELETE FROM orders WHERE id = ?'))
+                .to.deep.equal(['orders', 'order_items', 'dashboard']);
+            expect(autoInvalidate.getInvalidationTables('DELETE FROM orders WHERE id = ?', { tables: {} }))
+                .to.deep.equal(['orders']);
+            expect(autoInvalidate.getInvalidationTables('DELETE FROM orders WHERE id = ?', { tables: {} }, undefined, foreignKeys))
+                .to.deep.equal(['orders', 'order_items']);
+            expect(autoInvalidate.determineInvalidationPatterns('DELETE FROM orders WHERE id = ?')).to.deep.equal([
+                'orders_*', 'orders:*', 'order_items_*', 'order_items:*', 'dashboard_*', 'dashboard:*'
+            ]);
+        });
+
+        it('should read the foreign key setting from CACHE_FOREIGN_KEYS', () => {
+            expect(autoInvalidate.getForeignKeySetting()).to.be.false;
+            process.env.CACHE_FOREIGN_KEYS = 'true';
+            expect(autoInvalidate.getForeignKeySetting()).to.be.true;
+            expect(autoInvalidate.getForeignKeySetting({ enabled: true })).to.be.false;
+            delete process.env.CACHE_FOREIGN_KEYS;
+        });
+    });
+
+    describe('Pattern templates (v2.9.0)', () => {
+        const resolve = (patterns, sql, params) => autoInvalidate.resolvePatternTemplates(patterns, sql, params);
+
+        it('should fill placeholders from WHERE, SET and VALUES bindings', () => {
+            expect(resolve(['user:{id}:*'], 'DELETE FROM users WHERE id = ?', [7])).to.deep.equal(['user:7:*']);
+            expect(resolve(['user:{id}:*'], 'DELETE FROM users WHERE id IN (?)', [[7, 8]])).to.deep.equal(['user:7:*', 'user:8:*']);
+            expect(resolve(['company:{company_id}:users'], 'UPDATE users SET name = ? WHERE company_id = ? AND id = ?', ['Ann', 3, 7]))
+                .to.deep.equal(['company:3:users']);
+            expect(resolve(['company:{company_id}:users'], 'INSERT INTO users (name, company_id) VALUES (?, ?), (?, ?)', ['a', 3, 'b', '3']))
+                .to.deep.equal(['company:3:users']);
+            expect(resolve(['company:{Company_Id}:users'], 'INSERT INTO users SET ?', [{ name: 'a', company_id: 4 }]))
+                .to.deep.equal(['company:4:users']);
+        });
+
+        it('should fill both the old and the new value of a moved row', () => {
+            expect(resolve(['company:{company_id}:users'], 'UPDATE users SET company_id = ? WHERE company_id = ? AND id = ?', [4, 3, 7]))
+                .to.deep.equal(['company:4:users', 'company:3:users']);
+        });
+
+        it('should fill several placeholders with every combination', () => {
+            expect(resolve(['company:{company_id}:user:{id}'], 'DELETE FROM users WHERE company_id = ? AND id IN (?, ?)', [3, 7, 8]))
+                .to.deep.equal(['company:3:user:7', 'company:3:user:8']);
+        });
+
+        it('should cut the pattern at placeholders whose values are unknown', () => {
+            [
+                ['UPDATE users SET name = ? WHERE id = ?', ['Ann', 7]],
+                ['UPDATE users SET company_id = ? WHERE id = ?', [4, 7]],
+                ['UPDATE users SET name = ? WHERE company_id = ? OR id = ?', ['Ann', 3, 7]],
+                ['UPDATE users u JOIN teams t ON t.id = u.team_id SET u.name = ? WHERE u.company_id = ?', ['Ann', 3]],
+                ['INSERT INTO users (name, company_id) VALUES (?, 3)', ['Ann']],
+                ['INSERT INTO users (name, company_id) VALUES (?, ?) ON DUPLICATE KEY UPDATE name = VALUES(name)', ['Ann', 3]],
+                ['REPLACE INTO users (name, company_id) VALUES (?, ?)', ['Ann', 3]],
+                ['DELETE FROM users WHERE company_id = ?', [null]]
+            ].forEach(([sql, params]) => {
+                expect(resolve(['company:{company_id}:users'], sql, params), sql).to.deep.equal(['company:*']);
+            });
+            expect(resolve(['company:{company_id}:user:{team_id}'], 'DELETE FROM users WHERE company_id = ? AND id = ?', [3, 7]))
+                .to.deep.equal(['company:3:user:*']);
+        });
+
+        it('should cut the pattern when its combinations exceed the limit', () => {
+            const ids = Array.from({ length: 101 }, (_, i) => i);
+            expect(resolve(['user:{id}:*'], 'DELETE FROM users WHERE id IN (?)', [ids])).to.deep.equal(['user:*']);
+        });
+
+        it('should keep patterns without placeholders', () => {
+            expect(resolve(['users:*', 'user:{id}'], 'DELETE FROM users WHERE id = ?', [7])).to.deep.equal(['users:*', 'user:7']);
+        });
+
+        it('should fill the rule patterns of writes', () => {
+            autoInvalidate.enableAutoInvalidation({ tables: { users: ['user:{id}:*', 'users:list'] } });
+
+            expect(autoInvalidate.determineInvalidationPatterns('UPDATE users SET name = ? WHERE id = ?', null, null, undefined, ['Ann', 7]))
+                .to.deep.equal(['user:7:*', 'users:list']);
+            expect(autoInvalidate.determineInvalidationPatterns('UPDATE users SET name = ? WHERE id = ?'))
+                .to.deep.equal(['user:*', 'users:list']);
+            expect(autoInvalidate.determineInvalidationPatterns('DELETE FROM tenant_a.users WHERE id = ?', null, null, undefined, [7]))
+                .to.deep.equal(['user:7:*', 'users:list', 'tenant_a.user:7:*', 'tenant_a.users:list']);
+        });
     });
 
     describe('determineInvalidationPatterns (main function)', () => {
@@ -322,6 +643,15 @@ describe('Auto Invalidation (v2.6.0)', () => {
                 expect(patterns).to.deep.equal(['users_*', 'users:*']);
             });
 
+            it('should return the patterns of every table a multi-table write writes (v2.9.0)', () => {
+                const patterns = autoInvalidate.determineInvalidationPatterns(
+                    'DELETE s, t FROM sessions s JOIN tokens t ON t.session_id = s.id JOIN users u ON u.id = s.user_id'
+                );
+                expect(patterns).to.deep.equal(['sessions_*', 'sessions:*', 'tokens_*', 'tokens:*']);
+                expect(autoInvalidate.extractTableNames('UPDATE orders o JOIN users u ON u.id = o.user_id SET o.x = 1'))
+                    .to.deep.equal(['orders']);
+            });
+
             it('should return empty array for SELECT query', () => {
                 const patterns = autoInvalidate.determineInvalidationPatterns('SELECT * FROM users WHERE id = ?');
                 expect(patterns).to.deep.equal([]);
@@ -385,5 +715,28 @@ describe('Auto Invalidation (v2.6.0)', () => {
                 expect(patterns).to.deep.equal(['categories_*', 'categories:*']);
             });
         });
+
+        describe('Databases (v2.9.0)', () => {
+            const config = { enabled: true };
+
+            it('should scope patterns to the database the write runs in', () => {
+                const sql = 'UPDATE users SET name = ? WHERE id = ?';
+
+                expect(autoInvalidate.determineInvalidationPatterns(sql, null, config, { database: 'tenant_a', defaultDatabase: 'main' }))
+                    .to.deep.equal(['tenant_a.users_*', 'tenant_a.users:*']);
+                expect(autoInvalidate.determineInvalidationPatterns(sql, null, config, { database: 'main', defaultDatabase: 'main' }))
+                    .to.deep.equal(['users_*', 'users:*']);
+                expect(autoInvalidate.determineInvalidationPatterns(sql, null, config))
+                    .to.deep.equal(['users_*', 'users:*']);
+            });
+
+            it('should scope schema-qualified tables to their schema', () => {
+                const patterns = autoInvalidate.determineInvalidationPatterns(
+                    'UPDATE shop.orders o JOIN users u ON u.id = o.user_id SET o.paid = 1, u.active = 1',
+                    null, config, { database: null, defaultDatabase: 'main' }
+                );
+                expect(patterns).to.deep.equal(['shop.orders_*', 'shop.orders:*', 'users_*', 'users:*']);
+            });
+        });
     });
 });
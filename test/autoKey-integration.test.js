@@ -43,7 +43,9 @@ describe('Auto Key Integration (v2.6.0)', () => {
         addArrayItemStub = sinon.stub().resolves([]);
         delPrefixKeyItemStub = sinon.stub().resolves();
 
+        // No call-through: a missing stub must not reach the real Redis connector
         mockRedis = {
+            '@noCallThru': true,
             getArrayItem: getArrayItemStub,
             addArrayItem: addArrayItemStub,
             delPrefixKeyItem: delPrefixKeyItemStub
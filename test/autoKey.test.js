@@ -1,10 +1,11 @@
 const { expect } = require('chai');
 const {
     generateCacheKey,
+    stampVersions,
+    generateRowKey,
     createParameterHash,
     extractTableName,
-    extractWhereConditions,
-    extractColumnNames,
+    extractTableNames,
     enableAutoKey,
     isAutoKeyEnabled,
     _generateDetailedKey,
@@ -61,6 +62,16 @@ describe('Auto Key Generation (v2.6.0)', () => {
             const hash2 = createParameterHash([123, 'inactive']);
             expect(hash1).to.not.equal(hash2);
         });
+
+        it('should hash BigInt and Date parameters like the serializer stores them', () => {
+            const hash = createParameterHash([9007199254740993n]);
+            expect(hash).to.have.length(8);
+            expect(hash).to.not.equal(createParameterHash([9007199254740992n]));
+            expect(hash).to.not.equal(createParameterHash(['9007199254740993']));
+
+            const date = new Date('2024-03-01T10:20:30Z');
+            expect(createParameterHash([date])).to.not.equal(createParameterHash([date.toISOString()]));
+        });
     });
 
     describe('extractTableName', () => {
@@ -89,88 +100,30 @@ describe('Auto Key Generation (v2.6.0)', () => {
             expect(extractTableName('SHOW TABLES')).to.be.null;
             expect(extractTableName('CREATE TABLE users')).to.be.null;
         });
-    });
-
-    describe('extractWhereConditions', () => {
-        it('should return empty array for no WHERE clause', () => {
-            expect(extractWhereConditions('SELECT * FROM users')).to.deep.equal([]);
-        });
-
-        it('should extract single condition', () => {
-            const conditions = extractWhereConditions('SELECT * FROM users WHERE id = ?');
-            expect(conditions).to.have.lengthOf(1);
-            expect(conditions[0]).to.include('id');
-        });
-
-        it('should extract multiple AND conditions', () => {
-            const conditions = extractWhereConditions(
-                'SELECT * FROM users WHERE id = ? AND status = ?'
-            );
-            expect(conditions.length).to.be.greaterThan(1);
-        });
-
-        it('should extract multiple OR conditions', () => {
-            const conditions = extractWhereConditions(
-                'SELECT * FROM users WHERE status = ? OR role = ?'
-            );
-            expect(conditions.length).to.be.greaterThan(1);
-        });
 
-        it('should stop at ORDER BY', () => {
-            const conditions = extractWhereConditions(
-                'SELECT * FROM users WHERE id = ? ORDER BY name'
-            );
-            expect(conditions).to.have.lengthOf(1);
+        it('should not be misled by comments, strings and schemas (v2.9.0)', () => {
+            expect(extractTableName('/* FROM audit */ SELECT * FROM users')).to.equal('users');
+            expect(extractTableName('SELECT \'FROM x\' AS label FROM users')).to.equal('users');
+            expect(extractTableName('SELECT * FROM `shop`.`orders`')).to.equal('shop.orders');
+            expect(extractTableName('WITH r AS (SELECT 1) SELECT * FROM r JOIN users ON TRUE')).to.equal('users');
         });
 
-        it('should stop at LIMIT', () => {
-            const conditions = extractWhereConditions(
-                'SELECT * FROM users WHERE id = ? LIMIT 10'
-            );
-            expect(conditions).to.have.lengthOf(1);
+        it('should return the written table of INSERT ... SELECT (v2.9.0)', () => {
+            expect(extractTableName('INSERT INTO archive SELECT * FROM orders')).to.equal('archive');
         });
     });
 
-    describe('extractColumnNames', () => {
-        it('should extract column from = operator', () => {
-            const columns = extractColumnNames(['id = ?']);
-            expect(columns).to.deep.equal(['id']);
-        });
-
-        it('should extract column from comparison operators', () => {
-            expect(extractColumnNames(['age > ?'])).to.deep.equal(['age']);
-            expect(extractColumnNames(['price < ?'])).to.deep.equal(['price']);
-            expect(extractColumnNames(['count >= ?'])).to.deep.equal(['count']);
-        });
-
-        it('should extract column from IN operator', () => {
-            const columns = extractColumnNames(['status IN (?)']);
-            expect(columns).to.deep.equal(['status']);
-        });
-
-        it('should extract column from LIKE operator', () => {
-            const columns = extractColumnNames(['name LIKE ?']);
-            expect(columns).to.deep.equal(['name']);
-        });
-
-        it('should extract multiple columns', () => {
-            const columns = extractColumnNames(['id = ?', 'status = ?', 'company_id = ?']);
-            expect(columns).to.have.lengthOf(3);
-            expect(columns).to.include('id');
-            expect(columns).to.include('status');
-            expect(columns).to.include('company_id');
-        });
-
-        it('should sort columns for stable keys', () => {
-            const columns1 = extractColumnNames(['company_id = ?', 'id = ?']);
-            const columns2 = extractColumnNames(['id = ?', 'company_id = ?']);
-            expect(columns1).to.deep.equal(columns2);
+    describe('extractTableNames (v2.9.0)', () => {
+        it('should return every table a query depends on', () => {
+            expect(extractTableNames('SELECT * FROM orders o JOIN users u ON u.id = o.user_id')).to.deep.equal(['orders', 'users']);
+            expect(extractTableNames('SELECT * FROM users WHERE id IN (SELECT user_id FROM bans)')).to.deep.equal(['users', 'bans']);
+            expect(extractTableNames('SELECT id FROM users UNION SELECT id FROM admins')).to.deep.equal(['users', 'admins']);
+            expect(extractTableNames('WITH t AS (SELECT * FROM orders) SELECT * FROM t JOIN shop.users ON TRUE'))
+                .to.deep.equal(['orders', 'shop.users']);
         });
 
-        it('should normalize to lowercase', () => {
-            const columns = extractColumnNames(['UserId = ?', 'STATUS = ?']);
-            expect(columns).to.include('userid');
-            expect(columns).to.include('status');
+        it('should return no tables for other statements', () => {
+            expect(extractTableNames('SHOW TABLES')).to.deep.equal([]);
         });
     });
 
@@ -213,6 +166,22 @@ describe('Auto Key Generation (v2.6.0)', () => {
             expect(key).to.match(/^query:[a-f0-9]{8}$/);
         });
 
+        it('should hash the parameters of queries without WHERE columns (v2.9.0)', () => {
+            const page1 = _generateDetailedKey('SELECT * FROM users LIMIT ?', [10]);
+            const page2 = _generateDetailedKey('SELECT * FROM users LIMIT ?', [20]);
+
+            expect(page1).to.match(/^users:[a-f0-9]{8}$/);
+            expect(page1).to.not.equal(page2);
+        });
+
+        it('should use the columns of the outer WHERE clause (v2.9.0)', () => {
+            const key = _generateDetailedKey(
+                'SELECT * FROM users u WHERE u.Team_Id = ? AND id IN (SELECT user_id FROM bans WHERE reason = ?)',
+                [1, 'spam']
+            );
+            expect(key).to.match(/^users:id:team_id:[a-f0-9]{8}$/);
+        });
+
         it('should handle complex WHERE without extractable columns', () => {
             // WHERE clause exists but columns can't be extracted (function call)
             const key = _generateDetailedKey('SELECT * FROM users WHERE RAND() < 0.5', [123]);
@@ -292,6 +261,47 @@ describe('Auto Key Generation (v2.6.0)', () => {
             });
         });
 
+        describe('Databases (v2.9.0)', () => {
+            it('should key the same query in different databases apart', () => {
+                const sql = 'SELECT * FROM users';
+                expect(generateCacheKey(sql, [], { database: 'tenant_a' })).to.equal('tenant_a.users:all');
+                expect(generateCacheKey(sql, [], { database: 'tenant_b' })).to.equal('tenant_b.users:all');
+                expect(generateCacheKey('SELECT * FROM users WHERE id = ?', [1], { database: 'tenant_a', strategy: 'simple' }))
+                    .to.match(/^tenant_a\.users:[a-f0-9]{8}$/);
+            });
+
+            it('should keep keys of the default database bare', () => {
+                const scope = { defaultDatabase: 'main' };
+                expect(generateCacheKey('SELECT * FROM users', [], scope)).to.equal('users:all');
+                expect(generateCacheKey('SELECT * FROM users', [], { ...scope, database: 'main' })).to.equal('users:all');
+                expect(generateCacheKey('SELECT * FROM main.users', [], { ...scope, database: 'tenant_a' })).to.equal('users:all');
+            });
+
+            it('should key schema-qualified tables by their schema', () => {
+                expect(generateCacheKey('SELECT * FROM shop.orders WHERE id = ?', [1], { defaultDatabase: 'main' }))
+                    .to.match(/^shop\.orders:id:[a-f0-9]{8}$/);
+            });
+
+            it('should prefix keys of queries without a table', () => {
+                const key = generateCacheKey('SELECT 1', [], { database: 'tenant_a' });
+                expect(key).to.match(/^tenant_a\.query:[a-f0-9]{8}$/);
+                expect(key.slice('tenant_a.'.length)).to.equal(generateCacheKey('SELECT 1', []));
+            });
+
+            it('should stamp versions of qualified tables', () => {
+                const key = generateCacheKey('SELECT * FROM users', [], { database: 'tenant_a', versions: { 'tenant_a.users': 2 } });
+                expect(key).to.equal('tenant_a.users:all@tenant_a.users.2');
+            });
+        });
+
+        describe('Entity keys (v2.9.0)', () => {
+            it('should build the auto key of a primary key read', () => {
+                expect(generateRowKey('users', 'ID', 7)).to.equal(generateCacheKey('SELECT * FROM users WHERE id = ?', [7]));
+                expect(generateRowKey('tenant_a.users', 'id', '7'))
+                    .to.equal(generateCacheKey('SELECT * FROM users WHERE id = ?', ['7'], { database: 'tenant_a' }));
+            });
+        });
+
         describe('Real-world scenarios', () => {
             it('should handle user lookup query', () => {
                 const key = generateCacheKey('SELECT * FROM users WHERE id = ?', [123]);
@@ -344,5 +354,21 @@ describe('Auto Key Generation (v2.6.0)', () => {
                 expect(extractColumns(key1)).to.equal(extractColumns(key2));
             });
         });
+
+        describe('Table versions (v2.9.0)', () => {
+            it('should stamp the key with the versions of its tables', () => {
+                const key = generateCacheKey('SELECT * FROM users WHERE id = ?', [1]);
+                const versioned = generateCacheKey('SELECT * FROM users WHERE id = ?', [1], { versions: { users: 3 } });
+
+                expect(versioned).to.equal(`${key}@users.3`);
+                expect(generateCacheKey('SELECT * FROM users', [], { versions: { users: 0 } })).to.equal('users:all@users.0');
+            });
+
+            it('should sort tables and keep unversioned keys as-is', () => {
+                expect(stampVersions('report:1', { users: 2, orders: 5 })).to.equal('report:1@orders.5,users.2');
+                expect(stampVersions('report:1', {})).to.equal('report:1');
+                expect(stampVersions('report:1')).to.equal('report:1');
+            });
+        });
     });
 });
@@ -0,0 +1,311 @@
+/**
+ * Cache Store Tests (v2.9.0)
+ *
+ * Tests for the CacheStore interface and the built-in memory / null stores
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const {
+    isCacheStore,
+    supportsTags,
+    supportsVersions,
+    createMemoryStore,
+    createNullStore,
+    toCacheStore,
+    readCacheEntry,
+    createCacheFunctions
+} = require('../core/cacheStore');
+
+describe('Cache Stores (v2.9.0)', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('createMemoryStore', () => {
+        it('should store and return copies of values', async () => {
+            const store = createMemoryStore();
+            const rows = [{ id: 1, name: 'John' }];
+
+            await store.set('users:1', rows);
+            rows[0].name = 'changed';
+
+            const cached = await store.get('users:1');
+            expect(cached).to.deep.equal([{ id: 1, name: 'John' }]);
+            cached[0].name = 'changed again';
+            expect(await store.get('users:1')).to.deep.equal([{ id: 1, name: 'John' }]);
+        });
+
+        it('should report misses as undefined and keep empty arrays', async () => {
+            const store = createMemoryStore();
+
+            await store.set('empty', []);
+
+            expect(await store.get('missing')).to.be.undefined;
+            expect(await store.get('empty')).to.deep.equal([]);
+        });
+
+        it('should expire entries after their ttl (seconds)', async () => {
+            const clock = sinon.useFakeTimers(Date.now());
+            const store = createMemoryStore();
+
+            await store.set('short', [1], 2);
+            await store.set('forever', [2]);
+
+            clock.tick(1999);
+            expect(await store.get('short')).to.deep.equal([1]);
+            clock.tick(1);
+            expect(await store.get('short')).to.be.undefined;
+            expect(await store.get('forever')).to.deep.equal([2]);
+        });
+
+        it('should evict the least recently used entry when maxEntries is reached', async () => {
+            const store = createMemoryStore({ maxEntries: 2 });
+
+            await store.set('a', 1);
+            await store.set('b', 2);
+            await store.get('a');
+            await store.set('c', 3);
+
+            expect(await store.get('a')).to.equal(1);
+            expect(await store.get('b')).to.be.undefined;
+            expect(await store.get('c')).to.equal(3);
+        });
+
+        it('should stay within maxBytes', async () => {
+            const store = createMemoryStore({ maxBytes: 20 });
+
+            await store.set('a', 'xxxxxxxx'); // 10 bytes serialized
+            await store.set('b', 'yyyyyyyy');
+            await store.set('c', 'zzzzzzzz');
+
+            expect(store.getStats()).to.include({ entries: 2, bytes: 20 });
+            expect(await store.get('a')).to.be.undefined;
+        });
+
+        it('should not cache values larger than maxBytes', async () => {
+            const store = createMemoryStore({ maxBytes: 5 });
+
+            await store.set('big', 'too large');
+
+            expect(await store.get('big')).to.be.undefined;
+            expect(store.getStats().bytes).to.equal(0);
+        });
+
+        it('should delete keys and prefixes', async () => {
+            const store = createMemoryStore();
+            await Promise.all(['users:1', 'users:2', 'orders:1', 'products:1'].map(key => store.set(key, key)));
+
+            await store.del('orders:1');
+            await store.delByPrefix(['users:', 'nothing:']);
+
+            expect(await store.mget(['users:1', 'users:2', 'orders:1', 'products:1']))
+                .to.deep.equal([undefined, undefined, undefined, 'products:1']);
+        });
+
+        it('should match glob prefixes like Redis SCAN MATCH', async () => {
+            const store = createMemoryStore();
+            const keys = ['users:1', 'users_list', 'users', 'user:1', 'orders:7', 'a*b', 'ab'];
+            await Promise.all(keys.map(key => store.set(key, key)));
+
+            await store.delByPrefix(['users:*', 'users_*', 'order?:', 'a\\*']);
+
+            expect(await store.mget(keys))
+                .to.deep.equal([undefined, undefined, 'users', 'user:1', undefined, undefined, 'ab']);
+        });
+
+        it('should delete the keys of tags', async () => {
+            const store = createMemoryStore();
+            await Promise.all(['users:1', 'report', 'orders:1'].map(key => store.set(key, key)));
+
+            await store.addTags('users:1', ['users']);
+            await store.addTags('report', ['users', 'orders']);
+            await store.addTags('orders:1', ['orders']);
+            await store.addTags('never-stored', ['users']);
+            await store.delByTags('users');
+
+            expect(await store.mget(['users:1', 'report', 'orders:1'])).to.deep.equal([undefined, undefined, 'orders:1']);
+            expect(supportsTags(store)).to.be.true;
+        });
+
+        it('should drop the tags of removed and rewritten entries', async () => {
+            const store = createMemoryStore({ maxEntries: 1 });
+            await store.set('a', 1);
+            await store.addTags('a', ['t']);
+
+            await store.set('b', 2);      // evicts a
+            await store.set('a', 3);      // untagged now
+            await store.delByTags('t');
+
+            expect(await store.get('a')).to.equal(3);
+        });
+
+        it('should count versions from 0', async () => {
+            const store = createMemoryStore();
+
+            await store.incrVersions(['users', 'orders']);
+            await store.incrVersions(['users']);
+
+            expect(await store.getVersions(['users', 'orders', 'products'])).to.deep.equal([2, 1, 0]);
+            expect(supportsVersions(store)).to.be.true;
+        });
+
+        it('should count hits and misses', async () => {
+            const store = createMemoryStore();
+            await store.set('a', 1);
+
+            await store.get('a');
+            await store.mget(['a', 'b']);
+
+            expect(store.getStats()).to.include({ hits: 2, misses: 1 });
+        });
+
+        it('should clear everything on close', async () => {
+            const store = createMemoryStore();
+            await store.set('a', 1);
+
+            await store.close();
+
+            expect(store.getStats()).to.include({ entries: 0, bytes: 0 });
+        });
+    });
+
+    describe('createNullStore', () => {
+        it('should never cache anything', async () => {
+            const store = createNullStore();
+
+            await store.set('a', [1]);
+
+            expect(await store.get('a')).to.be.undefined;
+            expect(await store.mget(['a', 'b'])).to.deep.equal([undefined, undefined]);
+            expect(isCacheStore(store)).to.be.true;
+            expect(supportsTags(store)).to.be.true;
+        });
+
+        it('should keep every version at 0', async () => {
+            const store = createNullStore();
+
+            await store.incrVersions(['users']);
+
+            expect(await store.getVersions(['users', 'orders'])).to.deep.equal([0, 0]);
+            expect(supportsVersions(store)).to.be.true;
+        });
+    });
+
+    describe('toCacheStore', () => {
+        it('should return CacheStore objects as-is', () => {
+            const store = createMemoryStore();
+            expect(toCacheStore(store)).to.equal(store);
+        });
+
+        it('should adapt the legacy cache functions', async () => {
+            const legacy = {
+                getArrayItem: sinon.stub().callsFake(async key => (key === 'hit' ? [{ id: 1 }] : [])),
+                addArrayItem: sinon.stub().resolves(),
+                delKeyItem: sinon.stub().resolves(),
+                delPrefixKeyItem: sinon.stub().resolves()
+            };
+            const store = toCacheStore(legacy);
+
+            expect(await store.get('hit')).to.deep.equal([{ id: 1 }]);
+            expect(await store.get('miss')).to.be.undefined;
+            expect(await store.mget(['hit', 'miss'])).to.deep.equal([[{ id: 1 }], undefined]);
+
+            await store.set('key', [1], 60);
+            await store.set('key', [1]);
+            await store.del(['a', 'b']);
+            await store.delByPrefix('users');
+
+            expect(legacy.addArrayItem.firstCall.args).to.deep.equal(['key', [1], 60]);
+            expect(legacy.addArrayItem.secondCall.args).to.deep.equal(['key', [1], 40000]);
+            expect(legacy.delKeyItem.calledWith(['a', 'b'])).to.be.true;
+            expect(legacy.delPrefixKeyItem.calledWith('users')).to.be.true;
+            expect(supportsTags(store)).to.be.false;
+        });
+
+        it('should pass tag and version support of the legacy functions through', async () => {
+            const legacy = {
+                getArrayItem: sinon.stub().resolves([]),
+                addArrayItem: sinon.stub().resolves(),
+                delKeyItem: sinon.stub().resolves(),
+                delPrefixKeyItem: sinon.stub().resolves(),
+                addTags: sinon.stub().resolves(),
+                delByTags: sinon.stub().resolves(),
+                getVersions: sinon.stub().resolves([2]),
+                incrVersions: sinon.stub().resolves()
+            };
+            const store = toCacheStore(legacy);
+
+            await store.addTags('users:1', ['users'], 60);
+            await store.delByTags(['users']);
+            await store.incrVersions(['users']);
+
+            expect(legacy.addTags.calledWith('users:1', ['users'], 60)).to.be.true;
+            expect(legacy.delByTags.calledWith(['users'])).to.be.true;
+            expect(await store.getVersions(['users'])).to.deep.equal([2]);
+            expect(legacy.incrVersions.calledWith(['users'])).to.be.true;
+        });
+    });
+
+    describe('readCacheEntry', () => {
+        let clock;
+
+        afterEach(() => {
+            if (clock) clock.restore();
+            clock = null;
+        });
+
+        it('should report hits with their write time and remaining ttl', async () => {
+            clock = sinon.useFakeTimers(1000000);
+            const store = createMemoryStore();
+            await store.set('empty', [], 60);
+            await store.set('forever', { id: 1 });
+            clock.tick(10500);
+
+            expect(await readCacheEntry(store, 'empty'))
+                .to.deep.equal({ status: 'hit', value: [], storedAt: 1000000, ttlRemaining: 50 });
+            expect(await readCacheEntry(store, 'forever'))
+                .to.deep.equal({ status: 'hit', value: { id: 1 }, storedAt: 1000000, ttlRemaining: null });
+            expect(await readCacheEntry(store, 'missing'))
+                .to.deep.equal({ status: 'miss', value: undefined, storedAt: null, ttlRemaining: null });
+        });
+
+        it('should tell a failing store from a miss', async () => {
+            const error = new Error('connection refused');
+            const store = { ...createNullStore(), getEntry: sinon.stub().rejects(error) };
+
+            const entry = await readCacheEntry(store, 'users');
+
+            expect(entry).to.include({ status: 'error', value: undefined, error });
+            expect((await readCacheEntry(createNullStore(), 'users')).status).to.equal('miss');
+        });
+
+        it('should read stores without getEntry through get', async () => {
+            const store = {
+                get: sinon.stub().callsFake(async key => {
+                    if (key === 'down') throw new Error('down');
+                    return key === 'hit' ? [] : undefined;
+                })
+            };
+
+            expect(await readCacheEntry(store, 'hit')).to.include({ status: 'hit', storedAt: null, ttlRemaining: null });
+            expect((await readCacheEntry(store, 'miss')).status).to.equal('miss');
+            expect((await readCacheEntry(store, 'down')).status).to.equal('error');
+        });
+    });
+
+    describe('createCacheFunctions', () => {
+        it('should expose the legacy cache functions on top of a store', async () => {
+            const store = createMemoryStore();
+            const cache = createCacheFunctions(store);
+
+            expect(await cache.addArrayItem('users:1', [{ id: 1 }])).to.deep.equal([{ id: 1 }]);
+            expect(await cache.getArrayItem('users:1')).to.deep.equal([{ id: 1 }]);
+            expect(await cache.getArrayItem('missing')).to.deep.equal([]);
+            expect((await cache.getCacheEntry('users:1')).value).to.deep.equal([{ id: 1 }]);
+
+            await cache.delPrefixKeyItem('users');
+            expect(await store.get('users:1')).to.be.undefined;
+        });
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * Codec Tests (v2.9.0)
+ *
+ * Tests for the codec header and codec selection of stored values
+ */
+
+const { expect } = require('chai');
+const { createValueCodec, resolveCodec, validateCodec } = require('../core/codec');
+
+describe('Codec (v2.9.0)', () => {
+    const rows = [{ id: 1, created_at: new Date('2024-03-01T10:20:30Z'), avatar: Buffer.from('png') }];
+
+    it('should prefix stored values with the codec header', async () => {
+        const json = await createValueCodec().encode([1], 1700000000000);
+        const msgpack = await createValueCodec('msgpack').encode([1], 1700000000000);
+
+        expect([...json.subarray(0, 4)]).to.deep.equal([0xc1, 2, 1, 0]);
+        expect(json.subarray(4, 16).toString()).to.equal('018bcfe56800');
+        expect(json.subarray(16).toString()).to.equal('[1]');
+        expect([...msgpack.subarray(0, 4)]).to.deep.equal([0xc1, 2, 2, 0]);
+        expect([...msgpack.subarray(16)]).to.deep.equal([0x91, 0x01]);
+    });
+
+    it('should read the write time from the header', async () => {
+        const codec = createValueCodec();
+        const stored = await codec.encode([{ id: 1 }], 1700000000000);
+
+        expect(await codec.decodeEntry(stored)).to.deep.equal({ value: [{ id: 1 }], storedAt: 1700000000000 });
+        expect(await codec.decodeEntry(stored.toString('utf8'))).to.deep.equal({ value: [{ id: 1 }], storedAt: 1700000000000 });
+        expect(await codec.decodeEntry('[1]')).to.deep.equal({ value: [1], storedAt: null });
+    });
+
+    it('should read values by the codec in their header', async () => {
+        const jsonReader = createValueCodec('json');
+        const msgpackReader = createValueCodec('msgpack');
+
+        expect(await jsonReader.decode(await msgpackReader.encode(rows))).to.deep.equal(rows);
+        expect(await msgpackReader.decode(await jsonReader.encode(rows))).to.deep.equal(rows);
+    });
+
+    it('should read values written before the header as JSON', async () => {
+        const reader = createValueCodec('msgpack');
+
+        expect(await reader.decode(Buffer.from('[{"id":1}]'))).to.deep.equal([{ id: 1 }]);
+        expect(await reader.decode('[{"id":1}]')).to.deep.equal([{ id: 1 }]);
+    });
+
+    it('should read JSON values from clients that return strings', async () => {
+        const stored = await createValueCodec().encode([{ id: 1 }]);
+
+        expect(await createValueCodec().decode(stored.toString('utf8'))).to.deep.equal([{ id: 1 }]);
+    });
+
+    it('should read values of unknown codecs or header versions as misses', async () => {
+        const reader = createValueCodec();
+
+        expect(await reader.decode(Buffer.from([0xc1, 1, 200, 0, 1]))).to.be.undefined;
+        expect(await reader.decode(Buffer.from([0xc1, 3, 1, 0, 0x31]))).to.be.undefined;
+        expect(await reader.decode(Buffer.from([0xc1, 1, 1, 0, 0x31]))).to.be.undefined;
+        expect(await reader.decode('\uFFFD\u0001\u0001\u0000[1]')).to.be.undefined;
+        expect(await reader.decode(Buffer.from([0xc1, 2, 1, 0, 0x31]))).to.be.undefined;
+    });
+
+    it('should use custom codecs for writes and reads', async () => {
+        const upper = {
+            id: 200,
+            name: 'upper',
+            encode: value => Buffer.from(String(value).toUpperCase()),
+            decode: buffer => buffer.toString()
+        };
+        const codec = createValueCodec(upper);
+
+        expect(await codec.decode(await codec.encode('abc'))).to.equal('ABC');
+        expect(await createValueCodec().decode(await codec.encode('abc'))).to.be.undefined;
+    });
+
+    it('should validate codecs', () => {
+        expect(resolveCodec()).to.include({ name: 'json' });
+        expect(validateCodec('msgpack')).to.be.null;
+        expect(validateCodec('protobuf')).to.include('codec must be one of: json, msgpack');
+        expect(validateCodec({ encode() {} })).to.include('implement encode and decode');
+        expect(validateCodec({ id: 1, encode() {}, decode() {} })).to.include('id from 128 to 255');
+        expect(() => createValueCodec('protobuf')).to.throw('codec must be one of');
+    });
+});
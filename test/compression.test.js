@@ -0,0 +1,70 @@
+/**
+ * Compression Tests (v2.9.0)
+ *
+ * Tests for the compression of large stored values
+ */
+
+const { expect } = require('chai');
+const crypto = require('crypto');
+const { createCompression, validateCompression, normalizeCompression } = require('../core/compression');
+const { createValueCodec } = require('../core/codec');
+
+describe('Compression (v2.9.0)', () => {
+    const rows = Array.from({ length: 200 }, (_, id) => ({ id, name: `user ${id}`, status: 'active' }));
+
+    it('should compress values above the threshold and flag them in the header', async () => {
+        for (const [algorithm, flag] of [['gzip', 1], ['brotli', 2]]) {
+            const codec = createValueCodec('json', { compression: { algorithm, threshold: 100 } });
+
+            const stored = await codec.encode(rows);
+
+            expect(stored[3]).to.equal(flag);
+            expect(stored.length).to.be.below(JSON.stringify(rows).length / 4);
+            expect(await codec.decode(stored)).to.deep.equal(rows);
+        }
+    });
+
+    it('should store small and incompressible values plain', async () => {
+        const codec = createValueCodec('msgpack', { compression: 'gzip' });
+        const random = crypto.randomBytes(4096);
+
+        expect((await codec.encode([{ id: 1 }]))[3]).to.equal(0);
+        expect((await codec.encode({ random }))[3]).to.equal(0);
+    });
+
+    it('should read compressed values whatever the reader compression', async () => {
+        const writer = createValueCodec('msgpack', { compression: { algorithm: 'brotli', threshold: 0 } });
+        const reader = createValueCodec('json');
+
+        expect(await reader.decode(await writer.encode(rows))).to.deep.equal(rows);
+        expect(await reader.decode(Buffer.from([0xc1, 1, 1, 9, 0x31]))).to.be.undefined;
+    });
+
+    it('should count compressed values and their sizes', async () => {
+        const compression = createCompression({ algorithm: 'gzip', threshold: 100 });
+        const body = Buffer.from(JSON.stringify(rows));
+
+        const { body: compressed } = await compression.compress(body);
+        await compression.compress(Buffer.from('[]'));
+
+        expect(compression.getStats()).to.deep.equal({
+            algorithm: 'gzip',
+            threshold: 100,
+            compressed: 1,
+            uncompressedBytes: body.length,
+            compressedBytes: compressed.length
+        });
+        expect(createValueCodec().getCompressionStats()).to.be.null;
+    });
+
+    it('should normalize and validate compression options', () => {
+        expect(normalizeCompression(false)).to.be.null;
+        expect(normalizeCompression('brotli')).to.deep.equal({ algorithm: 'brotli', threshold: 1024, level: undefined });
+        expect(normalizeCompression({ threshold: '2048', level: 9 })).to.deep.equal({ algorithm: 'gzip', threshold: 2048, level: 9 });
+        expect(validateCompression({ algorithm: 'zstd', threshold: 'big' })).to.deep.equal([
+            'compression must be one of: gzip, brotli',
+            'compression.threshold must be a number of bytes'
+        ]);
+        expect(() => createCompression('lz4')).to.throw('compression must be one of: gzip, brotli');
+    });
+});
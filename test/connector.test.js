@@ -0,0 +1,1402 @@
+/**
+ * Connector Factory Tests (v2.9.0)
+ *
+ * Tests for createConnector() independent instances
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const { createMemoryStore } = require('../core/cacheStore');
+
+/**
+ * Minimal redis v3 client mock backed by a Map. Fires 'ready' on registration.
+ */
+function createMockRedisClient() {
+    const store = new Map();
+    const sets = new Map();
+    return {
+        store,
+        sets,
+        exists: sinon.stub().callsFake((key, cb) => cb(null, store.has(key) ? 1 : 0)),
+        get: sinon.stub().callsFake((key, cb) => cb(null, store.has(String(key)) ? store.get(String(key)) : null)),
+        ttl: sinon.stub().callsFake((key, cb) => cb(null, store.has(key) ? 40000 : -2)),
+        setex: sinon.stub().callsFake((key, ttl, value, cb) => {
+            store.set(key, value);
+            cb(null, 'OK');
+        }),
+        del: sinon.stub().callsFake((...args) => {
+            const cb = args.pop();
+            args.flat().forEach(key => store.delete(key));
+            cb(null, 1);
+        }),
+        scan: sinon.stub().callsFake((cursor, match, pattern, count, size, cb) => {
+            const prefix = pattern.replace(/\*+$/, '');
+            cb(null, ['0', [...store.keys()].filter(key => key.startsWith(prefix))]);
+        }),
+        // The tag scripts: ADD_TAGS_SCRIPT adds ARGV[1] to the sets in KEYS, POP_TAG_SCRIPT pops a set
+        eval: sinon.stub().callsFake((script, numKeys, ...args) => {
+            const cb = args.pop();
+            const keys = args.slice(0, numKeys);
+            if (script.includes('smembers')) {
+                const members = [...(sets.get(keys[0]) || [])];
+                sets.delete(keys[0]);
+                return cb(null, members);
+            }
+            keys.forEach(key => sets.set(key, (sets.get(key) || new Set()).add(args[numKeys])));
+            return cb(null, 0);
+        }),
+        quit: sinon.stub().callsFake(cb => cb(null, 'OK')),
+        publish: sinon.stub().callsFake((channel, message, cb) => cb(null, 0)),
+        subscribe: sinon.stub(),
+        duplicate: sinon.stub().callsFake(() => createMockRedisClient()),
+        on: sinon.stub().callsFake((event, handler) => {
+            if (event === 'ready') handler();
+        }),
+        once: sinon.stub(),
+        removeListener: sinon.stub(),
+        setMaxListeners: sinon.stub()
+    };
+}
+
+function createMockPool() {
+    const connection = {
+        query: sinon.stub().resolves([[{ id: 1 }]]),
+        release: sinon.stub()
+    };
+    return {
+        connection,
+        getConnection: sinon.stub().resolves(connection),
+        query: sinon.stub().resolves([[]]),
+        end: sinon.stub().resolves(),
+        pool: { _allConnections: [1], _freeConnections: [1], _connectionQueue: [] }
+    };
+}
+
+describe('createConnector (v2.9.0)', () => {
+    let createConnector;
+    let createPoolStub;
+    let createClientStub;
+    let pools;
+    let clients;
+
+    const mysqlConfig = { host: 'db-1', user: 'app', database: 'main' };
+
+    beforeEach(() => {
+        pools = [];
+        clients = [];
+        createPoolStub = sinon.stub().callsFake(() => {
+            const pool = createMockPool();
+            pools.push(pool);
+            return pool;
+        });
+        createClientStub = sinon.stub().callsFake(() => {
+            const client = createMockRedisClient();
+            clients.push(client);
+            return client;
+        });
+
+        const dbConnector = proxyquire('../dbConnector', {
+            'mysql2/promise': { createPool: createPoolStub }
+        });
+        const redisConnector = proxyquire('../redis.Connector', {
+            'redis': { createClient: createClientStub }
+        });
+
+        ({ createConnector } = proxyquire('../connector', {
+            './dbConnector': dbConnector,
+            './redis.Connector': redisConnector
+        }));
+
+        sinon.stub(console, 'log');
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('Configuration', () => {
+        it('should throw helpful errors for missing mysql options', () => {
+            expect(() => createConnector({})).to.throw(/mysql\.host is required[\s\S]*mysql\.user is required/);
+        });
+
+        it('should require redis.host when Redis is enabled', () => {
+            expect(() => createConnector({ mysql: mysqlConfig, redis: {} }))
+                .to.throw('redis.host is required');
+        });
+
+        it('should not read process.env', () => {
+            const originalHost = process.env.DB_HOST;
+            delete process.env.DB_HOST;
+
+            expect(() => createConnector({ mysql: mysqlConfig })).to.not.throw();
+
+            if (originalHost !== undefined) process.env.DB_HOST = originalHost;
+        });
+
+        it('should merge mysql options over the pool defaults', () => {
+            createConnector({ mysql: { ...mysqlConfig, connectionLimit: 5 } });
+
+            const poolConfig = createPoolStub.firstCall.args[0];
+            expect(poolConfig.host).to.equal('db-1');
+            expect(poolConfig.connectionLimit).to.equal(5);
+            expect(poolConfig.port).to.equal(3306);
+            expect(poolConfig.enableKeepAlive).to.be.true;
+        });
+
+        it('should pass redis options to the client', () => {
+            createConnector({ mysql: mysqlConfig, redis: { host: 'cache-1', port: 6380, password: 'pw' } });
+
+            const clientConfig = createClientStub.firstCall.args[0];
+            expect(clientConfig).to.include({ host: 'cache-1', port: 6380, password: 'pw' });
+        });
+    });
+
+    describe('Codec (v2.9.0)', () => {
+        it('should store values with the configured codec', async () => {
+            const connector = createConnector({ mysql: mysqlConfig, redis: { host: 'cache-1' }, codec: 'msgpack' });
+            pools[0].connection.query.resolves([[{ id: 1, created_at: new Date(0) }]]);
+
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+            const stored = clients[0].store.get('users');
+
+            expect([...stored.subarray(0, 4)]).to.deep.equal([0xc1, 2, 2, 0]);
+            expect(createClientStub.firstCall.args[0]).to.include({ detect_buffers: true });
+            expect(await connector.getCacheQuery('SELECT * FROM users', [], 'users'))
+                .to.deep.equal([{ id: 1, created_at: new Date(0) }]);
+            expect(pools[0].connection.query.calledOnce).to.be.true;
+        });
+
+        it('should reject unknown codecs', () => {
+            expect(() => createConnector({ mysql: mysqlConfig, codec: 'protobuf' }))
+                .to.throw('codec must be one of: json, msgpack or a codec object');
+        });
+
+        it('should compress large values with the configured compression', async () => {
+            const rows = Array.from({ length: 100 }, (_, id) => ({ id, status: 'active' }));
+            const connector = createConnector({
+                mysql: mysqlConfig,
+                redis: { host: 'cache-1' },
+                compression: { algorithm: 'brotli', threshold: 256 }
+            });
+            pools[0].connection.query.resolves([rows]);
+
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+
+            expect(clients[0].store.get('users')[3]).to.equal(2);
+            expect(await connector.getCacheQuery('SELECT * FROM users', [], 'users')).to.deep.equal(rows);
+            expect(connector.getCacheStats().compression).to.include({ algorithm: 'brotli', compressed: 1 });
+        });
+
+        it('should reject invalid compression options', () => {
+            expect(() => createConnector({ mysql: mysqlConfig, compression: { algorithm: 'lz4' } }))
+                .to.throw('compression must be one of: gzip, brotli');
+        });
+    });
+
+    describe('Independent instances', () => {
+        it('should create one pool and one client per instance', () => {
+            createConnector({ mysql: mysqlConfig, redis: { host: 'cache-1' } });
+            createConnector({ mysql: { ...mysqlConfig, host: 'db-2' }, redis: { host: 'cache-2' } });
+
+            expect(createPoolStub.callCount).to.equal(2);
+            expect(createClientStub.callCount).to.equal(2);
+        });
+
+        it('should route queries and cache writes to their own pool and client', async () => {
+            const a = createConnector({ mysql: mysqlConfig, redis: { host: 'cache-1', vhost: 'a' } });
+            const b = createConnector({ mysql: mysqlConfig, redis: { host: 'cache-2', vhost: 'b' } });
+
+            await a.getCacheQuery('SELECT * FROM users', [], 'users');
+
+            expect(pools[0].connection.query.calledOnce).to.be.true;
+            expect(pools[1].connection.query.called).to.be.false;
+            expect(clients[0].store.has('a:users')).to.be.true;
+            expect(clients[1].store.size).to.equal(0);
+
+            await b.getCacheQuery('SELECT * FROM users', [], 'users');
+            expect(clients[1].store.has('b:users')).to.be.true;
+        });
+
+        it('should keep shutdown state per instance', async () => {
+            const a = createConnector({ mysql: mysqlConfig });
+            const b = createConnector({ mysql: mysqlConfig });
+
+            await a.close();
+
+            try {
+                await a.QuaryCache('UPDATE users SET name = ?', ['x']);
+                expect.fail('Should have thrown');
+            } catch (err) {
+                expect(err.message).to.include('shutting down');
+            }
+
+            const result = await b.QuaryCache('UPDATE users SET name = ?', ['x']);
+            expect(result).to.deep.equal([{ id: 1 }]);
+        });
+
+        it('should use instance auto key config', async () => {
+            const withAutoKey = createConnector({ mysql: mysqlConfig, redis: { host: 'c' }, autoKey: true });
+            const withoutAutoKey = createConnector({ mysql: mysqlConfig, autoKey: { enabled: false } });
+
+            await withAutoKey.getCacheQuery('SELECT * FROM users WHERE id = ?', [1]);
+            expect([...clients[0].store.keys()][0]).to.match(/^users:id:/);
+
+            try {
+                await withoutAutoKey.getCacheQuery('SELECT * FROM users WHERE id = ?', [1]);
+                expect.fail('Should have thrown');
+            } catch (err) {
+                expect(err.message).to.include('cacheName is required');
+            }
+        });
+
+        it('should use instance auto invalidation rules', async () => {
+            const connector = createConnector({
+                mysql: mysqlConfig,
+                redis: { host: 'c' },
+                autoInvalidation: { tables: { users: ['profiles:'] } }
+            });
+            clients[0].store.set('profiles:1', '[]');
+            clients[0].store.set('users:1', '[]');
+            clients[0].sets.set('cache:tag:users', new Set(['orders:recent']));
+            clients[0].store.set('orders:recent', '[]');
+
+            await connector.QuaryCache('UPDATE users SET name = ? WHERE id = ?', ['x', 1]);
+
+            expect(clients[0].store.has('profiles:1')).to.be.false;
+            expect(clients[0].store.has('users:1')).to.be.true;
+            // Reads that joined users are evicted by its tag
+            expect(clients[0].eval.calledOnce).to.be.true;
+            expect(clients[0].eval.firstCall.args.slice(1, 3)).to.deep.equal([1, 'cache:tag:users']);
+            expect(clients[0].store.has('orders:recent')).to.be.false;
+        });
+    });
+
+    describe('Redis disabled', () => {
+        it('should not create a Redis client and skip caching', async () => {
+            const connector = createConnector({ mysql: mysqlConfig, redis: false });
+
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+
+            expect(createClientStub.called).to.be.false;
+            expect(pools[0].connection.query.calledTwice).to.be.true;
+            expect(connector.isRedisConnected()).to.be.false;
+            expect(connector.getRedisClient()).to.be.null;
+        });
+    });
+
+    describe('Cache stores (v2.9.0)', () => {
+        it('should cache in memory without a Redis server', async () => {
+            const connector = createConnector({ mysql: mysqlConfig, store: 'memory' });
+
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+            const cached = await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+
+            expect(cached).to.deep.equal([{ id: 1 }]);
+            expect(pools[0].connection.query.calledOnce).to.be.true;
+            expect(createClientStub.called).to.be.false;
+            expect(await connector.getArrayItem('users')).to.deep.equal([{ id: 1 }]);
+
+            await connector.QuaryCache('UPDATE users SET name = ?', ['x'], 'users');
+            expect(await connector.getCacheStore().get('users')).to.be.undefined;
+        });
+
+        it('should evict auto-invalidated reads from the memory store', async () => {
+            const connector = createConnector({ mysql: mysqlConfig, store: 'memory', autoKey: true, autoInvalidation: true });
+            await connector.getCacheQuery('SELECT * FROM users WHERE id = ?', [1]);
+            await connector.getCacheQuery('SELECT * FROM users');
+
+            await connector.QuaryCache('UPDATE users SET name = ? WHERE id = ?', ['x', 1]);
+            pools[0].connection.query.resolves([[{ id: 1, name: 'x' }]]);
+
+            expect(await connector.getCacheQuery('SELECT * FROM users WHERE id = ?', [1])).to.deep.equal([{ id: 1, name: 'x' }]);
+            expect(await connector.getCacheQuery('SELECT * FROM users')).to.deep.equal([{ id: 1, name: 'x' }]);
+            expect(pools[0].connection.query.callCount).to.equal(5);
+        });
+
+        it('should return the same types on a cache hit as on a miss', async () => {
+            const row = { id: 1, created_at: new Date('2024-03-01T10:20:30Z'), avatar: Buffer.from([1, 2]), total: 10n };
+            const connector = createConnector({ mysql: mysqlConfig, store: 'memory' });
+            pools[0].connection.query.resolves([[row]]);
+
+            const miss = await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+            const hit = await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+
+            expect(pools[0].connection.query.calledOnce).to.be.true;
+            expect(hit).to.deep.equal(miss);
+            expect(hit[0].created_at).to.be.an.instanceof(Date);
+        });
+
+        it('should not cache with the null store', async () => {
+            const connector = createConnector({ mysql: mysqlConfig, store: 'null' });
+
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+
+            expect(pools[0].connection.query.calledTwice).to.be.true;
+        });
+
+        it('should accept a custom CacheStore', async () => {
+            const store = {
+                get: sinon.stub().resolves([{ id: 42 }]),
+                set: sinon.stub().resolves(),
+                del: sinon.stub().resolves(),
+                delByPrefix: sinon.stub().resolves(),
+                mget: sinon.stub().resolves([]),
+                close: sinon.stub().resolves()
+            };
+            const connector = createConnector({ mysql: mysqlConfig, redis: { host: 'c' }, store });
+
+            const rows = await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+            await connector.close();
+
+            expect(rows).to.deep.equal([{ id: 42 }]);
+            expect(store.get.calledWith('users')).to.be.true;
+            expect(store.close.calledOnce).to.be.true;
+            expect(createClientStub.called).to.be.false;
+        });
+
+        it('should reject unknown stores and incomplete CacheStore objects', () => {
+            expect(() => createConnector({ mysql: mysqlConfig, store: 'memcached' }))
+                .to.throw('store must be one of: redis, memory, null');
+            expect(() => createConnector({ mysql: mysqlConfig, store: { get() {} } }))
+                .to.throw('store must implement get, set, del, delByPrefix and mget');
+            expect(() => createConnector({ mysql: mysqlConfig, store: 'redis' }))
+                .to.throw('store \'redis\' needs a redis config');
+        });
+    });
+
+    describe('Cache TTL (v2.9.0)', () => {
+        let store;
+
+        beforeEach(() => {
+            store = {
+                get: sinon.stub().resolves(undefined),
+                set: sinon.stub().resolves(),
+                del: sinon.stub().resolves(),
+                delByPrefix: sinon.stub().resolves(),
+                mget: sinon.stub().resolves([])
+            };
+        });
+
+        it('should keep the 40000 second default', async () => {
+            const connector = createConnector({ mysql: mysqlConfig, store });
+
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+
+            expect(store.set.firstCall.args[2]).to.equal(40000);
+        });
+
+        it('should use the connector defaultTtl', async () => {
+            const connector = createConnector({ mysql: mysqlConfig, store, defaultTtl: 600 });
+
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+
+            expect(store.set.firstCall.args[2]).to.equal(600);
+        });
+
+        it('should use per-table TTLs from the auto invalidation rules', async () => {
+            const connector = createConnector({
+                mysql: mysqlConfig,
+                store,
+                defaultTtl: 600,
+                autoInvalidation: { tables: { products: { ttl: 3600 }, sessions: { ttl: 30 } } }
+            });
+
+            await connector.getCacheQuery('SELECT * FROM products', [], 'products');
+            await connector.getCacheQueryPagination('SELECT * FROM sessions WHERE user_id = ?', [1], 'sessions', 0, 10);
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+
+            expect(store.set.getCall(0).args[2]).to.equal(3600);
+            expect(store.set.getCall(1).args[2]).to.equal(30);
+            expect(store.set.getCall(2).args[2]).to.equal(600);
+        });
+
+        it('should let a per-call ttl win on every cached read', async () => {
+            const connector = createConnector({
+                mysql: mysqlConfig,
+                store,
+                autoInvalidation: { tables: { products: { ttl: 3600 } } }
+            });
+            Object.assign(pools[0].connection, {
+                beginTransaction: sinon.stub().resolves(),
+                commit: sinon.stub().resolves()
+            });
+
+            await connector.getCacheQuery('SELECT * FROM products', [], 'a', null, { ttl: 10 });
+            await connector.getCacheQueryPagination('SELECT * FROM products', [], 'b', 0, 10, null, { ttl: 20 });
+            await connector.getCacheQueryWithTimeout('SELECT * FROM products', [], 'c', { ttl: 30 });
+            await connector.withTransaction(async (tx) => {
+                await tx.getCacheQuery('SELECT * FROM products', [], 'd', { ttl: 40 });
+            });
+
+            expect(store.set.getCalls().map(call => call.args[2])).to.deep.equal([10, 20, 30, 40]);
+        });
+
+        it('should reject an invalid defaultTtl', () => {
+            expect(() => createConnector({ mysql: mysqlConfig, defaultTtl: 'never' }))
+                .to.throw('defaultTtl must be a positive number of seconds');
+        });
+    });
+
+    describe('L1 cache (v2.9.0)', () => {
+        it('should report L1 and L2 hits and misses in getCacheStats', async () => {
+            const connector = createConnector({ mysql: mysqlConfig, redis: { host: 'c', l1: { ttl: 5 } } });
+
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+
+            const stats = connector.getCacheStats();
+            expect(stats.l1).to.include({ hits: 1, misses: 1 });
+            expect(stats.l2).to.deep.equal({ hits: 0, misses: 1 });
+            expect(pools[0].connection.query.calledOnce).to.be.true;
+        });
+
+        it('should evict L1 entries of auto-invalidated reads', async () => {
+            const connector = createConnector({
+                mysql: mysqlConfig, redis: { host: 'c', l1: {} }, autoKey: true, autoInvalidation: true
+            });
+            await connector.getCacheQuery('SELECT * FROM users WHERE id = ?', [1]);
+
+            await connector.QuaryCache('UPDATE users SET name = ? WHERE id = ?', ['x', 1]);
+            pools[0].connection.query.resolves([[{ id: 1, name: 'x' }]]);
+
+            expect(await connector.getCacheQuery('SELECT * FROM users WHERE id = ?', [1])).to.deep.equal([{ id: 1, name: 'x' }]);
+            expect(pools[0].connection.query.callCount).to.equal(3);
+        });
+
+        it('should evict L1 entries on writes', async () => {
+            const connector = createConnector({ mysql: mysqlConfig, redis: { host: 'c', l1: {} } });
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+
+            await connector.QuaryCache('UPDATE users SET name = ?', ['x'], 'users');
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+
+            expect(pools[0].connection.query.callCount).to.equal(3);
+            expect(clients[0].publish.calledOnce).to.be.true;
+        });
+
+        it('should validate L1 options', () => {
+            expect(() => createConnector({ mysql: mysqlConfig, redis: { host: 'c', l1: { ttl: 'short' } } }))
+                .to.throw('redis.l1.ttl must be a valid number');
+        });
+    });
+
+    describe('Invalidation retry (v2.9.0)', () => {
+        it('should not run writes while Redis is down with the fail policy', async () => {
+            sinon.stub(console, 'error');
+            const connector = createConnector({
+                mysql: mysqlConfig,
+                redis: { host: 'c', waitTimeout: 20, invalidationRetry: { policy: 'fail' } }
+            });
+            clients[0].on.getCalls().find(call => call.args[0] === 'end').args[1]();
+
+            const failures = [];
+            for (const write of [
+                () => connector.QuaryCache('UPDATE users SET name = ?', ['x'], 'users'),
+                () => connector.bulkInsert('users', [{ name: 'x' }]),
+                () => connector.withTransaction(async tx => tx.query('UPDATE users SET name = ?', ['x']))
+            ]) {
+                await write().catch(err => failures.push(err.message));
+            }
+
+            expect(failures).to.deep.equal(Array(3).fill('Cache invalidation unavailable, the write was not run: Redis connection timeout (20ms)'));
+            expect(pools[0].getConnection.called).to.be.false;
+        });
+
+        it('should resolve writes whose invalidation fails after they ran, and queue it', async () => {
+            sinon.stub(console, 'error');
+            const connector = createConnector({
+                mysql: mysqlConfig,
+                redis: { host: 'c', invalidationRetry: { policy: 'fail' } }
+            });
+            clients[0].scan.callsFake((...args) => args.pop()(new Error('connection lost')));
+
+            await connector.QuaryCache('UPDATE users SET name = ?', ['x'], 'users');
+
+            expect(pools[0].connection.query.calledOnce).to.be.true;
+            expect(connector.getCacheStore().getPendingInvalidations().prefixes).to.equal(1);
+        });
+
+        it('should not roll back committed transactions when their invalidation fails', async () => {
+            sinon.stub(console, 'error');
+            const store = createMemoryStore();
+            sinon.stub(store, 'delByPrefix').rejects(new Error('store down'));
+            const connector = createConnector({ mysql: mysqlConfig, store });
+            Object.assign(pools[0].connection, {
+                beginTransaction: sinon.stub().resolves(),
+                commit: sinon.stub().resolves(),
+                rollback: sinon.stub().resolves()
+            });
+
+            const result = await connector.withTransaction(async (tx) => {
+                await tx.query('UPDATE users SET name = ?', ['x'], 'users');
+                return 'done';
+            });
+
+            expect(result).to.equal('done');
+            expect(pools[0].connection.rollback.called).to.be.false;
+            expect(console.error.calledWith('Cache invalidation failed:', 'store down')).to.be.true;
+        });
+
+        it('should validate invalidation retry options', () => {
+            expect(() => createConnector({ mysql: mysqlConfig, redis: { host: 'c', invalidationRetry: { policy: 'drop' } } }))
+                .to.throw('redis.invalidationRetry.policy must be one of: replay, flush, fail');
+        });
+    });
+
+    describe('Negative caching (v2.9.0)', () => {
+        let store;
+
+        beforeEach(() => {
+            store = createMemoryStore();
+            sinon.spy(store, 'set');
+        });
+
+        function emptyResults(connector) {
+            const connection = pools[0].connection;
+            connection.query.resolves([[]]);
+            connection.beginTransaction = sinon.stub().resolves();
+            connection.commit = sinon.stub().resolves();
+            return connector;
+        }
+
+        it('should serve cached empty results as hits', async () => {
+            const connector = emptyResults(createConnector({ mysql: mysqlConfig, store }));
+
+            expect(await connector.getCacheQuery('SELECT * FROM invoices WHERE pending = 1', [], 'pending')).to.deep.equal([]);
+            expect(await connector.getCacheQuery('SELECT * FROM invoices WHERE pending = 1', [], 'pending')).to.deep.equal([]);
+            expect(await connector.getCacheQueryWithTimeout('SELECT * FROM invoices WHERE pending = 1', [], 'pending')).to.deep.equal([]);
+            await connector.withTransaction(async (tx) => {
+                expect(await tx.getCacheQuery('SELECT * FROM invoices WHERE pending = 1', [], 'pending')).to.deep.equal([]);
+            });
+
+            expect(pools[0].connection.query.calledOnce).to.be.true;
+        });
+
+        it('should cache empty results with negativeTtl', async () => {
+            const connector = createConnector({ mysql: mysqlConfig, store, negativeTtl: 30 });
+
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+            emptyResults(connector);
+            await connector.getCacheQuery('SELECT * FROM invoices', [], 'invoices');
+            await connector.getCacheQueryPagination('SELECT * FROM invoices', [], 'invoices', 0, 10);
+            await connector.getCacheQuery({ sql: 'SELECT * FROM orders', key: 'orders', negativeTtl: 5 });
+
+            expect(store.set.getCalls().map(call => call.args[2])).to.deep.equal([40000, 30, 30, 5]);
+        });
+
+        it('should not cache empty results with negativeTtl 0', async () => {
+            const connector = emptyResults(createConnector({ mysql: mysqlConfig, store, negativeTtl: 0 }));
+
+            await connector.getCacheQuery('SELECT * FROM invoices', [], 'invoices');
+            await connector.getCacheQuery('SELECT * FROM invoices', [], 'invoices');
+
+            expect(store.set.called).to.be.false;
+            expect(pools[0].connection.query.calledTwice).to.be.true;
+        });
+
+        it('should reject an invalid negativeTtl', () => {
+            expect(() => createConnector({ mysql: mysqlConfig, negativeTtl: -1 }))
+                .to.throw('negativeTtl must be a number of seconds');
+        });
+    });
+
+    describe('Cache entries (v2.9.0)', () => {
+        it('should expose getCacheEntry on the selected store', async () => {
+            const connector = createConnector({ mysql: mysqlConfig, store: 'memory' });
+
+            await connector.addArrayItem('pending', [], 60);
+
+            expect(await connector.getCacheEntry('pending')).to.include({ status: 'hit', ttlRemaining: 60 });
+            expect((await connector.getCacheEntry('missing')).status).to.equal('miss');
+        });
+
+        it('should read the database without write-back or fill lock while the cache fails', async () => {
+            const store = {
+                ...createMemoryStore(),
+                getEntry: sinon.stub().resolves({ status: 'error', value: undefined, storedAt: null, ttlRemaining: null }),
+                set: sinon.stub().resolves(),
+                acquireLock: sinon.stub().resolves(true),
+                releaseLock: sinon.stub().resolves()
+            };
+            const connector = createConnector({ mysql: mysqlConfig, store, fillLock: true });
+
+            const rows = await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+
+            expect(rows).to.deep.equal([{ id: 1 }]);
+            expect(store.getEntry.calledWith('users')).to.be.true;
+            expect(store.set.called).to.be.false;
+            expect(store.acquireLock.called).to.be.false;
+        });
+    });
+
+    describe('Tag invalidation (v2.9.0)', () => {
+        let store;
+
+        beforeEach(() => {
+            store = createMemoryStore();
+            sinon.spy(store, 'delByPrefix');
+        });
+
+        function cached(keys) {
+            return store.mget(keys).then(values => values.map(value => value !== undefined));
+        }
+
+        function withTransactions(connector) {
+            Object.assign(pools[0].connection, {
+                beginTransaction: sinon.stub().resolves(),
+                commit: sinon.stub().resolves()
+            });
+            return connector;
+        }
+
+        it('should evict the cached reads of a written table without prefix deletes', async () => {
+            const connector = createConnector({ mysql: mysqlConfig, store, autoInvalidation: true, invalidation: 'tags' });
+            await connector.getCacheQuery('SELECT * FROM users WHERE active = 1', [], 'dashboard:active');
+            await connector.getCacheQueryPagination('SELECT * FROM users', [], 'people', 0, 10);
+            await connector.getCacheQuery('SELECT * FROM orders', [], 'orders');
+
+            await connector.QuaryCache('UPDATE users SET name = ? WHERE id = ?', ['x', 1]);
+
+            expect(await cached(['dashboard:active', 'people:page0:size10', 'orders'])).to.deep.equal([false, false, true]);
+            expect(store.delByPrefix.called).to.be.false;
+        });
+
+        it('should invalidate by tag on bulkInsert and transaction commits', async () => {
+            const connector = withTransactions(createConnector({
+                mysql: mysqlConfig, store, autoInvalidation: true, invalidation: 'tags'
+            }));
+            await connector.getCacheQuery('SELECT * FROM events', [], 'feed');
+            await connector.getCacheQuery('SELECT * FROM orders', [], 'recent');
+
+            await connector.bulkInsert('events', [{ name: 'a' }]);
+            expect(await cached(['feed', 'recent'])).to.deep.equal([false, true]);
+
+            await connector.withTransaction(async (tx) => {
+                await tx.getCacheQuery('SELECT * FROM events', [], 'feed');
+                await tx.query('DELETE FROM orders WHERE id = ?', [1]);
+                expect(await cached(['feed', 'recent'])).to.deep.equal([true, true]);
+            });
+            expect(await cached(['feed', 'recent'])).to.deep.equal([true, false]);
+            expect(store.delByPrefix.called).to.be.false;
+        });
+
+        it('should record and invalidate the tags of a call in every mode', async () => {
+            const connector = withTransactions(createConnector({ mysql: mysqlConfig, store }));
+            await connector.getCacheQuery({ sql: 'SELECT COUNT(*) FROM orders', key: 'stats:orders', tags: 'dashboard' });
+            await connector.getCacheQuery({ sql: 'SELECT * FROM users', key: 'stats:users', tags: ['dashboard', 'users'] });
+            await connector.getCacheQuery({ sql: 'SELECT * FROM products', key: 'catalog', tags: 'catalog' });
+            await connector.getCacheQuery({ sql: 'SELECT * FROM orders', key: 'orders', tags: 'orders' });
+
+            await connector.QuaryCache({ sql: 'UPDATE settings SET v = 1', key: 'settings', tags: 'dashboard' });
+            expect(await cached(['stats:orders', 'stats:users', 'catalog', 'orders'])).to.deep.equal([false, false, true, true]);
+
+            await connector.bulkInsert({ table: 'products', records: [{ name: 'a' }], tags: 'catalog' });
+            await connector.withTransaction(async (tx) => {
+                await tx.query('UPDATE orders SET paid = 1', [], null, { tags: 'orders' });
+            });
+            expect(await cached(['catalog', 'orders'])).to.deep.equal([false, false]);
+        });
+
+        it('should keep manual keys and table rule patterns as prefix deletes', async () => {
+            const connector = createConnector({
+                mysql: mysqlConfig,
+                store,
+                autoInvalidation: { tables: { products: ['catalog:'] } },
+                invalidation: 'tags'
+            });
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users:1');
+            await connector.getCacheQuery('SELECT * FROM products', [], 'catalog:all');
+
+            await connector.QuaryCache('UPDATE users SET name = ?', ['x'], 'users:');
+            await connector.QuaryCache('UPDATE products SET price = 1');
+
+            expect(store.delByPrefix.getCalls().map(call => call.args[0])).to.deep.equal(['users:', 'catalog:']);
+            expect(await cached(['users:1', 'catalog:all'])).to.deep.equal([false, false]);
+        });
+
+        it('should invalidate tags on demand', async () => {
+            const connector = createConnector({ mysql: mysqlConfig, store, invalidation: 'tags' });
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+            await connector.getCacheQuery('SELECT * FROM orders', [], 'orders');
+
+            await connector.invalidateTags(['users']);
+
+            expect(await cached(['users', 'orders'])).to.deep.equal([false, true]);
+        });
+
+        it('should validate the invalidation mode and the store\'s tag support', () => {
+            expect(() => createConnector({ mysql: mysqlConfig, invalidation: 'scan' }))
+                .to.throw('invalidation must be one of: prefix, tags, versions');
+
+            const { addTags, delByTags, ...untaggable } = createMemoryStore();
+            expect(() => createConnector({ mysql: mysqlConfig, store: untaggable, invalidation: 'tags' }))
+                .to.throw('invalidation \'tags\' needs a store that implements addTags and delByTags');
+        });
+    });
+
+    describe('Version invalidation (v2.9.0)', () => {
+        let store;
+
+        beforeEach(() => {
+            store = createMemoryStore();
+            sinon.spy(store, 'delByPrefix');
+        });
+
+        function createVersioned() {
+            const connector = createConnector({
+                mysql: mysqlConfig, store, autoKey: true, autoInvalidation: true, invalidation: 'versions'
+            });
+            Object.assign(pools[0].connection, {
+                beginTransaction: sinon.stub().resolves(),
+                commit: sinon.stub().resolves()
+            });
+            return connector;
+        }
+
+        it('should embed table versions in auto keys and increment them on writes', async () => {
+            const connector = createVersioned();
+            const { query } = pools[0].connection;
+            sinon.spy(store, 'set');
+
+            await connector.getCacheQuery('SELECT * FROM users', []);
+            await connector.getCacheQuery('SELECT * FROM users', []);
+            expect(store.set.firstCall.args[0]).to.equal('users:all@users.0');
+            expect(query.callCount).to.equal(1);
+
+            await connector.QuaryCache('UPDATE users SET name = ? WHERE id = ?', ['x', 1]);
+            await connector.getCacheQuery('SELECT * FROM users', []);
+
+            expect(store.set.lastCall.args[0]).to.equal('users:all@users.1');
+            expect(query.callCount).to.equal(3);
+            expect(store.delByPrefix.called).to.be.false;
+        });
+
+        it('should increment versions on bulkInsert and once per table on transaction commits', async () => {
+            const connector = createVersioned();
+
+            await connector.bulkInsert('events', [{ name: 'a' }]);
+            await connector.withTransaction(async (tx) => {
+                await tx.query('INSERT INTO orders (id) VALUES (?)', [1]);
+                await tx.query('UPDATE orders SET paid = 1 WHERE id = ?', [1]);
+                expect(await store.getVersions(['orders'])).to.deep.equal([0]);
+            });
+
+            expect(await store.getVersions(['events', 'orders'])).to.deep.equal([1, 1]);
+            expect(store.delByPrefix.called).to.be.false;
+        });
+
+        it('should evict reads cached under explicit keys by their tables\' tags', async () => {
+            const connector = createVersioned();
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users:list');
+
+            await connector.QuaryCache('UPDATE users SET name = ? WHERE id = ?', ['x', 1]);
+
+            expect(await store.get('users:list')).to.be.undefined;
+            expect(store.delByPrefix.called).to.be.false;
+
+            await connector.withTransaction(async (tx) => {
+                await tx.getCacheQuery('SELECT * FROM users', [], 'users:list');
+            });
+            await connector.bulkInsert('users', [{ name: 'y' }]);
+            expect(await store.get('users:list')).to.be.undefined;
+        });
+
+        it('should delete the default patterns for explicit keys with stores without tags', async () => {
+            const { addTags, delByTags, ...untagged } = store;
+            const connector = createConnector({
+                mysql: mysqlConfig, store: untagged, autoKey: true, autoInvalidation: true, invalidation: 'versions'
+            });
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users:list');
+
+            await connector.QuaryCache('UPDATE users SET name = ? WHERE id = ?', ['x', 1]);
+
+            expect(await store.get('users:list')).to.be.undefined;
+            expect(store.delByPrefix.calledWith('users:*')).to.be.true;
+            expect(await store.getVersions(['users'])).to.deep.equal([1]);
+        });
+
+        it('should read from MySQL without caching when versions can\'t be read', async () => {
+            const connector = createVersioned();
+            sinon.stub(store, 'getVersions').resolves(null);
+            sinon.spy(store, 'getEntry');
+            sinon.spy(store, 'set');
+
+            expect(await connector.getCacheQuery('SELECT * FROM users', [])).to.deep.equal([{ id: 1 }]);
+
+            expect(store.getEntry.called).to.be.false;
+            expect(store.set.called).to.be.false;
+        });
+
+        it('should keep manual keys as prefix deletes and validate the store', async () => {
+            const connector = createVersioned();
+            await connector.getCacheQuery('SELECT * FROM users', [], 'team:7');
+
+            await connector.QuaryCache('UPDATE users SET name = ?', ['x'], 'team:');
+
+            expect(store.delByPrefix.calledWith('team:')).to.be.true;
+            expect(await store.getVersions(['users'])).to.deep.equal([0]);
+
+            const { getVersions, incrVersions, ...unversioned } = createMemoryStore();
+            expect(() => createConnector({ mysql: mysqlConfig, store: unversioned, invalidation: 'versions' }))
+                .to.throw('invalidation \'versions\' needs a store that implements getVersions and incrVersions');
+        });
+    });
+
+    describe('Multi-table dependencies (v2.9.0)', () => {
+        const JOIN_SQL = 'SELECT o.*, u.name FROM orders o JOIN users u ON u.id = o.user_id WHERE o.id = ?';
+        let store;
+
+        beforeEach(() => {
+            store = createMemoryStore();
+            sinon.spy(store, 'set');
+        });
+
+        function createAuto(invalidation) {
+            const connector = createConnector({ mysql: mysqlConfig, store, autoKey: true, autoInvalidation: true, invalidation });
+            Object.assign(pools[0].connection, {
+                beginTransaction: sinon.stub().resolves(),
+                commit: sinon.stub().resolves()
+            });
+            return connector;
+        }
+
+        async function isCached(key) {
+            return (await store.get(key)) !== undefined;
+        }
+
+        it('should evict joined reads on writes to any of their tables in prefix mode', async () => {
+            const connector = createAuto();
+            await connector.getCacheQuery(JOIN_SQL, [1]);
+            await connector.getCacheQuery('SELECT * FROM products', []);
+            const joinKey = store.set.firstCall.args[0];
+            expect(joinKey).to.match(/^orders:id:/);
+
+            await connector.QuaryCache('UPDATE users SET name = ? WHERE id = ?', ['x', 1]);
+
+            expect(await isCached(joinKey)).to.be.false;
+            expect(await isCached('products:all')).to.be.true;
+        });
+
+        it('should warn once in prefix mode when the store can\'t tag joined reads', async () => {
+            sinon.stub(console, 'warn');
+            const { addTags, delByTags, ...untagged } = store;
+            const connector = createConnector({ mysql: mysqlConfig, store: untagged, autoKey: true, autoInvalidation: true });
+
+            await connector.getCacheQuery('SELECT * FROM products', []);
+            expect(console.warn.called).to.be.false;
+
+            await connector.getCacheQuery(JOIN_SQL, [1]);
+            await connector.getCacheQuery(JOIN_SQL, [2]);
+            expect(console.warn.calledOnce).to.be.true;
+            expect(console.warn.firstCall.args[0]).to.include('has no addTags / delByTags');
+        });
+
+        it('should evict reads through subqueries, UNIONs and CTEs on transaction commits', async () => {
+            const connector = createAuto('tags');
+            const reads = [
+                ['SELECT * FROM users WHERE id IN (SELECT user_id FROM bans)', 'banned'],
+                ['SELECT id FROM admins UNION SELECT user_id FROM bans', 'staff'],
+                ['WITH b AS (SELECT * FROM bans) SELECT COUNT(*) FROM b', 'ban-count'],
+                ['SELECT * FROM users', 'users']
+            ];
+            for (const [sql, key] of reads) {
+                await connector.getCacheQuery(sql, [], key);
+            }
+
+            await connector.withTransaction(async (tx) => {
+                await tx.query('DELETE FROM bans WHERE id = ?', [1]);
+            });
+
+            expect(await Promise.all(reads.map(([, key]) => isCached(key)))).to.deep.equal([false, false, false, true]);
+        });
+
+        it('should embed the version of every joined table in versioned keys', async () => {
+            const connector = createAuto('versions');
+            await connector.getCacheQuery(JOIN_SQL, [1]);
+            const before = store.set.firstCall.args[0];
+
+            await connector.QuaryCache('UPDATE users SET name = ? WHERE id = ?', ['x', 1]);
+            await connector.getCacheQuery(JOIN_SQL, [1]);
+
+            expect(before).to.match(/@orders\.0,users\.0$/);
+            expect(store.set.secondCall.args[0]).to.match(/@orders\.0,users\.1$/);
+        });
+
+        it('should invalidate every table of a multi-table write', async () => {
+            const connector = createAuto();
+            sinon.spy(store, 'delByPrefix');
+
+            await connector.QuaryCache('UPDATE orders, users SET orders.flag = 1, users.flag = 1 WHERE users.id = orders.user_id');
+
+            expect(store.delByPrefix.getCalls().map(call => call.args[0]))
+                .to.deep.equal(['orders_*', 'orders:*', 'users_*', 'users:*']);
+        });
+    });
+
+    describe('Databases (v2.9.0)', () => {
+        let store;
+
+        beforeEach(() => {
+            store = createMemoryStore();
+            sinon.spy(store, 'set');
+        });
+
+        function createAuto(invalidation) {
+            const connector = createConnector({ mysql: mysqlConfig, store, autoKey: true, autoInvalidation: true, invalidation });
+            Object.assign(pools[0].connection, {
+                beginTransaction: sinon.stub().resolves(),
+                commit: sinon.stub().resolves()
+            });
+            return connector;
+        }
+
+        async function isCached(key) {
+            return (await store.get(key)) !== undefined;
+        }
+
+        async function readUsersEverywhere(connector) {
+            await connector.getCacheQuery({ sql: 'SELECT * FROM users', database: 'tenant_a' });
+            await connector.getCacheQuery({ sql: 'SELECT * FROM users', database: 'tenant_b' });
+            await connector.getCacheQuery('SELECT * FROM users', []);
+        }
+
+        it('should key the same read in different databases apart', async () => {
+            const connector = createAuto();
+            await readUsersEverywhere(connector);
+            await connector.getCacheQuery({ sql: 'SELECT * FROM users', database: 'main' });
+
+            expect(store.set.getCalls().map(call => call.args[0]))
+                .to.deep.equal(['tenant_a.users:all', 'tenant_b.users:all', 'users:all']);
+        });
+
+        it('should scope the patterns of a write to the database it ran in', async () => {
+            const connector = createAuto();
+            sinon.spy(store, 'delByPrefix');
+
+            await connector.QuaryCache({ sql: 'UPDATE users SET name = ? WHERE id = ?', params: ['x', 1], database: 'tenant_a' });
+            await connector.QuaryCache('DELETE FROM shop.carts WHERE id = ?', [1]);
+
+            expect(store.delByPrefix.getCalls().map(call => call.args[0]))
+                .to.deep.equal(['tenant_a.users_*', 'tenant_a.users:*', 'shop.carts_*', 'shop.carts:*']);
+        });
+
+        it('should evict only the database a write ran in', async () => {
+            const connector = createAuto('tags');
+            await readUsersEverywhere(connector);
+
+            await connector.QuaryCache({ sql: 'UPDATE users SET name = ? WHERE id = ?', params: ['x', 1], database: 'tenant_a' });
+
+            expect(await isCached('tenant_a.users:all')).to.be.false;
+            expect(await isCached('tenant_b.users:all')).to.be.true;
+            expect(await isCached('users:all')).to.be.true;
+
+            await connector.QuaryCache('UPDATE main.users SET name = ? WHERE id = ?', ['x', 1]);
+
+            expect(await isCached('users:all')).to.be.false;
+            expect(await isCached('tenant_b.users:all')).to.be.true;
+        });
+
+        it('should tag and version tables by database in transactions and bulk inserts', async () => {
+            const connector = createAuto('versions');
+
+            await connector.withTransaction(async (tx) => {
+                await tx.query('UPDATE users SET name = ? WHERE id = ?', ['x', 1]);
+            }, { database: 'tenant_a' });
+            await connector.bulkInsert({ table: 'shop.events', records: [{ name: 'a' }] });
+
+            expect(await store.getVersions(['tenant_a.users', 'users', 'shop.events'])).to.deep.equal([1, 0, 1]);
+
+            await connector.getCacheQuery({ sql: 'SELECT * FROM users', database: 'tenant_a' });
+            expect(store.set.lastCall.args[0]).to.equal('tenant_a.users:all@tenant_a.users.1');
+        });
+    });
+
+    describe('Row-level invalidation (v2.9.0)', () => {
+        const READS = {
+            user7: ['SELECT * FROM users WHERE id = ?', [7]],
+            user8: ['SELECT * FROM users WHERE id = ?', ['8']],
+            list: ['SELECT * FROM users WHERE team_id = ?', [1]],
+            count: ['SELECT COUNT(*) AS total FROM users', []]
+        };
+        let store;
+
+        beforeEach(() => {
+            store = createMemoryStore();
+        });
+
+        function createRowLevel(invalidation) {
+            const connector = createConnector({
+                mysql: mysqlConfig, store, autoKey: true, autoInvalidation: { rowLevel: true }, invalidation
+            });
+            Object.assign(pools[0].connection, {
+                beginTransaction: sinon.stub().resolves(),
+                commit: sinon.stub().resolves()
+            });
+            return connector;
+        }
+
+        // Caches every read, returns { name: key }
+        async function cacheReads(connector) {
+            sinon.spy(store, 'set');
+            const keys = {};
+            for (const [name, [sql, params]] of Object.entries(READS)) {
+                await connector.getCacheQuery(sql, params);
+                keys[name] = store.set.lastCall.args[0];
+            }
+            store.set.restore();
+            return keys;
+        }
+
+        async function cached(keys) {
+            const entries = await Promise.all(Object.values(keys).map(key => store.get(key)));
+            return Object.keys(keys).filter((name, i) => entries[i] !== undefined);
+        }
+
+        it('should evict the pinned row and the table\'s other reads, not other rows', async () => {
+            const connector = createRowLevel();
+            const keys = await cacheReads(connector);
+            sinon.spy(store, 'delByPrefix');
+
+            await connector.QuaryCache('UPDATE users SET last_seen = ? WHERE id = ?', ['now', '7']);
+
+            expect(await cached(keys)).to.deep.equal(['user8']);
+            expect(store.delByPrefix.getCalls().map(call => call.args[0])).to.deep.equal(['users_*']);
+        });
+
+        it('should evict the whole table on writes that don\'t pin rows', async () => {
+            const connector = createRowLevel('tags');
+            const keys = await cacheReads(connector);
+
+            await connector.QuaryCache('UPDATE users SET active = 0 WHERE last_seen < ?', ['2026-01-01']);
+
+            expect(await cached(keys)).to.deep.equal([]);
+        });
+
+        it('should evict pinned rows on transaction commits', async () => {
+            const connector = createRowLevel('tags');
+            const keys = await cacheReads(connector);
+
+            await connector.withTransaction(async (tx) => {
+                await tx.query('DELETE FROM users WHERE id = ?', [8]);
+                expect(await cached(keys)).to.have.length(4);
+            });
+
+            expect(await cached(keys)).to.deep.equal(['user7']);
+        });
+
+        it('should validate the invalidation mode and store', () => {
+            expect(() => createConnector({ mysql: mysqlConfig, store, autoInvalidation: { rowLevel: true }, invalidation: 'versions' }))
+                .to.throw('autoInvalidation.rowLevel works with invalidation \'prefix\' or \'tags\', not \'versions\'');
+
+            const { addTags, delByTags, ...untagged } = createMemoryStore();
+            expect(() => createConnector({ mysql: mysqlConfig, store: untagged, autoInvalidation: { rowLevel: true } }))
+                .to.throw('autoInvalidation.rowLevel needs a store that implements addTags and delByTags');
+        });
+    });
+
+    describe('Dependencies (v2.9.0)', () => {
+        const tables = {
+            order_items: { dependsOnMe: ['orders', 'dashboard'] },
+            orders: { dependsOnMe: ['order_items'] }
+        };
+        let store;
+
+        beforeEach(() => {
+            store = createMemoryStore();
+        });
+
+        it('should evict the reads of dependent tables on writes', async () => {
+            const connector = createConnector({ mysql: mysqlConfig, store, autoInvalidation: { tables }, invalidation: 'tags' });
+            await connector.getCacheQuery({ sql: 'SELECT * FROM orders', key: 'orders:recent' });
+            await connector.getCacheQuery({ sql: 'SELECT 1', key: 'stats', tags: 'dashboard' });
+            await connector.getCacheQuery({ sql: 'SELECT * FROM users', key: 'users:all' });
+
+            await connector.QuaryCache('UPDATE order_items SET qty = ? WHERE id = ?', [2, 5]);
+
+            const entries = await store.mget(['orders:recent', 'stats', 'users:all']);
+            expect(entries.map(entry => entry !== undefined)).to.deep.equal([false, false, true]);
+        });
+
+        it('should explain what a write would evict without evicting it', async () => {
+            const connector = createConnector({ mysql: mysqlConfig, store, autoInvalidation: { tables } });
+            await connector.getCacheQuery({ sql: 'SELECT * FROM orders', key: 'orders:recent' });
+            sinon.spy(store, 'delByPrefix');
+
+            expect(connector.explainInvalidation('DELETE FROM order_items WHERE id = ?', [5])).to.deep.equal({
+                tables: ['order_items', 'orders', 'dashboard'],
+                patterns: ['order_items_*', 'order_items:*', 'orders_*', 'orders:*', 'dashboard_*', 'dashboard:*'],
+                tags: ['order_items', 'orders', 'dashboard'],
+                versions: [],
+                keys: []
+            });
+            expect(connector.explainInvalidation({ sql: 'DELETE FROM orders', key: 'orders:recent' })).to.deep.equal({
+                tables: [], patterns: ['orders:recent'], tags: [], versions: [], keys: []
+            });
+            expect(connector.explainInvalidation({ sql: 'DELETE FROM orders', database: 'shop' }).tables)
+                .to.deep.equal(['shop.orders', 'shop.order_items', 'shop.dashboard']);
+            expect(store.delByPrefix.called).to.be.false;
+            expect(await store.get('orders:recent')).to.not.be.undefined;
+        });
+    });
+
+    describe('Foreign keys (v2.9.0)', () => {
+        const FOREIGN_KEY_ROW = {
+            tableSchema: 'main', tableName: 'order_items', columnName: 'order_id',
+            referencedSchema: 'main', referencedTable: 'orders', referencedColumn: 'id',
+            onDelete: 'CASCADE', onUpdate: 'RESTRICT'
+        };
+        let store;
+
+        beforeEach(() => {
+            store = createMemoryStore();
+        });
+
+        // The graph loads at startup: configure the pool's query before the connector is created
+        function createWithForeignKeys(configureQuery) {
+            createPoolStub.callsFake(() => {
+                const pool = createMockPool();
+                configureQuery(pool.query);
+                Object.assign(pool.connection, {
+                    beginTransaction: sinon.stub().resolves(),
+                    commit: sinon.stub().resolves()
+                });
+                pools.push(pool);
+                return pool;
+            });
+            return createConnector({
+                mysql: mysqlConfig, store, autoInvalidation: { foreignKeys: true }, invalidation: 'tags'
+            });
+        }
+
+        async function cacheOrderReads(connector) {
+            await connector.getCacheQuery({ sql: 'SELECT * FROM orders', key: 'orders:all' });
+            await connector.getCacheQuery({ sql: 'SELECT * FROM order_items', key: 'items:all' });
+        }
+
+        async function cached() {
+            const entries = await store.mget(['orders:all', 'items:all']);
+            return entries.map(entry => entry !== undefined);
+        }
+
+        it('should load the graph at startup and evict the tables a delete cascades to', async () => {
+            const connector = createWithForeignKeys(query => query.resolves([[FOREIGN_KEY_ROW]]));
+            await cacheOrderReads(connector);
+
+            await connector.QuaryCache('UPDATE orders SET total = ? WHERE id = ?', [10, 1]);
+            expect(await cached()).to.deep.equal([false, true]);
+
+            await cacheOrderReads(connector);
+            await connector.QuaryCache('DELETE FROM orders WHERE id = ?', [1]);
+            expect(await cached()).to.deep.equal([false, false]);
+            expect(connector.getForeignKeyGraph()).to.deep.equal([{
+                table: 'main.order_items', column: 'order_id', referencedTable: 'main.orders',
+                referencedColumn: 'id', onDelete: 'CASCADE', onUpdate: 'RESTRICT'
+            }]);
+        });
+
+        it('should explain the tables a write cascades to with the loaded graph', async () => {
+            const connector = createWithForeignKeys(query => query.resolves([[FOREIGN_KEY_ROW]]));
+            await connector.refreshForeignKeyGraph();
+
+            const plan = connector.explainInvalidation('DELETE FROM orders WHERE id = ?', [1]);
+
+            expect(plan.tables).to.deep.equal(['orders', 'order_items']);
+            expect(plan.tags).to.include.members(['orders', 'order_items']);
+        });
+
+        it('should load the graph on the first write a minute after loading fails, and on demand', async () => {
+            const clock = sinon.useFakeTimers({ now: 1000000, toFake: ['Date'] });
+            sinon.stub(console, 'error');
+            const connector = createWithForeignKeys(query => query.rejects(new Error('access denied')));
+            await cacheOrderReads(connector);
+            expect(connector.getForeignKeyGraph()).to.deep.equal([]);
+            expect(console.error.calledWith('Loading foreign keys failed:', 'access denied')).to.be.true;
+
+            pools[0].query.resolves([[FOREIGN_KEY_ROW]]);
+            clock.tick(60000);
+            await connector.withTransaction(async (tx) => {
+                await tx.query('DELETE FROM orders WHERE id = ?', [1]);
+            });
+            expect(await cached()).to.deep.equal([false, false]);
+
+            pools[0].query.resolves([[]]);
+            expect(await connector.refreshForeignKeyGraph()).to.deep.equal([]);
+            expect(connector.getForeignKeyGraph()).to.deep.equal([]);
+        });
+
+        it('should use the foreign keys of the override without reading the server', async () => {
+            const connector = createConnector({
+                mysql: mysqlConfig,
+                store,
+                autoInvalidation: { foreignKeys: [{ table: 'order_items', referencedTable: 'orders', onDelete: 'CASCADE' }] }
+            });
+
+            expect(connector.explainInvalidation('DELETE FROM orders WHERE id = ?', [1]).tables).to.deep.equal(['orders', 'order_items']);
+            expect(connector.explainInvalidation('UPDATE orders SET total = ? WHERE id = ?', [10, 1]).tables).to.deep.equal(['orders']);
+            expect(pools[0].query.called).to.be.false;
+        });
+
+        it('should validate the foreignKeys option', () => {
+            expect(() => createConnector({ mysql: mysqlConfig, autoInvalidation: { foreignKeys: 'yes' } }))
+                .to.throw('autoInvalidation.foreignKeys must be true, false or an array of { table, referencedTable, onDelete, onUpdate }');
+        });
+    });
+
+    describe('Views (v2.9.0)', () => {
+        const VIEW_ROW = { viewSchema: 'main', viewName: 'active_users', tableSchema: 'main', tableName: 'users' };
+        let store;
+
+        beforeEach(() => {
+            store = createMemoryStore();
+        });
+
+        // The graph loads at startup: configure the pool's query before the connector is created
+        function createWithViews(views, configureQuery = () => {}, options = {}) {
+            createPoolStub.callsFake(() => {
+                const pool = createMockPool();
+                configureQuery(pool.query);
+                pools.push(pool);
+                return pool;
+            });
+            return createConnector({ mysql: mysqlConfig, store, autoInvalidation: { views }, ...options });
+        }
+
+        it('should load the graph at startup and evict reads of a view on writes to its tables', async () => {
+            const connector = createWithViews(true, query => query.resolves([[VIEW_ROW]]));
+            await connector.getCacheQuery({ sql: 'SELECT * FROM active_users', key: 'active_users:all' });
+
+            await connector.QuaryCache('UPDATE users SET active = ? WHERE id = ?', [0, 1]);
+
+            expect(await store.get('active_users:all')).to.be.undefined;
+            expect(connector.getViewGraph()).to.deep.equal({ 'main.active_users': ['main.users'] });
+            expect(pools[0].query.firstCall.args[0]).to.include('INFORMATION_SCHEMA.VIEW_TABLE_USAGE');
+        });
+
+        it('should keep reads of a view cached on writes to its tables without views', async () => {
+            const connector = createWithViews(false);
+            await connector.getCacheQuery({ sql: 'SELECT * FROM active_users', key: 'active_users:all' });
+
+            await connector.QuaryCache('UPDATE users SET active = ? WHERE id = ?', [0, 1]);
+
+            expect(await store.get('active_users:all')).to.not.be.undefined;
+            expect(pools[0].query.called).to.be.false;
+        });
+
+        it('should use the views of the override without reading the server', async () => {
+            const connector = createWithViews({ active_users: ['users'] }, undefined, { invalidation: 'tags' });
+            await connector.getCacheQuery({ sql: 'SELECT * FROM active_users WHERE id = ?', params: [1], key: 'active:1' });
+
+            await connector.QuaryCache('DELETE FROM users WHERE id = ?', [1]);
+
+            expect(await store.get('active:1')).to.be.undefined;
+            expect(connector.getViewGraph()).to.deep.equal({ active_users: ['users'] });
+            expect(pools[0].query.called).to.be.false;
+        });
+
+        it('should validate the views option', () => {
+            expect(() => createConnector({ mysql: mysqlConfig, autoInvalidation: { views: ['users'] } }))
+                .to.throw('autoInvalidation.views must be true, false or an object of view names to table arrays');
+        });
+    });
+
+    describe('Pattern templates (v2.9.0)', () => {
+        const KEYS = ['company:3:users', 'company:4:users', 'company:5:users'];
+        let store;
+
+        beforeEach(() => {
+            store = createMemoryStore();
+        });
+
+        function createTemplated() {
+            const connector = createConnector({
+                mysql: mysqlConfig, store, autoInvalidation: { tables: { users: ['company:{company_id}:users'] } }
+            });
+            Object.assign(pools[0].connection, {
+                beginTransaction: sinon.stub().resolves(),
+                commit: sinon.stub().resolves()
+            });
+            return connector;
+        }
+
+        async function cacheCompanies(connector) {
+            for (const key of KEYS) {
+                await connector.getCacheQuery('SELECT * FROM users WHERE company_id = ?', [key.split(':')[1]], key);
+            }
+        }
+
+        async function cached() {
+            const entries = await store.mget(KEYS);
+            return KEYS.filter((key, i) => entries[i] !== undefined);
+        }
+
+        it('should evict only the keys of the written tenant', async () => {
+            const connector = createTemplated();
+            await cacheCompanies(connector);
+
+            await connector.QuaryCache('UPDATE users SET name = ? WHERE company_id = ? AND id = ?', ['Ann', 3, 7]);
+            expect(await cached()).to.deep.equal(['company:4:users', 'company:5:users']);
+
+            await connector.withTransaction(async (tx) => {
+                await tx.query('DELETE FROM users WHERE company_id = ? AND id = ?', [4, 8]);
+                expect(await cached()).to.deep.equal(['company:4:users', 'company:5:users']);
+            });
+            expect(await cached()).to.deep.equal(['company:5:users']);
+        });
+
+        it('should fill templates from the records of every bulkInsert chunk', async () => {
+            const connector = createTemplated();
+            await cacheCompanies(connector);
+            sinon.spy(store, 'delByPrefix');
+
+            await connector.bulkInsert({
+                table: 'users', records: [{ name: 'a', company_id: 3 }, { name: 'b', company_id: 4 }, { name: 'c', company_id: 3 }], chunkSize: 2
+            });
+
+            expect(await cached()).to.deep.equal(['company:5:users']);
+            expect(store.delByPrefix.getCalls().map(call => call.args[0])).to.deep.equal(['company:3:users', 'company:4:users']);
+        });
+
+        it('should evict every tenant when the write doesn\'t bind the column', async () => {
+            const connector = createTemplated();
+            sinon.spy(store, 'delByPrefix');
+
+            await connector.QuaryCache('UPDATE users SET name = ? WHERE id = ?', ['Ann', 7]);
+
+            expect(store.delByPrefix.getCalls().map(call => call.args[0])).to.deep.equal(['company:*']);
+        });
+    });
+
+    describe('Fill lock (v2.9.0)', () => {
+        it('should take the fill lock on misses when enabled', async () => {
+            const store = createMemoryStore();
+            sinon.spy(store, 'acquireLock');
+            const connector = createConnector({ mysql: mysqlConfig, store, fillLock: true });
+
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+
+            expect(store.acquireLock.calledOnce).to.be.true;
+            expect(store.acquireLock.firstCall.args[0]).to.equal('users:lock');
+        });
+
+        it('should validate fill lock options', () => {
+            expect(() => createConnector({ mysql: mysqlConfig, fillLock: { maxWait: 'long' } }))
+                .to.throw('fillLock.maxWait must be a valid number of milliseconds');
+        });
+    });
+
+    describe('close', () => {
+        it('should close the pool and quit the Redis client', async () => {
+            const connector = createConnector({ mysql: mysqlConfig, redis: { host: 'c' } });
+
+            await connector.close();
+
+            expect(pools[0].end.calledOnce).to.be.true;
+            expect(clients[0].quit.calledOnce).to.be.true;
+            expect(connector.isRedisConnected()).to.be.false;
+        });
+    });
+});
@@ -33,7 +33,9 @@ describe('dbConnector', () => {
         addArrayItemStub = sinon.stub();
         delPrefixKeyItemStub = sinon.stub();
 
+        // No call-through: a missing stub must not reach the real Redis connector
         mockRedis = {
+            '@noCallThru': true,
             getArrayItem: getArrayItemStub,
             addArrayItem: addArrayItemStub,
             delPrefixKeyItem: delPrefixKeyItemStub
@@ -64,74 +66,208 @@ describe('dbConnector', () => {
         delete process.env.DB_CONNECTION_LIMIT;
         delete process.env.DB_QUEUE_LIMIT;
         delete process.env.DB_CONNECT_TIMEOUT;
+        delete process.env.CACHE_STORE;
+        delete process.env.CACHE_DEFAULT_TTL;
+        delete process.env.CACHE_NEGATIVE_TTL;
+        delete process.env.CACHE_CODEC;
+        delete process.env.CACHE_COMPRESSION;
+        delete process.env.CACHE_INVALIDATION;
+        delete process.env.CACHE_ROW_INVALIDATION;
+        delete process.env.REDIS_INVALIDATION_POLICY;
+        delete process.env.REDIS_WAIT_TIMEOUT;
     });
 
     describe('Configuration Validation', () => {
-        it('should throw error if DB_HOST is missing', () => {
+        it('should not validate or create the pool on require', () => {
             delete process.env.DB_HOST;
+            const createPool = sinon.stub().returns(mockPool);
 
             expect(() => {
                 proxyquire('../dbConnector', {
-                    'mysql2/promise': { createPool: sinon.stub() },
+                    'mysql2/promise': { createPool },
                     './redis.Connector': mockRedis
                 });
-            }).to.throw('DB_HOST is required');
+            }).to.not.throw();
+            expect(createPool.called).to.be.false;
+        });
+
+        it('should reject queries on first use if configuration is invalid', async () => {
+            delete process.env.DB_HOST;
+            const connector = proxyquire('../dbConnector', {
+                'mysql2/promise': { createPool: sinon.stub().returns(mockPool) },
+                './redis.Connector': mockRedis
+            });
+
+            try {
+                await connector.getCacheQuery('SELECT 1', [], 'key');
+                expect.fail('Should have thrown');
+            } catch (err) {
+                expect(err.message).to.include('DB_HOST is required');
+            }
+        });
+
+        it('should throw error if DB_HOST is missing', () => {
+            delete process.env.DB_HOST;
+
+            const connector = proxyquire('../dbConnector', {
+                'mysql2/promise': { createPool: sinon.stub().returns(mockPool) },
+                './redis.Connector': mockRedis
+            });
+
+            expect(() => connector.getPoolStats()).to.throw('DB_HOST is required');
         });
 
         it('should throw error if DB_USERNAME is missing', () => {
             delete process.env.DB_USERNAME;
 
-            expect(() => {
-                proxyquire('../dbConnector', {
-                    'mysql2/promise': { createPool: sinon.stub() },
-                    './redis.Connector': mockRedis
-                });
-            }).to.throw('DB_USERNAME is required');
+            const connector = proxyquire('../dbConnector', {
+                'mysql2/promise': { createPool: sinon.stub().returns(mockPool) },
+                './redis.Connector': mockRedis
+            });
+
+            expect(() => connector.getPoolStats()).to.throw('DB_USERNAME is required');
         });
 
         it('should throw error if DB_NAME is missing', () => {
             delete process.env.DB_NAME;
 
-            expect(() => {
-                proxyquire('../dbConnector', {
-                    'mysql2/promise': { createPool: sinon.stub() },
-                    './redis.Connector': mockRedis
-                });
-            }).to.throw('DB_NAME is required');
+            const connector = proxyquire('../dbConnector', {
+                'mysql2/promise': { createPool: sinon.stub().returns(mockPool) },
+                './redis.Connector': mockRedis
+            });
+
+            expect(() => connector.getPoolStats()).to.throw('DB_NAME is required');
         });
 
         it('should throw error if REDIS_SERVER is missing when Redis is enabled', () => {
             delete process.env.REDIS_SERVER;
 
-            expect(() => {
-                proxyquire('../dbConnector', {
-                    'mysql2/promise': { createPool: sinon.stub() },
-                    './redis.Connector': mockRedis
-                });
-            }).to.throw('REDIS_SERVER is required');
+            const connector = proxyquire('../dbConnector', {
+                'mysql2/promise': { createPool: sinon.stub().returns(mockPool) },
+                './redis.Connector': mockRedis
+            });
+
+            expect(() => connector.getPoolStats()).to.throw('REDIS_SERVER is required');
         });
 
-        it('should not throw error if REDIS_SERVER is missing when Redis is disabled', () => {
+        it('should not throw error if REDIS_SERVER is missing when Redis is disabled', async () => {
             delete process.env.REDIS_SERVER;
             process.env.REDIS_ENABLED = 'false';
+            mockConnection.query.resolves([[{ id: 1 }]]);
 
-            expect(() => {
-                proxyquire('../dbConnector', {
-                    'mysql2/promise': { createPool: sinon.stub() },
-                    './redis.Connector': mockRedis
-                });
-            }).to.not.throw();
+            const connector = proxyquire('../dbConnector', {
+                'mysql2/promise': { createPool: sinon.stub().returns(mockPool) },
+                './redis.Connector': mockRedis
+            });
+
+            const result = await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+            expect(result).to.deep.equal([{ id: 1 }]);
+        });
+
+        it('should not require REDIS_SERVER with the memory cache store', async () => {
+            delete process.env.REDIS_SERVER;
+            process.env.CACHE_STORE = 'memory';
+            mockConnection.query.resolves([[{ id: 1 }]]);
+
+            const connector = proxyquire('../dbConnector', {
+                'mysql2/promise': { createPool: sinon.stub().returns(mockPool) },
+                './redis.Connector': mockRedis
+            });
+
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+            const cached = await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+
+            expect(cached).to.deep.equal([{ id: 1 }]);
+            expect(mockConnection.query.calledOnce).to.be.true;
+            expect(getArrayItemStub.called).to.be.false;
+            expect(await connector.getCacheStore().get('users')).to.deep.equal([{ id: 1 }]);
+        });
+
+        it('should apply CACHE_DEFAULT_TTL to cached reads', async () => {
+            process.env.CACHE_DEFAULT_TTL = '120';
+            getArrayItemStub.resolves([]);
+            mockConnection.query.resolves([[{ id: 1 }]]);
+
+            const connector = proxyquire('../dbConnector', {
+                'mysql2/promise': { createPool: sinon.stub().returns(mockPool) },
+                './redis.Connector': mockRedis
+            });
+
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+
+            expect(addArrayItemStub.calledWith('users', [{ id: 1 }], 120)).to.be.true;
+        });
+
+        it('should cache empty results for CACHE_NEGATIVE_TTL', async () => {
+            process.env.CACHE_STORE = 'memory';
+            process.env.CACHE_NEGATIVE_TTL = '30';
+            mockConnection.query.resolves([[]]);
+
+            const connector = proxyquire('../dbConnector', {
+                'mysql2/promise': { createPool: sinon.stub().returns(mockPool) },
+                './redis.Connector': mockRedis
+            });
+            const store = connector.getCacheStore();
+            sinon.spy(store, 'set');
+
+            await connector.getCacheQuery('SELECT * FROM invoices', [], 'invoices');
+            await connector.getCacheQuery('SELECT * FROM invoices', [], 'invoices');
+
+            expect(store.set.calledOnceWith('invoices', [], 30)).to.be.true;
+            expect(mockConnection.query.calledOnce).to.be.true;
+        });
+
+        it('should throw error if CACHE_NEGATIVE_TTL is invalid', () => {
+            process.env.CACHE_NEGATIVE_TTL = 'never';
+
+            expect(() => dbConnector.getPoolStats()).to.throw('CACHE_NEGATIVE_TTL must be a number of seconds');
+        });
+
+        it('should throw error if CACHE_CODEC is unknown', () => {
+            process.env.CACHE_CODEC = 'protobuf';
+
+            expect(() => dbConnector.getPoolStats()).to.throw('CACHE_CODEC must be one of: json, msgpack');
+        });
+
+        it('should throw error if CACHE_COMPRESSION is unknown', () => {
+            process.env.CACHE_COMPRESSION = 'zstd';
+
+            expect(() => dbConnector.getPoolStats()).to.throw('CACHE_COMPRESSION must be one of: gzip, brotli');
+        });
+
+        it('should throw error if CACHE_INVALIDATION is unknown', () => {
+            process.env.CACHE_INVALIDATION = 'scan';
+
+            expect(() => dbConnector.getPoolStats()).to.throw('CACHE_INVALIDATION must be one of: prefix, tags, versions');
+        });
+
+        it('should throw error if CACHE_ROW_INVALIDATION is combined with version invalidation', () => {
+            process.env.CACHE_INVALIDATION = 'versions';
+            process.env.CACHE_ROW_INVALIDATION = 'true';
+
+            expect(() => dbConnector.getPoolStats()).to.throw('CACHE_ROW_INVALIDATION works with CACHE_INVALIDATION=prefix or tags, not versions');
+        });
+
+        it('should throw error if CACHE_STORE is unknown', () => {
+            process.env.CACHE_STORE = 'memcached';
+
+            const connector = proxyquire('../dbConnector', {
+                'mysql2/promise': { createPool: sinon.stub().returns(mockPool) },
+                './redis.Connector': mockRedis
+            });
+
+            expect(() => connector.getPoolStats()).to.throw('CACHE_STORE must be one of: redis, memory, null');
         });
 
         it('should throw error if DB_PORT is invalid', () => {
             process.env.DB_PORT = 'invalid';
 
-            expect(() => {
-                proxyquire('../dbConnector', {
-                    'mysql2/promise': { createPool: sinon.stub() },
-                    './redis.Connector': mockRedis
-                });
-            }).to.throw('DB_PORT must be a valid number');
+            const connector = proxyquire('../dbConnector', {
+                'mysql2/promise': { createPool: sinon.stub().returns(mockPool) },
+                './redis.Connector': mockRedis
+            });
+
+            expect(() => connector.getPoolStats()).to.throw('DB_PORT must be a valid number');
         });
     });
 
@@ -164,6 +300,46 @@ describe('dbConnector', () => {
             expect(delPrefixKeyItemStub.calledWith('users-cache')).to.be.true;
         });
 
+        it('should refuse writes through the default Redis store with REDIS_INVALIDATION_POLICY=fail', async () => {
+            process.env.REDIS_INVALIDATION_POLICY = 'fail';
+            process.env.REDIS_WAIT_TIMEOUT = '20';
+            // A client that never gets ready
+            const client = {
+                exists: sinon.stub(),
+                get: sinon.stub(),
+                setex: sinon.stub(),
+                del: sinon.stub(),
+                scan: sinon.stub(),
+                on: sinon.stub(),
+                once: sinon.stub(),
+                removeListener: sinon.stub(),
+                setMaxListeners: sinon.stub()
+            };
+            const redisConnector = proxyquire('../redis.Connector', {
+                'redis': { createClient: sinon.stub().returns(client) }
+            });
+            const connector = proxyquire('../dbConnector', {
+                'mysql2/promise': { createPool: sinon.stub().returns(mockPool) },
+                './redis.Connector': redisConnector
+            });
+
+            const writes = [
+                () => connector.QuaryCache('UPDATE users SET name = ? WHERE id = ?', ['x', 1], 'users'),
+                () => connector.bulkInsert('users', [{ name: 'x' }]),
+                () => connector.withTransaction(async (tx) => tx.query('DELETE FROM users'))
+            ];
+            for (const write of writes) {
+                let error;
+                try {
+                    await write();
+                } catch (err) {
+                    error = err;
+                }
+                expect(error && error.message).to.include('Cache invalidation unavailable, the write was not run');
+            }
+            expect(mockPool.getConnection.called).to.be.false;
+        });
+
         it('should switch database when database parameter is provided', async () => {
             const mockData = [{ id: 1 }];
             mockConnection.query.resolves([mockData]);
@@ -693,6 +869,113 @@ describe('dbConnector', () => {
         });
     });
 
+    describe('Options object (v2.9.0)', () => {
+        it('should accept an options object in getCacheQuery', async () => {
+            getArrayItemStub.resolves([]);
+            mockConnection.query.resolves([[{ id: 1 }]]);
+
+            const result = await dbConnector.getCacheQuery({
+                sql: 'SELECT * FROM users WHERE id = ?',
+                params: [1],
+                key: 'users:1',
+                database: 'app_db',
+                ttl: 60
+            });
+
+            expect(result).to.deep.equal([{ id: 1 }]);
+            expect(mockConnection.query.firstCall.args[0]).to.equal('USE `app_db`');
+            expect(mockConnection.query.secondCall.args).to.deep.equal(['SELECT * FROM users WHERE id = ?', [1]]);
+            expect(addArrayItemStub.calledWith('users:1', [{ id: 1 }], 60)).to.be.true;
+        });
+
+        it('should skip the cache lookup but refresh the entry with bypassCache', async () => {
+            getArrayItemStub.resolves([{ id: 1, name: 'Stale' }]);
+            mockConnection.query.resolves([[{ id: 1, name: 'Fresh' }]]);
+
+            const result = await dbConnector.getCacheQuery({
+                sql: 'SELECT * FROM users WHERE id = ?',
+                params: [1],
+                key: 'users:1',
+                bypassCache: true
+            });
+
+            expect(result).to.deep.equal([{ id: 1, name: 'Fresh' }]);
+            expect(getArrayItemStub.called).to.be.false;
+            expect(addArrayItemStub.calledWith('users:1', [{ id: 1, name: 'Fresh' }])).to.be.true;
+        });
+
+        it('should apply the timeout option', async () => {
+            getArrayItemStub.resolves([]);
+            mockConnection.query.returns(new Promise(() => {}));
+
+            try {
+                await dbConnector.getCacheQuery({ sql: 'SELECT SLEEP(10)', key: 'slow', timeout: 20 });
+                expect.fail('Should have thrown error');
+            } catch (err) {
+                expect(err.message).to.equal('Query timeout exceeded');
+            }
+        });
+
+        it('should accept an options object in QuaryCache', async () => {
+            mockConnection.query.resolves([{ affectedRows: 1 }]);
+            delPrefixKeyItemStub.resolves();
+
+            await dbConnector.QuaryCache({
+                sql: 'UPDATE users SET name = ? WHERE id = ?',
+                params: ['John', 1],
+                key: ['users', 'profiles']
+            });
+
+            expect(mockConnection.query.calledWith('UPDATE users SET name = ? WHERE id = ?', ['John', 1])).to.be.true;
+            expect(delPrefixKeyItemStub.calledWith('users')).to.be.true;
+            expect(delPrefixKeyItemStub.calledWith('profiles')).to.be.true;
+        });
+
+        it('should accept an options object in getCacheQueryPagination', async () => {
+            getArrayItemStub.resolves([]);
+            mockConnection.query.onFirstCall().resolves([new Array(25).fill({ id: 1 })]);
+            mockConnection.query.onSecondCall().resolves([[{ id: 1 }]]);
+
+            const result = await dbConnector.getCacheQueryPagination({
+                sql: 'SELECT * FROM orders',
+                key: 'orders',
+                page: 2,
+                pageSize: 10
+            });
+
+            expect(result.pageCount).to.equal(3);
+            expect(mockConnection.query.secondCall.args[1]).to.deep.equal([20, 10]);
+            expect(addArrayItemStub.firstCall.args[0]).to.equal('orders:page2:size10');
+        });
+
+        it('should accept an options object in getCacheQueryWithTimeout and bulkInsert', async () => {
+            getArrayItemStub.resolves([]);
+            mockConnection.query.resolves([[{ id: 1 }]]);
+            delPrefixKeyItemStub.resolves();
+
+            await dbConnector.getCacheQueryWithTimeout({ sql: 'SELECT * FROM stats', key: 'stats', ttl: 30 });
+            expect(addArrayItemStub.calledWith('stats', [{ id: 1 }], 30)).to.be.true;
+
+            mockConnection.query.resolves([{ affectedRows: 2 }]);
+            const result = await dbConnector.bulkInsert({
+                table: 'events',
+                records: [{ name: 'a' }, { name: 'b' }],
+                key: 'events'
+            });
+            expect(result).to.deep.equal({ insertedRows: 2, chunks: 1 });
+            expect(delPrefixKeyItemStub.calledWith('events')).to.be.true;
+        });
+
+        it('should reject an options object without sql', async () => {
+            try {
+                await dbConnector.getCacheQuery({ key: 'users' });
+                expect.fail('Should have thrown error');
+            } catch (err) {
+                expect(err.message).to.include('sql is required');
+            }
+        });
+    });
+
     describe('Retry Mechanism', () => {
         it('should succeed on first attempt without retry', async () => {
             mockConnection.query.resolves([[{ id: 1, name: 'Success' }]]);
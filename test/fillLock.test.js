@@ -0,0 +1,149 @@
+/**
+ * Fill Lock Tests (v2.9.0)
+ *
+ * Tests for the distributed fill lock that protects cache fills across processes
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const { createFillLock, supportsLocks } = require('../core/fillLock');
+const { createMemoryStore, createNullStore } = require('../core/cacheStore');
+
+describe('Fill Lock (v2.9.0)', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('memory store locks', () => {
+        it('should only release a lock held with the same token', async () => {
+            const store = createMemoryStore();
+
+            expect(await store.acquireLock('users:lock', 'a', 1000)).to.be.true;
+            expect(await store.acquireLock('users:lock', 'b', 1000)).to.be.false;
+
+            await store.releaseLock('users:lock', 'b');
+            expect(await store.acquireLock('users:lock', 'b', 1000)).to.be.false;
+
+            await store.releaseLock('users:lock', 'a');
+            expect(await store.acquireLock('users:lock', 'b', 1000)).to.be.true;
+        });
+
+        it('should expire locks after their ttl', async () => {
+            const clock = sinon.useFakeTimers(Date.now());
+            const store = createMemoryStore();
+
+            await store.acquireLock('users:lock', 'a', 1000);
+            clock.tick(1000);
+
+            expect(await store.acquireLock('users:lock', 'b', 1000)).to.be.true;
+        });
+    });
+
+    describe('createFillLock', () => {
+        it('should only be enabled for stores with locks', () => {
+            expect(supportsLocks(createNullStore())).to.be.false;
+            expect(createFillLock(createNullStore(), { enabled: true }).isEnabled()).to.be.false;
+
+            const lock = createFillLock(createMemoryStore());
+            expect(lock.isEnabled()).to.be.false;
+            expect(lock.isEnabled(true)).to.be.true;
+            expect(createFillLock(createMemoryStore(), { enabled: true }).isEnabled(false)).to.be.false;
+        });
+
+        it('should fill under the lock and release it', async () => {
+            const store = createMemoryStore();
+            sinon.spy(store, 'releaseLock');
+            const lock = createFillLock(store, { enabled: true });
+
+            const value = await lock.run('users', async () => undefined, async () => [1]);
+
+            expect(value).to.deep.equal([1]);
+            expect(store.releaseLock.firstCall.args[0]).to.equal('users:lock');
+            expect(await store.acquireLock('users:lock', 'next', 1000)).to.be.true;
+        });
+
+        it('should release the lock when the fill fails', async () => {
+            const store = createMemoryStore();
+            const lock = createFillLock(store, { enabled: true });
+
+            try {
+                await lock.run('users', async () => undefined, async () => { throw new Error('boom'); });
+                expect.fail('Should have thrown error');
+            } catch (err) {
+                expect(err.message).to.equal('boom');
+            }
+            expect(await store.acquireLock('users:lock', 'next', 1000)).to.be.true;
+        });
+
+        it('should wait for the lock holder\'s result', async () => {
+            const store = createMemoryStore();
+            await store.acquireLock('users:lock', 'other-process', 5000);
+            const lock = createFillLock(store, { enabled: true, maxWait: 1000, pollInterval: 5 });
+            const fill = sinon.stub().resolves(['db']);
+
+            setTimeout(() => store.set('users', ['filled']), 20);
+            const value = await lock.run('users', () => store.get('users'), fill);
+
+            expect(value).to.deep.equal(['filled']);
+            expect(fill.called).to.be.false;
+        });
+
+        it('should fall back to the database after maxWait', async () => {
+            const store = createMemoryStore();
+            await store.acquireLock('users:lock', 'other-process', 5000);
+            const lock = createFillLock(store, { enabled: true, maxWait: 20, pollInterval: 5 });
+            const started = Date.now();
+
+            const value = await lock.run('users', () => store.get('users'), async () => ['db']);
+
+            expect(value).to.deep.equal(['db']);
+            expect(Date.now() - started).to.be.within(15, 500);
+        });
+    });
+
+    describe('dbConnector integration', () => {
+        // Two connectors sharing one store stand in for two processes sharing Redis
+        function createProcess(store, connection, fillLock) {
+            const pool = { getConnection: sinon.stub().resolves(connection), pool: {} };
+            const { createDbConnector } = proxyquire('../dbConnector', {
+                'mysql2/promise': { createPool: sinon.stub().returns(pool) }
+            });
+            return createDbConnector({ mysql: { host: 'localhost' }, cache: store, fillLock });
+        }
+
+        function createConnection(rows, delay) {
+            return {
+                query: sinon.stub().callsFake(() => new Promise(resolve => setTimeout(() => resolve([rows]), delay))),
+                release: sinon.stub()
+            };
+        }
+
+        it('should fill a key once across processes', async () => {
+            const store = createMemoryStore();
+            const first = createConnection([{ from: 'first' }], 30);
+            const second = createConnection([{ from: 'second' }], 30);
+            const options = { enabled: true, pollInterval: 5 };
+
+            const results = await Promise.all([
+                createProcess(store, first, options).getCacheQuery('SELECT * FROM users', [], 'users'),
+                createProcess(store, second, options).getCacheQuery('SELECT * FROM users', [], 'users')
+            ]);
+
+            expect(results).to.deep.equal([[{ from: 'first' }], [{ from: 'first' }]]);
+            expect(second.query.called).to.be.false;
+        });
+
+        it('should not lock unless enabled for the connector or the call', async () => {
+            const store = createMemoryStore();
+            sinon.spy(store, 'acquireLock');
+            const connector = createProcess(store, createConnection([{ id: 1 }], 0));
+
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+            expect(store.acquireLock.called).to.be.false;
+
+            await connector.getCacheQuery({ sql: 'SELECT * FROM orders', key: 'orders', fillLock: true });
+            expect(store.acquireLock.calledOnce).to.be.true;
+        });
+    });
+});
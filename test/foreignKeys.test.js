@@ -0,0 +1,126 @@
+/**
+ * Foreign Key Tests (v2.9.0)
+ *
+ * Tests for the tables writes cascade to through foreign keys
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const {
+    FOREIGN_KEYS_SQL,
+    toForeignKey,
+    validateForeignKeys,
+    getCascadedTables,
+    createForeignKeyGraph
+} = require('../core/foreignKeys');
+
+describe('Foreign Keys (v2.9.0)', () => {
+    const FOREIGN_KEYS = [
+        { table: 'main.order_items', column: 'order_id', referencedTable: 'main.orders', referencedColumn: 'id', onDelete: 'CASCADE', onUpdate: 'CASCADE' },
+        { table: 'main.item_notes', column: 'item_id', referencedTable: 'main.order_items', referencedColumn: 'id', onDelete: 'CASCADE', onUpdate: 'RESTRICT' },
+        { table: 'main.shipments', column: 'order_id', referencedTable: 'main.orders', referencedColumn: 'id', onDelete: 'SET NULL', onUpdate: 'NO ACTION' },
+        { table: 'main.shipment_logs', column: 'shipment_id', referencedTable: 'main.shipments', referencedColumn: 'id', onDelete: 'CASCADE', onUpdate: 'CASCADE' },
+        { table: 'main.invoices', column: 'order_id', referencedTable: 'main.orders', referencedColumn: 'id', onDelete: 'RESTRICT', onUpdate: 'RESTRICT' }
+    ];
+    const scope = { defaultDatabase: 'main' };
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('getCascadedTables', () => {
+        it('should follow ON DELETE actions of deletes transitively', () => {
+            expect(getCascadedTables('DELETE FROM orders WHERE id = ?', FOREIGN_KEYS, scope))
+                .to.deep.equal(['order_items', 'shipments', 'item_notes']);
+            expect(getCascadedTables('REPLACE INTO orders (id, total) VALUES (?, ?)', FOREIGN_KEYS, scope))
+                .to.deep.equal(['order_items', 'shipments', 'item_notes']);
+        });
+
+        it('should follow ON UPDATE actions of updates that assign the referenced column', () => {
+            expect(getCascadedTables('UPDATE orders SET id = ? WHERE id = ?', FOREIGN_KEYS, scope)).to.deep.equal(['order_items']);
+            expect(getCascadedTables('UPDATE orders SET ? WHERE id = ?', FOREIGN_KEYS, scope)).to.deep.equal(['order_items']);
+            expect(getCascadedTables('UPDATE orders SET total = ? WHERE id = ?', FOREIGN_KEYS, scope)).to.deep.equal([]);
+        });
+
+        it('should not cascade from plain inserts', () => {
+            expect(getCascadedTables('INSERT INTO orders (total) VALUES (?)', FOREIGN_KEYS, scope)).to.deep.equal([]);
+            expect(getCascadedTables('INSERT INTO orders (id) VALUES (?) ON DUPLICATE KEY UPDATE id = id + 1', FOREIGN_KEYS, scope))
+                .to.deep.equal(['order_items']);
+        });
+
+        it('should match tables by database', () => {
+            expect(getCascadedTables('DELETE FROM orders WHERE id = ?', FOREIGN_KEYS, { database: 'tenant_a', defaultDatabase: 'main' }))
+                .to.deep.equal([]);
+            expect(getCascadedTables('DELETE FROM main.orders WHERE id = ?', FOREIGN_KEYS, { database: 'tenant_a', defaultDatabase: 'main' }))
+                .to.deep.equal(['order_items', 'shipments', 'item_notes']);
+        });
+
+        it('should apply bare overrides in every database and stop at cycles', () => {
+            const overrides = [
+                { table: 'children', referencedTable: 'parents', onDelete: 'CASCADE' },
+                { table: 'parents', referencedTable: 'children', onDelete: 'cascade' }
+            ];
+
+            expect(getCascadedTables('DELETE FROM parents', overrides, { database: 'tenant_a', defaultDatabase: 'main' }))
+                .to.deep.equal(['tenant_a.children', 'tenant_a.parents']);
+            expect(getCascadedTables('UPDATE parents SET name = ?', overrides, scope)).to.deep.equal([]);
+        });
+
+        it('should return nothing without foreign keys', () => {
+            expect(getCascadedTables('DELETE FROM orders', [], scope)).to.deep.equal([]);
+            expect(getCascadedTables('DELETE FROM orders', null, scope)).to.deep.equal([]);
+        });
+    });
+
+    describe('createForeignKeyGraph', () => {
+        const ROW = {
+            tableSchema: 'main', tableName: 'order_items', columnName: 'order_id',
+            referencedSchema: 'main', referencedTable: 'orders', referencedColumn: 'id',
+            onDelete: 'CASCADE', onUpdate: 'RESTRICT'
+        };
+
+        it('should read the foreign keys from INFORMATION_SCHEMA', async () => {
+            const query = sinon.stub().resolves([ROW]);
+            const graph = createForeignKeyGraph(query);
+
+            expect(graph.get()).to.deep.equal([]);
+            expect(await graph.load()).to.deep.equal([toForeignKey(ROW)]);
+            expect(graph.get()).to.deep.equal([{
+                table: 'main.order_items', column: 'order_id', referencedTable: 'main.orders',
+                referencedColumn: 'id', onDelete: 'CASCADE', onUpdate: 'RESTRICT'
+            }]);
+            expect(query.firstCall.args[0]).to.equal(FOREIGN_KEYS_SQL);
+        });
+
+        it('should load once, and again a minute after a failed load', async () => {
+            const clock = sinon.useFakeTimers({ now: 1000000, toFake: ['Date'] });
+            sinon.stub(console, 'error');
+            const query = sinon.stub();
+            query.onFirstCall().rejects(new Error('access denied'));
+            query.resolves([ROW]);
+            const graph = createForeignKeyGraph(query);
+
+            await graph.ensureLoaded();
+            await graph.ensureLoaded();
+            expect(graph.get()).to.deep.equal([]);
+            expect(query.callCount).to.equal(1);
+            expect(console.error.calledWith('Loading foreign keys failed:', 'access denied')).to.be.true;
+
+            clock.tick(60000);
+            await Promise.all([graph.ensureLoaded(), graph.ensureLoaded()]);
+            await graph.ensureLoaded();
+            expect(graph.get()).to.have.length(1);
+            expect(query.callCount).to.equal(2);
+        });
+    });
+
+    describe('validateForeignKeys', () => {
+        it('should accept booleans and foreign key arrays', () => {
+            expect(validateForeignKeys(true)).to.be.null;
+            expect(validateForeignKeys(false)).to.be.null;
+            expect(validateForeignKeys([{ table: 'order_items', referencedTable: 'orders' }])).to.be.null;
+            expect(validateForeignKeys('yes')).to.match(/foreignKeys must be true, false or an array/);
+            expect(validateForeignKeys([{ table: 'order_items' }])).to.match(/foreignKeys must be/);
+        });
+    });
+});
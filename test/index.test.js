@@ -56,9 +56,9 @@ describe('index.js - Main Export', () => {
         expect(index.isRedisConnected).to.be.a('function');
     });
 
-    it('should export exactly 17 functions (v2.8.0)', () => {
+    it('should export exactly 31 functions (v2.9.0)', () => {
         const exportedKeys = Object.keys(index);
-        expect(exportedKeys).to.have.lengthOf(17);
+        expect(exportedKeys).to.have.lengthOf(31);
     });
 
     it('should have correct function names', () => {
@@ -146,6 +146,43 @@ describe('index.js - Main Export', () => {
         });
     });
 
+    describe('v2.9.0 Connector Factory', () => {
+        it('should export createConnector function', () => {
+            expect(index).to.have.property('createConnector');
+            expect(index.createConnector).to.be.a('function');
+        });
+
+        it('should export withReadYourWrites function', () => {
+            expect(index.withReadYourWrites).to.be.a('function');
+        });
+
+        it('should export the cache store factories', () => {
+            expect(index.getCacheStore).to.be.a('function');
+            expect(index.getCacheStats).to.be.a('function');
+            expect(index.createMemoryStore).to.be.a('function');
+            expect(index.createNullStore).to.be.a('function');
+            expect(index.createRedisStore).to.be.a('function');
+        });
+
+        it('should export invalidateTags function', () => {
+            expect(index.invalidateTags).to.be.a('function');
+        });
+
+        it('should export explainInvalidation function', () => {
+            expect(index.explainInvalidation).to.be.a('function');
+        });
+
+        it('should export the foreign key graph functions', () => {
+            expect(index.getForeignKeyGraph).to.be.a('function');
+            expect(index.refreshForeignKeyGraph).to.be.a('function');
+        });
+
+        it('should export the view graph functions', () => {
+            expect(index.getViewGraph).to.be.a('function');
+            expect(index.refreshViewGraph).to.be.a('function');
+        });
+    });
+
     describe('v2.6.0 Core Features', () => {
         it('should export enableAutoKey function', () => {
             expect(index).to.have.property('enableAutoKey');
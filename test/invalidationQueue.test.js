@@ -0,0 +1,113 @@
+/**
+ * Invalidation Queue Tests (v2.9.0)
+ *
+ * Tests for the queue of invalidations that failed while Redis was down
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    validateInvalidationRetry,
+    keyPrefix,
+    createInvalidationQueue
+} = require('../core/invalidationQueue');
+
+describe('Invalidation Queue (v2.9.0)', () => {
+    let spillFile;
+
+    beforeEach(() => {
+        spillFile = path.join(os.tmpdir(), `invalidations-${process.pid}-${Date.now()}.json`);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        fs.rmSync(spillFile, { force: true });
+    });
+
+    describe('createInvalidationQueue', () => {
+        it('should queue each invalidation once and hand them all out', async () => {
+            const queue = createInvalidationQueue();
+            expect(queue.policy).to.equal('replay');
+            expect(queue.isEmpty()).to.be.true;
+
+            await queue.add('prefixes', ['users_*', 'users:*']);
+            await queue.add('prefixes', 'users:*');
+            await queue.add('keys', 'users:id:1');
+            await queue.add('versions', ['users', 'users']);
+
+            expect(queue.size()).to.deep.equal({ keys: 1, prefixes: 2, tags: 0, versions: 1 });
+            expect(queue.take()).to.deep.equal({
+                keys: ['users:id:1'], prefixes: ['users_*', 'users:*'], tags: [], versions: ['users']
+            });
+            expect(queue.isEmpty()).to.be.true;
+        });
+
+        it('should queue the prefixes of keys with the flush policy', async () => {
+            const queue = createInvalidationQueue({ policy: 'flush' });
+
+            await queue.add('keys', ['users:id:1', 'users:id:2', 'orders:7', 'settings']);
+
+            expect(queue.take()).to.deep.include({ keys: ['settings'], prefixes: ['users:', 'orders:'] });
+        });
+
+        it('should collapse keys to prefixes above maxEntries', async () => {
+            sinon.stub(console, 'warn');
+            const queue = createInvalidationQueue({ maxEntries: 2 });
+
+            await queue.add('keys', ['users:id:1', 'users:id:2']);
+            expect(queue.size().keys).to.equal(2);
+
+            await queue.add('keys', 'orders:id:1');
+            expect(queue.size()).to.deep.include({ keys: 0, prefixes: 2 });
+            expect(console.warn.calledOnce).to.be.true;
+        });
+
+        it('should keep the queue in the spill file and read it back', async () => {
+            const queue = createInvalidationQueue({ spillFile });
+            await queue.add('tags', ['users', 'orders']);
+            await queue.add('keys', 'users:id:1');
+
+            expect(JSON.parse(fs.readFileSync(spillFile, 'utf8'))).to.deep.equal({
+                keys: ['users:id:1'], prefixes: [], tags: ['users', 'orders'], versions: []
+            });
+
+            const restarted = createInvalidationQueue({ spillFile });
+            expect(restarted.size()).to.deep.equal({ keys: 1, prefixes: 0, tags: 2, versions: 0 });
+
+            restarted.take();
+            await restarted.whenPersisted();
+            expect(fs.existsSync(spillFile)).to.be.false;
+        });
+
+        it('should start empty from an unreadable spill file', () => {
+            sinon.stub(console, 'error');
+            fs.writeFileSync(spillFile, '{ not json');
+
+            expect(createInvalidationQueue({ spillFile }).isEmpty()).to.be.true;
+            expect(console.error.calledWith('Reading invalidation spill file failed:')).to.be.true;
+        });
+    });
+
+    describe('keyPrefix', () => {
+        it('should return the key up to its first colon', () => {
+            expect(keyPrefix('users:id:3f2a9c')).to.equal('users:');
+            expect(keyPrefix('shop.users:3f2a9c')).to.equal('shop.users:');
+            expect(keyPrefix('settings')).to.be.null;
+        });
+    });
+
+    describe('validateInvalidationRetry', () => {
+        it('should accept policies, entry limits and spill files', () => {
+            expect(validateInvalidationRetry(undefined)).to.deep.equal([]);
+            expect(validateInvalidationRetry({ policy: 'fail', maxEntries: 100, spillFile: '/tmp/q.json' })).to.deep.equal([]);
+            expect(validateInvalidationRetry('fail')).to.have.length(1);
+            expect(validateInvalidationRetry({ policy: 'drop', maxEntries: 0 })).to.deep.equal([
+                'invalidationRetry.policy must be one of: replay, flush, fail',
+                'invalidationRetry.maxEntries must be a positive integer'
+            ]);
+        });
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * MessagePack Tests (v2.9.0)
+ *
+ * Tests for the built-in MessagePack encoder/decoder
+ */
+
+const { expect } = require('chai');
+const { encode, decode } = require('../core/msgpack');
+
+const roundTrip = value => decode(encode(value));
+
+describe('MessagePack (v2.9.0)', () => {
+    it('should encode values with the standard formats', () => {
+        expect(encode(null)).to.deep.equal(Buffer.from([0xc0]));
+        expect(encode(true)).to.deep.equal(Buffer.from([0xc3]));
+        expect(encode(5)).to.deep.equal(Buffer.from([0x05]));
+        expect(encode(-1)).to.deep.equal(Buffer.from([0xff]));
+        expect(encode(300)).to.deep.equal(Buffer.from([0xcd, 0x01, 0x2c]));
+        expect(encode('a')).to.deep.equal(Buffer.from([0xa1, 0x61]));
+        expect(encode([1])).to.deep.equal(Buffer.from([0x91, 0x01]));
+        expect(encode({ a: 1 })).to.deep.equal(Buffer.from([0x81, 0xa1, 0x61, 0x01]));
+    });
+
+    it('should round-trip numbers of every size', () => {
+        [0, 127, 128, 255, 256, 65535, 65536, 4294967295, 4294967296, -32, -33, -128, -129,
+            -32768, -32769, -2147483648, -2147483649, 1.5, -0.25, Number.MAX_SAFE_INTEGER]
+            .forEach(value => expect(roundTrip(value)).to.equal(value));
+    });
+
+    it('should round-trip strings, arrays and maps of every size', () => {
+        const long = 'x'.repeat(70000);
+        const list = Array.from({ length: 70000 }, (_, i) => i % 7);
+        const object = Object.fromEntries(Array.from({ length: 20 }, (_, i) => [`k${i}`, 'é']));
+
+        expect(roundTrip(long)).to.equal(long);
+        expect(roundTrip('x'.repeat(40))).to.equal('x'.repeat(40));
+        expect(roundTrip(list)).to.deep.equal(list);
+        expect(roundTrip(object)).to.deep.equal(object);
+    });
+
+    it('should round-trip the types mysql2 returns', () => {
+        const rows = [{
+            id: 9007199254740993n,
+            balance: -5n,
+            created_at: new Date('1969-12-31T23:59:59.250Z'),
+            invalid: new Date('0000-00-00'),
+            avatar: Buffer.from([0, 255]),
+            price: '12.50',
+            deleted_at: null
+        }];
+
+        const decoded = roundTrip(rows);
+
+        expect(decoded[0].id).to.equal(9007199254740993n);
+        expect(decoded[0].balance).to.equal(-5n);
+        expect(decoded[0].created_at.getTime()).to.equal(rows[0].created_at.getTime());
+        expect(isNaN(decoded[0].invalid.getTime())).to.be.true;
+        expect(decoded[0].avatar).to.deep.equal(Buffer.from([0, 255]));
+        expect(decoded[0]).to.include({ price: '12.50', deleted_at: null });
+    });
+
+    it('should drop undefined values like JSON', () => {
+        expect(roundTrip({ a: 1, b: undefined, c: () => {} })).to.deep.equal({ a: 1 });
+        expect(roundTrip([undefined, 1])).to.deep.equal([null, 1]);
+    });
+
+    it('should keep "__proto__" keys as data', () => {
+        const decoded = decode(encode(JSON.parse('{"__proto__":{"admin":true}}')));
+
+        expect(Object.keys(decoded)).to.deep.equal(['__proto__']);
+        expect(decoded.admin).to.be.undefined;
+    });
+
+    it('should reject truncated data and BigInts beyond 64 bits', () => {
+        expect(() => decode(Buffer.from([0x92, 0x01]))).to.throw('unexpected end of buffer');
+        expect(() => decode(Buffer.from([0xc1]))).to.throw('unknown type byte 0xc1');
+        expect(() => encode(2n ** 64n)).to.throw(RangeError);
+    });
+});
@@ -0,0 +1,262 @@
+/**
+ * Pool Cluster Tests (v2.9.0)
+ *
+ * Tests for primary + read replica routing and replica health checks
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const { createPoolCluster, isConnectionError } = require('../core/poolCluster');
+
+function createMockPool(name, { all = 2, free = 2, queued = 0 } = {}) {
+    const connection = { name, query: sinon.stub().resolves([[{ from: name }]]), release: sinon.stub() };
+    return {
+        name,
+        connection,
+        getConnection: sinon.stub().resolves(connection),
+        query: sinon.stub().resolves([[{ 1: 1 }]]),
+        end: sinon.stub().resolves(),
+        pool: {
+            _allConnections: new Array(all).fill(0),
+            _freeConnections: new Array(free).fill(0),
+            _connectionQueue: new Array(queued).fill(0)
+        }
+    };
+}
+
+function connectionError(code = 'ECONNREFUSED') {
+    const error = new Error(`connect ${code}`);
+    error.code = code;
+    return error;
+}
+
+describe('Pool Cluster (v2.9.0)', () => {
+    let primary;
+    let replicaA;
+    let replicaB;
+
+    beforeEach(() => {
+        primary = createMockPool('primary');
+        replicaA = createMockPool('replica-a');
+        replicaB = createMockPool('replica-b');
+        sinon.stub(console, 'error');
+        sinon.stub(console, 'log');
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('isConnectionError', () => {
+        it('should detect retryable connection errors', () => {
+            expect(isConnectionError(connectionError('ECONNREFUSED'))).to.be.true;
+            expect(isConnectionError(connectionError('PROTOCOL_CONNECTION_LOST'))).to.be.true;
+        });
+
+        it('should ignore query errors', () => {
+            expect(isConnectionError(connectionError('ER_PARSE_ERROR'))).to.be.false;
+            expect(isConnectionError(null)).to.be.false;
+        });
+    });
+
+    describe('Read routing', () => {
+        it('should read from the primary when no replicas are configured', async () => {
+            const cluster = createPoolCluster({ primary });
+
+            const connection = await cluster.getReadConnection();
+
+            expect(connection.name).to.equal('primary');
+        });
+
+        it('should rotate replicas round-robin', async () => {
+            const cluster = createPoolCluster({ primary, replicas: [replicaA, replicaB], healthCheckInterval: 0 });
+
+            const names = [];
+            for (let i = 0; i < 4; i++) {
+                names.push((await cluster.getReadConnection()).name);
+            }
+
+            expect(names).to.deep.equal(['replica-a', 'replica-b', 'replica-a', 'replica-b']);
+            expect(primary.getConnection.called).to.be.false;
+        });
+
+        it('should pick the least busy replica', async () => {
+            const busy = createMockPool('busy', { all: 10, free: 0, queued: 5 });
+            const idle = createMockPool('idle', { all: 10, free: 9 });
+            const cluster = createPoolCluster({
+                primary,
+                replicas: [busy, idle],
+                strategy: 'least-busy',
+                healthCheckInterval: 0
+            });
+
+            const connection = await cluster.getReadConnection();
+
+            expect(connection.name).to.equal('idle');
+        });
+
+        it('should always hand out the primary for writes', () => {
+            const cluster = createPoolCluster({ primary, replicas: [replicaA], healthCheckInterval: 0 });
+            expect(cluster.getWritePool()).to.equal(primary);
+        });
+
+        it('should reject unknown strategies', () => {
+            expect(() => createPoolCluster({ primary, strategy: 'random' }))
+                .to.throw('Invalid read strategy "random"');
+        });
+    });
+
+    describe('Health checks', () => {
+        it('should fall back to the primary and drop a replica that refuses connections', async () => {
+            replicaA.getConnection.rejects(connectionError());
+            const cluster = createPoolCluster({ primary, replicas: [replicaA], healthCheckInterval: 0 });
+
+            const first = await cluster.getReadConnection();
+            const second = await cluster.getReadConnection();
+
+            expect(first.name).to.equal('primary');
+            expect(second.name).to.equal('primary');
+            expect(replicaA.getConnection.calledOnce).to.be.true;
+            expect(cluster.getStats().pools[1].healthy).to.be.false;
+        });
+
+        it('should not drop a replica for non-connection errors', async () => {
+            replicaA.getConnection.rejects(new Error('Access denied'));
+            const cluster = createPoolCluster({ primary, replicas: [replicaA], healthCheckInterval: 0 });
+
+            try {
+                await cluster.getReadConnection();
+                expect.fail('Should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal('Access denied');
+            }
+            expect(cluster.getStats().pools[1].healthy).to.be.true;
+        });
+
+        it('should take replicas out of rotation when health checks fail and back in when they pass', async () => {
+            const cluster = createPoolCluster({ primary, replicas: [replicaA, replicaB], healthCheckInterval: 0 });
+
+            replicaA.query.rejects(connectionError());
+            await cluster.checkReplicas();
+
+            expect((await cluster.getReadConnection()).name).to.equal('replica-b');
+            expect((await cluster.getReadConnection()).name).to.equal('replica-b');
+
+            replicaA.query.resolves([[{ 1: 1 }]]);
+            await cluster.checkReplicas();
+
+            const names = [(await cluster.getReadConnection()).name, (await cluster.getReadConnection()).name];
+            expect(names).to.include('replica-a');
+        });
+
+        it('should fail health checks that exceed the timeout', async () => {
+            replicaA.query.returns(new Promise(() => {}));
+            const cluster = createPoolCluster({
+                primary,
+                replicas: [replicaA],
+                healthCheckInterval: 0,
+                healthCheckTimeout: 10
+            });
+
+            await cluster.checkReplicas();
+
+            expect(cluster.getStats().pools[1].healthy).to.be.false;
+        });
+
+        it('should run health checks on the configured interval', async () => {
+            const clock = sinon.useFakeTimers();
+            const cluster = createPoolCluster({ primary, replicas: [replicaA], healthCheckInterval: 1000 });
+
+            await clock.tickAsync(2500);
+            expect(replicaA.query.callCount).to.equal(2);
+
+            await cluster.end();
+            await clock.tickAsync(2000);
+            expect(replicaA.query.callCount).to.equal(2);
+            clock.restore();
+        });
+    });
+
+    describe('Stats and shutdown', () => {
+        it('should report primary numbers at the top level and every pool in pools', () => {
+            const busy = createMockPool('busy', { all: 4, free: 1, queued: 2 });
+            const cluster = createPoolCluster({ primary, replicas: [busy], healthCheckInterval: 0 });
+
+            const stats = cluster.getStats();
+
+            expect(stats.totalConnections).to.equal(2);
+            expect(stats.pools).to.have.lengthOf(2);
+            expect(stats.pools[0]).to.include({ name: 'primary', role: 'primary', healthy: true });
+            expect(stats.pools[1]).to.deep.equal({
+                name: 'replica-0',
+                role: 'replica',
+                healthy: true,
+                totalConnections: 4,
+                activeConnections: 3,
+                freeConnections: 1,
+                queuedRequests: 2
+            });
+        });
+
+        it('should end every pool', async () => {
+            const cluster = createPoolCluster({ primary, replicas: [replicaA, replicaB], healthCheckInterval: 0 });
+
+            await cluster.end();
+
+            expect(primary.end.calledOnce).to.be.true;
+            expect(replicaA.end.calledOnce).to.be.true;
+            expect(replicaB.end.calledOnce).to.be.true;
+        });
+    });
+
+    describe('dbConnector read/write splitting', () => {
+        let dbConnector;
+
+        beforeEach(() => {
+            const pools = [primary, replicaA];
+            const { createDbConnector } = proxyquire('../dbConnector', {
+                'mysql2/promise': { createPool: sinon.stub().callsFake(() => pools.shift()) }
+            });
+            dbConnector = createDbConnector({
+                mysql: { host: 'primary', user: 'app', database: 'main', replicas: [{ host: 'replica' }], healthCheckInterval: 0 },
+                cache: {
+                    getArrayItem: sinon.stub().resolves([]),
+                    addArrayItem: sinon.stub().resolves(),
+                    delPrefixKeyItem: sinon.stub().resolves()
+                }
+            });
+        });
+
+        it('should serve cache misses of cached reads from a replica', async () => {
+            const rows = await dbConnector.getCacheQuery('SELECT * FROM users', [], 'users');
+            const page = await dbConnector.getCacheQueryPagination('SELECT * FROM users', [], 'users', 0, 10);
+            const timed = await dbConnector.getCacheQueryWithTimeout('SELECT * FROM users', [], 'users', { timeout: 1000 });
+
+            expect(rows).to.deep.equal([{ from: 'replica-a' }]);
+            expect(page.detail).to.deep.equal([{ from: 'replica-a' }]);
+            expect(timed).to.deep.equal([{ from: 'replica-a' }]);
+            expect(primary.getConnection.called).to.be.false;
+        });
+
+        it('should send writes, bulk inserts and transactions to the primary', async () => {
+            primary.connection.beginTransaction = sinon.stub().resolves();
+            primary.connection.commit = sinon.stub().resolves();
+            primary.connection.query.resolves([{ affectedRows: 1 }]);
+
+            await dbConnector.QuaryCache('UPDATE users SET name = ?', ['x'], 'users');
+            await dbConnector.bulkInsert('users', [{ name: 'a' }]);
+            await dbConnector.withTransaction(async (tx) => {
+                await tx.query('INSERT INTO users (name) VALUES (?)', ['b']);
+            });
+
+            expect(primary.getConnection.callCount).to.equal(3);
+            expect(replicaA.getConnection.called).to.be.false;
+        });
+
+        it('should report replica pools in getPoolStats', () => {
+            const stats = dbConnector.getPoolStats();
+            expect(stats.pools.map(pool => pool.role)).to.deep.equal(['primary', 'replica']);
+        });
+    });
+});
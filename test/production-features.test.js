@@ -39,7 +39,9 @@ describe('Production Features (v2.5.3+)', () => {
         addArrayItemStub = sinon.stub().resolves([]);
         delPrefixKeyItemStub = sinon.stub().resolves();
 
+        // No call-through: a missing stub must not reach the real Redis connector
         mockRedis = {
+            '@noCallThru': true,
             getArrayItem: getArrayItemStub,
             addArrayItem: addArrayItemStub,
             delPrefixKeyItem: delPrefixKeyItemStub
@@ -0,0 +1,47 @@
+/**
+ * Query Options Tests (v2.9.0)
+ *
+ * Tests for normalizing positional arguments and options objects
+ */
+
+const { expect } = require('chai');
+const { normalizeQueryArgs } = require('../core/queryOptions');
+
+describe('Query Options (v2.9.0)', () => {
+    describe('normalizeQueryArgs', () => {
+        it('should map positional arguments to a query object', () => {
+            const query = normalizeQueryArgs('getCacheQuery', ['SELECT 1', [1], 'key', 'db', { ttl: 60 }]);
+
+            expect(query).to.include({ sql: 'SELECT 1', key: 'key', database: 'db', ttl: 60, bypassCache: false });
+            expect(query.params).to.deep.equal([1]);
+            expect(query.tags).to.deep.equal([]);
+        });
+
+        it('should prefer positional arguments over the trailing options object', () => {
+            const query = normalizeQueryArgs('getCacheQueryPagination', ['SELECT 1', [], 'orders', 2, 10, 'db', { ttl: 5, page: 9 }]);
+
+            expect(query).to.include({ page: 2, pageSize: 10, database: 'db', ttl: 5 });
+        });
+
+        it('should accept an options object with defaults', () => {
+            const query = normalizeQueryArgs('getCacheQuery', [{ sql: 'SELECT 1', tags: 'users' }]);
+
+            expect(query).to.include({ sql: 'SELECT 1', key: null, database: null });
+            expect(query.params).to.deep.equal([]);
+            expect(query.tags).to.deep.equal(['users']);
+        });
+
+        it('should map the bulkInsert options', () => {
+            const positional = normalizeQueryArgs('bulkInsert', ['events', [{ a: 1 }], { resetCacheName: 'events', chunkSize: 5 }]);
+            const object = normalizeQueryArgs('bulkInsert', [{ table: 'events', records: [{ a: 1 }], key: 'events' }]);
+
+            expect(positional).to.include({ table: 'events', key: 'events', chunkSize: 5 });
+            expect(object).to.include({ table: 'events', key: 'events' });
+        });
+
+        it('should require the sql (or table) field', () => {
+            expect(() => normalizeQueryArgs('getCacheQuery', [{ params: [] }])).to.throw('sql is required');
+            expect(() => normalizeQueryArgs('bulkInsert', [{ records: [] }])).to.throw('table is required');
+        });
+    });
+});
@@ -0,0 +1,283 @@
+/**
+ * Read Consistency Tests (v2.9.0)
+ *
+ * Tests for read-your-writes routing and the replication lag check
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const { createConsistencyTracker } = require('../core/readConsistency');
+const { createPoolCluster, getReplicationLag } = require('../core/poolCluster');
+
+function createMockPool(name) {
+    const connection = {
+        name,
+        query: sinon.stub().callsFake(async (sql) => {
+            if (/REPLICA STATUS/.test(sql)) return [[]];
+            return [[{ from: name }]];
+        }),
+        release: sinon.stub(),
+        beginTransaction: sinon.stub().resolves(),
+        commit: sinon.stub().resolves(),
+        rollback: sinon.stub().resolves()
+    };
+    return {
+        name,
+        connection,
+        getConnection: sinon.stub().resolves(connection),
+        query: sinon.stub().resolves([[{ 1: 1 }]]),
+        end: sinon.stub().resolves(),
+        pool: { _allConnections: [], _freeConnections: [], _connectionQueue: [] }
+    };
+}
+
+describe('Read Consistency (v2.9.0)', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('createConsistencyTracker', () => {
+        let clock;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers(Date.now());
+        });
+
+        afterEach(() => {
+            clock.restore();
+        });
+
+        it('should not require the primary before any write', () => {
+            const tracker = createConsistencyTracker();
+            expect(tracker.requiresPrimary(['users'])).to.be.false;
+        });
+
+        it('should stick reads of a written table to the primary for the window', () => {
+            const tracker = createConsistencyTracker({ stickyWindow: 1000 });
+
+            tracker.recordWrite(['users']);
+
+            expect(tracker.requiresPrimary(['users'])).to.be.true;
+            expect(tracker.requiresPrimary(['USERS'])).to.be.true;
+            expect(tracker.requiresPrimary(['orders'])).to.be.false;
+
+            clock.tick(1001);
+            expect(tracker.requiresPrimary(['users'])).to.be.false;
+        });
+
+        it('should be conservative when tables are unknown', () => {
+            const tracker = createConsistencyTracker({ stickyWindow: 1000 });
+
+            tracker.recordWrite(['users']);
+            expect(tracker.requiresPrimary([])).to.be.true;
+
+            clock.tick(1001);
+            tracker.recordWrite([]);
+            expect(tracker.requiresPrimary(['orders'])).to.be.true;
+        });
+
+        it('should disable the window with stickyWindow 0', () => {
+            const tracker = createConsistencyTracker({ stickyWindow: 0 });
+
+            tracker.recordWrite(['users']);
+
+            expect(tracker.requiresPrimary(['users'])).to.be.false;
+        });
+
+        it('should keep a context on the primary after it has written', async () => {
+            const tracker = createConsistencyTracker({ stickyWindow: 0 });
+
+            await tracker.run(async () => {
+                expect(tracker.requiresPrimary(['orders'])).to.be.false;
+                tracker.recordWrite(['users']);
+                await Promise.resolve();
+                expect(tracker.requiresPrimary(['orders'])).to.be.true;
+            });
+
+            // Other contexts are not affected
+            expect(tracker.requiresPrimary(['orders'])).to.be.false;
+            await tracker.run(async () => {
+                expect(tracker.requiresPrimary(['orders'])).to.be.false;
+            });
+        });
+    });
+
+    describe('Replication lag check', () => {
+        it('should read Seconds_Behind_Source', async () => {
+            const connection = { query: sinon.stub().resolves([[{ Seconds_Behind_Source: 3 }]]) };
+            expect(await getReplicationLag(connection)).to.equal(3);
+        });
+
+        it('should fall back to SHOW SLAVE STATUS on older servers', async () => {
+            const parseError = Object.assign(new Error('syntax'), { code: 'ER_PARSE_ERROR' });
+            const connection = { query: sinon.stub() };
+            connection.query.onFirstCall().rejects(parseError);
+            connection.query.onSecondCall().resolves([[{ Seconds_Behind_Master: 0 }]]);
+
+            expect(await getReplicationLag(connection)).to.equal(0);
+            expect(connection.query.secondCall.args[0]).to.equal('SHOW SLAVE STATUS');
+        });
+
+        it('should report null when replication is stopped', async () => {
+            const connection = { query: sinon.stub().resolves([[{ Seconds_Behind_Source: null }]]) };
+            expect(await getReplicationLag(connection)).to.be.null;
+        });
+
+        it('should only mark replica connections within maxReplicationLag as fresh', async () => {
+            const primary = createMockPool('primary');
+            const replica = createMockPool('replica');
+            const cluster = createPoolCluster({
+                primary,
+                replicas: [replica],
+                healthCheckInterval: 0,
+                maxReplicationLag: 2
+            });
+
+            const replicaConnection = await cluster.getReadConnection();
+            replicaConnection.query.resolves([[{ Seconds_Behind_Source: 1 }]]);
+            expect(await cluster.isConnectionFresh(replicaConnection)).to.be.true;
+
+            replicaConnection.query.resolves([[{ Seconds_Behind_Source: 5 }]]);
+            expect(await cluster.isConnectionFresh(replicaConnection)).to.be.false;
+
+            replicaConnection.query.resolves([[{ Seconds_Behind_Source: null }]]);
+            expect(await cluster.isConnectionFresh(replicaConnection)).to.be.false;
+
+            const primaryConnection = await cluster.getReadConnection({ preferPrimary: true });
+            expect(await cluster.isConnectionFresh(primaryConnection)).to.be.true;
+            expect(primaryConnection.query.called).to.be.false;
+        });
+    });
+
+    describe('dbConnector integration', () => {
+        let primary;
+        let replica;
+        let cache;
+        let createDbConnector;
+
+        beforeEach(() => {
+            primary = createMockPool('primary');
+            replica = createMockPool('replica');
+            const pools = [primary, replica];
+            ({ createDbConnector } = proxyquire('../dbConnector', {
+                'mysql2/promise': { createPool: sinon.stub().callsFake(() => pools.shift()) }
+            }));
+            cache = {
+                getArrayItem: sinon.stub().resolves([]),
+                addArrayItem: sinon.stub().resolves(),
+                delPrefixKeyItem: sinon.stub().resolves()
+            };
+        });
+
+        function create(mysqlOptions = {}) {
+            return createDbConnector({
+                mysql: { host: 'p', replicas: [{ host: 'r' }], healthCheckInterval: 0, ...mysqlOptions },
+                cache
+            });
+        }
+
+        it('should read a table from the primary right after QuaryCache wrote it', async () => {
+            const connector = create();
+
+            await connector.QuaryCache('UPDATE users SET name = ? WHERE id = ?', ['x', 1], 'users');
+            const users = await connector.getCacheQuery('SELECT * FROM users WHERE id = ?', [1], 'users:1');
+            const orders = await connector.getCacheQuery('SELECT * FROM orders', [], 'orders');
+
+            expect(users).to.deep.equal([{ from: 'primary' }]);
+            expect(orders).to.deep.equal([{ from: 'replica' }]);
+        });
+
+        it('should stick to the primary after bulkInsert and transaction commits', async () => {
+            const connector = create();
+            primary.connection.query.resolves([{ affectedRows: 1 }]);
+
+            await connector.bulkInsert('events', [{ name: 'a' }]);
+            await connector.withTransaction(async (tx) => {
+                await tx.query('INSERT INTO audit (action) VALUES (?)', ['login']);
+            });
+            primary.connection.query.resolves([[{ from: 'primary' }]]);
+
+            expect(await connector.getCacheQuery('SELECT * FROM events', [], 'events'))
+                .to.deep.equal([{ from: 'primary' }]);
+            expect(await connector.getCacheQuery('SELECT * FROM audit', [], 'audit'))
+                .to.deep.equal([{ from: 'primary' }]);
+        });
+
+        it('should not stick to the primary after a rolled back transaction', async () => {
+            const connector = create();
+
+            try {
+                await connector.withTransaction(async (tx) => {
+                    await tx.query('INSERT INTO audit (action) VALUES (?)', ['login']);
+                    throw new Error('abort');
+                });
+            } catch (err) {
+                expect(err.message).to.equal('abort');
+            }
+
+            expect(await connector.getCacheQuery('SELECT * FROM audit', [], 'audit'))
+                .to.deep.equal([{ from: 'replica' }]);
+        });
+
+        it('should route reads after a write to the primary inside withReadYourWrites', async () => {
+            const connector = create({ stickyWindow: 0 });
+
+            await connector.withReadYourWrites(async () => {
+                await connector.QuaryCache('UPDATE users SET name = ?', ['x'], 'users');
+                const orders = await connector.getCacheQueryPagination('SELECT * FROM orders', [], 'orders', 0, 10);
+                expect(orders.detail).to.deep.equal([{ from: 'primary' }]);
+            });
+
+            const orders = await connector.getCacheQuery('SELECT * FROM orders', [], 'orders');
+            expect(orders).to.deep.equal([{ from: 'replica' }]);
+        });
+
+        it('should not join a replica fill in flight when the read requires the primary', async () => {
+            const connector = create();
+            let finishReplicaRead;
+            replica.connection.query.callsFake((sql) => {
+                if (/REPLICA STATUS/.test(sql)) return Promise.resolve([[]]);
+                return new Promise(resolve => {
+                    finishReplicaRead = () => resolve([[{ from: 'replica' }]]);
+                });
+            });
+
+            const before = connector.getCacheQuery('SELECT * FROM users WHERE id = ?', [1], 'users:1');
+            await new Promise(resolve => setImmediate(resolve));
+            expect(finishReplicaRead).to.be.a('function');
+
+            await connector.QuaryCache('UPDATE users SET name = ? WHERE id = ?', ['x', 1], 'users');
+            const after = await connector.getCacheQuery('SELECT * FROM users WHERE id = ?', [1], 'users:1');
+            finishReplicaRead();
+
+            expect(after).to.deep.equal([{ from: 'primary' }]);
+            expect(await before).to.deep.equal([{ from: 'replica' }]);
+        });
+
+        it('should return but not cache replica reads that lag too far behind', async () => {
+            const connector = create({ maxReplicationLag: 1 });
+            replica.connection.query.callsFake(async (sql) => {
+                if (/REPLICA STATUS/.test(sql)) return [[{ Seconds_Behind_Source: 30 }]];
+                return [[{ from: 'replica' }]];
+            });
+
+            const rows = await connector.getCacheQueryWithTimeout('SELECT * FROM orders', [], 'orders', {});
+
+            expect(rows).to.deep.equal([{ from: 'replica' }]);
+            expect(cache.addArrayItem.called).to.be.false;
+        });
+
+        it('should cache replica reads within the allowed lag', async () => {
+            const connector = create({ maxReplicationLag: 1 });
+            replica.connection.query.callsFake(async (sql) => {
+                if (/REPLICA STATUS/.test(sql)) return [[{ Seconds_Behind_Source: 0 }]];
+                return [[{ from: 'replica' }]];
+            });
+
+            await connector.getCacheQuery('SELECT * FROM orders', [], 'orders');
+
+            expect(cache.addArrayItem.calledWith('orders', [{ from: 'replica' }])).to.be.true;
+        });
+    });
+});
@@ -1,17 +1,23 @@
 const { expect } = require('chai');
 const sinon = require('sinon');
 const proxyquire = require('proxyquire');
+const { createValueCodec } = require('../core/codec');
+const { createPrefixMatcher } = require('../core/cacheStore');
+
+// Stored form of a value written with the default (json) codec
+const encoded = value => createValueCodec().encode(value);
 
 /**
  * Create a mock Redis v3 client with EventEmitter-like behavior.
  * Fires 'ready' synchronously so isRedisReady = true before tests run.
+ * Reads of cached values pass Buffer keys; the stubs get them as strings.
  */
 function createMockClient(stubs) {
     const listeners = {};
 
     const client = {
         exists: sinon.stub().callsFake((key, callback) => callback(null, stubs.exists(key))),
-        get: sinon.stub().callsFake((key, callback) => callback(null, stubs.get(key))),
+        get: sinon.stub().callsFake((key, callback) => callback(null, stubs.get(String(key)))),
         setex: sinon.stub().callsFake((key, ttl, value, callback) => callback(null, stubs.setex(key, ttl, value))),
         del: sinon.stub().callsFake((...args) => {
             const callback = args[args.length - 1];
@@ -75,6 +81,9 @@ describe('redis.Connector', () => {
         redisConnector = proxyquire('../redis.Connector', {
             'redis': mockRedis
         });
+
+        // The default client is created on first use
+        redisConnector.getRedisClient();
     });
 
     afterEach(() => {
@@ -147,6 +156,11 @@ describe('redis.Connector', () => {
     });
 
     describe('addArrayItem', () => {
+        beforeEach(() => {
+            // Stored values carry their write time: encoded() must see the same one
+            sinon.useFakeTimers({ now: 1000000, toFake: ['Date'] });
+        });
+
         it('should store data with default expiry', async () => {
             const testData = [{ id: 1, name: 'Test' }];
             setexStub.returns('OK');
@@ -157,7 +171,7 @@ describe('redis.Connector', () => {
             expect(mockRedisClient.setex.calledWith(
                 'testapp:test-key',
                 40000,
-                JSON.stringify(testData)
+                await encoded(testData)
             )).to.be.true;
         });
 
@@ -170,7 +184,7 @@ describe('redis.Connector', () => {
             expect(mockRedisClient.setex.calledWith(
                 'testapp:test-key',
                 3600,
-                JSON.stringify(testData)
+                await encoded(testData)
             )).to.be.true;
         });
 
@@ -182,8 +196,20 @@ describe('redis.Connector', () => {
 
             await redisConnector.addArrayItem('complex-key', complexData);
 
-            const expectedJSON = JSON.stringify(complexData);
-            expect(mockRedisClient.setex.args[0][2]).to.equal(expectedJSON);
+            expect(mockRedisClient.setex.args[0][2]).to.deep.equal(await encoded(complexData));
+        });
+
+        it('should keep Date, Buffer and BigInt values across a cache round-trip', async () => {
+            const rows = [{ id: 1n, created_at: new Date('2024-03-01T10:20:30Z'), avatar: Buffer.from('png') }];
+            setexStub.returns('OK');
+
+            await redisConnector.addArrayItem('typed-key', rows);
+            existsStub.returns(1);
+            getStub.returns(mockRedisClient.setex.args[0][2]);
+
+            const cached = await redisConnector.getArrayItem('typed-key');
+            expect(cached).to.deep.equal(rows);
+            expect(cached[0].created_at).to.be.an.instanceof(Date);
         });
 
         it('should return data even on Redis failure (graceful degradation)', async () => {
@@ -371,6 +397,511 @@ describe('redis.Connector', () => {
         });
     });
 
+    describe('CacheStore interface (v2.9.0)', () => {
+        let store;
+
+        beforeEach(() => {
+            mockRedisClient.set = sinon.stub().callsFake((key, value, callback) => callback(null, 'OK'));
+            mockRedisClient.mget = sinon.stub().callsFake((keys, callback) => {
+                callback(null, keys.map(key => (String(key) === 'testapp:hit' ? '[{"id":1}]' : null)));
+            });
+            store = redisConnector.createRedisStore({ client: mockRedisClient, vhost: 'testapp' });
+        });
+
+        it('should get values with a single GET and report misses as undefined', async () => {
+            getStub.withArgs('testapp:hit').returns('[]');
+            getStub.withArgs('testapp:miss').returns(null);
+
+            expect(await store.get('hit')).to.deep.equal([]);
+            expect(await store.get('miss')).to.be.undefined;
+            expect(mockRedisClient.exists.called).to.be.false;
+        });
+
+        it('should set values with SETEX when a ttl is given and SET otherwise', async () => {
+            sinon.useFakeTimers({ now: 1000000, toFake: ['Date'] });
+            await store.set('users', [{ id: 1 }], 60);
+            await store.set('settings', { theme: 'dark' });
+
+            expect(setexStub.calledWith('testapp:users', 60, await encoded([{ id: 1 }]))).to.be.true;
+            expect(mockRedisClient.set.calledWith('testapp:settings', await encoded({ theme: 'dark' }))).to.be.true;
+        });
+
+        it('should read several keys with one MGET', async () => {
+            const values = await store.mget(['hit', 'miss']);
+
+            expect(values).to.deep.equal([[{ id: 1 }], undefined]);
+            expect(mockRedisClient.mget.calledOnce).to.be.true;
+            expect(mockRedisClient.mget.firstCall.args[0].map(String)).to.deep.equal(['testapp:hit', 'testapp:miss']);
+        });
+
+        it('should delete keys and prefixes', async () => {
+            scanStub.returns(['0', ['testapp:users:1']]);
+
+            await store.del('users:1');
+            await store.delByPrefix('users:');
+
+            expect(delStub.calledWith('testapp:users:1')).to.be.true;
+            expect(scanStub.firstCall.args[1]).to.include('testapp:users:*');
+        });
+
+        it('should fall back to misses when Redis fails', async () => {
+            mockRedisClient.mget = sinon.stub().callsFake((keys, callback) => callback(new Error('down')));
+            getStub.throws(new Error('down'));
+            sinon.stub(console, 'error');
+
+            expect(await store.mget(['a', 'b'])).to.deep.equal([undefined, undefined]);
+        });
+
+        it('should expose the default connector as a CacheStore', async () => {
+            getStub.withArgs('testapp:empty').returns('[]');
+            getStub.withArgs('testapp:miss').returns(null);
+
+            // A cached empty array is a hit, unlike getArrayItem() which reports it like a miss
+            expect(await redisConnector.get('empty')).to.deep.equal([]);
+            expect(await redisConnector.get('miss')).to.be.undefined;
+            expect(redisConnector.getStats().l2).to.deep.equal({ hits: 1, misses: 1 });
+        });
+
+        it('should compress large values and report their sizes in the stats', async () => {
+            const compressed = redisConnector.createRedisStore({
+                client: mockRedisClient,
+                compression: { algorithm: 'gzip', threshold: 64 }
+            });
+            const rows = Array.from({ length: 50 }, (_, id) => ({ id, status: 'active' }));
+
+            await compressed.set('users', rows, 60);
+            const stored = setexStub.firstCall.args[2];
+            existsStub.returns(1);
+            getStub.withArgs('users').returns(stored);
+
+            expect(stored[3]).to.equal(1);
+            expect(await compressed.getArrayItem('users')).to.deep.equal(rows);
+            expect(compressed.getStats().compression).to.deep.include({
+                algorithm: 'gzip',
+                compressed: 1,
+                uncompressedBytes: JSON.stringify(rows).length,
+                compressedBytes: stored.length - 16
+            });
+            expect(store.getStats().compression).to.be.null;
+        });
+
+        it('should report cache entries as hit, miss or error with their ttl', async () => {
+            mockRedisClient.ttl = sinon.stub().callsFake((key, callback) => callback(null, key === 'testapp:empty' ? 120 : -2));
+            getStub.withArgs('testapp:empty').returns('[]');
+            getStub.withArgs('testapp:miss').returns(null);
+            getStub.withArgs('testapp:down').throws(new Error('down'));
+            sinon.stub(console, 'error');
+
+            expect(await store.getCacheEntry('empty'))
+                .to.deep.equal({ status: 'hit', value: [], storedAt: null, ttlRemaining: 120 });
+            expect((await store.getEntry('miss')).status).to.equal('miss');
+            expect(await store.getArrayItem('down')).to.deep.equal([]);
+            expect(await store.getCacheEntry('down')).to.include({ status: 'error', value: undefined });
+        });
+
+        it('should replace a value that does not decode on the next read', async () => {
+            const stored = {};
+            getStub.callsFake(key => (key in stored ? stored[key] : '{not json'));
+            existsStub.returns(1);
+            setexStub.callsFake((key, ttl, value) => { stored[key] = value; return 'OK'; });
+            delStub.callsFake((key) => { stored[key] = null; return 1; });
+            mockRedisClient.ttl = sinon.stub().callsFake((key, callback) => callback(null, 60));
+            sinon.stub(console, 'error');
+
+            expect((await store.getCacheEntry('users')).status).to.equal('miss');
+            expect(delStub.calledWith('testapp:users')).to.be.true;
+
+            await store.addArrayItem('users', [{ id: 1 }], 60);
+            expect(await store.getCacheEntry('users')).to.include({ status: 'hit', ttlRemaining: 60 });
+            expect(await store.getArrayItem('users')).to.deep.equal([{ id: 1 }]);
+        });
+
+        it('should report the write time of cache entries', async () => {
+            const clock = sinon.useFakeTimers({ now: 1000000, toFake: ['Date'] });
+            mockRedisClient.ttl = sinon.stub().callsFake((key, callback) => callback(null, 60));
+            await store.set('users', [{ id: 1 }], 60);
+            getStub.withArgs('testapp:users').returns(setexStub.firstCall.args[2]);
+            clock.tick(5000);
+
+            expect(await store.getCacheEntry('users'))
+                .to.deep.equal({ status: 'hit', value: [{ id: 1 }], storedAt: 1000000, ttlRemaining: 60 });
+        });
+
+        it('should take fill locks with SET NX PX and release them by token', async () => {
+            mockRedisClient.set = sinon.stub();
+            mockRedisClient.set.onFirstCall().callsFake((...args) => args.pop()(null, 'OK'));
+            mockRedisClient.set.onSecondCall().callsFake((...args) => args.pop()(null, null));
+            mockRedisClient.eval = sinon.stub().callsFake((...args) => args.pop()(null, 1));
+
+            expect(await store.acquireLock('users:lock', 'token-1', 5000)).to.be.true;
+            expect(await store.acquireLock('users:lock', 'token-2', 5000)).to.be.false;
+            await store.releaseLock('users:lock', 'token-1');
+
+            expect(mockRedisClient.set.firstCall.args.slice(0, 5))
+                .to.deep.equal(['testapp:users:lock', 'token-1', 'NX', 'PX', 5000]);
+            const [script, numKeys, key, token] = mockRedisClient.eval.firstCall.args;
+            expect(script).to.include("redis.call('get', KEYS[1]) == ARGV[1]");
+            expect([numKeys, key, token]).to.deep.equal([1, 'testapp:users:lock', 'token-1']);
+        });
+
+        it('should record keys in one Redis set per tag', async () => {
+            mockRedisClient.eval = sinon.stub().callsFake((...args) => args.pop()(null, 0));
+
+            await store.addTags('users:1', ['users', 'dashboard'], 600);
+            await store.addTags('config', ['settings']);
+            await store.addTags('untagged', []);
+
+            const [script, ...args] = mockRedisClient.eval.firstCall.args.slice(0, -1);
+            expect(script).to.include("redis.call('sadd', tag, ARGV[1])");
+            expect(args).to.deep.equal([2, 'testapp:cache:tag:users', 'testapp:cache:tag:dashboard', 'users:1', 600]);
+            expect(mockRedisClient.eval.secondCall.args.slice(1, -1)).to.deep.equal([1, 'testapp:cache:tag:settings', 'config', 0]);
+            expect(mockRedisClient.eval.calledTwice).to.be.true;
+        });
+
+        it('should delete the keys of tags without SCAN', async () => {
+            const members = { 'testapp:cache:tag:users': ['users:1', 'users:2'], 'testapp:cache:tag:orders': ['users:2', 'orders'] };
+            mockRedisClient.eval = sinon.stub().callsFake((script, numKeys, tagKey, callback) => callback(null, members[tagKey]));
+
+            await store.delByTags(['users', 'orders']);
+
+            expect(mockRedisClient.eval.firstCall.args[0]).to.include("redis.call('smembers', KEYS[1])");
+            expect(delStub.calledOnceWith(['testapp:users:1', 'testapp:users:2', 'testapp:orders'])).to.be.true;
+            expect(scanStub.called).to.be.false;
+        });
+
+        it('should read table versions with one MGET and increment them with INCR', async () => {
+            mockRedisClient.mget = sinon.stub().callsFake((keys, callback) => callback(null, ['3', null]));
+            mockRedisClient.incr = sinon.stub().callsFake((key, callback) => callback(null, 4));
+
+            expect(await store.getVersions(['users', 'orders'])).to.deep.equal([3, 0]);
+            await store.incrVersions(['users']);
+
+            expect(mockRedisClient.mget.firstCall.args[0]).to.deep.equal(['testapp:cache:version:users', 'testapp:cache:version:orders']);
+            expect(mockRedisClient.incr.calledOnceWith('testapp:cache:version:users')).to.be.true;
+        });
+
+        it('should return null versions when Redis fails', async () => {
+            mockRedisClient.mget = sinon.stub().callsFake((keys, callback) => callback(new Error('connection lost')));
+
+            expect(await store.getVersions(['users'])).to.be.null;
+        });
+    });
+
+    describe('L1 cache (v2.9.0)', () => {
+        /**
+         * Redis server mock shared by several clients, with pub/sub
+         */
+        function createSharedRedis() {
+            const data = new Map();
+            const subscriptions = [];
+
+            function createClient() {
+                const listeners = {};
+                const client = {
+                    exists: sinon.stub().callsFake((key, cb) => cb(null, data.has(key) ? 1 : 0)),
+                    get: sinon.stub().callsFake((key, cb) => cb(null, data.has(String(key)) ? data.get(String(key)) : null)),
+                    setex: sinon.stub().callsFake((key, ttl, value, cb) => {
+                        data.set(key, value);
+                        cb(null, 'OK');
+                    }),
+                    del: sinon.stub().callsFake((...args) => {
+                        const cb = args.pop();
+                        args.flat().forEach(key => data.delete(key));
+                        cb(null, 1);
+                    }),
+                    scan: sinon.stub().callsFake((cursor, match, pattern, count, size, cb) => {
+                        const matches = createPrefixMatcher(pattern.replace(/\*$/, ''));
+                        cb(null, ['0', [...data.keys()].filter(matches)]);
+                    }),
+                    mget: sinon.stub().callsFake((keys, cb) => cb(null, keys.map(key => (data.has(String(key)) ? data.get(String(key)) : null)))),
+                    publish: sinon.stub().callsFake((channel, message, cb) => {
+                        subscriptions
+                            .filter(subscription => subscription.channel === channel)
+                            .forEach(subscription => subscription.client.emit('message', channel, message));
+                        cb(null, 1);
+                    }),
+                    subscribe: sinon.stub().callsFake((channel) => {
+                        subscriptions.push({ channel, client });
+                    }),
+                    duplicate: sinon.stub().callsFake(() => createClient()),
+                    quit: sinon.stub().callsFake(cb => cb(null, 'OK')),
+                    on: sinon.stub().callsFake((event, handler) => {
+                        (listeners[event] = listeners[event] || []).push(handler);
+                        if (event === 'ready') handler();
+                    }),
+                    once: sinon.stub(),
+                    removeListener: sinon.stub(),
+                    setMaxListeners: sinon.stub(),
+                    emit(event, ...args) {
+                        (listeners[event] || []).forEach(handler => handler(...args));
+                    }
+                };
+                return client;
+            }
+
+            return { data, createClient };
+        }
+
+        let shared;
+
+        beforeEach(() => {
+            shared = createSharedRedis();
+        });
+
+        it('should serve repeated reads from L1 and count L1 and L2 separately', async () => {
+            const client = shared.createClient();
+            const connector = redisConnector.createRedisConnector({ client, vhost: 'app', l1: { ttl: 5 } });
+            shared.data.set('app:users', '[{"id":1}]');
+
+            expect(await connector.getArrayItem('users')).to.deep.equal([{ id: 1 }]);
+            expect(await connector.getArrayItem('users')).to.deep.equal([{ id: 1 }]);
+            expect(await connector.get('users')).to.deep.equal([{ id: 1 }]);
+            expect(await connector.getArrayItem('missing')).to.deep.equal([]);
+
+            expect(client.get.calledOnce).to.be.true;
+            expect(connector.getStats()).to.deep.include({ l2: { hits: 1, misses: 1 } });
+            expect(connector.getStats().l1).to.include({ hits: 2, misses: 2 });
+        });
+
+        it('should expire L1 entries after the L1 ttl', async () => {
+            const clock = sinon.useFakeTimers(Date.now());
+            const client = shared.createClient();
+            const connector = redisConnector.createRedisConnector({ client, l1: { ttl: 5 } });
+
+            await connector.addArrayItem('users', [{ id: 1 }], 3600);
+            shared.data.set('users', '[{"id":2}]');
+
+            expect(await connector.getArrayItem('users')).to.deep.equal([{ id: 1 }]);
+            clock.tick(5000);
+            expect(await connector.getArrayItem('users')).to.deep.equal([{ id: 2 }]);
+        });
+
+        it('should not keep values in L1 that Redis failed to store', async () => {
+            const client = shared.createClient();
+            const connector = redisConnector.createRedisConnector({ client, l1: {} });
+            client.setex.callsFake((key, ttl, value, cb) => cb(new Error('OOM')));
+            sinon.stub(console, 'error');
+
+            expect(await connector.addArrayItem('users', [{ id: 1 }], 60)).to.deep.equal([{ id: 1 }]);
+            await connector.set('orders', [{ id: 2 }], 60);
+
+            expect(connector.getStats().l1.entries).to.equal(0);
+            expect(await connector.getArrayItem('users')).to.deep.equal([]);
+            expect(await connector.get('orders')).to.be.undefined;
+        });
+
+        it('should fill L1 from MGET and only fetch keys missing in L1', async () => {
+            const client = shared.createClient();
+            const connector = redisConnector.createRedisConnector({ client, l1: {} });
+            await connector.set('a', 1, 60);
+            shared.data.set('b', '2');
+
+            expect(await connector.mget(['a', 'b', 'c'])).to.deep.equal([1, 2, undefined]);
+            expect(client.mget.firstCall.args[0].map(String)).to.deep.equal(['b', 'c']);
+            expect(await connector.mget(['b'])).to.deep.equal([2]);
+            expect(client.mget.calledOnce).to.be.true;
+        });
+
+        it('should broadcast invalidations so every process evicts its L1 entries', async () => {
+            const processA = redisConnector.createRedisConnector({ client: shared.createClient(), vhost: 'app', l1: {} });
+            const processB = redisConnector.createRedisConnector({ client: shared.createClient(), vhost: 'app', l1: {} });
+            await processA.addArrayItem('users:1', [{ id: 1 }]);
+            await processA.addArrayItem('orders:1', [{ id: 1 }]);
+            await processB.getArrayItem('users:1');
+            await processB.getArrayItem('orders:1');
+
+            await processA.delPrefixKeyItem('users:');
+            await processA.delKeyItem('orders:1');
+
+            expect(await processB.getArrayItem('users:1')).to.deep.equal([]);
+            expect(await processB.getArrayItem('orders:1')).to.deep.equal([]);
+            expect(processB.getStats().l1.entries).to.equal(0);
+        });
+
+        it('should evict L1 entries matching the glob patterns of auto invalidation', async () => {
+            const processA = redisConnector.createRedisConnector({ client: shared.createClient(), vhost: 'app', l1: {} });
+            const processB = redisConnector.createRedisConnector({ client: shared.createClient(), vhost: 'app', l1: {} });
+            await processA.addArrayItem('users:id:1', [{ id: 1 }]);
+            await processA.addArrayItem('users_list', [{ id: 1 }]);
+            await processA.addArrayItem('orders:1', [{ id: 1 }]);
+            await processB.getArrayItem('users:id:1');
+            await processB.getArrayItem('users_list');
+
+            await processA.delPrefixKeyItem(['users_*', 'users:*']);
+
+            expect(await processA.getArrayItem('users:id:1')).to.deep.equal([]);
+            expect(await processB.getArrayItem('users:id:1')).to.deep.equal([]);
+            expect(await processB.getArrayItem('users_list')).to.deep.equal([]);
+            expect(processA.getStats().l1.entries).to.equal(1);
+        });
+
+        it('should ignore broadcasts for other namespaces', async () => {
+            const appA = redisConnector.createRedisConnector({ client: shared.createClient(), vhost: 'a', l1: {} });
+            const appB = redisConnector.createRedisConnector({ client: shared.createClient(), vhost: 'b', l1: {} });
+            await appB.addArrayItem('users:1', [{ id: 1 }]);
+
+            await appA.delPrefixKeyItem('users:');
+
+            expect(appB.getStats().l1.entries).to.equal(1);
+        });
+
+        it('should clear L1 when the subscriber reconnects', async () => {
+            const client = shared.createClient();
+            const connector = redisConnector.createRedisConnector({ client, l1: {} });
+            await connector.addArrayItem('users', [{ id: 1 }]);
+
+            const subscriber = client.duplicate.firstCall.returnValue;
+            subscriber.emit('ready');
+
+            expect(connector.getStats().l1.entries).to.equal(0);
+        });
+
+        it('should not subscribe or publish without L1', async () => {
+            const client = shared.createClient();
+            const connector = redisConnector.createRedisConnector({ client });
+
+            await connector.delPrefixKeyItem('users:');
+
+            expect(client.duplicate.called).to.be.false;
+            expect(client.publish.called).to.be.false;
+            expect(connector.getStats().l1).to.be.null;
+        });
+
+        it('should quit the subscriber on quit', async () => {
+            const client = shared.createClient();
+            const connector = redisConnector.createRedisConnector({ client, l1: {} });
+
+            await connector.quit();
+
+            expect(client.duplicate.firstCall.returnValue.quit.calledOnce).to.be.true;
+            expect(client.quit.calledOnce).to.be.true;
+        });
+    });
+
+    describe('Invalidation retry (v2.9.0)', () => {
+        // Fires the client's 'ready' listeners, as after a reconnect
+        async function reconnect() {
+            mockRedisClient._listeners.ready.forEach(listener => listener());
+            await new Promise(resolve => setImmediate(resolve));
+        }
+
+        beforeEach(() => {
+            sinon.stub(console, 'error');
+            sinon.stub(console, 'log');
+        });
+
+        it('should queue failed invalidations and replay them on ready', async () => {
+            const store = redisConnector.createRedisStore({ client: mockRedisClient, vhost: 'testapp' });
+            scanStub.throws(new Error('connection lost'));
+            delStub.throws(new Error('connection lost'));
+
+            await store.delPrefixKeyItem('users:');
+            await store.delKeyItem(['orders:id:1']);
+            expect(store.getPendingInvalidations()).to.deep.equal({ keys: 1, prefixes: 1, tags: 0, versions: 0 });
+            expect(console.error.calledWith('Redis operation failed:', 'connection lost')).to.be.true;
+
+            scanStub.returns(['0', ['testapp:users:1']]);
+            delStub.returns(1);
+            await reconnect();
+
+            expect(store.getPendingInvalidations()).to.deep.equal({ keys: 0, prefixes: 0, tags: 0, versions: 0 });
+            expect(scanStub.lastCall.args[1]).to.include('testapp:users:*');
+            expect(delStub.calledWith('testapp:users:1')).to.be.true;
+            expect(delStub.calledWith(['testapp:orders:id:1'])).to.be.true;
+        });
+
+        it('should queue invalidations that fail again during replay', async () => {
+            const store = redisConnector.createRedisStore({ client: mockRedisClient });
+            delStub.throws(new Error('connection lost'));
+
+            await store.delKeyItem('users:id:1');
+            await reconnect();
+
+            expect(store.getPendingInvalidations().keys).to.equal(1);
+        });
+
+        it('should queue the prefixes of failed key deletes with the flush policy', async () => {
+            const store = redisConnector.createRedisStore({
+                client: mockRedisClient,
+                invalidationRetry: { policy: 'flush' }
+            });
+            delStub.throws(new Error('connection lost'));
+
+            await store.delKeyItem(['users:id:1', 'users:id:2']);
+
+            expect(store.getPendingInvalidations()).to.deep.include({ keys: 0, prefixes: 1 });
+        });
+
+        it('should refuse writes while Redis is down with the fail policy', async () => {
+            const store = redisConnector.createRedisStore({
+                client: mockRedisClient,
+                waitTimeout: 20,
+                invalidationRetry: { policy: 'fail' }
+            });
+            const replaying = redisConnector.createRedisStore({ client: mockRedisClient, waitTimeout: 20 });
+            await store.ensureInvalidationReady();
+
+            mockRedisClient._listeners.end.forEach(listener => listener());
+
+            let error;
+            try {
+                await store.ensureInvalidationReady();
+            } catch (err) {
+                error = err;
+            }
+            expect(error.message).to.equal('Cache invalidation unavailable, the write was not run: Redis connection timeout (20ms)');
+            await replaying.ensureInvalidationReady();
+        });
+
+        it('should queue invalidations that fail after the write with the fail policy', async () => {
+            const store = redisConnector.createRedisStore({
+                client: mockRedisClient,
+                invalidationRetry: { policy: 'fail' }
+            });
+            mockRedisClient.incr = sinon.stub().callsFake((key, callback) => callback(new Error('connection lost')));
+
+            await store.incrVersions(['users']);
+
+            expect(store.getPendingInvalidations().versions).to.equal(1);
+        });
+
+        it('should hold back reads until the replay has finished', async () => {
+            const store = redisConnector.createRedisStore({ client: mockRedisClient });
+            let deleted = false;
+            delStub.throws(new Error('connection lost'));
+            await store.delKeyItem('users:id:1');
+
+            delStub.reset();
+            mockRedisClient.del.callsFake((...args) => {
+                const callback = args.pop();
+                setTimeout(() => {
+                    deleted = true;
+                    callback(null, 1);
+                }, 20);
+            });
+            const stale = await encoded([{ id: 1, name: 'stale' }]);
+            existsStub.callsFake(() => (deleted ? 0 : 1));
+            getStub.callsFake(() => (deleted ? null : stale));
+
+            mockRedisClient._listeners.ready.forEach(listener => listener());
+            const [value, entry] = await Promise.all([store.getArrayItem('users:id:1'), store.get('users:id:1')]);
+
+            expect(deleted).to.be.true;
+            expect(value).to.deep.equal([]);
+            expect(entry).to.be.undefined;
+        });
+
+        it('should queue the keys of popped tag sets whose delete failed', async () => {
+            const store = redisConnector.createRedisStore({ client: mockRedisClient });
+            mockRedisClient.eval = sinon.stub().callsFake((...args) => args.pop()(null, ['users:id:1']));
+            delStub.throws(new Error('connection lost'));
+
+            await store.delByTags('users');
+
+            expect(store.getPendingInvalidations()).to.deep.include({ keys: 1, tags: 1 });
+        });
+    });
+
     describe('waitForConnection', () => {
         it('should resolve immediately when already connected', async () => {
             const start = Date.now();
@@ -0,0 +1,66 @@
+/**
+ * Serializer Tests (v2.9.0)
+ *
+ * Tests for the type-preserving cache serialization
+ */
+
+const { expect } = require('chai');
+const { serialize, deserialize } = require('../core/serializer');
+
+const roundTrip = value => deserialize(serialize(value));
+
+describe('Serializer (v2.9.0)', () => {
+    it('should round-trip rows as mysql2 returns them', () => {
+        const rows = [{
+            id: 1,
+            name: 'Ada',
+            created_at: new Date('2024-03-01T10:20:30.123Z'),
+            avatar: Buffer.from([0, 1, 2, 255]),
+            views: 9007199254740993n,
+            price: '1234.50',
+            deleted_at: null
+        }];
+
+        const cached = roundTrip(rows);
+
+        expect(cached).to.deep.equal(rows);
+        expect(cached[0].created_at).to.be.an.instanceof(Date);
+        expect(Buffer.isBuffer(cached[0].avatar)).to.be.true;
+        expect(cached[0].views).to.equal(9007199254740993n);
+        expect(cached[0].price).to.equal('1234.50');
+    });
+
+    it('should keep invalid dates invalid', () => {
+        const cached = roundTrip({ day: new Date('0000-00-00') });
+
+        expect(cached.day).to.be.an.instanceof(Date);
+        expect(isNaN(cached.day.getTime())).to.be.true;
+    });
+
+    it('should round-trip top-level and nested values', () => {
+        const date = new Date(0);
+
+        expect(roundTrip(date)).to.deep.equal(date);
+        expect(roundTrip(5n)).to.equal(5n);
+        expect(roundTrip({ rows: [[date]], totalCount: 1 })).to.deep.equal({ rows: [[date]], totalCount: 1 });
+    });
+
+    it('should not mistake data with a "$t" key for a type tag', () => {
+        const rows = [
+            { $t: 'Date', v: 0 },
+            { $$t: 'Buffer', v: 'AAE=' },
+            { meta: { $t: 'BigInt', v: '1' }, at: new Date(0) }
+        ];
+
+        expect(roundTrip(rows)).to.deep.equal(rows);
+    });
+
+    it('should read plain JSON written by older versions', () => {
+        expect(deserialize('[{"id":1,"created_at":"2024-03-01T10:20:30.123Z"}]'))
+            .to.deep.equal([{ id: 1, created_at: '2024-03-01T10:20:30.123Z' }]);
+    });
+
+    it('should write plain JSON for plain data', () => {
+        expect(serialize([{ id: 1, name: 'Ada' }])).to.equal('[{"id":1,"name":"Ada"}]');
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * Single-Flight Tests (v2.9.0)
+ *
+ * Tests for coalescing concurrent cache misses into one database query
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const { createSingleFlight } = require('../core/singleFlight');
+const { createMemoryStore } = require('../core/cacheStore');
+
+describe('Single-Flight (v2.9.0)', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('createSingleFlight', () => {
+        it('should share one call between concurrent callers of a key', async () => {
+            const flights = createSingleFlight();
+            const fn = sinon.stub().resolves('result');
+
+            const results = await Promise.all([flights.run('a', fn), flights.run('a', fn), flights.run('b', fn)]);
+
+            expect(results).to.deep.equal(['result', 'result', 'result']);
+            expect(fn.callCount).to.equal(2);
+        });
+
+        it('should forget a key once its call settles', async () => {
+            const flights = createSingleFlight();
+            const fn = sinon.stub().resolves('result');
+
+            const pending = flights.run('a', fn);
+            expect(flights.isInFlight('a')).to.be.true;
+            await pending;
+
+            expect(flights.size()).to.equal(0);
+            await flights.run('a', fn);
+            expect(fn.callCount).to.equal(2);
+        });
+
+        it('should propagate errors to every waiter', async () => {
+            const flights = createSingleFlight();
+            const fn = sinon.stub().rejects(new Error('boom'));
+
+            const results = await Promise.allSettled([flights.run('a', fn), flights.run('a', fn)]);
+
+            expect(results.map(result => result.reason.message)).to.deep.equal(['boom', 'boom']);
+            expect(fn.calledOnce).to.be.true;
+            expect(flights.size()).to.equal(0);
+        });
+    });
+
+    describe('dbConnector integration', () => {
+        let connection;
+        let connector;
+        let releaseQuery;
+
+        beforeEach(() => {
+            // Queries stay pending until releaseQuery() so every caller misses concurrently
+            let gate;
+            const opened = new Promise(resolve => { gate = resolve; });
+            // Release once every caller has looked up the cache and is waiting on the query
+            releaseQuery = () => new Promise(resolve => setImmediate(resolve)).then(gate);
+            connection = {
+                query: sinon.stub().callsFake(async (sql) => {
+                    await opened;
+                    if (/FAIL/.test(sql)) throw new Error('ER_NO_SUCH_TABLE');
+                    return [[{ id: 1 }]];
+                }),
+                release: sinon.stub()
+            };
+            const pool = { getConnection: sinon.stub().resolves(connection), pool: {} };
+            const { createDbConnector } = proxyquire('../dbConnector', {
+                'mysql2/promise': { createPool: sinon.stub().returns(pool) }
+            });
+            connector = createDbConnector({ mysql: { host: 'localhost' }, cache: createMemoryStore() });
+        });
+
+        it('should run one query for 200 concurrent misses of a key', async () => {
+            const reads = [];
+            for (let i = 0; i < 200; i++) {
+                reads.push(connector.getCacheQuery('SELECT * FROM users', [], 'users'));
+            }
+            await releaseQuery();
+
+            const results = await Promise.all(reads);
+
+            expect(results.every(rows => rows[0].id === 1)).to.be.true;
+            expect(connection.query.calledOnce).to.be.true;
+            expect(connection.release.calledOnce).to.be.true;
+        });
+
+        it('should not coalesce different keys', async () => {
+            const reads = [
+                connector.getCacheQuery('SELECT * FROM users', [], 'users'),
+                connector.getCacheQuery('SELECT * FROM orders', [], 'orders')
+            ];
+            await releaseQuery();
+            await Promise.all(reads);
+
+            expect(connection.query.callCount).to.equal(2);
+        });
+
+        it('should reject every waiter when the shared query fails', async () => {
+            const reads = [1, 2, 3].map(() => connector.getCacheQuery('SELECT * FROM FAIL', [], 'fail'));
+            await releaseQuery();
+
+            const results = await Promise.allSettled(reads);
+
+            expect(results.every(result => result.reason.message === 'ER_NO_SUCH_TABLE')).to.be.true;
+            expect(connection.query.calledOnce).to.be.true;
+        });
+
+        it('should coalesce getCacheQueryPagination and getCacheQueryWithTimeout misses', async () => {
+            const reads = [
+                connector.getCacheQueryPagination('SELECT * FROM users', [], 'users', 0, 10),
+                connector.getCacheQueryPagination('SELECT * FROM users', [], 'users', 0, 10),
+                connector.getCacheQueryWithTimeout('SELECT * FROM orders', [], 'orders', { timeout: 1000 }),
+                connector.getCacheQueryWithTimeout('SELECT * FROM orders', [], 'orders', { timeout: 1000 })
+            ];
+            await releaseQuery();
+            await Promise.all(reads);
+
+            // Pagination runs two queries (count + page), the timeout read one
+            expect(connection.query.callCount).to.equal(3);
+        });
+    });
+});
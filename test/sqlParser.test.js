@@ -0,0 +1,351 @@
+/**
+ * SQL Parser Tests (v2.9.0)
+ *
+ * Tests for the MySQL tokenizer/parser behind auto keys and auto invalidation
+ */
+
+const { expect } = require('chai');
+const { tokenize, parseSql, isWriteStatement, qualifiedTableName, qualifiedTableNames } = require('../core/sqlParser');
+
+// 'schema.table' or 'table'
+const names = tables => tables.map(({ schema, name }) => (schema ? `${schema}.${name}` : name));
+
+/**
+ * Query corpus: { sql, type, tables, writes, where }
+ * writes defaults to [] and where to [] when omitted
+ */
+const CORPUS = {
+    'Simple SELECT': [
+        { sql: 'SELECT * FROM users', type: 'SELECT', tables: ['users'] },
+        { sql: 'select id, name from users where id = ?', type: 'SELECT', tables: ['users'], where: ['id'] },
+        { sql: 'SELECT * FROM `orders` WHERE `status` = ? AND user_id = ?', type: 'SELECT', tables: ['orders'], where: ['status', 'user_id'] },
+        { sql: 'SELECT * FROM users WHERE id = ? LIMIT 1', type: 'SELECT', tables: ['users'], where: ['id'] },
+        { sql: 'SELECT * FROM users WHERE status = ? OR role = ? ORDER BY name', type: 'SELECT', tables: ['users'], where: ['status', 'role'] },
+        { sql: 'SELECT * FROM users WHERE age >= ? AND age <= ?', type: 'SELECT', tables: ['users'], where: ['age'] },
+        { sql: 'SELECT * FROM users WHERE name LIKE ? AND deleted_at IS NULL', type: 'SELECT', tables: ['users'], where: ['name', 'deleted_at'] },
+        { sql: 'SELECT * FROM users WHERE id IN (?, ?, ?)', type: 'SELECT', tables: ['users'], where: ['id'] },
+        { sql: 'SELECT * FROM users WHERE id NOT IN (?) AND email NOT LIKE ?', type: 'SELECT', tables: ['users'], where: ['id', 'email'] },
+        { sql: 'SELECT * FROM products WHERE price BETWEEN ? AND ?', type: 'SELECT', tables: ['products'], where: ['price'] },
+        { sql: 'SELECT * FROM users WHERE a <=> ? AND b <> ? AND c != ?', type: 'SELECT', tables: ['users'], where: ['a', 'b', 'c'] },
+        { sql: 'SELECT COUNT(*) AS total FROM orders GROUP BY status HAVING total > ?', type: 'SELECT', tables: ['orders'] },
+        { sql: 'SELECT DISTINCT city FROM addresses WHERE country = ? ORDER BY city LIMIT ?, ?', type: 'SELECT', tables: ['addresses'], where: ['country'] },
+        { sql: 'SELECT * FROM users WHERE RAND() < 0.5', type: 'SELECT', tables: ['users'] },
+        { sql: 'SELECT 1', type: 'SELECT', tables: [] },
+        { sql: 'SELECT NOW() FROM DUAL', type: 'SELECT', tables: [] },
+        { sql: 'SELECT * FROM users;', type: 'SELECT', tables: ['users'] },
+        { sql: '  \n\tSELECT * FROM users', type: 'SELECT', tables: ['users'] }
+    ],
+
+    'Aliases and qualified names': [
+        { sql: 'SELECT u.* FROM users u WHERE u.id = ?', type: 'SELECT', tables: ['users'], where: ['id'] },
+        { sql: 'SELECT u.* FROM users AS u WHERE u.team_id = ?', type: 'SELECT', tables: ['users'], where: ['team_id'] },
+        { sql: 'SELECT * FROM shop.orders WHERE id = ?', type: 'SELECT', tables: ['shop.orders'], where: ['id'] },
+        { sql: 'SELECT * FROM `shop`.`orders` o WHERE o.id = ?', type: 'SELECT', tables: ['shop.orders'], where: ['id'] },
+        { sql: 'SELECT * FROM `shop` . `order items` WHERE `order id` = ?', type: 'SELECT', tables: ['shop.order items'], where: ['order id'] },
+        { sql: 'SELECT * FROM `we``ird` WHERE x = ?', type: 'SELECT', tables: ['we`ird'], where: ['x'] },
+        { sql: 'SELECT * FROM shop.orders o WHERE shop.o.id = ?', type: 'SELECT', tables: ['shop.orders'], where: ['id'] },
+        { sql: 'SELECT * FROM café WHERE prix = ?', type: 'SELECT', tables: ['café'], where: ['prix'] },
+        { sql: 'SELECT * FROM t1 FORCE INDEX (idx_a) WHERE a = ?', type: 'SELECT', tables: ['t1'], where: ['a'] },
+        { sql: 'SELECT * FROM t1 AS x USE INDEX FOR JOIN (i1), t2 IGNORE KEY FOR ORDER BY (i2)', type: 'SELECT', tables: ['t1', 't2'] },
+        { sql: 'SELECT * FROM logs PARTITION (p2024) WHERE level = ?', type: 'SELECT', tables: ['logs'], where: ['level'] }
+    ],
+
+    'Joins and table lists': [
+        { sql: 'SELECT * FROM users u JOIN orders o ON o.user_id = u.id WHERE u.id = ?', type: 'SELECT', tables: ['users', 'orders'], where: ['id'] },
+        { sql: 'SELECT * FROM users u LEFT OUTER JOIN orders o ON o.user_id = u.id', type: 'SELECT', tables: ['users', 'orders'] },
+        { sql: 'SELECT * FROM a INNER JOIN b USING (id) RIGHT JOIN c ON c.id = b.id CROSS JOIN d', type: 'SELECT', tables: ['a', 'b', 'c', 'd'] },
+        { sql: 'SELECT * FROM a NATURAL JOIN b STRAIGHT_JOIN c ON c.x = b.x', type: 'SELECT', tables: ['a', 'b', 'c'] },
+        { sql: 'SELECT * FROM users, orders WHERE users.id = orders.user_id', type: 'SELECT', tables: ['users', 'orders'], where: ['id', 'user_id'] },
+        { sql: 'SELECT * FROM a, b AS bb, c cc WHERE a.x = ?', type: 'SELECT', tables: ['a', 'b', 'c'], where: ['x'] },
+        { sql: 'SELECT * FROM (a JOIN b ON a.id = b.a_id) JOIN c ON c.id = b.c_id', type: 'SELECT', tables: ['a', 'b', 'c'] },
+        { sql: 'SELECT * FROM orders o JOIN shop.users u ON u.id = o.user_id JOIN orders o2 ON o2.id = o.parent_id', type: 'SELECT', tables: ['orders', 'shop.users'] }
+    ],
+
+    'Subqueries, derived tables and UNION': [
+        { sql: 'SELECT * FROM users WHERE id IN (SELECT user_id FROM orders WHERE total > ?)', type: 'SELECT', tables: ['users', 'orders'], where: ['id'] },
+        { sql: 'SELECT * FROM users u WHERE EXISTS (SELECT 1 FROM bans b WHERE b.user_id = u.id)', type: 'SELECT', tables: ['users', 'bans'] },
+        { sql: 'SELECT * FROM (SELECT * FROM users WHERE active = 1) t WHERE t.id = ?', type: 'SELECT', tables: ['users'], where: ['id'] },
+        { sql: 'SELECT * FROM (SELECT * FROM users WHERE id = ?) AS t', type: 'SELECT', tables: ['users'] },
+        { sql: 'SELECT u.*, (SELECT COUNT(*) FROM orders o WHERE o.user_id = u.id) AS n FROM users u', type: 'SELECT', tables: ['orders', 'users'] },
+        { sql: 'SELECT * FROM a, (SELECT * FROM b) bb, c', type: 'SELECT', tables: ['a', 'b', 'c'] },
+        { sql: 'SELECT * FROM a JOIN LATERAL (SELECT * FROM b WHERE b.a_id = a.id) x ON TRUE', type: 'SELECT', tables: ['a', 'b'] },
+        { sql: 'SELECT id FROM users WHERE a = ? UNION SELECT id FROM admins WHERE b = ?', type: 'SELECT', tables: ['users', 'admins'], where: ['a', 'b'] },
+        { sql: '(SELECT id FROM users) UNION ALL (SELECT id FROM admins) ORDER BY id', type: 'SELECT', tables: ['users', 'admins'] },
+        { sql: 'SELECT * FROM users WHERE score > (SELECT AVG(score) FROM users)', type: 'SELECT', tables: ['users'], where: ['score'] },
+        { sql: 'SELECT COALESCE((SELECT name FROM teams WHERE teams.id = ?), ?) FROM dual', type: 'SELECT', tables: ['teams'] }
+    ],
+
+    'CTEs': [
+        {
+            sql: 'WITH recent AS (SELECT * FROM orders WHERE created_at > NOW() - INTERVAL 1 DAY) SELECT * FROM recent WHERE total > ?',
+            type: 'SELECT', tables: ['orders'], where: ['total']
+        },
+        {
+            sql: 'WITH a AS (SELECT * FROM users), b (id, n) AS (SELECT id, COUNT(*) FROM orders GROUP BY id) SELECT * FROM a JOIN b ON a.id = b.id',
+            type: 'SELECT', tables: ['users', 'orders']
+        },
+        {
+            sql: 'WITH RECURSIVE tree AS (SELECT id FROM categories WHERE parent_id IS NULL UNION ALL SELECT c.id FROM categories c JOIN tree ON c.parent_id = tree.id) SELECT * FROM tree',
+            type: 'SELECT', tables: ['categories']
+        },
+        {
+            sql: 'WITH stale AS (SELECT id FROM sessions WHERE expires_at < NOW()) DELETE FROM sessions WHERE id IN (SELECT id FROM stale)',
+            type: 'DELETE', tables: ['sessions'], writes: ['sessions'], where: ['id']
+        },
+        {
+            sql: 'WITH totals AS (SELECT user_id, SUM(total) s FROM orders GROUP BY user_id) UPDATE users JOIN totals ON totals.user_id = users.id SET users.spent = totals.s',
+            type: 'UPDATE', tables: ['orders', 'users'], writes: ['users']
+        },
+        { sql: 'SELECT * FROM (WITH x AS (SELECT * FROM a) SELECT * FROM x) y', type: 'SELECT', tables: ['a'] }
+    ],
+
+    'INSERT and REPLACE': [
+        { sql: 'INSERT INTO users (name, email) VALUES (?, ?)', type: 'INSERT', tables: ['users'], writes: ['users'] },
+        { sql: 'insert into users(name) values (?)', type: 'INSERT', tables: ['users'], writes: ['users'] },
+        { sql: 'INSERT IGNORE INTO `logs` VALUES (?, ?)', type: 'INSERT', tables: ['logs'], writes: ['logs'] },
+        { sql: 'INSERT LOW_PRIORITY IGNORE INTO shop.orders SET id = ?, total = ?', type: 'INSERT', tables: ['shop.orders'], writes: ['shop.orders'] },
+        { sql: 'INSERT HIGH_PRIORITY events (name) VALUES (?)', type: 'INSERT', tables: ['events'], writes: ['events'] },
+        { sql: 'INSERT DELAYED INTO events VALUES (?)', type: 'INSERT', tables: ['events'], writes: ['events'] },
+        { sql: 'INSERT INTO archive SELECT * FROM orders WHERE created_at < ?', type: 'INSERT', tables: ['archive', 'orders'], writes: ['archive'], where: ['created_at'] },
+        { sql: 'INSERT INTO archive (id) WITH old AS (SELECT id FROM orders) SELECT id FROM old', type: 'INSERT', tables: ['archive', 'orders'], writes: ['archive'] },
+        { sql: 'INSERT INTO stats (k, v) VALUES (?, ?) ON DUPLICATE KEY UPDATE v = v + VALUES(v)', type: 'INSERT', tables: ['stats'], writes: ['stats'] },
+        { sql: 'INSERT INTO stats (k, v) VALUES (?, ?) AS new ON DUPLICATE KEY UPDATE v = new.v', type: 'INSERT', tables: ['stats'], writes: ['stats'] },
+        { sql: 'INSERT INTO logs PARTITION (p1) (msg) VALUES (?)', type: 'INSERT', tables: ['logs'], writes: ['logs'] },
+        { sql: 'REPLACE INTO users (id, name) VALUES (?, ?)', type: 'REPLACE', tables: ['users'], writes: ['users'] },
+        { sql: 'REPLACE LOW_PRIORITY `cache_table` SET k = ?', type: 'REPLACE', tables: ['cache_table'], writes: ['cache_table'] }
+    ],
+
+    'UPDATE': [
+        { sql: 'UPDATE users SET name = ? WHERE id = ?', type: 'UPDATE', tables: ['users'], writes: ['users'], where: ['id'] },
+        { sql: 'UPDATE LOW_PRIORITY IGNORE `shop`.`orders` SET paid = 1 WHERE id = ?', type: 'UPDATE', tables: ['shop.orders'], writes: ['shop.orders'], where: ['id'] },
+        { sql: 'UPDATE users u SET u.name = ? WHERE u.id = ?', type: 'UPDATE', tables: ['users'], writes: ['users'], where: ['id'] },
+        {
+            sql: 'UPDATE orders o JOIN users u ON u.id = o.user_id SET o.status = ? WHERE u.banned = 1',
+            type: 'UPDATE', tables: ['orders', 'users'], writes: ['orders'], where: ['banned']
+        },
+        {
+            sql: 'UPDATE orders, users SET orders.flag = 1, users.flag = 1 WHERE users.id = orders.user_id',
+            type: 'UPDATE', tables: ['orders', 'users'], writes: ['orders', 'users'], where: ['id', 'user_id']
+        },
+        { sql: 'UPDATE orders JOIN users ON users.id = orders.user_id SET paid = 1', type: 'UPDATE', tables: ['orders', 'users'], writes: ['orders', 'users'] },
+        {
+            sql: 'UPDATE users SET score = (SELECT COUNT(*) FROM votes WHERE votes.user_id = users.id) WHERE id = ?',
+            type: 'UPDATE', tables: ['users', 'votes'], writes: ['users'], where: ['id']
+        },
+        { sql: 'UPDATE counters SET n = n + 1 ORDER BY id LIMIT 10', type: 'UPDATE', tables: ['counters'], writes: ['counters'] }
+    ],
+
+    'DELETE': [
+        { sql: 'DELETE FROM users WHERE id = ?', type: 'DELETE', tables: ['users'], writes: ['users'], where: ['id'] },
+        { sql: 'DELETE LOW_PRIORITY QUICK IGNORE FROM `logs` WHERE created_at < ?', type: 'DELETE', tables: ['logs'], writes: ['logs'], where: ['created_at'] },
+        { sql: 'DELETE FROM shop.carts ORDER BY id LIMIT 100', type: 'DELETE', tables: ['shop.carts'], writes: ['shop.carts'] },
+        { sql: 'DELETE FROM sessions AS s WHERE s.expired = 1', type: 'DELETE', tables: ['sessions'], writes: ['sessions'], where: ['expired'] },
+        {
+            sql: 'DELETE u FROM users u JOIN bans b ON b.user_id = u.id WHERE b.permanent = 1',
+            type: 'DELETE', tables: ['users', 'bans'], writes: ['users'], where: ['permanent']
+        },
+        {
+            sql: 'DELETE t1, t2 FROM t1 INNER JOIN t2 INNER JOIN t3 WHERE t1.id = t2.id AND t2.id = t3.id',
+            type: 'DELETE', tables: ['t1', 't2', 't3'], writes: ['t1', 't2'], where: ['id']
+        },
+        {
+            sql: 'DELETE FROM t1.*, t2.* USING t1 INNER JOIN t2 INNER JOIN t3 WHERE t1.id = t2.id',
+            type: 'DELETE', tables: ['t1', 't2', 't3'], writes: ['t1', 't2'], where: ['id']
+        },
+        {
+            sql: 'DELETE FROM a USING shop.items AS a JOIN shop.carts c ON c.id = a.cart_id WHERE c.done = 1',
+            type: 'DELETE', tables: ['shop.items', 'shop.carts'], writes: ['shop.items'], where: ['done']
+        },
+        {
+            sql: 'DELETE FROM orders WHERE user_id IN (SELECT id FROM users WHERE banned = 1)',
+            type: 'DELETE', tables: ['orders', 'users'], writes: ['orders'], where: ['user_id']
+        }
+    ],
+
+    'Comments and string literals': [
+        { sql: '-- FROM evil\nSELECT * FROM users', type: 'SELECT', tables: ['users'] },
+        { sql: '# leading comment\nUPDATE users SET a = 1', type: 'UPDATE', tables: ['users'], writes: ['users'] },
+        { sql: '/* UPDATE orders */ SELECT * FROM users WHERE id = ? /* FROM orders */', type: 'SELECT', tables: ['users'], where: ['id'] },
+        { sql: 'SELECT * FROM users WHERE note = \'FROM orders JOIN x\'', type: 'SELECT', tables: ['users'], where: ['note'] },
+        { sql: 'SELECT * FROM users WHERE note = "it\'s FROM orders"', type: 'SELECT', tables: ['users'], where: ['note'] },
+        { sql: 'SELECT * FROM users WHERE note = \'it\'\'s \\\' FROM orders\'', type: 'SELECT', tables: ['users'], where: ['note'] },
+        { sql: 'INSERT INTO logs (msg) VALUES (\'UPDATE users SET x = 1\')', type: 'INSERT', tables: ['logs'], writes: ['logs'] },
+        { sql: 'SELECT 5--3 FROM users', type: 'SELECT', tables: ['users'] },
+        { sql: 'SELECT /*+ MAX_EXECUTION_TIME(1000) */ * FROM users', type: 'SELECT', tables: ['users'] },
+        { sql: 'SELECT /*!40001 SQL_NO_CACHE */ * FROM /*!50100 `shop`.*/`orders`', type: 'SELECT', tables: ['shop.orders'] },
+        { sql: '/* only a comment */', type: null, tables: [] },
+        { sql: '', type: null, tables: [] }
+    ],
+
+    'Functions and expressions in WHERE': [
+        { sql: 'SELECT * FROM users WHERE LOWER(email) = ?', type: 'SELECT', tables: ['users'], where: ['email'] },
+        { sql: 'SELECT * FROM events WHERE created_at > NOW() - INTERVAL ? DAY', type: 'SELECT', tables: ['events'], where: ['created_at'] },
+        { sql: 'SELECT * FROM events WHERE DATE(created_at) = DATE \'2024-01-01\'', type: 'SELECT', tables: ['events'], where: ['created_at'] },
+        { sql: 'SELECT * FROM events WHERE CAST(code AS CHAR) = ? AND CONVERT(name USING utf8mb4) = ?', type: 'SELECT', tables: ['events'], where: ['code', 'name'] },
+        { sql: 'SELECT EXTRACT(YEAR FROM d) FROM events WHERE EXTRACT(MONTH FROM d) = ?', type: 'SELECT', tables: ['events'], where: ['d'] },
+        { sql: 'SELECT TRIM(LEADING \'x\' FROM name) FROM users WHERE TRIM(BOTH FROM code) = ?', type: 'SELECT', tables: ['users'], where: ['code'] },
+        { sql: 'SELECT * FROM posts WHERE MATCH (title, body) AGAINST (? IN BOOLEAN MODE)', type: 'SELECT', tables: ['posts'], where: ['title', 'body'] },
+        { sql: 'SELECT * FROM users WHERE (status = ? OR status = ?) AND NOT banned', type: 'SELECT', tables: ['users'], where: ['status', 'banned'] },
+        { sql: 'SELECT * FROM users WHERE CASE WHEN kind = ? THEN a ELSE b END = ?', type: 'SELECT', tables: ['users'], where: ['kind', 'a', 'b'] },
+        { sql: 'SELECT * FROM docs WHERE data->>\'$.owner\' = ? AND JSON_CONTAINS(tags, ?)', type: 'SELECT', tables: ['docs'], where: ['data', 'tags'] },
+        { sql: 'SELECT * FROM users WHERE created_at < CURRENT_TIMESTAMP AND @limit > 0', type: 'SELECT', tables: ['users'], where: ['created_at'] },
+        { sql: 'SELECT * FROM users WHERE id = :id AND team_id = :teamId', type: 'SELECT', tables: ['users'], where: ['id', 'team_id'] },
+        { sql: 'SELECT * FROM users WHERE id = ? FOR UPDATE', type: 'SELECT', tables: ['users'], where: ['id'] },
+        { sql: 'SELECT * FROM users WHERE id = ? LOCK IN SHARE MODE', type: 'SELECT', tables: ['users'], where: ['id'] }
+    ],
+
+    'Functions that look like statements': [
+        { sql: 'SELECT REPLACE(name, \'a\', \'b\') FROM users', type: 'SELECT', tables: ['users'] },
+        { sql: 'SELECT INSERT(name, 1, 2, \'x\') FROM users', type: 'SELECT', tables: ['users'] },
+        { sql: 'SELECT * FROM users WHERE id = ? FOR UPDATE OF users', type: 'SELECT', tables: ['users'], where: ['id'] },
+        { sql: 'SELECT * FROM JSON_TABLE(?, \'$[*]\' COLUMNS (id INT PATH \'$.id\')) AS jt JOIN users ON users.id = jt.id', type: 'SELECT', tables: ['users'] }
+    ],
+
+    'Other statements': [
+        { sql: 'SHOW TABLES', type: 'SHOW', tables: [] },
+        { sql: 'SHOW COLUMNS FROM users', type: 'SHOW', tables: [] },
+        { sql: 'DESCRIBE users', type: 'DESCRIBE', tables: [] },
+        { sql: 'CREATE TABLE users (id INT)', type: 'CREATE', tables: [] },
+        { sql: 'DROP TABLE users', type: 'DROP', tables: [] },
+        { sql: 'TRUNCATE TABLE users', type: 'TRUNCATE', tables: [] },
+        { sql: 'SET @x = 1', type: 'SET', tables: [] },
+        { sql: 'CALL refresh_stats(?)', type: 'CALL', tables: [] }
+    ]
+};
+
+describe('SQL Parser (v2.9.0)', () => {
+    describe('parseSql corpus', () => {
+        Object.entries(CORPUS).forEach(([group, queries]) => {
+            describe(group, () => {
+                queries.forEach(({ sql, type, tables, writes = [], where = [] }) => {
+                    it(sql.replace(/\s+/g, ' ').trim() || '(empty)', () => {
+                        const parsed = parseSql(sql);
+
+                        expect(parsed.type).to.equal(type);
+                        expect(names(parsed.tables)).to.deep.equal(tables);
+                        expect(names(parsed.writeTables)).to.deep.equal(writes);
+                        expect(parsed.whereColumns).to.deep.equal(where);
+                    });
+                });
+            });
+        });
+    });
+
+    describe('tokenize', () => {
+        it('should drop spaces and comments and unquote identifiers', () => {
+            const tokens = tokenize('SELECT `a``b`, \'x\' -- c\nFROM t # d\n/* e */ WHERE n = 1.5e3');
+
+            expect(tokens.map(token => [token.type, token.value])).to.deep.equal([
+                ['word', 'SELECT'], ['identifier', 'a`b'], ['punct', ','], ['string', '\'x\''],
+                ['word', 'FROM'], ['word', 't'], ['word', 'WHERE'], ['word', 'n'], ['operator', '='], ['number', '1.5e3']
+            ]);
+        });
+
+        it('should tell placeholders, variables and operators apart', () => {
+            const tokens = tokenize('@a := ? <=> :name ->> @@session.x');
+
+            expect(tokens.map(token => token.type)).to.deep.equal([
+                'variable', 'operator', 'placeholder', 'operator', 'placeholder', 'operator', 'variable'
+            ]);
+        });
+
+        it('should read unterminated strings and comments to the end', () => {
+            expect(tokenize('SELECT \'abc').map(token => token.type)).to.deep.equal(['word', 'string']);
+            expect(tokenize('SELECT 1 /* abc')).to.have.lengthOf(2);
+        });
+    });
+
+    describe('parseSql', () => {
+        it('should return the same result for the same SQL', () => {
+            expect(parseSql('SELECT * FROM users')).to.equal(parseSql('SELECT * FROM users'));
+        });
+
+        it('should not throw on malformed SQL', () => {
+            ['SELECT * FROM', 'SELECT * FROM (', 'UPDATE', 'DELETE FROM t WHERE (a = ?', ')))', null, undefined].forEach(sql => {
+                expect(() => parseSql(sql)).to.not.throw();
+            });
+            expect(names(parseSql('SELECT * FROM (SELECT * FROM users').tables)).to.deep.equal(['users']);
+        });
+    });
+
+    describe('bindings', () => {
+        const bindings = sql => parseSql(sql).bindings.map(({ clause, column, params }) => `${clause}:${column}:${params.join(',')}`);
+
+        it('should bind WHERE equalities and IN lists of the outer statement', () => {
+            expect(bindings('UPDATE users SET last_seen = ? WHERE id = ?')).to.deep.equal(['set:last_seen:0', 'where:id:1']);
+            expect(bindings('DELETE FROM users WHERE `u`.`id` IN (?, ?) AND ? = tenant_id LIMIT ?'))
+                .to.deep.equal(['where:id:0,1', 'where:tenant_id:2']);
+            expect(bindings('SELECT * FROM users WHERE (id <=> ? AND deleted = 0)')).to.deep.equal(['where:id:0']);
+            expect(bindings('SELECT * FROM users WHERE name IN (SELECT n FROM x WHERE id = ?) AND id = ?')).to.deep.equal(['where:id:1']);
+        });
+
+        it('should skip conditions that don\'t pin a column to its parameters', () => {
+            expect(bindings('UPDATE users SET a = 1 WHERE id > ? AND id + 1 = ? AND NOT id = ? AND id NOT IN (?)'))
+                .to.deep.equal(['set:a:']);
+            expect(bindings('DELETE FROM users WHERE id BETWEEN ? AND ?')).to.deep.equal([]);
+        });
+
+        it('should tell conjunctions from disjunctions and UNIONs', () => {
+            expect(parseSql('DELETE FROM users WHERE id = ? AND (a = 1 OR b = 2)').conjunctive).to.be.true;
+            expect(parseSql('DELETE FROM users WHERE id = ? OR email = ?').conjunctive).to.be.false;
+            expect(parseSql('DELETE FROM users WHERE id = ? || email = ?').conjunctive).to.be.false;
+            expect(parseSql('SELECT * FROM users WHERE id = ? UNION SELECT * FROM admins').conjunctive).to.be.false;
+        });
+
+        it('should bind SET assignments, including values that aren\'t parameters', () => {
+            expect(bindings('UPDATE users SET n = n + 1, `users`.`name` = ? WHERE id = ?'))
+                .to.deep.equal(['set:n:', 'set:name:0', 'where:id:1']);
+            expect(bindings('UPDATE users SET ? WHERE id = ?')).to.deep.equal(['set:null:0', 'where:id:1']);
+            expect(bindings('INSERT INTO users SET id = ?, name = ?')).to.deep.equal(['set:id:0', 'set:name:1']);
+        });
+
+        it('should bind INSERT VALUES rows by column', () => {
+            expect(bindings('INSERT INTO users (id, name) VALUES (?, ?), (?, NOW())')).to.deep.equal(['values:id:0,2', 'values:name:1,']);
+            expect(bindings('INSERT INTO users VALUES (?, ?)')).to.deep.equal([]);
+            expect(bindings('INSERT INTO users PARTITION (p0) VALUES (?, ?)')).to.deep.equal([]);
+            expect(bindings('INSERT INTO users (id) SELECT id FROM staff WHERE team = ?')).to.deep.equal([]);
+        });
+
+        it('should count ?? placeholders and flag upserts', () => {
+            expect(bindings('SELECT ?? FROM users WHERE id = ?')).to.deep.equal(['where:id:1']);
+            const upsert = parseSql('INSERT INTO users (id, name) VALUES (?, ?) ON DUPLICATE KEY UPDATE name = VALUES(name)');
+            expect(upsert.upsert).to.be.true;
+            expect(upsert.bindings.map(binding => binding.column)).to.deep.equal(['id', 'name']);
+            expect(parseSql('INSERT INTO users (id) VALUES (?)').upsert).to.be.false;
+        });
+    });
+
+    describe('isWriteStatement', () => {
+        it('should detect writes after comments and WITH clauses', () => {
+            expect(isWriteStatement('/* audit */ DELETE FROM users WHERE id = ?')).to.be.true;
+            expect(isWriteStatement('WITH x AS (SELECT 1) UPDATE users SET a = 1')).to.be.true;
+            expect(isWriteStatement('REPLACE INTO users VALUES (?)')).to.be.true;
+            expect(isWriteStatement('SELECT REPLACE(name, ?, ?) FROM users')).to.be.false;
+            expect(isWriteStatement('-- INSERT INTO users\nSELECT 1')).to.be.false;
+        });
+    });
+
+    describe('qualifiedTableName', () => {
+        const scope = { database: 'tenant_a', defaultDatabase: 'main' };
+
+        it('should qualify tables outside the default database', () => {
+            expect(qualifiedTableName({ schema: null, name: 'users' }, scope)).to.equal('tenant_a.users');
+            expect(qualifiedTableName({ schema: 'shop', name: 'users' }, scope)).to.equal('shop.users');
+            expect(qualifiedTableName({ schema: 'shop', name: 'users' })).to.equal('shop.users');
+        });
+
+        it('should keep tables of the default database bare', () => {
+            expect(qualifiedTableName({ schema: null, name: 'users' })).to.equal('users');
+            expect(qualifiedTableName({ schema: null, name: 'users' }, { database: null, defaultDatabase: 'main' }))
+                .to.equal('users');
+            expect(qualifiedTableName({ schema: 'main', name: 'users' }, scope)).to.equal('users');
+            expect(qualifiedTableName({ schema: null, name: 'users' }, { database: 'main', defaultDatabase: 'main' }))
+                .to.equal('users');
+        });
+
+        it('should name every table once', () => {
+            const { tables } = parseSql('SELECT * FROM users u JOIN main.users m ON TRUE JOIN shop.orders ON TRUE');
+            expect(qualifiedTableNames(tables, scope)).to.deep.equal(['tenant_a.users', 'users', 'shop.orders']);
+        });
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * Stale-While-Revalidate Tests (v2.9.0)
+ *
+ * Tests for soft / hard expiry of cached reads and the single background refresh
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const { resolveStaleWindow, wrapEntry, unwrapEntry } = require('../core/staleWhileRevalidate');
+const { createMemoryStore } = require('../core/cacheStore');
+
+// Lets pending promise callbacks (the background refresh) run
+function flush() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('Stale-While-Revalidate (v2.9.0)', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('entries', () => {
+        it('should resolve the stale window', () => {
+            expect(resolveStaleWindow(undefined, 60)).to.equal(0);
+            expect(resolveStaleWindow(false, 60)).to.equal(0);
+            expect(resolveStaleWindow(true, 60)).to.equal(60);
+            expect(resolveStaleWindow(300, 60)).to.equal(300);
+        });
+
+        it('should mark wrapped entries stale after their soft expiry', () => {
+            const clock = sinon.useFakeTimers(Date.now());
+            const entry = wrapEntry([{ id: 1 }], 10);
+
+            expect(unwrapEntry(entry)).to.deep.equal({ value: [{ id: 1 }], stale: false });
+            clock.tick(10000);
+            expect(unwrapEntry(entry)).to.deep.equal({ value: [{ id: 1 }], stale: true });
+        });
+
+        it('should pass plain values and misses through', () => {
+            expect(unwrapEntry([1])).to.deep.equal({ value: [1], stale: false });
+            expect(unwrapEntry({ totalCount: 1 })).to.deep.equal({ value: { totalCount: 1 }, stale: false });
+            expect(unwrapEntry(undefined)).to.be.undefined;
+        });
+    });
+
+    describe('getCacheQuery', () => {
+        let clock;
+        let connection;
+        let store;
+        let connector;
+        let version;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+            version = 0;
+            connection = {
+                query: sinon.stub().callsFake(async () => [[{ version: ++version }]]),
+                release: sinon.stub()
+            };
+            const pool = { getConnection: sinon.stub().resolves(connection), pool: {} };
+            const { createDbConnector } = proxyquire('../dbConnector', {
+                'mysql2/promise': { createPool: sinon.stub().returns(pool) }
+            });
+            store = createMemoryStore();
+            sinon.spy(store, 'set');
+            connector = createDbConnector({ mysql: { host: 'localhost' }, cache: store });
+        });
+
+        function read() {
+            return connector.getCacheQuery({
+                sql: 'SELECT * FROM dashboard',
+                key: 'dashboard',
+                ttl: 10,
+                staleWhileRevalidate: 50
+            });
+        }
+
+        it('should keep the entry for ttl + stale window', async () => {
+            await read();
+
+            expect(store.set.firstCall.args[2]).to.equal(60);
+            expect(store.set.firstCall.args[1]).to.include({ __swr: 1 });
+        });
+
+        it('should serve fresh entries without touching the database', async () => {
+            await read();
+            clock.tick(9000);
+
+            expect(await read()).to.deep.equal([{ version: 1 }]);
+            expect(connection.query.calledOnce).to.be.true;
+        });
+
+        it('should serve stale entries immediately and refresh them once in the background', async () => {
+            await read();
+            clock.tick(10000);
+
+            const [first, second] = await Promise.all([read(), read()]);
+            expect(first).to.deep.equal([{ version: 1 }]);
+            expect(second).to.deep.equal([{ version: 1 }]);
+
+            await flush();
+            expect(connection.query.callCount).to.equal(2);
+            expect(await read()).to.deep.equal([{ version: 2 }]);
+        });
+
+        it('should miss after the hard expiry', async () => {
+            await read();
+            clock.tick(60000);
+
+            expect(await read()).to.deep.equal([{ version: 2 }]);
+        });
+
+        it('should keep serving the stale value when the refresh fails', async () => {
+            sinon.stub(console, 'error');
+            await read();
+            clock.tick(10000);
+            connection.query.rejects(new Error('Lock wait timeout'));
+
+            expect(await read()).to.deep.equal([{ version: 1 }]);
+            await flush();
+
+            expect(console.error.calledOnce).to.be.true;
+            expect(await read()).to.deep.equal([{ version: 1 }]);
+        });
+
+        it('should store plain values without staleWhileRevalidate', async () => {
+            await connector.getCacheQuery('SELECT * FROM users', [], 'users');
+
+            expect(store.set.firstCall.args[1]).to.deep.equal([{ version: 1 }]);
+        });
+    });
+});
@@ -74,6 +74,7 @@ describe('Transactions (v2.7.0)', () => {
                 createPool: () => mockPool
             },
             './redis.Connector': {
+                '@noCallThru': true,
                 getArrayItem: getArrayItemStub,
                 addArrayItem: addArrayItemStub,
                 delPrefixKeyItem: delPrefixKeyItemStub
@@ -0,0 +1,113 @@
+/**
+ * View Tests (v2.9.0)
+ *
+ * Tests for the tables behind the views reads depend on
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const {
+    VIEW_TABLES_SQL,
+    toViews,
+    validateViews,
+    expandViews,
+    createViewGraph
+} = require('../core/views');
+
+describe('Views (v2.9.0)', () => {
+    const VIEWS = {
+        'main.active_users': ['main.users'],
+        'main.order_totals': ['main.orders', 'main.active_users'],
+        'shop.top_products': ['shop.products', 'main.orders']
+    };
+    const scope = { database: null, defaultDatabase: 'main' };
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('toViews', () => {
+        it('should group the base tables of each view', () => {
+            expect(toViews([
+                { viewSchema: 'main', viewName: 'order_totals', tableSchema: 'main', tableName: 'orders' },
+                { viewSchema: 'main', viewName: 'order_totals', tableSchema: 'main', tableName: 'users' },
+                { viewSchema: 'shop', viewName: 'top_products', tableSchema: 'shop', tableName: 'products' }
+            ])).to.deep.equal({
+                'main.order_totals': ['main.orders', 'main.users'],
+                'shop.top_products': ['shop.products']
+            });
+        });
+    });
+
+    describe('expandViews', () => {
+        it('should add the base tables of views, named as the cache names tables', () => {
+            expect(expandViews(['active_users'], VIEWS, scope)).to.deep.equal(['active_users', 'users']);
+            expect(expandViews(['shop.top_products'], VIEWS, scope)).to.deep.equal(['shop.top_products', 'shop.products', 'orders']);
+        });
+
+        it('should resolve views of views once', () => {
+            expect(expandViews(['order_totals', 'users'], VIEWS, scope)).to.deep.equal(['order_totals', 'users', 'orders', 'active_users']);
+
+            const cyclic = { a: ['b'], b: ['a', 'c'] };
+            expect(expandViews(['a'], cyclic, scope)).to.deep.equal(['a', 'b', 'c']);
+        });
+
+        it('should apply bare view names of an override in every database', () => {
+            const override = { active_users: ['users'] };
+            expect(expandViews(['active_users'], override, scope)).to.deep.equal(['active_users', 'users']);
+            expect(expandViews(['tenant_a.active_users'], override, scope)).to.deep.equal(['tenant_a.active_users', 'tenant_a.users']);
+        });
+
+        it('should leave tables alone without views', () => {
+            expect(expandViews(['users', 'orders'], VIEWS, scope)).to.deep.equal(['users', 'orders']);
+            expect(expandViews(['active_users'], {}, scope)).to.deep.equal(['active_users']);
+            expect(expandViews(['active_users'], null, scope)).to.deep.equal(['active_users']);
+        });
+    });
+
+    describe('createViewGraph', () => {
+        const ROW = { viewSchema: 'main', viewName: 'active_users', tableSchema: 'main', tableName: 'users' };
+
+        it('should read the views from INFORMATION_SCHEMA', async () => {
+            const query = sinon.stub().resolves([ROW]);
+            const graph = createViewGraph(query);
+
+            expect(graph.get()).to.deep.equal({});
+            expect(await graph.load()).to.deep.equal({ 'main.active_users': ['main.users'] });
+            expect(graph.get()).to.deep.equal({ 'main.active_users': ['main.users'] });
+            expect(query.firstCall.args[0]).to.equal(VIEW_TABLES_SQL);
+        });
+
+        it('should load once, and again a minute after a failed load', async () => {
+            const clock = sinon.useFakeTimers({ now: 1000000, toFake: ['Date'] });
+            sinon.stub(console, 'error');
+            const query = sinon.stub();
+            query.onFirstCall().rejects(new Error('Unknown table \'VIEW_TABLE_USAGE\''));
+            query.resolves([ROW]);
+            const graph = createViewGraph(query);
+
+            await graph.ensureLoaded();
+            await graph.ensureLoaded();
+            expect(graph.get()).to.deep.equal({});
+            expect(query.callCount).to.equal(1);
+            expect(console.error.calledWith('Loading views failed:', 'Unknown table \'VIEW_TABLE_USAGE\'')).to.be.true;
+
+            clock.tick(60000);
+            await Promise.all([graph.ensureLoaded(), graph.ensureLoaded()]);
+            await graph.ensureLoaded();
+            expect(graph.get()).to.have.property('main.active_users');
+            expect(query.callCount).to.equal(2);
+        });
+    });
+
+    describe('validateViews', () => {
+        it('should accept booleans and view maps', () => {
+            expect(validateViews(true)).to.be.null;
+            expect(validateViews(false)).to.be.null;
+            expect(validateViews({ active_users: ['users'] })).to.be.null;
+            expect(validateViews('yes')).to.match(/views must be true, false or an object/);
+            expect(validateViews(['users'])).to.match(/views must be/);
+            expect(validateViews({ active_users: 'users' })).to.match(/views must be/);
+        });
+    });
+});